@@ -2,18 +2,63 @@
  * script.js
  *
  * This file adds interactivity to the Premium Crete Experience site. It handles
- * tab navigation, VIP gating, cookie consent, legal modals, chat launch,
- * settings management and a simple booking form. All configurable values are
- * stored in localStorage so the owner can adjust behaviour without editing
- * the code.
+ * tab navigation, VIP gating and concierge requests, cookie consent, versioned legal texts, chat launch,
+ * settings management, a booking form with fleet availability checks and
+ * rule-based pricing, a local booking ledger and consent-based visitor
+ * statistics for admins, a Crete itinerary planner that books a route, and
+ * translation of the
+ * visitor-facing interface into Greek, English, German and French. All
+ * configurable values are stored in localStorage so the owner can adjust
+ * behaviour without editing the code.
  */
 
 (function () {
   // Default settings – these can be overridden via the settings panel and persist via localStorage
   const DEFAULTS = {
     phoneNumber: '+302101234567',
-    vipCode: 'VIP2025',
-    vipGreeting: 'Καλώς ήρθες VIP επισκέπτη!',
+    // VIP codes: { code, tier, validFrom, validTo (ISO dates, optional), maxUses (0 = unlimited),
+    // greeting, unlocks (VIP sections: 'concierge', 'deals') }
+    vipCodes: [
+      { code: 'VIP2025', tier: 'Gold', validFrom: '', validTo: '', maxUses: 0, greeting: 'Καλώς ήρθες VIP επισκέπτη!', unlocks: ['concierge', 'deals'] }
+    ],
+    // Partner offers in the VIP deals section: { id, title, description ({ language: text }; Greek at least),
+    // image (URL, optional), partner, contact, validFrom, validTo (ISO dates, optional),
+    // tiers (VIP tiers it is offered to; empty = every tier) }
+    vipDeals: [
+      {
+        id: 'SPA',
+        title: 'Spa & Wellness',
+        description: {
+          el: 'Αποκλειστικές εκπτώσεις σε πολυτελή σπα και κέντρα ευεξίας στην Κρήτη.',
+          en: 'Exclusive discounts at luxury spas and wellness centres in Crete.',
+          de: 'Exklusive Rabatte in luxuriösen Spas und Wellnesszentren auf Kreta.',
+          fr: 'Des remises exclusives dans des spas de luxe et centres de bien-être en Crète.'
+        },
+        image: '', partner: '', contact: '', validFrom: '', validTo: '', tiers: []
+      },
+      {
+        id: 'TASTING',
+        title: 'Private Tastings',
+        description: {
+          el: 'Γευτείτε τα καλύτερα κρασιά και προϊόντα της Κρήτης με ιδιωτικές ξεναγήσεις.',
+          en: 'Taste the best wines and produce of Crete on private tours.',
+          de: 'Probieren Sie die besten Weine und Spezialitäten Kretas bei privaten Führungen.',
+          fr: 'Goûtez les meilleurs vins et produits de Crète lors de visites privées.'
+        },
+        image: '', partner: '', contact: '', validFrom: '', validTo: '', tiers: []
+      },
+      {
+        id: 'SPOTS',
+        title: 'Secret Spots',
+        description: {
+          el: 'Αποκαλύψτε κρυμμένους θησαυρούς που μόνο οι ντόπιοι γνωρίζουν – ειδικά για VIP.',
+          en: 'Discover hidden gems that only locals know – just for VIPs.',
+          de: 'Entdecken Sie verborgene Schätze, die nur Einheimische kennen – exklusiv für VIPs.',
+          fr: 'Découvrez des trésors cachés que seuls les habitants connaissent – réservé aux VIP.'
+        },
+        image: '', partner: '', contact: '', validFrom: '', validTo: '', tiers: []
+      }
+    ],
     useWhatsApp: false,
     // Default available payment methods. The admin can enable/disable or rename them via settings.
     paymentMethods: [
@@ -27,6 +72,22 @@
       'Viva Wallet',
       'Crypto'
     ],
+    // How each payment method is paid (see "Payment adapters"): 'onsite', 'bank', 'checkout' or 'manual'
+    paymentAdapters: {
+      'Πληρωμή στην παραλαβή': 'onsite',
+      'Κάρτα (Stripe)': 'checkout',
+      'PayPal': 'checkout',
+      'Κατάθεση σε Τράπεζα': 'bank',
+      'Apple Pay': 'checkout',
+      'Google Pay': 'checkout',
+      'Revolut': 'checkout',
+      'Viva Wallet': 'checkout',
+      'Crypto': 'manual'
+    },
+    // Account shown for bank transfers; without an IBAN bank transfers are handled by the office
+    bankAccount: { beneficiary: 'Mira Cars', iban: '', bic: '', bank: '' },
+    // Checkout page template for 'checkout' methods (placeholders in checkoutLink()); empty = handled by the office
+    checkoutUrl: '',
     // Car categories with prices per day (EUR)
     carCategories: {
       'Economy': 30,
@@ -42,10 +103,90 @@
     },
     // Deposit percentage applied to total price (0–100)
     depositPercent: 30,
-    adminEmail: 'info@miracars.example.com'
+    adminEmail: 'info@miracars.example.com',
+    // Individual vehicles. Status is one of 'active', 'maintenance' or 'retired'; only active vehicles can be booked.
+    fleet: [
+      { plate: 'HKN-1001', category: 'Economy', status: 'active' },
+      { plate: 'HKN-1002', category: 'Economy', status: 'active' },
+      { plate: 'HKN-1003', category: 'Economy', status: 'active' },
+      { plate: 'HKN-2001', category: 'SUV', status: 'active' },
+      { plate: 'HKN-2002', category: 'SUV', status: 'active' },
+      { plate: 'HKN-3001', category: 'Luxury', status: 'active' },
+      { plate: 'HKN-3002', category: 'Luxury', status: 'active' }
+    ],
+    // Pickup and return points. The fee (EUR) is charged for each handover at the location;
+    // handovers outside the opening hours (HH:MM, '24:00' = midnight) add pricingRules.afterHoursFee.
+    locations: [
+      { name: 'Αεροδρόμιο Ηρακλείου', fee: 0, opens: '07:00', closes: '23:00' },
+      { name: 'Αεροδρόμιο Χανίων', fee: 10, opens: '07:00', closes: '23:00' },
+      { name: 'Λιμάνι Ηρακλείου', fee: 0, opens: '08:00', closes: '21:00' },
+      { name: 'Λιμάνι Σούδας (Χανιά)', fee: 10, opens: '08:00', closes: '21:00' },
+      { name: 'Παράδοση σε ξενοδοχείο – Ηράκλειο', fee: 15, opens: '09:00', closes: '21:00' },
+      { name: 'Παράδοση σε ξενοδοχείο – Χανιά', fee: 25, opens: '09:00', closes: '21:00' }
+    ],
+    // Pricing rules applied per rental day on top of the base category prices above.
+    // Seasons use recurring MM-DD ranges (a range may wrap the new year); days outside every season use the base price.
+    pricingRules: {
+      seasons: [
+        { name: 'Ενδιάμεση σεζόν', from: '06-01', to: '06-30', rates: { 'Economy': 40, 'SUV': 65, 'Luxury': 120 } },
+        { name: 'Υψηλή σεζόν', from: '07-01', to: '08-31', rates: { 'Economy': 60, 'SUV': 95, 'Luxury': 170 } },
+        { name: 'Ενδιάμεση σεζόν', from: '09-01', to: '09-30', rates: { 'Economy': 40, 'SUV': 65, 'Luxury': 120 } }
+      ],
+      // Surcharge on the daily vehicle rate for days falling on weekendDays (0 = Sunday … 6 = Saturday)
+      weekendSurchargePercent: 10,
+      weekendDays: [6, 0],
+      // Length-of-rental discounts on the vehicle cost; the highest matching tier applies
+      durationDiscounts: [
+        { minDays: 7, percent: 10 },
+        { minDays: 14, percent: 15 }
+      ],
+      // Rental days are counted in 24-hour blocks from the pickup time; a return up to
+      // graceMinutes after a full block is not charged as an extra day
+      graceMinutes: 59,
+      // Fee (EUR) when the car is returned to a different location than it was picked up from
+      oneWayFee: 30,
+      // Fee (EUR) per pickup or return outside the location's opening hours
+      afterHoursFee: 20
+    },
+    // Driver requirements per car category, checked for every driver at the pickup date: minimum age and
+    // minimum full years since the licence was issued. Categories without an entry have no requirements.
+    // Drivers younger than youngDriver.underAge or aged seniorDriver.fromAge and over pay perDay (EUR) per rental day.
+    driverRules: {
+      categories: {
+        'Economy': { minAge: 21, minLicenceYears: 1 },
+        'SUV': { minAge: 23, minLicenceYears: 2 },
+        'Luxury': { minAge: 25, minLicenceYears: 3 }
+      },
+      youngDriver: { underAge: 25, perDay: 10 },
+      seniorDriver: { fromAge: 70, perDay: 8 }
+    },
+    // Promo codes: { code, type: 'percent' | 'fixed', value, validFrom, validTo (ISO dates, optional),
+    // minDays, categories (empty = all), maxUses (0 = unlimited), vipOnly }
+    promoCodes: [],
+    // Currencies prices can also be shown in: units per 1 EUR and the step displayed amounts are
+    // rounded to (0.01 = cents, 1 = whole units). Bookings are always charged in EUR.
+    currencies: [
+      { code: 'GBP', rate: 0.85, rounding: 0.01 },
+      { code: 'CHF', rate: 0.94, rounding: 0.05 },
+      { code: 'SEK', rate: 11.4, rounding: 1 },
+      { code: 'NOK', rate: 11.7, rounding: 1 },
+      { code: 'DKK', rate: 7.46, rounding: 1 },
+      { code: 'USD', rate: 1.08, rounding: 0.01 }
+    ],
+    // How bookings are delivered: 'mailto', 'http' (JSON to bookingEndpoint) or 'webhook' (form-encoded to webhookUrl)
+    bookingTransport: 'mailto',
+    bookingEndpoint: '',
+    webhookUrl: '',
+    // Where visitor statistics are sent in batches (see "Analytics"); empty keeps them in the browser only
+    analyticsEndpoint: '',
+    // Versions of the legal texts published after the built-in ones (see "Legal texts")
+    legalTexts: {}
   };
 
-  // Load settings from localStorage or fall back to defaults
+  // Settings published in config.json (see "Published configuration" below); empty until it has loaded
+  let publishedSettings = {};
+
+  // Load a setting: this browser's saved value first, then the published configuration, then the defaults
   function loadSetting(key) {
     const stored = localStorage.getItem(key);
     if (stored) {
@@ -55,7 +196,7 @@
         return stored;
       }
     }
-    return DEFAULTS[key];
+    return key in publishedSettings ? publishedSettings[key] : DEFAULTS[key];
   }
 
   function saveSetting(key, value) {
@@ -63,680 +204,8457 @@
   }
 
   // Current settings cached in memory
-  let phoneNumber = loadSetting('phoneNumber');
-  let vipCode = loadSetting('vipCode');
-  let vipGreeting = loadSetting('vipGreeting');
-  let useWhatsApp = loadSetting('useWhatsApp');
-  let paymentMethods = loadSetting('paymentMethods');
-  let carCategories = loadSetting('carCategories');
-  let extras = loadSetting('extras');
-  let depositPercent = loadSetting('depositPercent');
-  let adminEmail = loadSetting('adminEmail');
-
-  // Instructions shown in the price summary for each payment method. The admin can override by renaming methods; if no match is found a generic message is shown.
-  const PAYMENT_INSTRUCTIONS = {
-    'Πληρωμή στην παραλαβή': 'Καμία προπληρωμή – πληρώνετε το πλήρες ποσό κατά την παραλαβή του οχήματος.',
-    'Κάρτα (Stripe)': 'Θα λάβετε σύνδεσμο πληρωμής μέσω email για να ολοκληρώσετε την προκαταβολή με κάρτα μέσω Stripe.',
-    'PayPal': 'Θα σας σταλεί σύνδεσμος PayPal για την πληρωμή της προκαταβολής.',
-    'Κατάθεση σε Τράπεζα': 'Θα σας δοθούν τα στοιχεία IBAN για την τραπεζική κατάθεση.',
-    'Apple Pay': 'Θα σας σταλεί αίτημα Apple Pay για την πληρωμή της προκαταβολής.',
-    'Google Pay': 'Θα λάβετε σύνδεσμο Google Pay για την πληρωμή.',
-    'Revolut': 'Θα σας σταλεί σύνδεσμος πληρωμής Revolut.',
-    'Viva Wallet': 'Θα σας δοθεί σύνδεσμος Viva Wallet για την προκαταβολή.',
-    'Crypto': 'Θα σας δοθεί διεύθυνση πορτοφολιού (BTC/ETH) για πληρωμή σε κρυπτονομίσματα.'
-  };
+  let phoneNumber, vipCodes, vipDeals, useWhatsApp, paymentMethods, paymentAdapters, bankAccount, checkoutUrl, carCategories, extras, depositPercent, adminEmail;
+  let fleet, locations, pricingRules, driverRules, promoCodes, currencies, bookingTransport, bookingEndpoint, webhookUrl, analyticsEndpoint, legalTexts;
 
-  // Admin authentication state. If no password is set, the admin will be prompted to create one on first login. When logged in, isAdmin flag is true.
-  function getAdminPassword() {
-    return localStorage.getItem('adminPassword') || null;
+  // (Re)read every setting, e.g. once the published configuration has loaded
+  function reloadSettings() {
+    phoneNumber = loadSetting('phoneNumber');
+    vipCodes = loadSetting('vipCodes');
+    vipDeals = loadSetting('vipDeals');
+    useWhatsApp = loadSetting('useWhatsApp');
+    paymentMethods = loadSetting('paymentMethods');
+    paymentAdapters = loadSetting('paymentAdapters');
+    bankAccount = loadSetting('bankAccount');
+    checkoutUrl = loadSetting('checkoutUrl');
+    carCategories = loadSetting('carCategories');
+    extras = loadSetting('extras');
+    depositPercent = loadSetting('depositPercent');
+    adminEmail = loadSetting('adminEmail');
+    fleet = loadSetting('fleet');
+    locations = loadSetting('locations');
+    pricingRules = loadSetting('pricingRules');
+    driverRules = loadSetting('driverRules');
+    promoCodes = loadSetting('promoCodes');
+    currencies = loadSetting('currencies');
+    bookingTransport = loadSetting('bookingTransport');
+    bookingEndpoint = loadSetting('bookingEndpoint');
+    webhookUrl = loadSetting('webhookUrl');
+    analyticsEndpoint = loadSetting('analyticsEndpoint');
+    legalTexts = loadSetting('legalTexts');
   }
-  function setAdminPassword(pwd) {
-    localStorage.setItem('adminPassword', pwd);
-  }
-  function isAdminLoggedIn() {
-    return localStorage.getItem('isAdmin') === 'true';
-  }
-  function setAdminLoggedIn(flag) {
-    if (flag) {
-      localStorage.setItem('isAdmin', 'true');
-    } else {
-      localStorage.removeItem('isAdmin');
+  reloadSettings();
+
+  /*
+   * Translations
+   *
+   * Visitor-facing text lives in the TRANSLATIONS catalogue, one object of keys
+   * per language. Static markup carries data-i18n (text content),
+   * data-i18n-placeholder and data-i18n-aria-label attributes that applyTranslations()
+   * fills in; script.js looks strings up with t(key, params), where {name}
+   * placeholders are replaced from params. Keys ending in .one/.other are plural
+   * forms chosen by tp(). A missing key falls back to Greek.
+   *
+   * The visitor's choice is kept under `language` (a preference, so only with
+   * consent – see "Consent"); otherwise the first supported
+   * language in navigator.languages is used. The admin screens and the booking
+   * email we receive stay in Greek.
+   */
+  const LANGUAGES = {
+    el: { label: 'Ελληνικά', locale: 'el-GR' },
+    en: { label: 'English', locale: 'en-GB' },
+    de: { label: 'Deutsch', locale: 'de-DE' },
+    fr: { label: 'Français', locale: 'fr-FR' }
+  };
+  const DEFAULT_LANGUAGE = 'el';
+
+  const TRANSLATIONS = {
+    el: {
+      'meta.title': 'Mira Cars – Σύστημα Κρατήσεων',
+      'meta.description': 'Κλείστε εύκολα αυτοκίνητο με τη Mira Cars και απολαύστε την Κρήτη με άνεση, πολυτέλεια και αποκλειστικές υπηρεσίες VIP.',
+      'cookie.text': 'Χρησιμοποιούμε μόνο την αποθήκευση που χρειάζεται ο ιστότοπος για να λειτουργεί. Με τη συγκατάθεσή σας θα θυμόμαστε επίσης τις προτιμήσεις σας και θα μετράμε την επισκεψιμότητα. Μπορείτε να αλλάξετε την επιλογή σας οποτεδήποτε από τις «Ρυθμίσεις cookies» στο κάτω μέρος της σελίδας.',
+      'cookie.acceptAll': 'Αποδοχή όλων',
+      'cookie.rejectAll': 'Απόρριψη όλων',
+      'cookie.customise': 'Προσαρμογή',
+      'consent.title': 'Ρυθμίσεις cookies',
+      'consent.intro': 'Επιλέξτε τι επιτρέπετε να αποθηκεύεται στον browser σας. Μπορείτε να ανακαλέσετε τη συγκατάθεσή σας οποτεδήποτε.',
+      'consent.close': 'Κλείσιμο',
+      'consent.necessary': 'Απαραίτητα',
+      'consent.necessaryText': 'Απαιτούνται για τις κρατήσεις, την είσοδο VIP και διαχειριστή και για να θυμόμαστε αυτή την επιλογή. Είναι πάντα ενεργά.',
+      'consent.preferences': 'Προτιμήσεις',
+      'consent.preferencesText': 'Θυμούνται τη γλώσσα και το νόμισμα που επιλέξατε.',
+      'consent.analytics': 'Στατιστικά',
+      'consent.analyticsText': 'Μας βοηθούν να καταλάβουμε πώς χρησιμοποιείται ο ιστότοπος, χωρίς να σας αναγνωρίζουν.',
+      'consent.marketing': 'Μάρκετινγκ',
+      'consent.marketingText': 'Επιτρέπουν σε συνεργάτες να μετρούν τις διαφημίσεις μας και να σας δείχνουν σχετικές προσφορές.',
+      'consent.save': 'Αποθήκευση επιλογών',
+      'consent.lastChoice': 'Τελευταία επιλογή: {date} (έκδοση πολιτικής {version}).',
+      'consent.noChoice': 'Δεν έχετε κάνει ακόμη επιλογή· μέχρι τότε χρησιμοποιούνται μόνο τα απαραίτητα.',
+      'chat.label': 'Συνομιλία',
+      'menu.label': 'Μενού',
+      'language.label': 'Γλώσσα',
+      'currency.label': 'Νόμισμα',
+      'currency.charged': 'Χρέωση σε ευρώ: {amount} (1 EUR = {rate} {currency}). Τα ποσά σε άλλο νόμισμα είναι ενδεικτικά.',
+      'nav.home': 'Αρχική',
+      'nav.guide': 'Οδηγός',
+      'nav.booking': 'Κρατήσεις',
+      'nav.legal': 'Νομικά',
+      'nav.settings': 'Ρυθμίσεις',
+      'nav.login': 'Είσοδος',
+      'nav.logout': 'Αποσύνδεση',
+      'hero.title': 'Γρήγορα & Προσιτά',
+      'hero.text': 'Εξερευνήστε την Κρήτη με το ιδανικό αυτοκίνητο της Mira Cars. Πολυτέλεια, ασφάλεια και πλήρη ελευθερία στις επιλογές σας.',
+      'hero.search': 'Αναζήτηση',
+      'features.fleet.title': 'Πλούσια Γκάμα Οχημάτων',
+      'features.fleet.text': 'Από οικονομικά αυτοκίνητα έως SUV και πολυτελή μοντέλα – διαλέξτε αυτό που σας ταιριάζει.',
+      'features.service.title': 'Υψηλή Ποιότητα Υπηρεσιών',
+      'features.service.text': 'Καλοσυντηρημένα οχήματα, άμεση εξυπηρέτηση και 24/7 υποστήριξη για να οδηγείτε χωρίς άγχος.',
+      'features.payments.title': 'Ευέλικτες Πληρωμές',
+      'features.payments.text': 'Επιλέξτε από πολλούς τρόπους πληρωμής, όπως κάρτα, PayPal, τραπεζική κατάθεση ή πληρωμή στην παραλαβή.',
+      'guide.title': 'Οδηγός Κρήτης',
+      'guide.intro': 'Εδώ θα βρείτε προτεινόμενες διαδρομές 3–5 ημερών, tips για μετακίνηση και την καλύτερη εποχή για επίσκεψη. Ετοιμάστε το ταξίδι σας με τις πιο ενημερωμένες συμβουλές.',
+      'guide.short.title': '3ήμερη Περιπέτεια',
+      'guide.long.title': '5ήμερη Απόδραση',
+      'planner.days.one': '{count} ημέρα',
+      'planner.days.other': '{count} ημέρες',
+      'planner.summary': '{days} · {distance} χλμ. · {time} οδήγηση',
+      'planner.day': 'Ημέρα {day}: {place}',
+      'planner.map': 'Χάρτης',
+      'planner.drive': 'Οδήγηση: {distance} χλμ., {time}',
+      'planner.overnight': 'Διανυκτέρευση: {place}',
+      'planner.hours': '{hours} ώ. {minutes} λ.',
+      'planner.minutes': '{minutes} λ.',
+      'planner.categoryDirt': 'Προτείνουμε {category}: ο δρόμος για {place} είναι χωματόδρομος.',
+      'planner.categoryPaved': 'Προτείνουμε {category}: όλη η διαδρομή είναι σε άσφαλτο.',
+      'planner.extras': 'Προτεινόμενα πρόσθετα: {extras}.',
+      'planner.book': 'Κλείσε για αυτή τη διαδρομή',
+      'booking.title': 'Κρατήσεις Mira Cars',
+      'booking.intro': 'Κλείστε εύκολα το αυτοκίνητο των ονείρων σας. Επιλέξτε ημερομηνίες, κατηγορία οχήματος και μέθοδο πληρωμής. Τα στοιχεία αποστέλλονται άμεσα στο γραφείο μας.',
+      'booking.name': 'Ονοματεπώνυμο',
+      'booking.email': 'Email',
+      'booking.phone': 'Τηλέφωνο',
+      'booking.pickup': 'Ημ/νία παραλαβής',
+      'booking.dropoff': 'Ημ/νία επιστροφής',
+      'booking.pickupTime': 'Ώρα παραλαβής',
+      'booking.dropoffTime': 'Ώρα επιστροφής',
+      'booking.pickupLocation': 'Σημείο παραλαβής',
+      'booking.dropoffLocation': 'Σημείο επιστροφής',
+      'booking.sameLocation': 'Ίδιο με το σημείο παραλαβής',
+      'booking.returnBeforePickup': 'Η επιστροφή πρέπει να είναι μετά την παραλαβή.',
+      'booking.locationHours': '{location}: ανοιχτά {opens}–{closes}',
+      'booking.afterHoursNote': 'Παραλαβή ή επιστροφή εκτός ωραρίου: +{amount} ανά φορά.',
+      'booking.dob': 'Ημ/νία γέννησης',
+      'booking.licenceIssued': 'Ημ/νία έκδοσης διπλώματος',
+      'booking.licenceCountry': 'Χώρα έκδοσης διπλώματος',
+      'booking.selectCountry': 'Επιλέξτε χώρα',
+      'booking.otherCountry': 'Άλλη χώρα',
+      'booking.additionalDrivers': 'Πρόσθετοι οδηγοί (προαιρετικά)',
+      'booking.addDriver': '+ Προσθήκη οδηγού',
+      'booking.removeDriver': 'Αφαίρεση οδηγού',
+      'booking.driverName': 'Ονοματεπώνυμο οδηγού',
+      'booking.driverAge': '{category}: οδηγοί από {minAge} ετών.',
+      'booking.driverLicence.one': 'Δίπλωμα οδήγησης τουλάχιστον {count} έτους.',
+      'booking.driverLicence.other': 'Δίπλωμα οδήγησης τουλάχιστον {count} ετών.',
+      'booking.youngDriverNote': 'Οδηγοί κάτω των {age} ετών: +{amount} ανά ημέρα.',
+      'booking.seniorDriverNote': 'Οδηγοί {age} ετών και άνω: +{amount} ανά ημέρα.',
+      'driver.main': 'Κύριος οδηγός',
+      'driver.additional': 'Πρόσθετος οδηγός {number}',
+      'driver.incomplete': '{name}: συμπληρώστε ονοματεπώνυμο, ημερομηνία γέννησης, χώρα και ημερομηνία έκδοσης διπλώματος.',
+      'driver.invalidDates': '{name}: ελέγξτε τις ημερομηνίες γέννησης και έκδοσης διπλώματος (το δίπλωμα πρέπει να έχει εκδοθεί έως την παραλαβή).',
+      'driver.tooYoung': '{name}: για την κατηγορία {category} ο οδηγός πρέπει να είναι τουλάχιστον {minAge} ετών την ημέρα παραλαβής.',
+      'driver.licenceTooNew.one': '{name}: για την κατηγορία {category} απαιτείται δίπλωμα οδήγησης τουλάχιστον {count} έτους.',
+      'driver.licenceTooNew.other': '{name}: για την κατηγορία {category} απαιτείται δίπλωμα οδήγησης τουλάχιστον {count} ετών.',
+      'booking.category': 'Κατηγορία οχήματος',
+      'booking.notes': 'Σημειώσεις',
+      'booking.extras': 'Extras (προαιρετικά)',
+      'booking.promo': 'Κωδικός προσφοράς (προαιρετικά)',
+      'booking.payment': 'Τρόπος πληρωμής',
+      'booking.submit': 'Ολοκλήρωση Κράτησης',
+      'booking.acceptTerms': 'Αποδέχομαι τους όρους ενοικίασης (έκδοση {version})',
+      'booking.readTerms': 'ανάγνωση',
+      'booking.termsRequired': 'Για να ολοκληρωθεί η κράτηση, αποδεχθείτε τους όρους ενοικίασης (έκδοση {version}).',
+      'booking.sending': 'Αποστολή κράτησης…',
+      'booking.mailOpened': 'Ανοίξαμε το πρόγραμμα email σας. Πατήστε «Αποστολή» για να ολοκληρωθεί η κράτηση {ref}.',
+      'booking.received': 'Η κράτηση {ref} καταχωρήθηκε! Θα επικοινωνήσουμε σύντομα.',
+      'booking.failed': 'Η κράτηση δεν στάλθηκε ({reason}). Δοκιμάστε ξανά ή καλέστε μας στο {phone}.',
+      'booking.queued': 'Είστε εκτός σύνδεσης. Η κράτηση {ref} αποθηκεύτηκε και θα σταλεί αυτόματα μόλις επανέλθει η σύνδεση.',
+      'booking.unconfirmed': 'Δεν λάβαμε απάντηση εγκαίρως. Η κράτηση {ref} φυλάχτηκε και θα σταλεί ξανά αυτόματα με τον ίδιο αριθμό, ώστε να μην καταχωριστεί δύο φορές.',
+      'booking.sync.one': '{count} κράτηση σε αναμονή συγχρονισμού – θα σταλεί αυτόματα μόλις υπάρξει σύνδεση.',
+      'booking.sync.other': '{count} κρατήσεις σε αναμονή συγχρονισμού – θα σταλούν αυτόματα μόλις υπάρξει σύνδεση.',
+      'booking.mailQueued': 'Το {ref} δεν έχει σταλεί ακόμη στο γραφείο μας. Να ανοίξει τώρα το πρόγραμμα email για να το στείλετε;',
+      'voucher.title': 'Η κράτησή σας ελήφθη',
+      'voucher.intro': 'Κρατήστε αυτό το κουπόνι ενοικίασης και επιδείξτε το κατά την παραλαβή του οχήματος.',
+      'voucher.heading': 'Κουπόνι ενοικίασης',
+      'voucher.ref': 'Αριθμός κράτησης',
+      'voucher.extras': 'Extras',
+      'voucher.noExtras': 'Κανένα',
+      'voucher.drivers': 'Οδηγοί',
+      'voucher.pending': 'Η κράτηση αναμένει επιβεβαίωση από το γραφείο μας.',
+      'voucher.queued': 'Η κράτηση θα σταλεί στο γραφείο μας μόλις επανέλθει η σύνδεση.',
+      'voucher.contact': 'Για αλλαγές καλέστε μας στο {phone}.',
+      'voucher.qrLabel': 'QR κωδικός με τον αριθμό κράτησης {ref}',
+      'voucher.print': 'Εκτύπωση κουπονιού',
+      'voucher.calendar': 'Προσθήκη στο ημερολόγιο (.ics)',
+      'voucher.newBooking': 'Νέα κράτηση',
+      'ics.pickup': 'Παραλαβή οχήματος Mira Cars ({category})',
+      'ics.dropoff': 'Επιστροφή οχήματος Mira Cars ({category})',
+      'ics.description': 'Κράτηση {ref}. Τηλέφωνο: {phone}',
+      'transport.serverError': 'σφάλμα διακομιστή {status}',
+      'transport.timeout': 'λήξη χρόνου αναμονής',
+      'transport.network': 'αδυναμία σύνδεσης',
+      'transport.offline': 'εκτός σύνδεσης',
+      'transport.noEndpoint': 'δεν έχει οριστεί διεύθυνση αποστολής',
+      'transport.noWebhook': 'δεν έχει οριστεί webhook',
+      'transport.conflict': 'το όχημα κρατήθηκε στο μεταξύ για αυτές τις ημερομηνίες· επιλέξτε άλλες ημερομηνίες ή κατηγορία',
+      'availability.noVehicles': 'Δεν υπάρχουν διαθέσιμα οχήματα στην κατηγορία {category}.',
+      'availability.blockedDays': 'Μη διαθέσιμες ημέρες για {category}: {dates}',
+      'availability.unavailable': 'Δεν υπάρχει διαθέσιμο όχημα για τις επιλεγμένες ημερομηνίες.',
+      'availability.dayBooked': 'Όλα τα οχήματα {category} είναι κρατημένα από {from} έως {to}. Επιλέξτε άλλη ημερομηνία παραλαβής.',
+      'availability.unavailableCategory': 'Δεν υπάρχει διαθέσιμο όχημα {category} για τις επιλεγμένες ημερομηνίες.',
+      'availability.sorry': 'Λυπούμαστε, δεν υπάρχει διαθέσιμο όχημα {category} για τις επιλεγμένες ημερομηνίες. Επιλέξτε άλλες ημερομηνίες ή κατηγορία.',
+      'price.prompt': 'Επιλέξτε ημερομηνίες και κατηγορία οχήματος για να υπολογίσετε την τιμή.',
+      'price.duration.one': 'Διάρκεια: {count} ημέρα',
+      'price.duration.other': 'Διάρκεια: {count} ημέρες',
+      'price.category': 'Κατηγορία: {category}',
+      'price.baseRate': 'Βασική τιμή',
+      'price.seasonLine': '{name}: {days} ημ. × {rate} = {amount}',
+      'price.weekend': 'Επιβάρυνση Σαββατοκύριακου ({percent}%, {days} ημ.): {amount}',
+      'price.durationDiscount': 'Έκπτωση διάρκειας ({minDays}+ ημ., {percent}%): −{amount}',
+      'price.extras': 'Extras: {list} → {amount}',
+      'price.promo': 'Κωδικός προσφοράς {code} ({label}): −{amount}',
+      'price.pickupFee': 'Παραλαβή – {location}: {amount}',
+      'price.dropoffFee': 'Επιστροφή – {location}: {amount}',
+      'price.oneWay': 'Επιστροφή σε άλλο σημείο ({from} → {to}): {amount}',
+      'price.afterHours': 'Εκτός ωραρίου ({location}, {time}): {amount}',
+      'price.youngDriver': 'Επιβάρυνση νέου οδηγού ({name}, {age} ετών): {days} ημ. × {rate} = {amount}',
+      'price.seniorDriver': 'Επιβάρυνση μεγαλύτερου οδηγού ({name}, {age} ετών): {days} ημ. × {rate} = {amount}',
+      'price.total': 'Σύνολο: {amount}',
+      'price.deposit': 'Προκαταβολή ({percent}%): {amount}',
+      'price.payment': 'Τρόπος πληρωμής: {method}',
+      'price.paymentContact': 'Θα επικοινωνήσουμε μαζί σας για λεπτομέρειες πληρωμής.',
+      'payment.status.unpaid': 'Πληρωμή: εκκρεμεί',
+      'payment.status.deposit': 'Πληρωμή: η προκαταβολή εξοφλήθηκε',
+      'payment.status.paid': 'Πληρωμή: εξοφλήθηκε',
+      'payment.status.reported': 'Πληρωμή: σε επιβεβαίωση',
+      'payment.reportedNote': 'Επιστρέψατε από τη σελίδα πληρωμής. Θα επιβεβαιώσουμε την πληρωμή με τον πάροχο και θα σας ενημερώσουμε.',
+      'payment.onsite.next': 'Πληρώνετε {amount} κατά την παραλαβή του οχήματος.',
+      'payment.bank.summary': 'Μετά την κράτηση θα δείτε το IBAN μας και έναν μοναδικό κωδικό αναφοράς RF για την κατάθεση.',
+      'payment.bank.next': 'Καταθέστε {amount} στον παρακάτω λογαριασμό αναγράφοντας τον κωδικό αναφοράς RF ως αιτιολογία.',
+      'payment.beneficiary': 'Δικαιούχος',
+      'payment.iban': 'IBAN',
+      'payment.bic': 'BIC',
+      'payment.bank': 'Τράπεζα',
+      'payment.reference': 'Κωδικός αναφοράς (RF)',
+      'payment.checkout.summary': 'Μετά την κράτηση θα συνεχίσετε στη σελίδα πληρωμής.',
+      'payment.checkout.next': 'Πληρώστε τώρα {amount} με {method} στη σελίδα πληρωμής.',
+      'payment.checkout.pay': 'Πληρωμή {amount}',
+      'payment.returned.success': 'Ευχαριστούμε! Η πληρωμή για την κράτηση {ref} καταγράφηκε και θα επιβεβαιωθεί από το γραφείο μας.',
+      'payment.returned.cancelled': 'Η πληρωμή για την κράτηση {ref} δεν ολοκληρώθηκε. Μπορείτε να δοκιμάσετε ξανά παρακάτω.',
+      'price.categoryOption': '{category} (από {price} / ημέρα)',
+      'price.extraOption': '{extra} ({price} / ημέρα)',
+      'price.locationOption': '{location} (+{price})',
+      'promo.unknown': 'Ο κωδικός προσφοράς δεν υπάρχει.',
+      'promo.inactive': 'Ο κωδικός προσφοράς δεν είναι ενεργός αυτή την περίοδο.',
+      'promo.minDays': 'Ο κωδικός ισχύει για ενοικιάσεις {days} ημερών και άνω.',
+      'promo.categories': 'Ο κωδικός ισχύει μόνο για: {categories}.',
+      'promo.exhausted': 'Ο κωδικός προσφοράς έχει εξαντληθεί.',
+      'promo.vipOnly': 'Ο κωδικός ισχύει μόνο για VIP επισκέπτες.',
+      'vip.prompt': 'Εισάγετε τον VIP κωδικό για πρόσβαση:',
+      'vip.wrongCode': 'Λάθος κωδικός VIP.',
+      'vip.inactive': 'Ο κωδικός VIP δεν είναι ενεργός.',
+      'vip.exhausted': 'Ο κωδικός VIP έχει χρησιμοποιηθεί το μέγιστο επιτρεπτό πλήθος φορών.',
+      'vip.noAccess': 'Ο VIP κωδικός σας δεν περιλαμβάνει πρόσβαση σε αυτή την ενότητα.',
+      'concierge.title': 'Concierge VIP',
+      'concierge.intro': 'Αποκτήστε πρόσβαση σε 24/7 γραμμή εξυπηρέτησης, ιδιωτικές μεταφορές και εξατομικευμένες συστάσεις. Είμαστε εδώ για να κάνουμε κάθε σας επιθυμία πραγματικότητα.',
+      'concierge.support.title': '24/7 Concierge',
+      'concierge.support.text': 'Άμεση επικοινωνία με το προσωπικό μας για οποιαδήποτε ανάγκη, από κρατήσεις εστιατορίων μέχρι ιδιωτικές εκδρομές.',
+      'concierge.transfers.title': 'Ιδιωτικές Μεταφορές',
+      'concierge.transfers.text': 'Λίμο, helitaxi ή πολυτελή οχήματα – μετακινηθείτε άνετα και με ασφάλεια όπου κι αν βρίσκεστε.',
+      'concierge.form.title': 'Νέο αίτημα',
+      'concierge.form.service': 'Υπηρεσία',
+      'concierge.form.party': 'Άτομα',
+      'concierge.form.date': 'Ημερομηνία',
+      'concierge.form.time': 'Ώρα',
+      'concierge.form.notesHint': 'Διευθύνσεις, πτήση, προτιμήσεις…',
+      'concierge.form.submit': 'Αποστολή αιτήματος',
+      'concierge.service.transfer': 'Ιδιωτική μεταφορά',
+      'concierge.service.helicopter': 'Helitaxi',
+      'concierge.service.restaurant': 'Κράτηση εστιατορίου',
+      'concierge.service.excursion': 'Ιδιωτική εκδρομή',
+      'concierge.service.other': 'Άλλο',
+      'concierge.requests': 'Τα αιτήματά σας',
+      'concierge.none': 'Δεν έχετε στείλει ακόμη αιτήματα από αυτή τη συσκευή.',
+      'concierge.status.new': 'Ελήφθη',
+      'concierge.status.accepted': 'Αποδεκτό',
+      'concierge.status.quoted': 'Σας στείλαμε προσφορά',
+      'concierge.status.done': 'Ολοκληρώθηκε',
+      'concierge.people.one': '{count} άτομο',
+      'concierge.people.other': '{count} άτομα',
+      'concierge.quote': 'Προσφορά: {amount}',
+      'concierge.waiting': 'αναμένει αποστολή',
+      'concierge.sending': 'Αποστολή αιτήματος…',
+      'concierge.mailOpened': 'Ανοίξαμε το πρόγραμμα email σας. Πατήστε «Αποστολή» για να σταλεί το αίτημα {ref}.',
+      'concierge.received': 'Το αίτημα {ref} ελήφθη! Ο concierge μας θα επικοινωνήσει σύντομα μαζί σας.',
+      'concierge.failed': 'Το αίτημα δεν στάλθηκε ({reason}). Δοκιμάστε ξανά ή καλέστε μας στο {phone}.',
+      'concierge.queued': 'Είστε εκτός σύνδεσης. Το αίτημα {ref} αποθηκεύτηκε και θα σταλεί αυτόματα μόλις επανέλθει η σύνδεση.',
+      'concierge.unconfirmed': 'Δεν λάβαμε απάντηση εγκαίρως. Το αίτημα {ref} φυλάχτηκε και θα σταλεί ξανά αυτόματα με τον ίδιο αριθμό.',
+      'concierge.pastDate': 'Η ημερομηνία του αιτήματος δεν μπορεί να είναι στο παρελθόν.',
+      'concierge.partyInvalid': 'Ο αριθμός ατόμων πρέπει να είναι από 1 έως {max}.',
+      'deals.title': 'Προσφορές VIP',
+      'deals.intro': 'Απολαύστε αποκλειστικές προσφορές σε θεραπείες spa, tasting experiences, ιδιωτικές κρουαζιέρες και άλλα. Οι προσφορές μας ανανεώνονται συχνά για τους απαιτητικούς επισκέπτες.',
+      'deals.none': 'Δεν υπάρχουν διαθέσιμες προσφορές για τη βαθμίδα σας αυτή τη στιγμή. Ρίξτε μια ματιά ξανά σύντομα.',
+      'deals.partner': 'Συνεργάτης: {partner}',
+      'deals.validTo': 'Ισχύει έως {date}',
+      'deals.claim': 'Απόκτηση προσφοράς',
+      'deals.code': 'Ο κωδικός σας: {code}',
+      'deals.codeHint': 'Δείξτε τον κωδικό στον συνεργάτη για να εξαργυρώσετε την προσφορά.',
+      'deals.claiming': 'Αποστολή του κωδικού στο γραφείο μας…',
+      'deals.mailOpened': 'Ανοίξαμε το πρόγραμμα email σας. Πατήστε «Αποστολή» ώστε το γραφείο μας να ενεργοποιήσει τον κωδικό {ref}.',
+      'deals.received': 'Ο κωδικός {ref} καταχωρίστηκε. Δείξτε τον στον συνεργάτη για να εξαργυρώσετε την προσφορά.',
+      'deals.failed': 'Ο κωδικός δεν καταχωρίστηκε ({reason}). Δοκιμάστε ξανά ή καλέστε μας στο {phone}.',
+      'deals.queued': 'Είστε εκτός σύνδεσης. Ο κωδικός {code} θα σταλεί στο γραφείο μας αυτόματα μόλις επανέλθει η σύνδεση.',
+      'deals.unconfirmed': 'Δεν λάβαμε απάντηση εγκαίρως. Ο κωδικός {code} φυλάχτηκε και θα σταλεί ξανά αυτόματα στο γραφείο μας.',
+      'deals.waiting': 'Αναμένει αποστολή στο γραφείο μας· ισχύει αφού τον λάβουμε.',
+      'footer.terms': 'Όροι Χρήσης',
+      'footer.rental': 'Όροι Ενοικίασης',
+      'footer.privacy': 'Πολιτική Απορρήτου',
+      'footer.cookies': 'Cookies',
+      'footer.consent': 'Ρυθμίσεις cookies',
+      'footer.myData': 'Τα δεδομένα μου',
+      'mydata.title': 'Τα δεδομένα μου',
+      'mydata.intro': 'Η Mira Cars δεν χρησιμοποιεί λογαριασμούς. Ό,τι αφορά εσάς σε αυτή τη συσκευή αποθηκεύεται μόνο στον browser σας και εμφανίζεται παρακάτω. Μπορείτε να το κατεβάσετε ή να το διαγράψετε οποτεδήποτε.',
+      'mydata.empty': 'Αυτός ο browser δεν έχει αποθηκεύσει στοιχεία σας.',
+      'mydata.key.language': 'Γλώσσα που επιλέξατε',
+      'mydata.key.currency': 'Νόμισμα που επιλέξατε',
+      'mydata.key.consent': 'Η επιλογή σας για τα cookies',
+      'mydata.key.consentLog': 'Ιστορικό επιλογών για τα cookies',
+      'mydata.key.vipSession': 'Πρόσβαση VIP',
+      'mydata.key.analyticsEvents': 'Στατιστικά επισκέψεων (χωρίς στοιχεία ταυτότητας)',
+      'mydata.key.promoUsage': 'Κωδικοί έκπτωσης που χρησιμοποιήσατε',
+      'mydata.key.vipUsage': 'Κωδικοί VIP που ενεργοποιήσατε',
+      'mydata.booking': 'Κράτηση {ref}: {category}, {pickup} – {dropoff}',
+      'mydata.concierge': 'Αίτημα concierge {ref}: {service}, {date}',
+      'mydata.deal': 'Προσφορά VIP {title}: κωδικός {code}',
+      'mydata.queued': '(αναμένει αποστολή)',
+      'mydata.export': 'Λήψη σε JSON',
+      'mydata.erase': 'Διαγραφή από αυτόν τον browser',
+      'mydata.eraseConfirm': 'Να διαγραφούν όλα τα στοιχεία σας από αυτόν τον browser; Κρατήσεις που δεν έχουν σταλεί ακόμη δεν θα σταλούν. Όσα έχει ήδη λάβει το γραφείο μας δεν επηρεάζονται.',
+      'mydata.erased': 'Τα στοιχεία σας διαγράφηκαν από αυτόν τον browser.',
+      'mydata.readFailed': 'Δεν ήταν δυνατή η ανάγνωση των στοιχείων που έχει αποθηκεύσει αυτός ο browser. Δοκιμάστε ξανά ή επικοινωνήστε μαζί μας.',
+      'mydata.eraseFailed': 'Δεν ήταν δυνατή η διαγραφή όλων των στοιχείων από αυτόν τον browser. Δοκιμάστε ξανά ή διαγράψτε τα δεδομένα του ιστότοπου από τις ρυθμίσεις του browser.',
+      'mydata.requestTitle': 'Τα στοιχεία των κρατήσεών σας στο γραφείο μας',
+      'mydata.requestIntro': 'Όταν κάνετε κράτηση, τα στοιχεία της αποστέλλονται και στο γραφείο μας. Για πρόσβαση, διόρθωση ή διαγραφή τους στείλτε μας αίτημα· θα απαντήσουμε εντός ενός μήνα.',
+      'mydata.requestType': 'Είδος αιτήματος',
+      'mydata.request.access': 'Πρόσβαση στα δεδομένα μου',
+      'mydata.request.rectification': 'Διόρθωση των δεδομένων μου',
+      'mydata.request.erasure': 'Διαγραφή των δεδομένων μου',
+      'mydata.requestSend': 'Σύνταξη email αιτήματος',
+      'footer.imprint': 'Imprint',
+      'legal.version': 'Έκδοση {version}',
+      'legal.versionFrom': 'Έκδοση {version} · ισχύει από {date}',
+      'legal.earlier': 'Προηγούμενες εκδόσεις:',
+      'legal.others': 'Άλλες εκδόσεις:',
+      'legal.versionLink': 'έκδοση {version}',
+      'legal.currentLink': 'έκδοση {version} (σε ισχύ)',
+      'chat.whatsappMessage': 'Γεια σας, ενδιαφέρομαι για τις υπηρεσίες σας.'
+    },
+    en: {
+      'meta.title': 'Mira Cars – Car Rental Booking',
+      'meta.description': 'Book a car with Mira Cars in a few clicks and enjoy Crete in comfort, with luxury vehicles and exclusive VIP services.',
+      'cookie.text': 'We only use the storage the site needs to work. With your consent we will also remember your preferences and measure traffic. You can change your choice at any time from “Cookie settings” at the bottom of the page.',
+      'cookie.acceptAll': 'Accept all',
+      'cookie.rejectAll': 'Reject all',
+      'cookie.customise': 'Customise',
+      'consent.title': 'Cookie settings',
+      'consent.intro': 'Choose what may be stored in your browser. You can withdraw your consent at any time.',
+      'consent.close': 'Close',
+      'consent.necessary': 'Necessary',
+      'consent.necessaryText': 'Needed for bookings, VIP and admin sign-in and to remember this choice. Always on.',
+      'consent.preferences': 'Preferences',
+      'consent.preferencesText': 'Remember the language and currency you chose.',
+      'consent.analytics': 'Statistics',
+      'consent.analyticsText': 'Help us understand how the site is used, without identifying you.',
+      'consent.marketing': 'Marketing',
+      'consent.marketingText': 'Let partners measure our advertising and show you relevant offers.',
+      'consent.save': 'Save choices',
+      'consent.lastChoice': 'Last choice: {date} (policy version {version}).',
+      'consent.noChoice': 'You have not made a choice yet; until then only necessary storage is used.',
+      'chat.label': 'Chat',
+      'menu.label': 'Menu',
+      'language.label': 'Language',
+      'currency.label': 'Currency',
+      'currency.charged': 'Charged in euros: {amount} (1 EUR = {rate} {currency}). Amounts in other currencies are approximate.',
+      'nav.home': 'Home',
+      'nav.guide': 'Guide',
+      'nav.booking': 'Bookings',
+      'nav.legal': 'Legal',
+      'nav.settings': 'Settings',
+      'nav.login': 'Log in',
+      'nav.logout': 'Log out',
+      'hero.title': 'Fast & Affordable',
+      'hero.text': 'Explore Crete with the perfect car from Mira Cars. Luxury, safety and complete freedom of choice.',
+      'hero.search': 'Search',
+      'features.fleet.title': 'A Wide Range of Vehicles',
+      'features.fleet.text': 'From economy cars to SUVs and luxury models – choose the one that suits you.',
+      'features.service.title': 'High-Quality Service',
+      'features.service.text': 'Well-maintained vehicles, prompt service and 24/7 support so you can drive with peace of mind.',
+      'features.payments.title': 'Flexible Payments',
+      'features.payments.text': 'Choose from many payment methods, including card, PayPal, bank transfer or payment on pickup.',
+      'guide.title': 'Crete Guide',
+      'guide.intro': 'Here you will find suggested 3–5 day routes, tips for getting around and the best time to visit. Plan your trip with our up-to-date advice.',
+      'guide.short.title': '3-Day Adventure',
+      'guide.long.title': '5-Day Getaway',
+      'planner.days.one': '{count} day',
+      'planner.days.other': '{count} days',
+      'planner.summary': '{days} · {distance} km · {time} driving',
+      'planner.day': 'Day {day}: {place}',
+      'planner.map': 'Map',
+      'planner.drive': 'Driving: {distance} km, {time}',
+      'planner.overnight': 'Overnight: {place}',
+      'planner.hours': '{hours} h {minutes} min',
+      'planner.minutes': '{minutes} min',
+      'planner.categoryDirt': 'We suggest {category}: the road to {place} is unpaved.',
+      'planner.categoryPaved': 'We suggest {category}: the whole route is on paved roads.',
+      'planner.extras': 'Suggested extras: {extras}.',
+      'planner.book': 'Book for this route',
+      'booking.title': 'Mira Cars Bookings',
+      'booking.intro': 'Book the car of your dreams with ease. Choose your dates, vehicle category and payment method. Your details are sent straight to our office.',
+      'booking.name': 'Full name',
+      'booking.email': 'Email',
+      'booking.phone': 'Phone',
+      'booking.pickup': 'Pickup date',
+      'booking.dropoff': 'Return date',
+      'booking.pickupTime': 'Pickup time',
+      'booking.dropoffTime': 'Return time',
+      'booking.pickupLocation': 'Pickup location',
+      'booking.dropoffLocation': 'Return location',
+      'booking.sameLocation': 'Same as pickup location',
+      'booking.returnBeforePickup': 'The return must be after the pickup.',
+      'booking.locationHours': '{location}: open {opens}–{closes}',
+      'booking.afterHoursNote': 'Pickup or return outside opening hours: +{amount} each.',
+      'booking.dob': 'Date of birth',
+      'booking.licenceIssued': 'Licence issue date',
+      'booking.licenceCountry': 'Licence issued in',
+      'booking.selectCountry': 'Select a country',
+      'booking.otherCountry': 'Other country',
+      'booking.additionalDrivers': 'Additional drivers (optional)',
+      'booking.addDriver': '+ Add a driver',
+      'booking.removeDriver': 'Remove driver',
+      'booking.driverName': 'Driver\'s full name',
+      'booking.driverAge': '{category}: drivers aged {minAge} or over.',
+      'booking.driverLicence.one': 'Driving licence held for at least {count} year.',
+      'booking.driverLicence.other': 'Driving licence held for at least {count} years.',
+      'booking.youngDriverNote': 'Drivers under {age}: +{amount} per day.',
+      'booking.seniorDriverNote': 'Drivers aged {age} or over: +{amount} per day.',
+      'driver.main': 'Main driver',
+      'driver.additional': 'Additional driver {number}',
+      'driver.incomplete': '{name}: please enter the full name, date of birth, licence country and licence issue date.',
+      'driver.invalidDates': '{name}: please check the dates of birth and licence issue (the licence must be issued by the pickup date).',
+      'driver.tooYoung': '{name}: the {category} category requires drivers aged at least {minAge} on the pickup date.',
+      'driver.licenceTooNew.one': '{name}: the {category} category requires a driving licence held for at least {count} year.',
+      'driver.licenceTooNew.other': '{name}: the {category} category requires a driving licence held for at least {count} years.',
+      'booking.category': 'Vehicle category',
+      'booking.notes': 'Notes',
+      'booking.extras': 'Extras (optional)',
+      'booking.promo': 'Promo code (optional)',
+      'booking.payment': 'Payment method',
+      'booking.submit': 'Complete Booking',
+      'booking.acceptTerms': 'I accept the rental terms (version {version})',
+      'booking.readTerms': 'read',
+      'booking.termsRequired': 'Please accept the rental terms (version {version}) to complete the booking.',
+      'booking.sending': 'Sending booking…',
+      'booking.mailOpened': 'We opened your email program. Press “Send” to complete booking {ref}.',
+      'booking.received': 'Booking {ref} has been received! We will be in touch shortly.',
+      'booking.failed': 'The booking was not sent ({reason}). Please try again or call us on {phone}.',
+      'booking.queued': 'You are offline. Booking {ref} has been saved and will be sent automatically once you are back online.',
+      'booking.unconfirmed': 'We did not get an answer in time. Booking {ref} has been kept and will be sent again automatically under the same reference, so it cannot be booked twice.',
+      'booking.sync.one': '{count} booking waiting to sync – it will be sent automatically once you are online.',
+      'booking.sync.other': '{count} bookings waiting to sync – they will be sent automatically once you are online.',
+      'booking.mailQueued': '{ref} has not been sent to our office yet. Open your email program now to send it?',
+      'voucher.title': 'Your booking has been received',
+      'voucher.intro': 'Keep this rental voucher and show it when you collect the car.',
+      'voucher.heading': 'Rental voucher',
+      'voucher.ref': 'Booking reference',
+      'voucher.extras': 'Extras',
+      'voucher.noExtras': 'None',
+      'voucher.drivers': 'Drivers',
+      'voucher.pending': 'The booking is awaiting confirmation from our office.',
+      'voucher.queued': 'The booking will be sent to our office as soon as you are back online.',
+      'voucher.contact': 'To make changes, call us on {phone}.',
+      'voucher.qrLabel': 'QR code with booking reference {ref}',
+      'voucher.print': 'Print voucher',
+      'voucher.calendar': 'Add to calendar (.ics)',
+      'voucher.newBooking': 'New booking',
+      'ics.pickup': 'Mira Cars car pickup ({category})',
+      'ics.dropoff': 'Mira Cars car return ({category})',
+      'ics.description': 'Booking {ref}. Phone: {phone}',
+      'transport.serverError': 'server error {status}',
+      'transport.timeout': 'the request timed out',
+      'transport.network': 'could not connect',
+      'transport.offline': 'offline',
+      'transport.noEndpoint': 'no booking address has been set up',
+      'transport.noWebhook': 'no webhook has been set up',
+      'transport.conflict': 'the vehicle was booked in the meantime for these dates; please choose other dates or another category',
+      'availability.noVehicles': 'There are no vehicles available in the {category} category.',
+      'availability.blockedDays': 'Unavailable days for {category}: {dates}',
+      'availability.unavailable': 'No vehicle is available for the selected dates.',
+      'availability.dayBooked': 'Every {category} vehicle is booked from {from} to {to}. Please choose another pickup date.',
+      'availability.unavailableCategory': 'No {category} vehicle is available for the selected dates.',
+      'availability.sorry': 'Sorry, no {category} vehicle is available for the selected dates. Please choose other dates or another category.',
+      'price.prompt': 'Choose your dates and vehicle category to calculate the price.',
+      'price.duration.one': 'Duration: {count} day',
+      'price.duration.other': 'Duration: {count} days',
+      'price.category': 'Category: {category}',
+      'price.baseRate': 'Standard rate',
+      'price.seasonLine': '{name}: {days} d × {rate} = {amount}',
+      'price.weekend': 'Weekend surcharge ({percent}%, {days} d): {amount}',
+      'price.durationDiscount': 'Long rental discount ({minDays}+ d, {percent}%): −{amount}',
+      'price.extras': 'Extras: {list} → {amount}',
+      'price.promo': 'Promo code {code} ({label}): −{amount}',
+      'price.pickupFee': 'Pickup – {location}: {amount}',
+      'price.dropoffFee': 'Return – {location}: {amount}',
+      'price.oneWay': 'One-way rental ({from} → {to}): {amount}',
+      'price.afterHours': 'Out of hours ({location}, {time}): {amount}',
+      'price.youngDriver': 'Young driver surcharge ({name}, aged {age}): {days} d × {rate} = {amount}',
+      'price.seniorDriver': 'Senior driver surcharge ({name}, aged {age}): {days} d × {rate} = {amount}',
+      'price.total': 'Total: {amount}',
+      'price.deposit': 'Deposit ({percent}%): {amount}',
+      'price.payment': 'Payment method: {method}',
+      'price.paymentContact': 'We will contact you with the payment details.',
+      'payment.status.unpaid': 'Payment: outstanding',
+      'payment.status.deposit': 'Payment: deposit paid',
+      'payment.status.paid': 'Payment: paid in full',
+      'payment.status.reported': 'Payment: awaiting confirmation',
+      'payment.reportedNote': 'You came back from the payment page. We will confirm the payment with the provider and let you know.',
+      'payment.onsite.next': 'You pay {amount} when you pick up the vehicle.',
+      'payment.bank.summary': 'After booking you will see our IBAN and a unique RF reference for the bank transfer.',
+      'payment.bank.next': 'Transfer {amount} to the account below, quoting the RF reference as the payment reference.',
+      'payment.beneficiary': 'Beneficiary',
+      'payment.iban': 'IBAN',
+      'payment.bic': 'BIC',
+      'payment.bank': 'Bank',
+      'payment.reference': 'Reference (RF)',
+      'payment.checkout.summary': 'After booking you will continue to the payment page.',
+      'payment.checkout.next': 'Pay {amount} now with {method} on the payment page.',
+      'payment.checkout.pay': 'Pay {amount}',
+      'payment.returned.success': 'Thank you! Your payment for booking {ref} has been noted and will be confirmed by our office.',
+      'payment.returned.cancelled': 'Payment for booking {ref} was not completed. You can try again below.',
+      'price.categoryOption': '{category} (from {price} / day)',
+      'price.extraOption': '{extra} ({price} / day)',
+      'price.locationOption': '{location} (+{price})',
+      'promo.unknown': 'This promo code does not exist.',
+      'promo.inactive': 'This promo code is not active at the moment.',
+      'promo.minDays': 'This code is valid for rentals of {days} days or more.',
+      'promo.categories': 'This code is only valid for: {categories}.',
+      'promo.exhausted': 'This promo code has been used up.',
+      'promo.vipOnly': 'This code is only valid for VIP guests.',
+      'vip.prompt': 'Enter your VIP code for access:',
+      'vip.wrongCode': 'Incorrect VIP code.',
+      'vip.inactive': 'This VIP code is not active.',
+      'vip.exhausted': 'This VIP code has reached its maximum number of uses.',
+      'vip.noAccess': 'Your VIP code does not include access to this section.',
+      'concierge.title': 'VIP Concierge',
+      'concierge.intro': 'Get access to a 24/7 service line, private transfers and personal recommendations. We are here to make every wish come true.',
+      'concierge.support.title': '24/7 Concierge',
+      'concierge.support.text': 'Reach our staff directly for anything you need, from restaurant reservations to private excursions.',
+      'concierge.transfers.title': 'Private Transfers',
+      'concierge.transfers.text': 'Limousine, helitaxi or luxury cars – travel in comfort and safety wherever you are.',
+      'concierge.form.title': 'New request',
+      'concierge.form.service': 'Service',
+      'concierge.form.party': 'People',
+      'concierge.form.date': 'Date',
+      'concierge.form.time': 'Time',
+      'concierge.form.notesHint': 'Addresses, flight, preferences…',
+      'concierge.form.submit': 'Send request',
+      'concierge.service.transfer': 'Private transfer',
+      'concierge.service.helicopter': 'Helitaxi',
+      'concierge.service.restaurant': 'Restaurant reservation',
+      'concierge.service.excursion': 'Private excursion',
+      'concierge.service.other': 'Other',
+      'concierge.requests': 'Your requests',
+      'concierge.none': 'You have not sent any requests from this device yet.',
+      'concierge.status.new': 'Received',
+      'concierge.status.accepted': 'Accepted',
+      'concierge.status.quoted': 'Quote sent',
+      'concierge.status.done': 'Completed',
+      'concierge.people.one': '{count} person',
+      'concierge.people.other': '{count} people',
+      'concierge.quote': 'Quote: {amount}',
+      'concierge.waiting': 'waiting to be sent',
+      'concierge.sending': 'Sending request…',
+      'concierge.mailOpened': 'We opened your email program. Press “Send” to send request {ref}.',
+      'concierge.received': 'Request {ref} has been received! Our concierge will be in touch shortly.',
+      'concierge.failed': 'The request was not sent ({reason}). Please try again or call us on {phone}.',
+      'concierge.queued': 'You are offline. Request {ref} has been saved and will be sent automatically once you are back online.',
+      'concierge.unconfirmed': 'We did not get an answer in time. Request {ref} has been kept and will be sent again automatically under the same reference.',
+      'concierge.pastDate': 'The date of the request cannot be in the past.',
+      'concierge.partyInvalid': 'The number of people must be between 1 and {max}.',
+      'deals.title': 'VIP Deals',
+      'deals.intro': 'Enjoy exclusive offers on spa treatments, tasting experiences, private cruises and more. Our deals are refreshed often for our most discerning guests.',
+      'deals.none': 'There are no deals for your tier right now. Please check back soon.',
+      'deals.partner': 'Partner: {partner}',
+      'deals.validTo': 'Valid until {date}',
+      'deals.claim': 'Claim deal',
+      'deals.code': 'Your code: {code}',
+      'deals.codeHint': 'Show this code to the partner to redeem the deal.',
+      'deals.claiming': 'Sending your code to our office…',
+      'deals.mailOpened': 'We opened your email program. Press “Send” so that our office can activate code {ref}.',
+      'deals.received': 'Code {ref} has been registered. Show it to the partner to redeem the deal.',
+      'deals.failed': 'The code was not registered ({reason}). Please try again or call us on {phone}.',
+      'deals.queued': 'You are offline. Code {code} will be sent to our office automatically once you are back online.',
+      'deals.unconfirmed': 'We did not get an answer in time. Code {code} has been kept and will be sent to our office again automatically.',
+      'deals.waiting': 'Waiting to be sent to our office; valid once we have received it.',
+      'footer.terms': 'Terms of Use',
+      'footer.rental': 'Rental Terms',
+      'footer.privacy': 'Privacy Policy',
+      'footer.cookies': 'Cookies',
+      'footer.consent': 'Cookie settings',
+      'footer.myData': 'My data',
+      'mydata.title': 'My data',
+      'mydata.intro': 'Mira Cars does not use accounts. Everything about you on this device is stored only in your browser and is listed below. You can download or erase it at any time.',
+      'mydata.empty': 'This browser has not stored any of your data.',
+      'mydata.key.language': 'Language you chose',
+      'mydata.key.currency': 'Currency you chose',
+      'mydata.key.consent': 'Your cookie choice',
+      'mydata.key.consentLog': 'History of your cookie choices',
+      'mydata.key.vipSession': 'VIP access',
+      'mydata.key.analyticsEvents': 'Visit statistics (no identifying details)',
+      'mydata.key.promoUsage': 'Promo codes you used',
+      'mydata.key.vipUsage': 'VIP codes you activated',
+      'mydata.booking': 'Booking {ref}: {category}, {pickup} – {dropoff}',
+      'mydata.concierge': 'Concierge request {ref}: {service}, {date}',
+      'mydata.deal': 'VIP deal {title}: code {code}',
+      'mydata.queued': '(waiting to be sent)',
+      'mydata.export': 'Download as JSON',
+      'mydata.erase': 'Erase from this browser',
+      'mydata.eraseConfirm': 'Erase all your data from this browser? Bookings that have not been sent yet will not be sent. Anything our office has already received is not affected.',
+      'mydata.erased': 'Your data has been erased from this browser.',
+      'mydata.readFailed': 'The data stored in this browser could not be read. Please try again or contact us.',
+      'mydata.eraseFailed': 'Not all of your data could be erased from this browser. Please try again or clear this site\'s data in your browser settings.',
+      'mydata.requestTitle': 'Your booking details at our office',
+      'mydata.requestIntro': 'When you book, the details are also sent to our office. To access, correct or erase them, send us a request; we will reply within one month.',
+      'mydata.requestType': 'Type of request',
+      'mydata.request.access': 'Access my data',
+      'mydata.request.rectification': 'Correct my data',
+      'mydata.request.erasure': 'Erase my data',
+      'mydata.requestSend': 'Write request email',
+      'footer.imprint': 'Imprint',
+      'legal.version': 'Version {version}',
+      'legal.versionFrom': 'Version {version} · effective from {date}',
+      'legal.earlier': 'Earlier versions:',
+      'legal.others': 'Other versions:',
+      'legal.versionLink': 'version {version}',
+      'legal.currentLink': 'version {version} (in force)',
+      'chat.whatsappMessage': 'Hello, I am interested in your services.'
+    },
+    de: {
+      'meta.title': 'Mira Cars – Mietwagen buchen',
+      'meta.description': 'Buchen Sie mit wenigen Klicks ein Auto bei Mira Cars und genießen Sie Kreta mit Komfort, Luxus und exklusiven VIP-Services.',
+      'cookie.text': 'Wir verwenden nur den Speicher, den die Website zum Funktionieren braucht. Mit Ihrer Einwilligung merken wir uns außerdem Ihre Einstellungen und messen die Besucherzahlen. Sie können Ihre Wahl jederzeit unter „Cookie-Einstellungen“ am Seitenende ändern.',
+      'cookie.acceptAll': 'Alle akzeptieren',
+      'cookie.rejectAll': 'Alle ablehnen',
+      'cookie.customise': 'Anpassen',
+      'consent.title': 'Cookie-Einstellungen',
+      'consent.intro': 'Wählen Sie, was in Ihrem Browser gespeichert werden darf. Sie können Ihre Einwilligung jederzeit widerrufen.',
+      'consent.close': 'Schließen',
+      'consent.necessary': 'Notwendig',
+      'consent.necessaryText': 'Erforderlich für Buchungen, die VIP- und Admin-Anmeldung und um sich diese Wahl zu merken. Immer aktiv.',
+      'consent.preferences': 'Präferenzen',
+      'consent.preferencesText': 'Merken sich die gewählte Sprache und Währung.',
+      'consent.analytics': 'Statistik',
+      'consent.analyticsText': 'Helfen uns zu verstehen, wie die Website genutzt wird, ohne Sie zu identifizieren.',
+      'consent.marketing': 'Marketing',
+      'consent.marketingText': 'Erlauben Partnern, unsere Werbung zu messen und Ihnen passende Angebote zu zeigen.',
+      'consent.save': 'Auswahl speichern',
+      'consent.lastChoice': 'Letzte Wahl: {date} (Richtlinienversion {version}).',
+      'consent.noChoice': 'Sie haben noch keine Wahl getroffen; bis dahin wird nur notwendiger Speicher verwendet.',
+      'chat.label': 'Chat',
+      'menu.label': 'Menü',
+      'language.label': 'Sprache',
+      'currency.label': 'Währung',
+      'currency.charged': 'Abgerechnet in Euro: {amount} (1 EUR = {rate} {currency}). Beträge in anderen Währungen sind Richtwerte.',
+      'nav.home': 'Start',
+      'nav.guide': 'Reiseführer',
+      'nav.booking': 'Buchungen',
+      'nav.legal': 'Rechtliches',
+      'nav.settings': 'Einstellungen',
+      'nav.login': 'Anmelden',
+      'nav.logout': 'Abmelden',
+      'hero.title': 'Schnell & Günstig',
+      'hero.text': 'Entdecken Sie Kreta mit dem idealen Auto von Mira Cars. Luxus, Sicherheit und volle Freiheit bei Ihrer Wahl.',
+      'hero.search': 'Suchen',
+      'features.fleet.title': 'Große Fahrzeugauswahl',
+      'features.fleet.text': 'Vom Kleinwagen über SUVs bis zu Luxusmodellen – wählen Sie das passende Fahrzeug.',
+      'features.service.title': 'Erstklassiger Service',
+      'features.service.text': 'Gepflegte Fahrzeuge, schneller Service und Support rund um die Uhr, damit Sie entspannt unterwegs sind.',
+      'features.payments.title': 'Flexible Zahlung',
+      'features.payments.text': 'Wählen Sie aus vielen Zahlungsarten, z. B. Karte, PayPal, Banküberweisung oder Zahlung bei Abholung.',
+      'guide.title': 'Kreta-Reiseführer',
+      'guide.intro': 'Hier finden Sie Routenvorschläge für 3–5 Tage, Tipps zur Fortbewegung und die beste Reisezeit. Planen Sie Ihre Reise mit unseren aktuellen Empfehlungen.',
+      'guide.short.title': '3-tägiges Abenteuer',
+      'guide.long.title': '5-tägige Auszeit',
+      'planner.days.one': '{count} Tag',
+      'planner.days.other': '{count} Tage',
+      'planner.summary': '{days} · {distance} km · {time} Fahrzeit',
+      'planner.day': 'Tag {day}: {place}',
+      'planner.map': 'Karte',
+      'planner.drive': 'Fahrt: {distance} km, {time}',
+      'planner.overnight': 'Übernachtung: {place}',
+      'planner.hours': '{hours} Std. {minutes} Min.',
+      'planner.minutes': '{minutes} Min.',
+      'planner.categoryDirt': 'Wir empfehlen {category}: Die Straße nach {place} ist nicht asphaltiert.',
+      'planner.categoryPaved': 'Wir empfehlen {category}: Die ganze Route ist asphaltiert.',
+      'planner.extras': 'Empfohlene Extras: {extras}.',
+      'planner.book': 'Für diese Route buchen',
+      'booking.title': 'Buchungen bei Mira Cars',
+      'booking.intro': 'Buchen Sie ganz einfach Ihr Traumauto. Wählen Sie Reisedaten, Fahrzeugkategorie und Zahlungsart. Ihre Angaben gehen direkt an unser Büro.',
+      'booking.name': 'Vor- und Nachname',
+      'booking.email': 'E-Mail',
+      'booking.phone': 'Telefon',
+      'booking.pickup': 'Abholdatum',
+      'booking.dropoff': 'Rückgabedatum',
+      'booking.pickupTime': 'Abholzeit',
+      'booking.dropoffTime': 'Rückgabezeit',
+      'booking.pickupLocation': 'Abholort',
+      'booking.dropoffLocation': 'Rückgabeort',
+      'booking.sameLocation': 'Wie Abholort',
+      'booking.returnBeforePickup': 'Die Rückgabe muss nach der Abholung liegen.',
+      'booking.locationHours': '{location}: geöffnet {opens}–{closes}',
+      'booking.afterHoursNote': 'Abholung oder Rückgabe außerhalb der Öffnungszeiten: je +{amount}.',
+      'booking.dob': 'Geburtsdatum',
+      'booking.licenceIssued': 'Ausstellungsdatum des Führerscheins',
+      'booking.licenceCountry': 'Führerschein ausgestellt in',
+      'booking.selectCountry': 'Land auswählen',
+      'booking.otherCountry': 'Anderes Land',
+      'booking.additionalDrivers': 'Zusätzliche Fahrer (optional)',
+      'booking.addDriver': '+ Fahrer hinzufügen',
+      'booking.removeDriver': 'Fahrer entfernen',
+      'booking.driverName': 'Vor- und Nachname des Fahrers',
+      'booking.driverAge': '{category}: Fahrer ab {minAge} Jahren.',
+      'booking.driverLicence.one': 'Führerschein seit mindestens {count} Jahr.',
+      'booking.driverLicence.other': 'Führerschein seit mindestens {count} Jahren.',
+      'booking.youngDriverNote': 'Fahrer unter {age} Jahren: +{amount} pro Tag.',
+      'booking.seniorDriverNote': 'Fahrer ab {age} Jahren: +{amount} pro Tag.',
+      'driver.main': 'Hauptfahrer',
+      'driver.additional': 'Zusätzlicher Fahrer {number}',
+      'driver.incomplete': '{name}: Bitte geben Sie Namen, Geburtsdatum, Ausstellungsland und Ausstellungsdatum des Führerscheins an.',
+      'driver.invalidDates': '{name}: Bitte prüfen Sie Geburts- und Ausstellungsdatum (der Führerschein muss bis zur Abholung ausgestellt sein).',
+      'driver.tooYoung': '{name}: Für die Kategorie {category} müssen Fahrer am Abholtag mindestens {minAge} Jahre alt sein.',
+      'driver.licenceTooNew.one': '{name}: Für die Kategorie {category} ist ein Führerschein seit mindestens {count} Jahr erforderlich.',
+      'driver.licenceTooNew.other': '{name}: Für die Kategorie {category} ist ein Führerschein seit mindestens {count} Jahren erforderlich.',
+      'booking.category': 'Fahrzeugkategorie',
+      'booking.notes': 'Anmerkungen',
+      'booking.extras': 'Extras (optional)',
+      'booking.promo': 'Aktionscode (optional)',
+      'booking.payment': 'Zahlungsart',
+      'booking.submit': 'Buchung abschließen',
+      'booking.acceptTerms': 'Ich akzeptiere die Mietbedingungen (Version {version})',
+      'booking.readTerms': 'lesen',
+      'booking.termsRequired': 'Bitte akzeptieren Sie die Mietbedingungen (Version {version}), um die Buchung abzuschließen.',
+      'booking.sending': 'Buchung wird gesendet…',
+      'booking.mailOpened': 'Wir haben Ihr E-Mail-Programm geöffnet. Klicken Sie auf „Senden“, um die Buchung {ref} abzuschließen.',
+      'booking.received': 'Die Buchung {ref} ist eingegangen! Wir melden uns in Kürze.',
+      'booking.failed': 'Die Buchung wurde nicht gesendet ({reason}). Bitte versuchen Sie es erneut oder rufen Sie uns an unter {phone}.',
+      'booking.queued': 'Sie sind offline. Die Buchung {ref} wurde gespeichert und wird automatisch gesendet, sobald die Verbindung wieder besteht.',
+      'booking.unconfirmed': 'Wir haben nicht rechtzeitig eine Antwort erhalten. Die Buchung {ref} wurde gespeichert und wird automatisch unter derselben Nummer erneut gesendet, damit sie nicht doppelt gebucht wird.',
+      'booking.sync.one': '{count} Buchung wartet auf Synchronisierung – sie wird automatisch gesendet, sobald eine Verbindung besteht.',
+      'booking.sync.other': '{count} Buchungen warten auf Synchronisierung – sie werden automatisch gesendet, sobald eine Verbindung besteht.',
+      'booking.mailQueued': '{ref} wurde noch nicht an unser Büro gesendet. Jetzt Ihr E-Mail-Programm öffnen, um es zu senden?',
+      'voucher.title': 'Ihre Buchung ist eingegangen',
+      'voucher.intro': 'Bewahren Sie diesen Mietgutschein auf und zeigen Sie ihn bei der Fahrzeugübernahme vor.',
+      'voucher.heading': 'Mietgutschein',
+      'voucher.ref': 'Buchungsnummer',
+      'voucher.extras': 'Extras',
+      'voucher.noExtras': 'Keine',
+      'voucher.drivers': 'Fahrer',
+      'voucher.pending': 'Die Buchung wartet auf die Bestätigung durch unser Büro.',
+      'voucher.queued': 'Die Buchung wird an unser Büro gesendet, sobald wieder eine Verbindung besteht.',
+      'voucher.contact': 'Für Änderungen rufen Sie uns unter {phone} an.',
+      'voucher.qrLabel': 'QR-Code mit der Buchungsnummer {ref}',
+      'voucher.print': 'Gutschein drucken',
+      'voucher.calendar': 'Zum Kalender hinzufügen (.ics)',
+      'voucher.newBooking': 'Neue Buchung',
+      'ics.pickup': 'Mira Cars Fahrzeugübernahme ({category})',
+      'ics.dropoff': 'Mira Cars Fahrzeugrückgabe ({category})',
+      'ics.description': 'Buchung {ref}. Telefon: {phone}',
+      'transport.serverError': 'Serverfehler {status}',
+      'transport.timeout': 'Zeitüberschreitung',
+      'transport.network': 'keine Verbindung möglich',
+      'transport.offline': 'offline',
+      'transport.noEndpoint': 'keine Buchungsadresse eingerichtet',
+      'transport.noWebhook': 'kein Webhook eingerichtet',
+      'transport.conflict': 'das Fahrzeug wurde inzwischen für diese Tage gebucht; bitte wählen Sie andere Daten oder eine andere Kategorie',
+      'availability.noVehicles': 'In der Kategorie {category} sind keine Fahrzeuge verfügbar.',
+      'availability.blockedDays': 'Nicht verfügbare Tage für {category}: {dates}',
+      'availability.unavailable': 'Für die gewählten Daten ist kein Fahrzeug verfügbar.',
+      'availability.dayBooked': 'Alle Fahrzeuge der Kategorie {category} sind vom {from} bis {to} gebucht. Bitte wählen Sie ein anderes Abholdatum.',
+      'availability.unavailableCategory': 'Für die gewählten Daten ist kein Fahrzeug der Kategorie {category} verfügbar.',
+      'availability.sorry': 'Leider ist für die gewählten Daten kein Fahrzeug der Kategorie {category} verfügbar. Bitte wählen Sie andere Daten oder eine andere Kategorie.',
+      'price.prompt': 'Wählen Sie Reisedaten und Fahrzeugkategorie, um den Preis zu berechnen.',
+      'price.duration.one': 'Dauer: {count} Tag',
+      'price.duration.other': 'Dauer: {count} Tage',
+      'price.category': 'Kategorie: {category}',
+      'price.baseRate': 'Grundpreis',
+      'price.seasonLine': '{name}: {days} T. × {rate} = {amount}',
+      'price.weekend': 'Wochenendzuschlag ({percent} %, {days} T.): {amount}',
+      'price.durationDiscount': 'Langzeitrabatt (ab {minDays} T., {percent} %): −{amount}',
+      'price.extras': 'Extras: {list} → {amount}',
+      'price.promo': 'Aktionscode {code} ({label}): −{amount}',
+      'price.pickupFee': 'Abholung – {location}: {amount}',
+      'price.dropoffFee': 'Rückgabe – {location}: {amount}',
+      'price.oneWay': 'Einwegmiete ({from} → {to}): {amount}',
+      'price.afterHours': 'Außerhalb der Öffnungszeiten ({location}, {time}): {amount}',
+      'price.youngDriver': 'Zuschlag junger Fahrer ({name}, {age} Jahre): {days} T. × {rate} = {amount}',
+      'price.seniorDriver': 'Zuschlag Seniorfahrer ({name}, {age} Jahre): {days} T. × {rate} = {amount}',
+      'price.total': 'Gesamt: {amount}',
+      'price.deposit': 'Anzahlung ({percent} %): {amount}',
+      'price.payment': 'Zahlungsart: {method}',
+      'price.paymentContact': 'Wir kontaktieren Sie mit den Zahlungsdetails.',
+      'payment.status.unpaid': 'Zahlung: offen',
+      'payment.status.deposit': 'Zahlung: Anzahlung bezahlt',
+      'payment.status.paid': 'Zahlung: vollständig bezahlt',
+      'payment.status.reported': 'Zahlung: wird bestätigt',
+      'payment.reportedNote': 'Sie sind von der Zahlungsseite zurückgekehrt. Wir bestätigen die Zahlung beim Anbieter und informieren Sie.',
+      'payment.onsite.next': 'Sie zahlen {amount} bei Abholung des Fahrzeugs.',
+      'payment.bank.summary': 'Nach der Buchung sehen Sie unsere IBAN und eine eindeutige RF-Referenz für die Überweisung.',
+      'payment.bank.next': 'Überweisen Sie {amount} auf das folgende Konto und geben Sie die RF-Referenz als Verwendungszweck an.',
+      'payment.beneficiary': 'Empfänger',
+      'payment.iban': 'IBAN',
+      'payment.bic': 'BIC',
+      'payment.bank': 'Bank',
+      'payment.reference': 'Referenz (RF)',
+      'payment.checkout.summary': 'Nach der Buchung geht es weiter zur Zahlungsseite.',
+      'payment.checkout.next': 'Zahlen Sie jetzt {amount} mit {method} auf der Zahlungsseite.',
+      'payment.checkout.pay': '{amount} bezahlen',
+      'payment.returned.success': 'Vielen Dank! Ihre Zahlung für die Buchung {ref} wurde vermerkt und wird von unserem Büro bestätigt.',
+      'payment.returned.cancelled': 'Die Zahlung für die Buchung {ref} wurde nicht abgeschlossen. Sie können es unten erneut versuchen.',
+      'price.categoryOption': '{category} (ab {price} / Tag)',
+      'price.extraOption': '{extra} ({price} / Tag)',
+      'price.locationOption': '{location} (+{price})',
+      'promo.unknown': 'Dieser Aktionscode existiert nicht.',
+      'promo.inactive': 'Dieser Aktionscode ist derzeit nicht gültig.',
+      'promo.minDays': 'Dieser Code gilt für Mieten ab {days} Tagen.',
+      'promo.categories': 'Dieser Code gilt nur für: {categories}.',
+      'promo.exhausted': 'Dieser Aktionscode ist bereits aufgebraucht.',
+      'promo.vipOnly': 'Dieser Code gilt nur für VIP-Gäste.',
+      'vip.prompt': 'Geben Sie Ihren VIP-Code ein:',
+      'vip.wrongCode': 'Falscher VIP-Code.',
+      'vip.inactive': 'Dieser VIP-Code ist nicht aktiv.',
+      'vip.exhausted': 'Dieser VIP-Code wurde bereits so oft wie erlaubt verwendet.',
+      'vip.noAccess': 'Ihr VIP-Code beinhaltet keinen Zugang zu diesem Bereich.',
+      'concierge.title': 'VIP-Concierge',
+      'concierge.intro': 'Erhalten Sie Zugang zu einer 24/7-Servicehotline, privaten Transfers und persönlichen Empfehlungen. Wir erfüllen Ihnen jeden Wunsch.',
+      'concierge.support.title': '24/7 Concierge',
+      'concierge.support.text': 'Direkter Kontakt zu unserem Team für jedes Anliegen, von Restaurantreservierungen bis zu privaten Ausflügen.',
+      'concierge.transfers.title': 'Private Transfers',
+      'concierge.transfers.text': 'Limousine, Helitaxi oder Luxusfahrzeug – reisen Sie bequem und sicher, wo immer Sie sind.',
+      'concierge.form.title': 'Neue Anfrage',
+      'concierge.form.service': 'Leistung',
+      'concierge.form.party': 'Personen',
+      'concierge.form.date': 'Datum',
+      'concierge.form.time': 'Uhrzeit',
+      'concierge.form.notesHint': 'Adressen, Flug, Wünsche…',
+      'concierge.form.submit': 'Anfrage senden',
+      'concierge.service.transfer': 'Privattransfer',
+      'concierge.service.helicopter': 'Helitaxi',
+      'concierge.service.restaurant': 'Restaurantreservierung',
+      'concierge.service.excursion': 'Privatausflug',
+      'concierge.service.other': 'Sonstiges',
+      'concierge.requests': 'Ihre Anfragen',
+      'concierge.none': 'Sie haben von diesem Gerät noch keine Anfragen gesendet.',
+      'concierge.status.new': 'Eingegangen',
+      'concierge.status.accepted': 'Angenommen',
+      'concierge.status.quoted': 'Angebot gesendet',
+      'concierge.status.done': 'Erledigt',
+      'concierge.people.one': '{count} Person',
+      'concierge.people.other': '{count} Personen',
+      'concierge.quote': 'Angebot: {amount}',
+      'concierge.waiting': 'wartet auf Versand',
+      'concierge.sending': 'Anfrage wird gesendet…',
+      'concierge.mailOpened': 'Wir haben Ihr E-Mail-Programm geöffnet. Klicken Sie auf „Senden“, um die Anfrage {ref} zu senden.',
+      'concierge.received': 'Die Anfrage {ref} ist eingegangen! Unser Concierge meldet sich in Kürze.',
+      'concierge.failed': 'Die Anfrage wurde nicht gesendet ({reason}). Bitte versuchen Sie es erneut oder rufen Sie uns unter {phone} an.',
+      'concierge.queued': 'Sie sind offline. Die Anfrage {ref} wurde gespeichert und wird automatisch gesendet, sobald die Verbindung wieder besteht.',
+      'concierge.unconfirmed': 'Wir haben nicht rechtzeitig eine Antwort erhalten. Die Anfrage {ref} wurde gespeichert und wird automatisch unter derselben Nummer erneut gesendet.',
+      'concierge.pastDate': 'Das Datum der Anfrage darf nicht in der Vergangenheit liegen.',
+      'concierge.partyInvalid': 'Die Personenzahl muss zwischen 1 und {max} liegen.',
+      'deals.title': 'VIP-Angebote',
+      'deals.intro': 'Genießen Sie exklusive Angebote für Spa-Behandlungen, Verkostungen, private Bootstouren und mehr. Unsere Angebote werden regelmäßig für anspruchsvolle Gäste erneuert.',
+      'deals.none': 'Für Ihre Stufe gibt es derzeit keine Angebote. Schauen Sie bald wieder vorbei.',
+      'deals.partner': 'Partner: {partner}',
+      'deals.validTo': 'Gültig bis {date}',
+      'deals.claim': 'Angebot sichern',
+      'deals.code': 'Ihr Code: {code}',
+      'deals.codeHint': 'Zeigen Sie diesen Code beim Partner vor, um das Angebot einzulösen.',
+      'deals.claiming': 'Ihr Code wird an unser Büro gesendet…',
+      'deals.mailOpened': 'Wir haben Ihr E-Mail-Programm geöffnet. Klicken Sie auf „Senden“, damit unser Büro den Code {ref} freischalten kann.',
+      'deals.received': 'Der Code {ref} wurde registriert. Zeigen Sie ihn beim Partner vor, um das Angebot einzulösen.',
+      'deals.failed': 'Der Code wurde nicht registriert ({reason}). Bitte versuchen Sie es erneut oder rufen Sie uns unter {phone} an.',
+      'deals.queued': 'Sie sind offline. Der Code {code} wird automatisch an unser Büro gesendet, sobald die Verbindung wieder besteht.',
+      'deals.unconfirmed': 'Wir haben nicht rechtzeitig eine Antwort erhalten. Der Code {code} wurde gespeichert und wird automatisch erneut an unser Büro gesendet.',
+      'deals.waiting': 'Wartet auf Versand an unser Büro; gültig, sobald wir ihn erhalten haben.',
+      'footer.terms': 'Nutzungsbedingungen',
+      'footer.rental': 'Mietbedingungen',
+      'footer.privacy': 'Datenschutz',
+      'footer.cookies': 'Cookies',
+      'footer.consent': 'Cookie-Einstellungen',
+      'footer.myData': 'Meine Daten',
+      'mydata.title': 'Meine Daten',
+      'mydata.intro': 'Mira Cars verwendet keine Benutzerkonten. Alles, was Sie auf diesem Gerät betrifft, wird nur in Ihrem Browser gespeichert und ist unten aufgeführt. Sie können es jederzeit herunterladen oder löschen.',
+      'mydata.empty': 'Dieser Browser hat keine Daten von Ihnen gespeichert.',
+      'mydata.key.language': 'Gewählte Sprache',
+      'mydata.key.currency': 'Gewählte Währung',
+      'mydata.key.consent': 'Ihre Cookie-Wahl',
+      'mydata.key.consentLog': 'Verlauf Ihrer Cookie-Wahl',
+      'mydata.key.vipSession': 'VIP-Zugang',
+      'mydata.key.analyticsEvents': 'Besuchsstatistik (ohne persönliche Angaben)',
+      'mydata.key.promoUsage': 'Von Ihnen genutzte Rabattcodes',
+      'mydata.key.vipUsage': 'Von Ihnen aktivierte VIP-Codes',
+      'mydata.booking': 'Buchung {ref}: {category}, {pickup} – {dropoff}',
+      'mydata.concierge': 'Concierge-Anfrage {ref}: {service}, {date}',
+      'mydata.deal': 'VIP-Angebot {title}: Code {code}',
+      'mydata.queued': '(wartet auf Versand)',
+      'mydata.export': 'Als JSON herunterladen',
+      'mydata.erase': 'Aus diesem Browser löschen',
+      'mydata.eraseConfirm': 'Alle Ihre Daten aus diesem Browser löschen? Noch nicht gesendete Buchungen werden nicht gesendet. Was unser Büro bereits erhalten hat, bleibt davon unberührt.',
+      'mydata.erased': 'Ihre Daten wurden aus diesem Browser gelöscht.',
+      'mydata.readFailed': 'Die in diesem Browser gespeicherten Daten konnten nicht gelesen werden. Bitte versuchen Sie es erneut oder kontaktieren Sie uns.',
+      'mydata.eraseFailed': 'Nicht alle Ihre Daten konnten aus diesem Browser gelöscht werden. Bitte versuchen Sie es erneut oder löschen Sie die Websitedaten in den Browsereinstellungen.',
+      'mydata.requestTitle': 'Ihre Buchungsdaten in unserem Büro',
+      'mydata.requestIntro': 'Bei einer Buchung werden die Daten auch an unser Büro gesendet. Für Auskunft, Berichtigung oder Löschung senden Sie uns eine Anfrage; wir antworten innerhalb eines Monats.',
+      'mydata.requestType': 'Art der Anfrage',
+      'mydata.request.access': 'Auskunft über meine Daten',
+      'mydata.request.rectification': 'Berichtigung meiner Daten',
+      'mydata.request.erasure': 'Löschung meiner Daten',
+      'mydata.requestSend': 'Anfrage-E-Mail verfassen',
+      'footer.imprint': 'Impressum',
+      'legal.version': 'Version {version}',
+      'legal.versionFrom': 'Version {version} · gültig ab {date}',
+      'legal.earlier': 'Frühere Versionen:',
+      'legal.others': 'Andere Versionen:',
+      'legal.versionLink': 'Version {version}',
+      'legal.currentLink': 'Version {version} (gültig)',
+      'chat.whatsappMessage': 'Hallo, ich interessiere mich für Ihre Angebote.'
+    },
+    fr: {
+      'meta.title': 'Mira Cars – Réservation de voitures',
+      'meta.description': 'Réservez une voiture chez Mira Cars en quelques clics et profitez de la Crète en tout confort, avec des véhicules de luxe et des services VIP exclusifs.',
+      'cookie.text': 'Nous n’utilisons que le stockage nécessaire au fonctionnement du site. Avec votre consentement, nous mémoriserons aussi vos préférences et mesurerons la fréquentation. Vous pouvez modifier votre choix à tout moment via « Paramètres des cookies » en bas de page.',
+      'cookie.acceptAll': 'Tout accepter',
+      'cookie.rejectAll': 'Tout refuser',
+      'cookie.customise': 'Personnaliser',
+      'consent.title': 'Paramètres des cookies',
+      'consent.intro': 'Choisissez ce qui peut être enregistré dans votre navigateur. Vous pouvez retirer votre consentement à tout moment.',
+      'consent.close': 'Fermer',
+      'consent.necessary': 'Nécessaires',
+      'consent.necessaryText': 'Indispensables pour les réservations, la connexion VIP et administrateur et pour mémoriser ce choix. Toujours actifs.',
+      'consent.preferences': 'Préférences',
+      'consent.preferencesText': 'Mémorisent la langue et la devise choisies.',
+      'consent.analytics': 'Statistiques',
+      'consent.analyticsText': 'Nous aident à comprendre l’utilisation du site, sans vous identifier.',
+      'consent.marketing': 'Marketing',
+      'consent.marketingText': 'Permettent à nos partenaires de mesurer nos publicités et de vous montrer des offres pertinentes.',
+      'consent.save': 'Enregistrer mes choix',
+      'consent.lastChoice': 'Dernier choix : {date} (version de la politique {version}).',
+      'consent.noChoice': 'Vous n’avez pas encore fait de choix ; d’ici là, seul le stockage nécessaire est utilisé.',
+      'chat.label': 'Discuter',
+      'menu.label': 'Menu',
+      'language.label': 'Langue',
+      'currency.label': 'Devise',
+      'currency.charged': 'Facturé en euros : {amount} (1 EUR = {rate} {currency}). Les montants dans d’autres devises sont indicatifs.',
+      'nav.home': 'Accueil',
+      'nav.guide': 'Guide',
+      'nav.booking': 'Réservations',
+      'nav.legal': 'Mentions légales',
+      'nav.settings': 'Paramètres',
+      'nav.login': 'Connexion',
+      'nav.logout': 'Déconnexion',
+      'hero.title': 'Rapide & Abordable',
+      'hero.text': 'Explorez la Crète avec la voiture idéale de Mira Cars. Luxe, sécurité et liberté totale dans vos choix.',
+      'hero.search': 'Rechercher',
+      'features.fleet.title': 'Un large choix de véhicules',
+      'features.fleet.text': 'Des citadines aux SUV et modèles de luxe – choisissez celui qui vous convient.',
+      'features.service.title': 'Un service de qualité',
+      'features.service.text': 'Des véhicules bien entretenus, un service rapide et une assistance 24h/24 pour rouler l’esprit tranquille.',
+      'features.payments.title': 'Paiements flexibles',
+      'features.payments.text': 'Choisissez parmi de nombreux moyens de paiement : carte, PayPal, virement bancaire ou paiement à la prise en charge.',
+      'guide.title': 'Guide de la Crète',
+      'guide.intro': 'Retrouvez ici des itinéraires de 3 à 5 jours, des conseils pour vous déplacer et la meilleure période pour venir. Préparez votre voyage avec nos conseils à jour.',
+      'guide.short.title': 'Aventure de 3 jours',
+      'guide.long.title': 'Escapade de 5 jours',
+      'planner.days.one': '{count} jour',
+      'planner.days.other': '{count} jours',
+      'planner.summary': '{days} · {distance} km · {time} de route',
+      'planner.day': 'Jour {day} : {place}',
+      'planner.map': 'Carte',
+      'planner.drive': 'Route : {distance} km, {time}',
+      'planner.overnight': 'Nuit : {place}',
+      'planner.hours': '{hours} h {minutes} min',
+      'planner.minutes': '{minutes} min',
+      'planner.categoryDirt': 'Nous conseillons {category} : la route vers {place} n’est pas goudronnée.',
+      'planner.categoryPaved': 'Nous conseillons {category} : tout l’itinéraire est goudronné.',
+      'planner.extras': 'Options conseillées : {extras}.',
+      'planner.book': 'Réserver pour cet itinéraire',
+      'booking.title': 'Réservations Mira Cars',
+      'booking.intro': 'Réservez facilement la voiture de vos rêves. Choisissez vos dates, la catégorie du véhicule et le moyen de paiement. Vos informations sont transmises directement à notre agence.',
+      'booking.name': 'Nom complet',
+      'booking.email': 'E-mail',
+      'booking.phone': 'Téléphone',
+      'booking.pickup': 'Date de prise en charge',
+      'booking.dropoff': 'Date de retour',
+      'booking.pickupTime': 'Heure de prise en charge',
+      'booking.dropoffTime': 'Heure de retour',
+      'booking.pickupLocation': 'Lieu de prise en charge',
+      'booking.dropoffLocation': 'Lieu de retour',
+      'booking.sameLocation': 'Identique au lieu de prise en charge',
+      'booking.returnBeforePickup': 'Le retour doit avoir lieu après la prise en charge.',
+      'booking.locationHours': '{location} : ouvert de {opens} à {closes}',
+      'booking.afterHoursNote': 'Prise en charge ou retour hors horaires : +{amount} chacun.',
+      'booking.dob': 'Date de naissance',
+      'booking.licenceIssued': 'Date de délivrance du permis',
+      'booking.licenceCountry': 'Pays de délivrance du permis',
+      'booking.selectCountry': 'Choisissez un pays',
+      'booking.otherCountry': 'Autre pays',
+      'booking.additionalDrivers': 'Conducteurs supplémentaires (facultatif)',
+      'booking.addDriver': '+ Ajouter un conducteur',
+      'booking.removeDriver': 'Retirer le conducteur',
+      'booking.driverName': 'Nom complet du conducteur',
+      'booking.driverAge': '{category} : conducteurs de {minAge} ans et plus.',
+      'booking.driverLicence.one': 'Permis de conduire depuis au moins {count} an.',
+      'booking.driverLicence.other': 'Permis de conduire depuis au moins {count} ans.',
+      'booking.youngDriverNote': 'Conducteurs de moins de {age} ans : +{amount} par jour.',
+      'booking.seniorDriverNote': 'Conducteurs de {age} ans et plus : +{amount} par jour.',
+      'driver.main': 'Conducteur principal',
+      'driver.additional': 'Conducteur supplémentaire {number}',
+      'driver.incomplete': '{name} : veuillez indiquer le nom complet, la date de naissance, le pays et la date de délivrance du permis.',
+      'driver.invalidDates': '{name} : veuillez vérifier les dates de naissance et de délivrance du permis (le permis doit être délivré avant la prise en charge).',
+      'driver.tooYoung': '{name} : la catégorie {category} exige un âge minimum de {minAge} ans le jour de la prise en charge.',
+      'driver.licenceTooNew.one': '{name} : la catégorie {category} exige un permis de conduire obtenu depuis au moins {count} an.',
+      'driver.licenceTooNew.other': '{name} : la catégorie {category} exige un permis de conduire obtenu depuis au moins {count} ans.',
+      'booking.category': 'Catégorie de véhicule',
+      'booking.notes': 'Remarques',
+      'booking.extras': 'Options (facultatif)',
+      'booking.promo': 'Code promo (facultatif)',
+      'booking.payment': 'Moyen de paiement',
+      'booking.submit': 'Finaliser la réservation',
+      'booking.acceptTerms': 'J’accepte les conditions de location (version {version})',
+      'booking.readTerms': 'lire',
+      'booking.termsRequired': 'Veuillez accepter les conditions de location (version {version}) pour finaliser la réservation.',
+      'booking.sending': 'Envoi de la réservation…',
+      'booking.mailOpened': 'Nous avons ouvert votre messagerie. Cliquez sur « Envoyer » pour finaliser la réservation {ref}.',
+      'booking.received': 'La réservation {ref} a bien été reçue ! Nous vous contacterons rapidement.',
+      'booking.failed': 'La réservation n’a pas été envoyée ({reason}). Veuillez réessayer ou nous appeler au {phone}.',
+      'booking.queued': 'Vous êtes hors ligne. La réservation {ref} a été enregistrée et sera envoyée automatiquement dès le retour de la connexion.',
+      'booking.unconfirmed': 'Nous n’avons pas reçu de réponse à temps. La réservation {ref} a été conservée et sera renvoyée automatiquement sous la même référence, sans risque de doublon.',
+      'booking.sync.one': '{count} réservation en attente de synchronisation – elle sera envoyée automatiquement dès que la connexion sera rétablie.',
+      'booking.sync.other': '{count} réservations en attente de synchronisation – elles seront envoyées automatiquement dès que la connexion sera rétablie.',
+      'booking.mailQueued': '{ref} n’a pas encore été envoyé à notre agence. Ouvrir votre messagerie maintenant pour l’envoyer ?',
+      'voucher.title': 'Votre réservation a bien été reçue',
+      'voucher.intro': 'Conservez ce bon de location et présentez-le lors de la prise en charge du véhicule.',
+      'voucher.heading': 'Bon de location',
+      'voucher.ref': 'Référence de réservation',
+      'voucher.extras': 'Options',
+      'voucher.noExtras': 'Aucune',
+      'voucher.drivers': 'Conducteurs',
+      'voucher.pending': 'La réservation est en attente de confirmation par notre agence.',
+      'voucher.queued': 'La réservation sera envoyée à notre agence dès le retour de la connexion.',
+      'voucher.contact': 'Pour toute modification, appelez-nous au {phone}.',
+      'voucher.qrLabel': 'QR code contenant la référence {ref}',
+      'voucher.print': 'Imprimer le bon',
+      'voucher.calendar': 'Ajouter au calendrier (.ics)',
+      'voucher.newBooking': 'Nouvelle réservation',
+      'ics.pickup': 'Prise en charge du véhicule Mira Cars ({category})',
+      'ics.dropoff': 'Restitution du véhicule Mira Cars ({category})',
+      'ics.description': 'Réservation {ref}. Téléphone : {phone}',
+      'transport.serverError': 'erreur du serveur {status}',
+      'transport.timeout': 'délai d’attente dépassé',
+      'transport.network': 'connexion impossible',
+      'transport.offline': 'hors ligne',
+      'transport.noEndpoint': 'aucune adresse de réservation n’est configurée',
+      'transport.noWebhook': 'aucun webhook n’est configuré',
+      'transport.conflict': 'le véhicule a été réservé entre-temps pour ces dates ; veuillez choisir d’autres dates ou une autre catégorie',
+      'availability.noVehicles': 'Aucun véhicule n’est disponible dans la catégorie {category}.',
+      'availability.blockedDays': 'Jours indisponibles pour {category} : {dates}',
+      'availability.unavailable': 'Aucun véhicule n’est disponible pour les dates choisies.',
+      'availability.dayBooked': 'Tous les véhicules {category} sont réservés du {from} au {to}. Veuillez choisir une autre date de prise en charge.',
+      'availability.unavailableCategory': 'Aucun véhicule {category} n’est disponible pour les dates choisies.',
+      'availability.sorry': 'Désolés, aucun véhicule {category} n’est disponible pour les dates choisies. Veuillez choisir d’autres dates ou une autre catégorie.',
+      'price.prompt': 'Choisissez vos dates et la catégorie du véhicule pour calculer le prix.',
+      'price.duration.one': 'Durée : {count} jour',
+      'price.duration.other': 'Durée : {count} jours',
+      'price.category': 'Catégorie : {category}',
+      'price.baseRate': 'Tarif de base',
+      'price.seasonLine': '{name} : {days} j × {rate} = {amount}',
+      'price.weekend': 'Supplément week-end ({percent} %, {days} j) : {amount}',
+      'price.durationDiscount': 'Remise longue durée ({minDays} j et plus, {percent} %) : −{amount}',
+      'price.extras': 'Options : {list} → {amount}',
+      'price.promo': 'Code promo {code} ({label}) : −{amount}',
+      'price.pickupFee': 'Prise en charge – {location} : {amount}',
+      'price.dropoffFee': 'Retour – {location} : {amount}',
+      'price.oneWay': 'Location aller simple ({from} → {to}) : {amount}',
+      'price.afterHours': 'Hors horaires ({location}, {time}) : {amount}',
+      'price.youngDriver': 'Supplément jeune conducteur ({name}, {age} ans) : {days} j × {rate} = {amount}',
+      'price.seniorDriver': 'Supplément conducteur senior ({name}, {age} ans) : {days} j × {rate} = {amount}',
+      'price.total': 'Total : {amount}',
+      'price.deposit': 'Acompte ({percent} %) : {amount}',
+      'price.payment': 'Moyen de paiement : {method}',
+      'price.paymentContact': 'Nous vous contacterons pour les détails du paiement.',
+      'payment.status.unpaid': 'Paiement : en attente',
+      'payment.status.deposit': 'Paiement : acompte réglé',
+      'payment.status.paid': 'Paiement : réglé intégralement',
+      'payment.status.reported': 'Paiement : en attente de confirmation',
+      'payment.reportedNote': 'Vous êtes revenu de la page de paiement. Nous confirmerons le paiement auprès du prestataire et vous tiendrons informé.',
+      'payment.onsite.next': 'Vous réglez {amount} à la prise en charge du véhicule.',
+      'payment.bank.summary': 'Après la réservation, vous verrez notre IBAN et une référence RF unique pour le virement.',
+      'payment.bank.next': 'Virez {amount} sur le compte ci-dessous en indiquant la référence RF comme motif du paiement.',
+      'payment.beneficiary': 'Bénéficiaire',
+      'payment.iban': 'IBAN',
+      'payment.bic': 'BIC',
+      'payment.bank': 'Banque',
+      'payment.reference': 'Référence (RF)',
+      'payment.checkout.summary': 'Après la réservation, vous continuerez vers la page de paiement.',
+      'payment.checkout.next': 'Payez maintenant {amount} par {method} sur la page de paiement.',
+      'payment.checkout.pay': 'Payer {amount}',
+      'payment.returned.success': 'Merci ! Votre paiement pour la réservation {ref} a été noté et sera confirmé par notre agence.',
+      'payment.returned.cancelled': 'Le paiement de la réservation {ref} n’a pas abouti. Vous pouvez réessayer ci-dessous.',
+      'price.categoryOption': '{category} (à partir de {price} / jour)',
+      'price.extraOption': '{extra} ({price} / jour)',
+      'price.locationOption': '{location} (+{price})',
+      'promo.unknown': 'Ce code promo n’existe pas.',
+      'promo.inactive': 'Ce code promo n’est pas valable en ce moment.',
+      'promo.minDays': 'Ce code est valable pour les locations de {days} jours ou plus.',
+      'promo.categories': 'Ce code est valable uniquement pour : {categories}.',
+      'promo.exhausted': 'Ce code promo est épuisé.',
+      'promo.vipOnly': 'Ce code est réservé aux clients VIP.',
+      'vip.prompt': 'Saisissez votre code VIP pour accéder :',
+      'vip.wrongCode': 'Code VIP incorrect.',
+      'vip.inactive': 'Ce code VIP n’est pas actif.',
+      'vip.exhausted': 'Ce code VIP a atteint son nombre maximal d’utilisations.',
+      'vip.noAccess': 'Votre code VIP ne donne pas accès à cette rubrique.',
+      'concierge.title': 'Conciergerie VIP',
+      'concierge.intro': 'Accédez à une ligne d’assistance 24h/24, à des transferts privés et à des recommandations personnalisées. Nous sommes là pour réaliser tous vos souhaits.',
+      'concierge.support.title': 'Conciergerie 24h/24',
+      'concierge.support.text': 'Contactez directement notre équipe pour tout besoin, de la réservation d’un restaurant aux excursions privées.',
+      'concierge.transfers.title': 'Transferts privés',
+      'concierge.transfers.text': 'Limousine, hélitaxi ou voiture de luxe – déplacez-vous confortablement et en toute sécurité où que vous soyez.',
+      'concierge.form.title': 'Nouvelle demande',
+      'concierge.form.service': 'Service',
+      'concierge.form.party': 'Personnes',
+      'concierge.form.date': 'Date',
+      'concierge.form.time': 'Heure',
+      'concierge.form.notesHint': 'Adresses, vol, préférences…',
+      'concierge.form.submit': 'Envoyer la demande',
+      'concierge.service.transfer': 'Transfert privé',
+      'concierge.service.helicopter': 'Hélitaxi',
+      'concierge.service.restaurant': 'Réservation de restaurant',
+      'concierge.service.excursion': 'Excursion privée',
+      'concierge.service.other': 'Autre',
+      'concierge.requests': 'Vos demandes',
+      'concierge.none': 'Vous n’avez encore envoyé aucune demande depuis cet appareil.',
+      'concierge.status.new': 'Reçue',
+      'concierge.status.accepted': 'Acceptée',
+      'concierge.status.quoted': 'Devis envoyé',
+      'concierge.status.done': 'Terminée',
+      'concierge.people.one': '{count} personne',
+      'concierge.people.other': '{count} personnes',
+      'concierge.quote': 'Devis : {amount}',
+      'concierge.waiting': 'en attente d’envoi',
+      'concierge.sending': 'Envoi de la demande…',
+      'concierge.mailOpened': 'Nous avons ouvert votre messagerie. Cliquez sur « Envoyer » pour envoyer la demande {ref}.',
+      'concierge.received': 'La demande {ref} a bien été reçue ! Notre concierge vous contactera rapidement.',
+      'concierge.failed': 'La demande n’a pas été envoyée ({reason}). Réessayez ou appelez-nous au {phone}.',
+      'concierge.queued': 'Vous êtes hors ligne. La demande {ref} a été enregistrée et sera envoyée automatiquement dès le retour de la connexion.',
+      'concierge.unconfirmed': 'Nous n’avons pas reçu de réponse à temps. La demande {ref} a été conservée et sera renvoyée automatiquement sous la même référence.',
+      'concierge.pastDate': 'La date de la demande ne peut pas être dans le passé.',
+      'concierge.partyInvalid': 'Le nombre de personnes doit être compris entre 1 et {max}.',
+      'deals.title': 'Offres VIP',
+      'deals.intro': 'Profitez d’offres exclusives sur les soins en spa, les dégustations, les croisières privées et bien plus. Nos offres sont renouvelées régulièrement pour nos clients les plus exigeants.',
+      'deals.none': 'Aucune offre n’est disponible pour votre niveau pour le moment. Revenez bientôt.',
+      'deals.partner': 'Partenaire : {partner}',
+      'deals.validTo': 'Valable jusqu’au {date}',
+      'deals.claim': 'Obtenir l’offre',
+      'deals.code': 'Votre code : {code}',
+      'deals.codeHint': 'Présentez ce code au partenaire pour profiter de l’offre.',
+      'deals.claiming': 'Envoi de votre code à notre agence…',
+      'deals.mailOpened': 'Nous avons ouvert votre messagerie. Appuyez sur « Envoyer » pour que notre agence active le code {ref}.',
+      'deals.received': 'Le code {ref} a été enregistré. Présentez-le au partenaire pour profiter de l’offre.',
+      'deals.failed': 'Le code n’a pas été enregistré ({reason}). Veuillez réessayer ou nous appeler au {phone}.',
+      'deals.queued': 'Vous êtes hors ligne. Le code {code} sera envoyé automatiquement à notre agence dès le retour de la connexion.',
+      'deals.unconfirmed': 'Nous n’avons pas reçu de réponse à temps. Le code {code} a été conservé et sera renvoyé automatiquement à notre agence.',
+      'deals.waiting': 'En attente d’envoi à notre agence ; valable dès que nous l’aurons reçu.',
+      'footer.terms': 'Conditions d’utilisation',
+      'footer.rental': 'Conditions de location',
+      'footer.privacy': 'Politique de confidentialité',
+      'footer.cookies': 'Cookies',
+      'footer.consent': 'Paramètres des cookies',
+      'footer.myData': 'Mes données',
+      'mydata.title': 'Mes données',
+      'mydata.intro': 'Mira Cars n’utilise pas de comptes. Tout ce qui vous concerne sur cet appareil est enregistré uniquement dans votre navigateur et figure ci-dessous. Vous pouvez le télécharger ou l’effacer à tout moment.',
+      'mydata.empty': 'Ce navigateur n’a enregistré aucune donnée vous concernant.',
+      'mydata.key.language': 'Langue choisie',
+      'mydata.key.currency': 'Devise choisie',
+      'mydata.key.consent': 'Votre choix concernant les cookies',
+      'mydata.key.consentLog': 'Historique de vos choix concernant les cookies',
+      'mydata.key.vipSession': 'Accès VIP',
+      'mydata.key.analyticsEvents': 'Statistiques de visite (sans données d’identification)',
+      'mydata.key.promoUsage': 'Codes promo que vous avez utilisés',
+      'mydata.key.vipUsage': 'Codes VIP que vous avez activés',
+      'mydata.booking': 'Réservation {ref} : {category}, {pickup} – {dropoff}',
+      'mydata.concierge': 'Demande de conciergerie {ref} : {service}, {date}',
+      'mydata.deal': 'Offre VIP {title} : code {code}',
+      'mydata.queued': '(en attente d’envoi)',
+      'mydata.export': 'Télécharger en JSON',
+      'mydata.erase': 'Effacer de ce navigateur',
+      'mydata.eraseConfirm': 'Effacer toutes vos données de ce navigateur ? Les réservations pas encore envoyées ne le seront pas. Ce que notre agence a déjà reçu n’est pas concerné.',
+      'mydata.erased': 'Vos données ont été effacées de ce navigateur.',
+      'mydata.readFailed': 'Les données enregistrées dans ce navigateur n’ont pas pu être lues. Veuillez réessayer ou nous contacter.',
+      'mydata.eraseFailed': 'Toutes vos données n’ont pas pu être effacées de ce navigateur. Veuillez réessayer ou effacer les données de ce site dans les réglages du navigateur.',
+      'mydata.requestTitle': 'Vos données de réservation auprès de notre agence',
+      'mydata.requestIntro': 'Lorsque vous réservez, les informations sont aussi envoyées à notre agence. Pour y accéder, les rectifier ou les effacer, envoyez-nous une demande ; nous répondrons sous un mois.',
+      'mydata.requestType': 'Type de demande',
+      'mydata.request.access': 'Accéder à mes données',
+      'mydata.request.rectification': 'Rectifier mes données',
+      'mydata.request.erasure': 'Effacer mes données',
+      'mydata.requestSend': 'Rédiger l’e-mail de demande',
+      'footer.imprint': 'Mentions légales',
+      'legal.version': 'Version {version}',
+      'legal.versionFrom': 'Version {version} · en vigueur depuis le {date}',
+      'legal.earlier': 'Versions précédentes :',
+      'legal.others': 'Autres versions :',
+      'legal.versionLink': 'version {version}',
+      'legal.currentLink': 'version {version} (en vigueur)',
+      'chat.whatsappMessage': 'Bonjour, je suis intéressé(e) par vos services.'
     }
+  };
+
+  // Translations of the default payment methods, extras, seasons and locations; names the admin adds are shown as entered
+  const NAME_TRANSLATIONS = {
+    'Πληρωμή στην παραλαβή': { en: 'Pay on pickup', de: 'Zahlung bei Abholung', fr: 'Paiement à la prise en charge' },
+    'Κάρτα (Stripe)': { en: 'Card (Stripe)', de: 'Karte (Stripe)', fr: 'Carte (Stripe)' },
+    'Κατάθεση σε Τράπεζα': { en: 'Bank transfer', de: 'Banküberweisung', fr: 'Virement bancaire' },
+    'Crypto': { de: 'Kryptowährung', fr: 'Cryptomonnaie' },
+    'Παιδικό Κάθισμα': { en: 'Child seat', de: 'Kindersitz', fr: 'Siège enfant' },
+    'Πρόσθετος Οδηγός': { en: 'Additional driver', de: 'Zusatzfahrer', fr: 'Conducteur supplémentaire' },
+    'Πλήρης Ασφάλεια': { en: 'Full insurance', de: 'Vollkaskoversicherung', fr: 'Assurance tous risques' },
+    'Ενδιάμεση σεζόν': { en: 'Shoulder season', de: 'Zwischensaison', fr: 'Moyenne saison' },
+    'Υψηλή σεζόν': { en: 'High season', de: 'Hochsaison', fr: 'Haute saison' },
+    'Αεροδρόμιο Ηρακλείου': { en: 'Heraklion Airport', de: 'Flughafen Heraklion', fr: 'Aéroport d’Héraklion' },
+    'Αεροδρόμιο Χανίων': { en: 'Chania Airport', de: 'Flughafen Chania', fr: 'Aéroport de La Canée' },
+    'Λιμάνι Ηρακλείου': { en: 'Heraklion Port', de: 'Hafen Heraklion', fr: 'Port d’Héraklion' },
+    'Λιμάνι Σούδας (Χανιά)': { en: 'Souda Port (Chania)', de: 'Hafen Souda (Chania)', fr: 'Port de Souda (La Canée)' },
+    'Παράδοση σε ξενοδοχείο – Ηράκλειο': { en: 'Hotel delivery – Heraklion', de: 'Hotelzustellung – Heraklion', fr: 'Livraison à l’hôtel – Héraklion' },
+    'Παράδοση σε ξενοδοχείο – Χανιά': { en: 'Hotel delivery – Chania', de: 'Hotelzustellung – Chania', fr: 'Livraison à l’hôtel – La Canée' },
+    'Χανιά': { en: 'Chania', de: 'Chania', fr: 'La Canée' },
+    'Μπάλος': { en: 'Balos', de: 'Balos', fr: 'Balos' },
+    'Κίσσαμος': { en: 'Kissamos', de: 'Kissamos', fr: 'Kissamos' },
+    'Φαράγγι Σαμαριάς': { en: 'Samaria Gorge', de: 'Samaria-Schlucht', fr: 'Gorges de Samaria' },
+    'Ελαφονήσι': { en: 'Elafonisi', de: 'Elafonisi', fr: 'Elafonissi' },
+    'Ρέθυμνο': { en: 'Rethymno', de: 'Rethymno', fr: 'Réthymnon' },
+    'Πρέβελη': { en: 'Preveli', de: 'Preveli', fr: 'Preveli' },
+    'Πλακιάς': { en: 'Plakias', de: 'Plakias', fr: 'Plakias' },
+    'Μάταλα': { en: 'Matala', de: 'Matala', fr: 'Matala' },
+    'Κνωσός': { en: 'Knossos', de: 'Knossos', fr: 'Cnossos' },
+    'Ηράκλειο': { en: 'Heraklion', de: 'Heraklion', fr: 'Héraklion' }
+  };
+
+  function detectLanguage() {
+    const stored = localStorage.getItem('language');
+    if (stored && LANGUAGES[stored]) return stored;
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || ''];
+    const match = preferred.map((tag) => String(tag).toLowerCase().split('-')[0]).find((code) => LANGUAGES[code]);
+    return match || DEFAULT_LANGUAGE;
   }
 
+  let currentLang = detectLanguage();
+
   /**
-   * Update navigation items based on admin authentication state.
-   * When admin is logged in, the settings link becomes visible and the auth link shows "Αποσύνδεση".
+   * Look up a translation and fill in its {placeholders}. Pass lang to force a
+   * language, e.g. 'el' for text sent to the office.
    */
-  function updateAuthNav() {
-    const loggedIn = isAdminLoggedIn();
-    // Desktop
-    const authLink = document.getElementById('admin-auth-link');
-    const settingsLink = document.getElementById('settings-link');
-    if (authLink) {
-      authLink.textContent = loggedIn ? 'Αποσύνδεση' : 'Είσοδος';
-    }
-    if (settingsLink) {
-      settingsLink.classList.toggle('hidden', !loggedIn);
-    }
-    // Mobile
-    const authLinkMobile = document.getElementById('mobile-admin-auth-link');
-    const settingsLinkMobile = document.getElementById('mobile-settings-link');
-    if (authLinkMobile) {
-      authLinkMobile.textContent = loggedIn ? 'Αποσύνδεση' : 'Είσοδος';
-    }
-    if (settingsLinkMobile) {
-      settingsLinkMobile.classList.toggle('hidden', !loggedIn);
+  function t(key, params = {}, lang = currentLang) {
+    const catalogue = TRANSLATIONS[lang] || TRANSLATIONS[DEFAULT_LANGUAGE];
+    const template = key in catalogue ? catalogue[key] : TRANSLATIONS[DEFAULT_LANGUAGE][key];
+    if (template === undefined) return key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  // Plural-aware lookup: picks `${key}.one` or `${key}.other` for count and passes it as {count}
+  function tp(key, count, params = {}, lang = currentLang) {
+    const form = new Intl.PluralRules(LANGUAGES[lang].locale).select(count) === 'one' ? 'one' : 'other';
+    return t(`${key}.${form}`, { ...params, count }, lang);
+  }
+
+  function localizeName(name, lang = currentLang) {
+    return (NAME_TRANSLATIONS[name] && NAME_TRANSLATIONS[name][lang]) || name;
+  }
+
+  // Format a EUR amount in the display currency, or in the given one (BASE_CURRENCY for the office)
+  function formatMoney(amount, lang = currentLang, currency = displayCurrency()) {
+    const options = { style: 'currency', currency: currency.code };
+    if ((currency.rounding || 0) >= 1) {
+      options.minimumFractionDigits = 0;
+      options.maximumFractionDigits = 0;
     }
+    return new Intl.NumberFormat(LANGUAGES[lang].locale, options).format(convertAmount(amount, currency));
+  }
+
+  // Format an ISO (YYYY-MM-DD) date; formatted in UTC so the day never shifts
+  function formatDate(iso, lang = currentLang) {
+    const [y, m, d] = iso.split('-').map(Number);
+    return new Intl.DateTimeFormat(LANGUAGES[lang].locale, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })
+      .format(new Date(Date.UTC(y, m - 1, d)));
   }
 
   /**
-   * Render login modal content depending on whether a password is already set.
+   * Fill every element marked with data-i18n* attributes in the current language
    */
-  function renderLoginContent() {
-    const container = document.getElementById('login-content');
-    if (!container) return;
-    container.innerHTML = '';
-    const password = getAdminPassword();
-    if (!password) {
-      // Setup form for first time password creation
-      const form = document.createElement('form');
-      form.className = 'space-y-4';
-      form.innerHTML = `
-        <p class="text-sm">Ορίστε κωδικό πρόσβασης για τον λογαριασμό διαχειριστή.</p>
-        <div>
-          <label for="new-password" class="block text-sm font-medium mb-1">Νέος κωδικός</label>
-          <input type="password" id="new-password" class="w-full rounded border border-gray-300 dark:border-gray-700 p-2 bg-gray-100 dark:bg-gray-700" required />
-        </div>
-        <button type="submit" class="bg-blue-600 hover:bg-blue-500 text-white w-full py-2 rounded font-semibold">Αποθήκευση</button>
-      `;
-      form.addEventListener('submit', function (e) {
-        e.preventDefault();
-        const newPwd = form.querySelector('#new-password').value.trim();
-        if (newPwd.length < 4) {
-          alert('Ο κωδικός πρέπει να έχει τουλάχιστον 4 χαρακτήρες.');
-          return;
-        }
-        setAdminPassword(newPwd);
-        setAdminLoggedIn(true);
-        updateAuthNav();
-        closeLogin();
-        alert('Ο κωδικός αποθηκεύτηκε. Έχετε συνδεθεί ως διαχειριστής.');
-      });
-      container.appendChild(form);
-    } else {
-      // Login form
-      const form = document.createElement('form');
-      form.className = 'space-y-4';
-      form.innerHTML = `
-        <div>
-          <label for="admin-password" class="block text-sm font-medium mb-1">Κωδικός</label>
-          <input type="password" id="admin-password" class="w-full rounded border border-gray-300 dark:border-gray-700 p-2 bg-gray-100 dark:bg-gray-700" required />
-        </div>
-        <button type="submit" class="bg-blue-600 hover:bg-blue-500 text-white w-full py-2 rounded font-semibold">Είσοδος</button>
-        <button type="button" id="bio-login" class="bg-green-600 hover:bg-green-500 text-white w-full py-2 rounded font-semibold">Σύνδεση με Βιομετρικά</button>
-      `;
-      form.addEventListener('submit', function (e) {
-        e.preventDefault();
-        const entered = form.querySelector('#admin-password').value;
-        const stored = getAdminPassword();
-        if (entered === stored) {
-          setAdminLoggedIn(true);
-          updateAuthNav();
-          closeLogin();
-          alert('Επιτυχής σύνδεση.');
-        } else {
-          alert('Λάθος κωδικός.');
-        }
-      });
-      // Biometric login button
-      form.querySelector('#bio-login').addEventListener('click', function () {
-        // Simulate a biometric authentication using WebAuthn API if available
-        // Here we simply set admin as logged in. In a real implementation, integrate WebAuthn.
-        // Provide user feedback
-        alert('Προσομοίωση βιομετρικής σύνδεσης: Έγκριση...');
-        setAdminLoggedIn(true);
-        updateAuthNav();
-        closeLogin();
-      });
-      container.appendChild(form);
+  function applyTranslations() {
+    document.documentElement.lang = currentLang;
+    document.title = t('meta.title');
+    const description = document.querySelector('meta[name="description"]');
+    if (description) description.setAttribute('content', t('meta.description'));
+    document.querySelectorAll('[data-i18n]').forEach((el) => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+      el.setAttribute('placeholder', t(el.dataset.i18nPlaceholder));
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach((el) => {
+      el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    });
+    const select = document.getElementById('language-select');
+    if (select) {
+      select.value = currentLang;
+      select.setAttribute('aria-label', t('language.label'));
     }
   }
 
   /**
-   * Open login modal
+   * Switch the interface language, remember the choice and redraw the texts built by script
    */
-  window.openLogin = function () {
-    renderLoginContent();
-    document.getElementById('login-modal').classList.remove('hidden');
-  };
-  window.closeLogin = function () {
-    document.getElementById('login-modal').classList.add('hidden');
+  window.setLanguage = function (lang) {
+    if (!LANGUAGES[lang]) return;
+    currentLang = lang;
+    storeIfConsented('language', lang);
+    applyTranslations();
+    updateAuthNav();
+    populateCurrencySelect();
+    populateBookingSelects();
+    populateExtras();
+    calculatePrice();
+    updateSyncIndicator();
+    renderVoucher();
+    renderGuide();
+    renderConciergeRequests();
+    renderDeals();
+    renderTermsAcceptance();
   };
 
-  /**
-   * Toggle authentication action: log in if not logged, log out if logged
+  /*
+   * Currencies
+   *
+   * Prices are set and charged in EUR. Visitors can view them in one of the
+   * currencies in the `currencies` setting ({ code, rate, rounding }: units per
+   * 1 EUR and the step displayed amounts are rounded to); with consent to
+   * preference storage the choice is kept under `currency`. Admin screens, the office email and anything the customer
+   * actually pays are shown in EUR.
    */
-  window.toggleAuth = function () {
-    if (isAdminLoggedIn()) {
-      // Sign out
-      setAdminLoggedIn(false);
-      updateAuthNav();
-      alert('Αποσυνδεθήκατε.');
-      // Close settings panel if open
-      closeSettings();
-    } else {
-      openLogin();
-    }
-  };
+  const BASE_CURRENCY = { code: 'EUR', rate: 1, rounding: 0.01 };
 
-  /**
-   * Initialise the page after DOM loads
-   */
-  function init() {
-    // Cookie consent
-    if (!localStorage.getItem('cookiesAccepted')) {
-      document.getElementById('cookie-banner').classList.remove('hidden');
-    }
+  let currentCurrency = localStorage.getItem('currency') || BASE_CURRENCY.code;
 
-    // Set up nav state
-    const defaultTab = 'home';
-    showTab(defaultTab);
+  // Currency prices are shown in: the visitor's choice while it is still offered, otherwise EUR
+  function displayCurrency() {
+    return currencies.find((c) => c.code === currentCurrency) || BASE_CURRENCY;
+  }
 
-    // Update VIP nav links if VIP already unlocked
-    updateVIPNav();
+  // EUR amount in another currency, rounded to that currency's step
+  function convertAmount(amount, currency) {
+    if (currency.code === BASE_CURRENCY.code) return amount;
+    const step = currency.rounding || 0.01;
+    return Number((Math.round((amount * currency.rate) / step) * step).toFixed(6));
+  }
 
-    // Populate dynamic selects and extras for bookings
+  // Option label for a currency, e.g. "£ GBP"; currencies without their own symbol show the code only
+  function currencyLabel(code) {
+    const symbol = new Intl.NumberFormat(LANGUAGES[currentLang].locale, { style: 'currency', currency: code, currencyDisplay: 'narrowSymbol' })
+      .formatToParts(0)
+      .find((part) => part.type === 'currency').value;
+    return symbol === code ? code : `${symbol} ${code}`;
+  }
+
+  function populateCurrencySelect() {
+    const select = document.getElementById('currency-select');
+    if (!select) return;
+    select.innerHTML = '';
+    [BASE_CURRENCY, ...currencies].forEach(({ code }) => {
+      const opt = document.createElement('option');
+      opt.value = code;
+      opt.textContent = currencyLabel(code);
+      select.appendChild(opt);
+    });
+    select.value = displayCurrency().code;
+    // Nothing to choose from when the admin offers EUR only
+    select.classList.toggle('hidden', !currencies.length);
+  }
+
+  /**
+   * Switch the currency prices are shown in and redraw every amount on screen
+   */
+  window.setCurrency = function (code) {
+    currentCurrency = code;
+    storeIfConsented('currency', code);
+    populateCurrencySelect();
     populateBookingSelects();
     populateExtras();
-    // Populate hero select with car categories
-    const heroSelect = document.getElementById('hero-car-category');
-    if (heroSelect) {
-      heroSelect.innerHTML = '';
-      Object.keys(carCategories).forEach((cat) => {
-        const opt = document.createElement('option');
-        opt.value = cat;
-        opt.textContent = cat;
-        heroSelect.appendChild(opt);
-      });
-    }
-    // Handle hero search submission
-    const heroForm = document.getElementById('hero-search');
-    if (heroForm) {
-      heroForm.addEventListener('submit', function (e) {
-        e.preventDefault();
-        const cat = document.getElementById('hero-car-category').value;
-        const pick = document.getElementById('hero-pickup-date').value;
-        const drop = document.getElementById('hero-dropoff-date').value;
-        // Set values in booking form if exist
-        const bookingCategory = document.getElementById('car-category');
-        const bookingPickup = document.getElementById('pickup-date');
-        const bookingDropoff = document.getElementById('dropoff-date');
-        if (bookingCategory && cat) bookingCategory.value = cat;
-        if (bookingPickup && pick) bookingPickup.value = pick;
-        if (bookingDropoff && drop) bookingDropoff.value = drop;
-        // Navigate to booking tab and recalc price
-        showTab('booking');
-        calculatePrice();
-      });
-    }
-    // Initial price summary
     calculatePrice();
+    renderVoucher();
+  };
 
-    // Handle booking form submission
-    const bookingForm = document.getElementById('booking-form');
-    if (bookingForm) {
-      bookingForm.addEventListener('submit', handleBookingSubmit);
+  /*
+   * Fleet availability
+   *
+   * Each booked vehicle is recorded in localStorage under `fleetReservations` as
+   * { ref, plate, category, pickup, dropoff, pickupTime, dropoffTime, createdAt }
+   * with ISO (YYYY-MM-DD) dates and HH:MM local times. A vehicle is occupied from
+   * the pickup time up to the return time, so a car returned at 10:00 can go out
+   * again from 10:00. Reservations recorded before times were asked for run from
+   * midnight on the pickup day to midnight on the dropoff day.
+   *
+   * Those are only the bookings made in this browser. The office's holds reach
+   * every visitor in two ways: the admin's holds are published in config.json
+   * (`holds`, see "Published configuration"), and with the HTTP transport the
+   * booking endpoint's current holds are fetched (see "Booking transports").
+   * Availability is checked against all three; published holds carry no
+   * reference or customer details.
+   */
+  const DAY_MS = 1000 * 60 * 60 * 24;
+  const DAY_MINUTES = 24 * 60;
+  let publishedHolds = [];
+  let remoteHolds = [];
+
+  // Today's date in the visitor's time zone, as YYYY-MM-DD
+  function todayIso() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  }
+
+  function getReservations() {
+    try {
+      return JSON.parse(localStorage.getItem('fleetReservations')) || [];
+    } catch (e) {
+      return [];
     }
+  }
 
-    // Add listeners to recalculate price when inputs change
-    const pickupInput = document.getElementById('pickup-date');
-    const dropoffInput = document.getElementById('dropoff-date');
-    const carSelect = document.getElementById('car-category');
-    const paymentSelect = document.getElementById('payment-method');
-    if (pickupInput) pickupInput.addEventListener('change', calculatePrice);
-    if (dropoffInput) dropoffInput.addEventListener('change', calculatePrice);
-    if (carSelect) carSelect.addEventListener('change', calculatePrice);
-    // Payment method doesn't change price but we still want to update summary instructions
-    if (paymentSelect) paymentSelect.addEventListener('change', calculatePrice);
+  function saveReservations(list) {
+    localStorage.setItem('fleetReservations', JSON.stringify(list));
+  }
 
-    // Pre-fill settings panel inputs
-    document.getElementById('phone-input').value = phoneNumber;
-    document.getElementById('vip-input').value = vipCode;
-    document.getElementById('greeting-input').value = vipGreeting;
+  // Every hold that occupies a vehicle: this browser's bookings and the office's
+  function allReservations() {
+    return [...getReservations(), ...publishedHolds, ...remoteHolds];
+  }
 
-    // Update auth navigation based on current admin login state
-    updateAuthNav();
+  // The fields of a hold that are published; anything malformed is dropped
+  function validHolds(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+      .filter((h) => isPlainObject(h) && isText(h.plate) && isIsoDate(h.pickup) && isIsoDate(h.dropoff)
+        && [h.pickupTime, h.dropoffTime].every((time) => time === undefined || time === '' || isClockTime(time)))
+      .map((h) => ({
+        plate: h.plate,
+        category: isText(h.category) ? h.category : '',
+        pickup: h.pickup,
+        dropoff: h.dropoff,
+        pickupTime: h.pickupTime || '',
+        dropoffTime: h.dropoffTime || ''
+      }));
+  }
+
+  // Convert an ISO date string to a UTC day number so that comparisons ignore time zones
+  function isoToDay(iso) {
+    const [y, m, d] = iso.split('-').map(Number);
+    return Date.UTC(y, m - 1, d) / DAY_MS;
+  }
+
+  function dayToIso(day) {
+    return new Date(day * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  // Minutes since the epoch for an ISO date and HH:MM time, both read as UTC so that
+  // comparisons ignore time zones and daylight saving
+  function toMinutes(iso, time) {
+    const [h, m] = (time || '00:00').split(':').map(Number);
+    return isoToDay(iso) * DAY_MINUTES + h * 60 + m;
+  }
+
+  // Half-open minute range occupied by a rental; one that doesn't end after it starts occupies a day
+  function occupiedRange({ pickup, dropoff, pickupTime, dropoffTime }) {
+    const start = toMinutes(pickup, pickupTime);
+    const end = toMinutes(dropoff, dropoffTime);
+    return [start, end > start ? end : start + DAY_MINUTES];
+  }
+
+  function rangesOverlap(a, b) {
+    return a[0] < b[1] && b[0] < a[1];
+  }
+
+  function activeVehicles(category) {
+    return fleet.filter((v) => v.category === category && v.status === 'active');
   }
 
   /**
-   * Show the specified tab and update nav styling
+   * Return the first active vehicle of the category that is free for the whole
+   * period ({ pickup, dropoff, pickupTime, dropoffTime }), or null if every
+   * vehicle is already booked.
    */
-  window.showTab = function (tabId) {
-    document.querySelectorAll('.tab-section').forEach((section) => {
-      section.classList.add('hidden');
-    });
-    const activeSection = document.getElementById(tabId);
-    if (activeSection) activeSection.classList.remove('hidden');
+  function findFreeVehicle(category, period) {
+    const wanted = occupiedRange(period);
+    const reservations = allReservations();
+    return activeVehicles(category).find((vehicle) => {
+      return !reservations.some((r) => r.plate === vehicle.plate && rangesOverlap(wanted, occupiedRange(r)));
+    }) || null;
+  }
 
-    // Remove active class from all nav links
-    document.querySelectorAll('.nav-link').forEach((link) => {
-      link.classList.remove('active-tab');
-    });
-    // Add active class to current nav link (both desktop and mobile)
-    document.querySelectorAll(`[data-target="${tabId}"]`).forEach((link) => {
-      link.classList.add('active-tab');
-    });
-  };
+  // Free the vehicle held by a booking, e.g. when it is cancelled
+  function releaseReservation(ref) {
+    saveReservations(getReservations().filter((r) => r.ref !== ref));
+  }
 
   /**
-   * Handle VIP link click – prompt for VIP code if not already unlocked
+   * Hold the booking's vehicle for its dates (new bookings, or a cancelled booking
+   * being reinstated). Returns false when the vehicle is already taken.
    */
-  window.handleVIP = function (target) {
-    const isVip = localStorage.getItem('isVIP') === 'true';
-    if (isVip) {
-      showTab(target);
-      return;
-    }
-    const input = prompt('Εισάγετε τον VIP κωδικό για πρόσβαση:');
-    if (input && input.trim() === vipCode) {
-      localStorage.setItem('isVIP', 'true');
-      updateVIPNav();
-      alert(vipGreeting);
-      showTab(target);
-    } else if (input) {
-      alert('Λάθος κωδικός VIP.');
+  function holdReservation(booking) {
+    const reservations = getReservations();
+    if (reservations.some((r) => r.ref === booking.ref)) return true;
+    const wanted = occupiedRange(booking);
+    if (allReservations().some((r) => r.plate === booking.plate && rangesOverlap(wanted, occupiedRange(r)))) {
+      return false;
     }
-  };
+    reservations.push({
+      ref: booking.ref,
+      plate: booking.plate,
+      category: booking.category,
+      pickup: booking.pickup,
+      dropoff: booking.dropoff,
+      pickupTime: booking.pickupTime,
+      dropoffTime: booking.dropoffTime,
+      createdAt: booking.createdAt
+    });
+    saveReservations(reservations);
+    return true;
+  }
 
   /**
-   * Update VIP link classes depending on unlocked state
+   * Days (from today on) on which every active vehicle of the category is booked
+   * around the clock, merged into consecutive { from, to } ranges of ISO dates
+   * (inclusive). Days with a pickup or return are partly free and left out;
+   * findFreeVehicle() checks the exact times.
    */
-  function updateVIPNav() {
-    const isVip = localStorage.getItem('isVIP') === 'true';
-    document.querySelectorAll('.vip-link').forEach((link) => {
-      if (isVip) {
-        link.classList.remove('text-gray-400');
-        link.classList.add('text-gray-800', 'dark:text-gray-200');
+  function getUnavailableRanges(category) {
+    const plates = activeVehicles(category).map((v) => v.plate);
+    if (!plates.length) return [];
+    const today = isoToDay(todayIso());
+    const bookedPerDay = {};
+    allReservations().forEach((r) => {
+      if (!plates.includes(r.plate)) return;
+      const [start, end] = occupiedRange(r);
+      for (let day = Math.max(Math.ceil(start / DAY_MINUTES), today); day < Math.floor(end / DAY_MINUTES); day++) {
+        bookedPerDay[day] = bookedPerDay[day] || new Set();
+        bookedPerDay[day].add(r.plate);
+      }
+    });
+    const fullDays = Object.keys(bookedPerDay)
+      .map(Number)
+      .filter((day) => bookedPerDay[day].size >= plates.length)
+      .sort((a, b) => a - b);
+    const ranges = [];
+    fullDays.forEach((day) => {
+      const last = ranges[ranges.length - 1];
+      if (last && last.end === day - 1) {
+        last.end = day;
       } else {
-        link.classList.remove('text-gray-800', 'dark:text-gray-200');
-        link.classList.add('text-gray-400');
+        ranges.push({ start: day, end: day });
       }
     });
+    return ranges.map((r) => ({ from: dayToIso(r.start), to: dayToIso(r.end) }));
+  }
+
+  // Mark a date input the browser will refuse to submit, with the reason as its message
+  function flagDateInput(el, message) {
+    if (!el) return;
+    el.setCustomValidity(message);
+    el.title = message;
+    el.classList.toggle('ring-2', !!message);
+    el.classList.toggle('ring-red-500', !!message);
+    if (message) {
+      el.setAttribute('aria-invalid', 'true');
+    } else {
+      el.removeAttribute('aria-invalid');
+    }
   }
 
   /**
-   * Populate booking form selects based on admin settings
+   * Show the unavailable days for the selected category below the date inputs.
+   * A pickup on a fully booked day, or a period with no free vehicle, marks the
+   * date input as invalid so the form cannot be sent. Returns true when a
+   * vehicle is available (or the dates are incomplete).
    */
-  function populateBookingSelects() {
-    const carSel = document.getElementById('car-category');
-    const paySel = document.getElementById('payment-method');
-    if (carSel) {
-      carSel.innerHTML = '';
-      Object.keys(carCategories).forEach((cat) => {
-        const opt = document.createElement('option');
-        opt.value = cat;
-        // Show price per day next to category for clarity
-        opt.textContent = `${cat} (\u20AC${carCategories[cat]} / ημέρα)`;
-        carSel.appendChild(opt);
-      });
+  function updateAvailability() {
+    const infoEl = document.getElementById('availability-info');
+    const pickupEl = document.getElementById('pickup-date');
+    const dropoffEl = document.getElementById('dropoff-date');
+    const period = readBookingPeriod();
+    const categoryEl = document.getElementById('car-category');
+    const category = categoryEl && categoryEl.value;
+    // Past days cannot be picked; the return cannot be before the pickup
+    if (pickupEl) pickupEl.min = todayIso();
+    if (dropoffEl) dropoffEl.min = period.pickup || todayIso();
+    if (!category) return true;
+    let message = '';
+    let blockedRange = null;
+    if (!activeVehicles(category).length) {
+      message = t('availability.noVehicles', { category });
+    } else {
+      const ranges = getUnavailableRanges(category);
+      blockedRange = ranges.find((r) => period.pickup && period.pickup >= r.from && period.pickup <= r.to) || null;
+      if (ranges.length) {
+        const list = ranges.map((r) => (r.from === r.to ? formatDate(r.from) : `${formatDate(r.from)} – ${formatDate(r.to)}`));
+        message = t('availability.blockedDays', { category, dates: list.join(', ') });
+      }
     }
-    if (paySel) {
-      paySel.innerHTML = '';
-      paymentMethods.forEach((method) => {
-        const opt = document.createElement('option');
-        opt.value = method;
-        opt.textContent = method;
-        paySel.appendChild(opt);
-      });
+    if (infoEl) {
+      infoEl.textContent = message;
+      infoEl.classList.toggle('hidden', !message);
     }
+    let available = true;
+    if (period.pickup && period.dropoff) {
+      available = !!findFreeVehicle(category, period);
+    } else if (!activeVehicles(category).length) {
+      available = false;
+    }
+    flagDateInput(pickupEl, blockedRange ? t('availability.dayBooked', { category, from: formatDate(blockedRange.from), to: formatDate(blockedRange.to) }) : '');
+    flagDateInput(dropoffEl, available || blockedRange ? '' : t('availability.unavailable'));
+    return available && !blockedRange;
   }
 
-  /**
-   * Populate extras checkboxes based on admin settings
+  /*
+   * Pricing
+   *
+   * Rental days are 24-hour blocks from the pickup time. Every rental day is
+   * priced on its own: the season the day falls in decides the vehicle rate
+   * (falling back to the base category price), weekend days get the weekend
+   * surcharge, and the longest matching duration tier discounts the vehicle
+   * cost. Extras are charged per day at a flat rate. Location fees, the one-way
+   * fee, after-hours fees and young or senior driver surcharges are added on
+   * top, after any promo discount.
    */
-  function populateExtras() {
-    const container = document.getElementById('extras-container');
-    if (!container) return;
-    container.innerHTML = '';
-    Object.keys(extras).forEach((extraKey) => {
-      const id = `extra-${extraKey.replace(/\s+/g, '-')}`;
+  function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  // Grace period and fees from the pricing rules, with defaults for rules saved before they existed
+  function rentalRule(key) {
+    return typeof pricingRules[key] === 'number' ? pricingRules[key] : DEFAULTS.pricingRules[key];
+  }
+
+  // Number of 24-hour blocks from pickup to return (minimum 1); a block started by no more than the grace period is free
+  function rentalDays(period) {
+    const minutes = toMinutes(period.dropoff, period.dropoffTime) - toMinutes(period.pickup, period.pickupTime);
+    if (!isFinite(minutes) || minutes <= 0) return 1;
+    const extra = minutes % DAY_MINUTES > rentalRule('graceMinutes') ? 1 : 0;
+    return Math.max(1, Math.floor(minutes / DAY_MINUTES) + extra);
+  }
+
+  // Find the season covering an ISO date by its MM-DD part
+  function seasonFor(iso) {
+    const mmdd = iso.slice(5);
+    return (pricingRules.seasons || []).find((s) => {
+      return s.from <= s.to ? mmdd >= s.from && mmdd <= s.to : mmdd >= s.from || mmdd <= s.to;
+    }) || null;
+  }
+
+  // Lowest daily rate a category can have, used for the "from €x" labels
+  function lowestRate(category) {
+    const rates = (pricingRules.seasons || [])
+      .map((s) => s.rates[category])
+      .filter((r) => typeof r === 'number');
+    return Math.min(carCategories[category] || 0, ...rates);
+  }
+
+  /**
+   * Price a rental. Returns an itemised quote:
+   * { days, category, seasonLines: [{ name, rate, days, amount }], weekendDays,
+   *   weekendSurcharge, vehicleTotal, durationTier, durationDiscount, extras,
+   *   extrasTotal, promo, promoError, promoDiscount, pickupLocation, dropoffLocation,
+   *   locationFees: [{ kind, location, amount }], oneWayFee,
+   *   afterHours: [{ kind, location, time, amount }], feesTotal,
+   *   driverSurcharges: [{ kind, name, age, rate, days, amount }], driverSurchargesTotal, total, deposit }
+   * where kind is 'pickup' or 'dropoff' for handovers and 'young' or 'senior' for drivers.
+   */
+  function buildQuote({ pickup, dropoff, pickupTime = '', dropoffTime = '', pickupLocation = '', dropoffLocation = '', category, extras: selectedExtras = [], promoCode = '', drivers = [] }) {
+    const days = rentalDays({ pickup, dropoff, pickupTime, dropoffTime });
+    const start = isoToDay(pickup);
+    const surchargePercent = pricingRules.weekendSurchargePercent || 0;
+    const weekendDayNumbers = pricingRules.weekendDays || [];
+    const seasonLines = [];
+    let weekendDays = 0;
+    let weekendSurcharge = 0;
+    for (let i = 0; i < days; i++) {
+      const iso = dayToIso(start + i);
+      const season = seasonFor(iso);
+      const seasonal = season && typeof season.rates[category] === 'number';
+      const rate = seasonal ? season.rates[category] : carCategories[category] || 0;
+      // Days outside every season are priced at the base rate; they are named when the quote is described
+      const name = seasonal ? season.name : '';
+      let line = seasonLines.find((l) => l.name === name && l.rate === rate);
+      if (!line) {
+        line = { name, rate, days: 0, amount: 0 };
+        seasonLines.push(line);
+      }
+      line.days += 1;
+      line.amount += rate;
+      if (surchargePercent > 0 && weekendDayNumbers.includes(new Date((start + i) * DAY_MS).getUTCDay())) {
+        weekendDays += 1;
+        weekendSurcharge += (rate * surchargePercent) / 100;
+      }
+    }
+    weekendSurcharge = roundMoney(weekendSurcharge);
+    const vehicleTotal = roundMoney(seasonLines.reduce((sum, l) => sum + l.amount, 0) + weekendSurcharge);
+    const durationTier = (pricingRules.durationDiscounts || [])
+      .filter((tier) => days >= tier.minDays)
+      .sort((a, b) => b.minDays - a.minDays)[0] || null;
+    const durationDiscount = durationTier ? roundMoney((vehicleTotal * durationTier.percent) / 100) : 0;
+    const extrasTotal = roundMoney(selectedExtras.reduce((sum, ex) => sum + (extras[ex] || 0) * days, 0));
+    const subtotal = roundMoney(vehicleTotal - durationDiscount + extrasTotal);
+    // Promo discount applies to the whole rental after the duration discount
+    let promo = null;
+    let promoError = '';
+    let promoDiscount = 0;
+    if (promoCode.trim()) {
+      const result = validatePromo(promoCode, { days, category });
+      if (result.promo) {
+        promo = result.promo;
+        promoDiscount = promo.type === 'fixed' ? Math.min(promo.value, subtotal) : roundMoney((subtotal * promo.value) / 100);
+      } else {
+        promoError = result.error;
+      }
+    }
+    // Handover charges for the chosen locations; the return location defaults to the pickup location
+    dropoffLocation = dropoffLocation || pickupLocation;
+    const handovers = [
+      { kind: 'pickup', location: findLocation(pickupLocation), time: pickupTime },
+      { kind: 'dropoff', location: findLocation(dropoffLocation), time: dropoffTime }
+    ].filter((h) => h.location);
+    const locationFees = handovers
+      .filter((h) => h.location.fee > 0)
+      .map((h) => ({ kind: h.kind, location: h.location.name, amount: h.location.fee }));
+    const afterHoursFee = rentalRule('afterHoursFee');
+    const afterHours = afterHoursFee > 0
+      ? handovers.filter((h) => h.time && !isOpenAt(h.location, h.time)).map((h) => ({ kind: h.kind, location: h.location.name, time: h.time, amount: afterHoursFee }))
+      : [];
+    const oneWayFee = pickupLocation && dropoffLocation !== pickupLocation ? rentalRule('oneWayFee') : 0;
+    const feesTotal = roundMoney([...locationFees, ...afterHours].reduce((sum, fee) => sum + fee.amount, 0) + oneWayFee);
+    // Young and senior driver surcharges per driver and rental day, also added after the promo discount
+    const young = driverRule('youngDriver');
+    const senior = driverRule('seniorDriver');
+    const driverSurcharges = [];
+    drivers.forEach((driver, index) => {
+      if (!driver.dateOfBirth) return;
+      const age = yearsBetween(driver.dateOfBirth, pickup);
+      const kind = age < young.underAge ? 'young' : age >= senior.fromAge ? 'senior' : '';
+      const rate = kind === 'young' ? young.perDay : kind === 'senior' ? senior.perDay : 0;
+      if (rate > 0) {
+        driverSurcharges.push({ kind, name: driverLabel(driver, index), age, rate, days, amount: roundMoney(rate * days) });
+      }
+    });
+    const driverSurchargesTotal = roundMoney(driverSurcharges.reduce((sum, s) => sum + s.amount, 0));
+    const total = roundMoney(subtotal - promoDiscount + feesTotal + driverSurchargesTotal);
+    const deposit = depositPercent > 0 ? roundMoney((total * depositPercent) / 100) : 0;
+    return {
+      days,
+      category,
+      seasonLines,
+      weekendDays,
+      weekendSurcharge,
+      vehicleTotal,
+      durationTier,
+      durationDiscount,
+      extras: selectedExtras,
+      extrasTotal,
+      promo,
+      promoError,
+      promoDiscount,
+      pickupLocation,
+      dropoffLocation,
+      locationFees,
+      oneWayFee,
+      afterHours,
+      feesTotal,
+      driverSurcharges,
+      driverSurchargesTotal,
+      total,
+      deposit
+    };
+  }
+
+  /**
+   * Plain-text breakdown lines of a quote, shared by the price summary, the
+   * voucher and the booking email (which passes lang 'el' and BASE_CURRENCY)
+   */
+  function describeQuote(quote, lang = currentLang, currency = displayCurrency()) {
+    const money = (amount) => formatMoney(amount, lang, currency);
+    const lines = quote.seasonLines.map((l) => t('price.seasonLine', {
+      name: l.name ? localizeName(l.name, lang) : t('price.baseRate', {}, lang),
+      days: l.days,
+      rate: money(l.rate),
+      amount: money(l.amount)
+    }, lang));
+    if (quote.weekendSurcharge > 0) {
+      lines.push(t('price.weekend', { percent: pricingRules.weekendSurchargePercent, days: quote.weekendDays, amount: money(quote.weekendSurcharge) }, lang));
+    }
+    if (quote.durationDiscount > 0) {
+      lines.push(t('price.durationDiscount', { minDays: quote.durationTier.minDays, percent: quote.durationTier.percent, amount: money(quote.durationDiscount) }, lang));
+    }
+    if (quote.extras.length) {
+      lines.push(t('price.extras', { list: quote.extras.map((ex) => localizeName(ex, lang)).join(', '), amount: money(quote.extrasTotal) }, lang));
+    }
+    if (quote.promo) {
+      const label = quote.promo.type === 'fixed' ? money(quote.promo.value) : `${quote.promo.value}%`;
+      lines.push(t('price.promo', { code: quote.promo.code, label, amount: money(quote.promoDiscount) }, lang));
+    }
+    // Quotes stored before locations existed have no handover charges
+    (quote.locationFees || []).forEach((fee) => {
+      lines.push(t(`price.${fee.kind}Fee`, { location: localizeName(fee.location, lang), amount: money(fee.amount) }, lang));
+    });
+    if (quote.oneWayFee > 0) {
+      lines.push(t('price.oneWay', { from: localizeName(quote.pickupLocation, lang), to: localizeName(quote.dropoffLocation, lang), amount: money(quote.oneWayFee) }, lang));
+    }
+    (quote.afterHours || []).forEach((fee) => {
+      lines.push(t('price.afterHours', { location: localizeName(fee.location, lang), time: fee.time, amount: money(fee.amount) }, lang));
+    });
+    (quote.driverSurcharges || []).forEach((s) => {
+      lines.push(t(`price.${s.kind}Driver`, { name: s.name, age: s.age, days: s.days, rate: money(s.rate), amount: money(s.amount) }, lang));
+    });
+    return lines;
+  }
+
+  /*
+   * Locations
+   *
+   * Pickup and return points come from the `locations` setting. Opening hours
+   * are HH:MM strings compared as text; a location that closes before it opens
+   * is open overnight, and 00:00–24:00 means always open.
+   */
+  function findLocation(name) {
+    return locations.find((l) => l.name === name) || null;
+  }
+
+  function isOpenAt(location, time) {
+    const { opens, closes } = location;
+    return opens <= closes ? time >= opens && time <= closes : time >= opens || time <= closes;
+  }
+
+  // Pickup and return as entered in the booking form; the return location defaults to the pickup location
+  function readBookingPeriod() {
+    const value = (id) => (document.getElementById(id) ? document.getElementById(id).value : '');
+    const pickupLocation = value('pickup-location');
+    return {
+      pickup: value('pickup-date'),
+      dropoff: value('dropoff-date'),
+      pickupTime: value('pickup-time'),
+      dropoffTime: value('dropoff-time'),
+      pickupLocation,
+      dropoffLocation: value('dropoff-location') || pickupLocation
+    };
+  }
+
+  // Opening hours of the chosen locations and the after-hours fee, below the location selects
+  function updateLocationInfo() {
+    const infoEl = document.getElementById('location-info');
+    if (!infoEl) return;
+    const period = readBookingPeriod();
+    const chosen = [...new Set([period.pickupLocation, period.dropoffLocation])].map(findLocation).filter(Boolean);
+    const lines = chosen.map((l) => t('booking.locationHours', { location: localizeName(l.name), opens: l.opens, closes: l.closes }));
+    if (chosen.length && rentalRule('afterHoursFee') > 0) {
+      lines.push(t('booking.afterHoursNote', { amount: formatMoney(rentalRule('afterHoursFee')) }));
+    }
+    infoEl.textContent = lines.join(' · ');
+  }
+
+  /*
+   * Drivers
+   *
+   * The person booking is the main driver; additional drivers are optional.
+   * Every driver gives a date of birth, the country that issued their licence
+   * (ISO 3166 code, or OTHER) and the licence issue date. Ages and licence years
+   * are counted in whole years at the pickup date against the `driverRules` setting.
+   */
+  const LICENCE_COUNTRIES = [
+    'GR', 'CY', 'AL', 'AT', 'BE', 'BG', 'CH', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GB', 'HR', 'HU', 'IE', 'IS', 'IT',
+    'LT', 'LU', 'LV', 'MK', 'MT', 'NL', 'NO', 'PL', 'PT', 'RO', 'RS', 'SE', 'SI', 'SK', 'TR', 'UA', 'AU', 'CA', 'IL', 'NZ', 'US'
+  ];
+  let additionalDriverCount = 0;
+
+  // Country name in the given language; the code itself where the browser has no region names
+  function countryName(code, lang = currentLang) {
+    if (code === 'OTHER') return t('booking.otherCountry', {}, lang);
+    try {
+      return new Intl.DisplayNames([LANGUAGES[lang].locale], { type: 'region' }).of(code) || code;
+    } catch (e) {
+      return code;
+    }
+  }
+
+  // Whole years between two ISO dates; a 29 February birthday counts from 1 March in other years
+  function yearsBetween(fromIso, toIso) {
+    const [fy, fm, fd] = fromIso.split('-').map(Number);
+    const [ty, tm, td] = toIso.split('-').map(Number);
+    return ty - fy - (tm < fm || (tm === fm && td < fd) ? 1 : 0);
+  }
+
+  // Surcharge settings, with defaults for rules saved before they existed
+  function driverRule(key) {
+    return driverRules[key] || DEFAULTS.driverRules[key];
+  }
+
+  function categoryDriverRules(category) {
+    return (driverRules.categories || {})[category] || null;
+  }
+
+  // Fill a licence country select in the current language, sorted by name, keeping the choice
+  function populateCountrySelect(sel) {
+    const current = sel.value;
+    sel.innerHTML = '';
+    const options = [['', t('booking.selectCountry')]];
+    LICENCE_COUNTRIES.map((code) => [code, countryName(code)])
+      .sort((a, b) => a[1].localeCompare(b[1], LANGUAGES[currentLang].locale))
+      .forEach((option) => options.push(option));
+    options.push(['OTHER', countryName('OTHER')]);
+    options.forEach(([code, name]) => {
+      const opt = document.createElement('option');
+      opt.value = code;
+      opt.textContent = name;
+      sel.appendChild(opt);
+    });
+    sel.value = current;
+  }
+
+  /**
+   * Add an empty set of fields for one more driver below the main driver
+   */
+  window.addDriver = function () {
+    const container = document.getElementById('additional-drivers');
+    if (!container) return;
+    additionalDriverCount += 1;
+    const prefix = `driver-${additionalDriverCount}`;
+    const row = document.createElement('fieldset');
+    row.className = 'grid grid-cols-2 gap-3 rounded border border-gray-300 dark:border-gray-700 p-3';
+    row.dataset.driver = prefix;
+    const field = (key, labelKey, control, wide) => {
       const wrapper = document.createElement('div');
-      wrapper.className = 'flex items-center space-x-2';
-      const checkbox = document.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.id = id;
-      checkbox.value = extraKey;
-      checkbox.className = 'form-checkbox h-4 w-4 text-blue-600';
-      // When extras change, recalculate price
-      checkbox.addEventListener('change', calculatePrice);
+      if (wide) wrapper.className = 'col-span-2';
       const label = document.createElement('label');
-      label.htmlFor = id;
-      label.className = 'text-sm select-none';
-      label.textContent = `${extraKey} (\u20AC${extras[extraKey]} / ημέρα)`;
-      wrapper.appendChild(checkbox);
-      wrapper.appendChild(label);
-      container.appendChild(wrapper);
+      label.htmlFor = `${prefix}-${key}`;
+      label.className = 'block text-xs font-medium mb-1';
+      label.dataset.i18n = labelKey;
+      label.textContent = t(labelKey);
+      control.id = `${prefix}-${key}`;
+      control.dataset.field = key;
+      control.className = 'w-full rounded border border-gray-300 dark:border-gray-700 p-2 bg-gray-100 dark:bg-gray-700';
+      wrapper.append(label, control);
+      row.appendChild(wrapper);
+    };
+    const input = (type) => {
+      const el = document.createElement('input');
+      el.type = type;
+      return el;
+    };
+    const country = document.createElement('select');
+    populateCountrySelect(country);
+    field('name', 'booking.driverName', input('text'), true);
+    field('dateOfBirth', 'booking.dob', input('date'));
+    field('licenceIssued', 'booking.licenceIssued', input('date'));
+    field('licenceCountry', 'booking.licenceCountry', country, true);
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'col-span-2 justify-self-start text-xs text-red-500 hover:underline';
+    remove.dataset.i18n = 'booking.removeDriver';
+    remove.textContent = t('booking.removeDriver');
+    remove.addEventListener('click', () => {
+      row.remove();
+      calculatePrice();
+    });
+    row.appendChild(remove);
+    container.appendChild(row);
+    row.querySelector('input').focus();
+  };
+
+  /**
+   * Drivers as entered in the booking form: the main driver first, then every
+   * additional driver with at least one field filled in
+   */
+  function readDrivers() {
+    const value = (el, selector) => {
+      const input = el && el.querySelector(selector);
+      return input ? input.value.trim() : '';
+    };
+    const form = document.getElementById('booking-form');
+    const drivers = [{
+      name: value(form, '#name'),
+      dateOfBirth: value(form, '#driver-dob'),
+      licenceCountry: value(form, '#licence-country'),
+      licenceIssued: value(form, '#licence-issued'),
+      additional: false
+    }];
+    document.querySelectorAll('#additional-drivers [data-driver]').forEach((row) => {
+      const driver = {
+        name: value(row, '[data-field="name"]'),
+        dateOfBirth: value(row, '[data-field="dateOfBirth"]'),
+        licenceCountry: value(row, '[data-field="licenceCountry"]'),
+        licenceIssued: value(row, '[data-field="licenceIssued"]'),
+        additional: true
+      };
+      if (driver.name || driver.dateOfBirth || driver.licenceCountry || driver.licenceIssued) drivers.push(driver);
+    });
+    return drivers;
+  }
+
+  // Name of a driver for messages, falling back to their role when it has not been entered yet
+  function driverLabel(driver, index, lang = currentLang) {
+    if (driver.name) return driver.name;
+    return driver.additional ? t('driver.additional', { number: index }, lang) : t('driver.main', {}, lang);
+  }
+
+  /**
+   * Check the drivers against the requirements of a category at the pickup
+   * date. Returns translated problems; missing details are reported only when
+   * `complete` is set, so the price summary does not complain while the form is
+   * still being filled in.
+   */
+  function driverProblems(drivers, category, pickup, { complete = false } = {}) {
+    const rules = categoryDriverRules(category);
+    const problems = [];
+    drivers.forEach((driver, index) => {
+      const name = driverLabel(driver, index);
+      if (!driver.name || !driver.dateOfBirth || !driver.licenceCountry || !driver.licenceIssued) {
+        if (complete) problems.push(t('driver.incomplete', { name }));
+        if (!driver.dateOfBirth || !driver.licenceIssued) return;
+      }
+      if (driver.licenceIssued <= driver.dateOfBirth || driver.licenceIssued > pickup) {
+        problems.push(t('driver.invalidDates', { name }));
+        return;
+      }
+      if (!rules) return;
+      if (yearsBetween(driver.dateOfBirth, pickup) < rules.minAge) {
+        problems.push(t('driver.tooYoung', { name, category, minAge: rules.minAge }));
+      }
+      if (yearsBetween(driver.licenceIssued, pickup) < rules.minLicenceYears) {
+        problems.push(tp('driver.licenceTooNew', rules.minLicenceYears, { name, category }));
+      }
+    });
+    return problems;
+  }
+
+  // Requirements of the chosen category and the age surcharges, below the driver fields
+  function updateDriverInfo(category) {
+    const infoEl = document.getElementById('driver-info');
+    if (!infoEl) return;
+    const rules = categoryDriverRules(category);
+    const young = driverRule('youngDriver');
+    const senior = driverRule('seniorDriver');
+    const lines = [];
+    if (rules) {
+      lines.push(t('booking.driverAge', { category, minAge: rules.minAge }));
+      if (rules.minLicenceYears > 0) lines.push(tp('booking.driverLicence', rules.minLicenceYears));
+    }
+    if (young.perDay > 0) lines.push(t('booking.youngDriverNote', { age: young.underAge, amount: formatMoney(young.perDay) }));
+    if (senior.perDay > 0) lines.push(t('booking.seniorDriverNote', { age: senior.fromAge, amount: formatMoney(senior.perDay) }));
+    infoEl.textContent = lines.join(' ');
+  }
+
+  /*
+   * Promo codes
+   *
+   * Codes are matched case-insensitively. A code's `maxUses` is checked against
+   * the office's count of redemptions: the booking endpoint's `promoUses` with
+   * the HTTP transport (see "Booking transports"), otherwise the count published
+   * in config.json, which is only as current as the last export. This browser's
+   * own redemptions are kept under `promoUsage` ({ CODE: count }) and count too,
+   * so a customer cannot reuse a code before the office has caught up.
+   */
+  let publishedPromoUses = {};
+  let remotePromoUses = null;
+
+  function getPromoUsage() {
+    try {
+      return JSON.parse(localStorage.getItem('promoUsage')) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function recordPromoUse(code) {
+    const usage = getPromoUsage();
+    usage[code] = (usage[code] || 0) + 1;
+    localStorage.setItem('promoUsage', JSON.stringify(usage));
+  }
+
+  // { CODE: count } as read from config.json or the endpoint; anything else counts as none
+  function validUseCounts(value) {
+    return isPlainObject(value) && Object.values(value).every((n) => Number.isInteger(n) && n >= 0) ? value : {};
+  }
+
+  function promoUseCount(code) {
+    const office = remotePromoUses || publishedPromoUses;
+    return Math.max(office[code] || 0, getPromoUsage()[code] || 0);
+  }
+
+  // Redemptions per code as far as the admin knows: the ledger's bookings (not cancelled) or the office's count
+  async function officePromoUses() {
+    const ledger = {};
+    try {
+      (await getAllBookings()).forEach((b) => {
+        if (b.promoCode && b.status !== 'cancelled') ledger[b.promoCode] = (ledger[b.promoCode] || 0) + 1;
+      });
+    } catch (err) {
+      console.error('Could not count promo code uses', err);
+    }
+    const uses = {};
+    promoCodes.forEach((p) => {
+      uses[p.code] = Math.max(ledger[p.code] || 0, promoUseCount(p.code));
+    });
+    return uses;
+  }
+
+  /**
+   * Check a promo code against its restrictions for the given rental.
+   * Returns { promo } when it applies or { error } with the reason it doesn't.
+   */
+  function validatePromo(input, { days, category }) {
+    const code = input.trim().toUpperCase();
+    const promo = promoCodes.find((p) => p.code.toUpperCase() === code);
+    if (!promo) return { error: t('promo.unknown') };
+    const today = todayIso();
+    if ((promo.validFrom && today < promo.validFrom) || (promo.validTo && today > promo.validTo)) {
+      return { error: t('promo.inactive') };
+    }
+    if (promo.minDays && days < promo.minDays) {
+      return { error: t('promo.minDays', { days: promo.minDays }) };
+    }
+    if (promo.categories && promo.categories.length && !promo.categories.includes(category)) {
+      return { error: t('promo.categories', { categories: promo.categories.join(', ') }) };
+    }
+    if (promo.maxUses && promoUseCount(promo.code) >= promo.maxUses) {
+      return { error: t('promo.exhausted') };
+    }
+    if (promo.vipOnly && !isVIPUnlocked()) {
+      return { error: t('promo.vipOnly') };
+    }
+    return { promo };
+  }
+
+  /*
+   * Booking ledger
+   *
+   * Every submitted booking is stored in this browser's IndexedDB (database
+   * `miracars`, object store `bookings`, keyed by reference number) so it is
+   * kept even if the email is never sent. Admins manage the ledger from the
+   * "Κρατήσεις διαχειριστή" view. VIP concierge requests are kept the same way
+   * in the `concierge` store and claimed VIP deals in `dealClaims`. The
+   * `outbox` store holds references of bookings, requests and claims waiting
+   * for a connection to be delivered.
+   */
+  const DB_NAME = 'miracars';
+  const DB_VERSION = 4;
+  const BOOKING_STATUSES = {
+    pending: 'Σε αναμονή',
+    confirmed: 'Επιβεβαιωμένη',
+    cancelled: 'Ακυρωμένη',
+    completed: 'Ολοκληρωμένη'
+  };
+  let dbPromise = null;
+
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('bookings')) {
+            const store = db.createObjectStore('bookings', { keyPath: 'ref' });
+            store.createIndex('createdAt', 'createdAt');
+            store.createIndex('status', 'status');
+          }
+          if (!db.objectStoreNames.contains('outbox')) {
+            db.createObjectStore('outbox', { keyPath: 'ref' });
+          }
+          if (!db.objectStoreNames.contains('concierge')) {
+            db.createObjectStore('concierge', { keyPath: 'ref' }).createIndex('createdAt', 'createdAt');
+          }
+          if (!db.objectStoreNames.contains('dealClaims')) {
+            db.createObjectStore('dealClaims', { keyPath: 'ref' }).createIndex('createdAt', 'createdAt');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run a single request against an object store and resolve with its result
+  async function dbRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = makeRequest(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function saveBooking(booking) {
+    return dbRequest('bookings', 'readwrite', (store) => store.put(booking));
+  }
+
+  function getBooking(ref) {
+    return dbRequest('bookings', 'readonly', (store) => store.get(ref));
+  }
+
+  function getAllBookings() {
+    return dbRequest('bookings', 'readonly', (store) => store.getAll());
+  }
+
+  // kind is 'booking', 'concierge' or 'dealClaim' (see DELIVERY_FORMATS)
+  function queueDelivery(ref, kind = 'booking') {
+    return dbRequest('outbox', 'readwrite', (store) => store.put({ ref, kind, queuedAt: new Date().toISOString(), attempts: 0, lastError: '' }));
+  }
+
+  function getOutbox() {
+    return dbRequest('outbox', 'readonly', (store) => store.getAll());
+  }
+
+  // Reference such as MC-300712-7KQ2: prefix, submission date and four random characters
+  function generateBookingRef(prefix = 'MC') {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const random = Array.from(crypto.getRandomValues(new Uint8Array(4)), (b) => alphabet[b % alphabet.length]).join('');
+    const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+    return `${prefix}-${date}-${random}`;
+  }
+
+  // Instructions shown in the price summary for each payment method, per language. If the admin renames a method
+  // no match is found and a generic message is shown.
+  const PAYMENT_INSTRUCTIONS = {
+    'Πληρωμή στην παραλαβή': {
+      el: 'Καμία προπληρωμή – πληρώνετε το πλήρες ποσό κατά την παραλαβή του οχήματος.',
+      en: 'No prepayment – you pay the full amount when you pick up the vehicle.',
+      de: 'Keine Vorauszahlung – Sie zahlen den vollen Betrag bei Abholung des Fahrzeugs.',
+      fr: 'Aucun prépaiement – vous réglez la totalité à la prise en charge du véhicule.'
+    },
+    'Κάρτα (Stripe)': {
+      el: 'Θα λάβετε σύνδεσμο πληρωμής μέσω email για να ολοκληρώσετε την προκαταβολή με κάρτα μέσω Stripe.',
+      en: 'You will receive a payment link by email to pay the deposit by card via Stripe.',
+      de: 'Sie erhalten per E-Mail einen Zahlungslink, um die Anzahlung per Karte über Stripe zu leisten.',
+      fr: 'Vous recevrez par e-mail un lien de paiement pour régler l’acompte par carte via Stripe.'
+    },
+    'PayPal': {
+      el: 'Θα σας σταλεί σύνδεσμος PayPal για την πληρωμή της προκαταβολής.',
+      en: 'We will send you a PayPal link to pay the deposit.',
+      de: 'Wir senden Ihnen einen PayPal-Link für die Anzahlung.',
+      fr: 'Nous vous enverrons un lien PayPal pour régler l’acompte.'
+    },
+    'Κατάθεση σε Τράπεζα': {
+      el: 'Θα σας δοθούν τα στοιχεία IBAN για την τραπεζική κατάθεση.',
+      en: 'We will give you our IBAN details for the bank transfer.',
+      de: 'Sie erhalten unsere IBAN-Daten für die Banküberweisung.',
+      fr: 'Nous vous communiquerons notre IBAN pour le virement bancaire.'
+    },
+    'Apple Pay': {
+      el: 'Θα σας σταλεί αίτημα Apple Pay για την πληρωμή της προκαταβολής.',
+      en: 'We will send you an Apple Pay request to pay the deposit.',
+      de: 'Wir senden Ihnen eine Apple-Pay-Anfrage für die Anzahlung.',
+      fr: 'Nous vous enverrons une demande Apple Pay pour régler l’acompte.'
+    },
+    'Google Pay': {
+      el: 'Θα λάβετε σύνδεσμο Google Pay για την πληρωμή.',
+      en: 'You will receive a Google Pay link for the payment.',
+      de: 'Sie erhalten einen Google-Pay-Link für die Zahlung.',
+      fr: 'Vous recevrez un lien Google Pay pour le paiement.'
+    },
+    'Revolut': {
+      el: 'Θα σας σταλεί σύνδεσμος πληρωμής Revolut.',
+      en: 'We will send you a Revolut payment link.',
+      de: 'Wir senden Ihnen einen Revolut-Zahlungslink.',
+      fr: 'Nous vous enverrons un lien de paiement Revolut.'
+    },
+    'Viva Wallet': {
+      el: 'Θα σας δοθεί σύνδεσμος Viva Wallet για την προκαταβολή.',
+      en: 'You will be given a Viva Wallet link for the deposit.',
+      de: 'Sie erhalten einen Viva-Wallet-Link für die Anzahlung.',
+      fr: 'Vous recevrez un lien Viva Wallet pour l’acompte.'
+    },
+    'Crypto': {
+      el: 'Θα σας δοθεί διεύθυνση πορτοφολιού (BTC/ETH) για πληρωμή σε κρυπτονομίσματα.',
+      en: 'You will be given a wallet address (BTC/ETH) to pay in cryptocurrency.',
+      de: 'Sie erhalten eine Wallet-Adresse (BTC/ETH) für die Zahlung in Kryptowährung.',
+      fr: 'Nous vous communiquerons une adresse de portefeuille (BTC/ETH) pour payer en cryptomonnaie.'
+    }
+  };
+
+  /*
+   * Payment adapters
+   *
+   * Every payment method is handled by one of the adapters below, chosen per
+   * method in the `paymentAdapters` setting (methods without an entry are
+   * 'manual'). An adapter knows what the customer does next to pay:
+   * summary(method, lang) is the hint in the price summary before booking and
+   * nextStep(booking, lang) returns { lines, action } for the confirmation,
+   * where action ({ label, url }) is an optional link. An adapter that is not
+   * set up (no IBAN, no checkout URL) falls back to 'manual'.
+   *
+   * Payments are always in EUR, whatever currency the prices were shown in.
+   * Bookings keep the adapter they were made with, a paymentStatus from
+   * PAYMENT_STATUSES (changed only by the office) and, for bank transfers, an ISO 11649 RF creditor
+   * reference derived from the booking reference.
+   */
+  const PAYMENT_STATUSES = {
+    unpaid: 'Απλήρωτη',
+    deposit: 'Εξοφλήθηκε η προκαταβολή',
+    paid: 'Εξοφλήθηκε'
+  };
+
+  // Paid now: the deposit, or the whole amount when no deposit is asked for
+  function amountDue(booking) {
+    return booking.deposit > 0 ? booking.deposit : booking.total;
+  }
+
+  // Instructions for methods the office handles by hand, as configured in PAYMENT_INSTRUCTIONS
+  function manualInstructions(method, lang) {
+    return (PAYMENT_INSTRUCTIONS[method] && PAYMENT_INSTRUCTIONS[method][lang]) || t('price.paymentContact', {}, lang);
+  }
+
+  const PAYMENT_ADAPTERS = {
+    onsite: {
+      label: 'Πληρωμή στην παραλαβή',
+      ready: () => true,
+      summary: (method, lang) => manualInstructions(method, lang),
+      nextStep: (booking, lang) => ({ lines: [t('payment.onsite.next', { amount: formatMoney(booking.total, lang, BASE_CURRENCY) }, lang)], action: null })
+    },
+    bank: {
+      label: 'Τραπεζική κατάθεση με κωδικό RF',
+      ready: () => !!(bankAccount && bankAccount.iban),
+      summary: (method, lang) => t('payment.bank.summary', {}, lang),
+      nextStep: (booking, lang) => ({
+        lines: [
+          t('payment.bank.next', { amount: formatMoney(amountDue(booking), lang, BASE_CURRENCY) }, lang),
+          ...[
+            ['payment.beneficiary', bankAccount.beneficiary],
+            ['payment.iban', groupsOfFour(bankAccount.iban)],
+            ['payment.bic', bankAccount.bic],
+            ['payment.bank', bankAccount.bank],
+            ['payment.reference', groupsOfFour(booking.paymentReference)]
+          ].filter(([, value]) => value).map(([key, value]) => `${t(key, {}, lang)}: ${value}`)
+        ],
+        action: null
+      })
+    },
+    checkout: {
+      label: 'Σελίδα πληρωμής (κάρτα, πορτοφόλι)',
+      ready: () => !!checkoutUrl,
+      summary: (method, lang) => t('payment.checkout.summary', {}, lang),
+      nextStep: (booking, lang) => ({
+        lines: [t('payment.checkout.next', { amount: formatMoney(amountDue(booking), lang, BASE_CURRENCY), method: localizeName(booking.payment, lang) }, lang)],
+        action: { label: t('payment.checkout.pay', { amount: formatMoney(amountDue(booking), lang, BASE_CURRENCY) }, lang), url: checkoutLink(booking) }
+      })
+    },
+    manual: {
+      label: 'Οδηγίες από το γραφείο',
+      ready: () => true,
+      summary: (method, lang) => manualInstructions(method, lang),
+      nextStep: (booking, lang) => ({ lines: [manualInstructions(booking.payment, lang)], action: null })
+    }
+  };
+
+  // Adapter name for a payment method, falling back to 'manual' when its adapter is not set up
+  function paymentAdapterFor(method) {
+    const name = paymentAdapters[method];
+    return PAYMENT_ADAPTERS[name] && PAYMENT_ADAPTERS[name].ready() ? name : 'manual';
+  }
+
+  // ISO 7064 MOD 97-10 remainder of letters and digits, letters counting as 10–35 (RF references and IBANs)
+  function mod97(text) {
+    return Array.from(text.toUpperCase()).reduce((rest, ch) => {
+      const value = parseInt(ch, 36);
+      return (rest * (value > 9 ? 100 : 10) + value) % 97;
+    }, 0);
+  }
+
+  // ISO 11649 creditor reference for a booking, e.g. RF96MC3007127KQ2 for MC-300712-7KQ2
+  function creditorReference(ref) {
+    const body = ref.replace(/[^0-9A-Z]/gi, '').toUpperCase().slice(0, 21);
+    return `RF${String(98 - mod97(`${body}RF00`)).padStart(2, '0')}${body}`;
+  }
+
+  function isValidIban(iban) {
+    const compact = iban.replace(/\s+/g, '').toUpperCase();
+    return /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(compact) && mod97(compact.slice(4) + compact.slice(0, 4)) === 1;
+  }
+
+  // IBANs and RF references are read out in groups of four characters
+  function groupsOfFour(text) {
+    return text.replace(/\s+/g, '').replace(/(.{4})(?=.)/g, '$1 ');
+  }
+
+  // Address the checkout sends the customer back to; applyPaymentReturn() picks the result up
+  function paymentReturnUrl(booking, result) {
+    const url = new URL(location.href);
+    url.search = '';
+    url.searchParams.set('paymentRef', booking.ref);
+    url.searchParams.set('payment', result);
+    url.hash = `${ROUTE_PREFIX}confirmation`;
+    return url.href;
+  }
+
+  /**
+   * Fill in the checkout URL template for a booking. Placeholders: {ref},
+   * {amount}, {currency}, {method}, {email}, {success_url} and {cancel_url},
+   * all URL-encoded. Relative templates (such as mock-checkout.html) resolve
+   * against this page.
+   */
+  function checkoutLink(booking) {
+    const values = {
+      ref: booking.ref,
+      amount: amountDue(booking).toFixed(2),
+      currency: BASE_CURRENCY.code,
+      method: booking.payment,
+      email: booking.email,
+      success_url: paymentReturnUrl(booking, 'success'),
+      cancel_url: paymentReturnUrl(booking, 'cancelled')
+    };
+    const filled = checkoutUrl.replace(/\{(\w+)\}/g, (match, key) => (key in values ? encodeURIComponent(values[key]) : match));
+    return new URL(filled, location.href).href;
+  }
+
+  /**
+   * Handle the customer coming back from the checkout page and show the
+   * booking's confirmation. Anyone can type the return address, so a reported
+   * success is only noted on the booking (`paymentReported`) and the payment
+   * status stays with the office, which checks it with the provider. Returns
+   * true when the URL carried a payment result for a booking made here.
+   */
+  async function applyPaymentReturn() {
+    const search = new URLSearchParams(location.search);
+    const ref = search.get('paymentRef');
+    const result = search.get('payment');
+    if (!ref || !result) return false;
+    const url = new URL(location.href);
+    url.searchParams.delete('paymentRef');
+    url.searchParams.delete('payment');
+    history.replaceState(null, '', url);
+    let booking = null;
+    try {
+      booking = await getBooking(ref);
+    } catch (err) {
+      console.error('Could not read booking', err);
+    }
+    if (!booking) return false;
+    const paid = result === 'success';
+    if (paid && (booking.paymentStatus || 'unpaid') === 'unpaid' && !booking.paymentReported) {
+      booking.paymentReported = { at: new Date().toISOString() };
+      booking.updatedAt = booking.paymentReported.at;
+      await saveBooking(booking).catch((err) => console.error('Could not store booking', err));
+    }
+    confirmedBooking = booking;
+    const status = document.getElementById('confirmation-status');
+    if (status) status.textContent = t(paid ? 'payment.returned.success' : 'payment.returned.cancelled', { ref });
+    renderVoucher();
+    return true;
+  }
+
+  /*
+   * Admin authentication
+   *
+   * The admin password is stored only as a salted PBKDF2-SHA256 hash under
+   * `adminCredential`. A login creates an `adminSession` with an absolute expiry
+   * and an inactivity timeout. Repeated failures lock the login form for a while.
+   * Everything lives in this browser, so this protects against casual access on
+   * a shared device rather than against someone with full access to devtools.
+   */
+  const PBKDF2_ITERATIONS = 310000;
+  const MIN_PASSWORD_LENGTH = 8;
+  const SESSION_MAX_MS = 8 * 60 * 60 * 1000;
+  const SESSION_IDLE_MS = 30 * 60 * 1000;
+  const LOCKOUT_THRESHOLD = 5;
+  const LOCKOUT_BASE_MS = 5 * 60 * 1000;
+  const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+  // Sections only a signed-in admin may open
+  const ADMIN_SECTIONS = ['admin-bookings', 'admin-analytics'];
+
+  function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+  }
+
+  function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+  }
+
+  async function derivePasswordHash(password, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return new Uint8Array(bits);
+  }
+
+  // Compare two byte arrays without returning early on the first difference
+  function bytesEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    return diff === 0;
+  }
+
+  function getAdminCredential() {
+    try {
+      return JSON.parse(localStorage.getItem('adminCredential'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function hasAdminPassword() {
+    return !!getAdminCredential();
+  }
+
+  async function setAdminPassword(pwd) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await derivePasswordHash(pwd, salt, PBKDF2_ITERATIONS);
+    localStorage.setItem(
+      'adminCredential',
+      JSON.stringify({ algorithm: 'PBKDF2-SHA256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt), hash: bytesToBase64(hash) })
+    );
+  }
+
+  async function verifyAdminPassword(pwd) {
+    const credential = getAdminCredential();
+    if (!credential) return false;
+    const hash = await derivePasswordHash(pwd, base64ToBytes(credential.salt), credential.iterations);
+    return bytesEqual(hash, base64ToBytes(credential.hash));
+  }
+
+  // Earlier versions kept the password in plaintext and used a permanent isAdmin flag
+  async function migrateLegacyAdminAuth() {
+    localStorage.removeItem('isAdmin');
+    const legacy = localStorage.getItem('adminPassword');
+    if (legacy === null) return;
+    if (!hasAdminPassword()) {
+      await setAdminPassword(legacy);
+    }
+    localStorage.removeItem('adminPassword');
+  }
+
+  function getAdminSession() {
+    try {
+      return JSON.parse(localStorage.getItem('adminSession'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function isAdminLoggedIn() {
+    const session = getAdminSession();
+    if (!session) return false;
+    const now = Date.now();
+    if (now >= session.expiresAt || now - session.lastActivity >= SESSION_IDLE_MS) {
+      localStorage.removeItem('adminSession');
+      return false;
+    }
+    return true;
+  }
+
+  function setAdminLoggedIn(flag) {
+    if (flag) {
+      const now = Date.now();
+      localStorage.setItem('adminSession', JSON.stringify({ createdAt: now, lastActivity: now, expiresAt: now + SESSION_MAX_MS }));
+    } else {
+      localStorage.removeItem('adminSession');
+    }
+  }
+
+  // Extend the inactivity window; written at most every 30 seconds
+  function touchAdminSession() {
+    const session = getAdminSession();
+    if (!session || !isAdminLoggedIn()) return;
+    const now = Date.now();
+    if (now - session.lastActivity < 30 * 1000) return;
+    session.lastActivity = now;
+    localStorage.setItem('adminSession', JSON.stringify(session));
+  }
+
+  let adminUiActive = false;
+
+  // Called periodically: when the session runs out, drop the admin UI
+  function checkAdminSession() {
+    if (adminUiActive && !isAdminLoggedIn()) {
+      leaveAdminMode();
+      alert('Η συνεδρία διαχειριστή έληξε. Συνδεθείτε ξανά.');
+    }
+  }
+
+  function leaveAdminMode() {
+    updateAuthNav();
+    hideSettingsPanel();
+    if (ADMIN_SECTIONS.some((id) => !document.getElementById(id).classList.contains('hidden'))) {
+      showTab('home');
+    }
+  }
+
+  function getLoginAttempts() {
+    try {
+      return JSON.parse(localStorage.getItem('adminLoginAttempts')) || { failures: 0, lockedUntil: 0 };
+    } catch (e) {
+      return { failures: 0, lockedUntil: 0 };
+    }
+  }
+
+  // Minutes left on the current lockout, or 0 when the login form may be used
+  function lockoutMinutesLeft() {
+    const remaining = getLoginAttempts().lockedUntil - Date.now();
+    return remaining > 0 ? Math.ceil(remaining / 60000) : 0;
+  }
+
+  // Every LOCKOUT_THRESHOLD consecutive failures lock the form, doubling the wait each time
+  function recordLoginFailure() {
+    const attempts = getLoginAttempts();
+    attempts.failures += 1;
+    if (attempts.failures % LOCKOUT_THRESHOLD === 0) {
+      const rounds = attempts.failures / LOCKOUT_THRESHOLD;
+      attempts.lockedUntil = Date.now() + Math.min(LOCKOUT_BASE_MS * 2 ** (rounds - 1), LOCKOUT_MAX_MS);
+    }
+    localStorage.setItem('adminLoginAttempts', JSON.stringify(attempts));
+  }
+
+  function clearLoginFailures() {
+    localStorage.removeItem('adminLoginAttempts');
+  }
+
+  function lockoutMessage(minutes) {
+    return `Πολλές αποτυχημένες προσπάθειες. Δοκιμάστε ξανά σε ${minutes} ${minutes === 1 ? 'λεπτό' : 'λεπτά'}.`;
+  }
+
+  /**
+   * Check a password against the stored hash, honouring the lockout.
+   * Returns an error message, or '' when the password is correct.
+   */
+  async function checkPasswordAttempt(pwd) {
+    const locked = lockoutMinutesLeft();
+    if (locked) return lockoutMessage(locked);
+    if (await verifyAdminPassword(pwd)) {
+      clearLoginFailures();
+      return '';
+    }
+    recordLoginFailure();
+    const nowLocked = lockoutMinutesLeft();
+    return nowLocked ? lockoutMessage(nowLocked) : 'Λάθος κωδικός.';
+  }
+
+  /*
+   * Passkeys (WebAuthn)
+   *
+   * Admins can register platform passkeys (Touch ID, Windows Hello, Android
+   * screen lock…) from the settings panel. For each one we keep the credential ID,
+   * its public key (SPKI, from the attestation response), the COSE algorithm and
+   * the signature counter under `adminPasskeys`. A passkey login is only accepted
+   * after checking the challenge, origin, RP ID hash, user presence/verification
+   * flags, the counter and the signature ourselves.
+   */
+  const WEBAUTHN_TIMEOUT_MS = 60000;
+  const COSE_ES256 = -7;
+  const COSE_RS256 = -257;
+
+  function bytesToBase64Url(bytes) {
+    return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function base64UrlToBytes(text) {
+    const padded = text.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((text.length + 3) % 4);
+    return base64ToBytes(padded);
+  }
+
+  function passkeysSupported() {
+    return window.isSecureContext && typeof window.PublicKeyCredential === 'function';
+  }
+
+  function getPasskeys() {
+    try {
+      return JSON.parse(localStorage.getItem('adminPasskeys')) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function savePasskeys(list) {
+    localStorage.setItem('adminPasskeys', JSON.stringify(list));
+  }
+
+  // Stable, random WebAuthn user handle for the single admin account
+  function getPasskeyUserId() {
+    let id = localStorage.getItem('adminPasskeyUserId');
+    if (!id) {
+      id = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+      localStorage.setItem('adminPasskeyUserId', id);
+    }
+    return base64UrlToBytes(id);
+  }
+
+  /**
+   * Check the parts common to registration and login responses: client data
+   * type, challenge and origin, plus the RP ID hash and flags of the authenticator
+   * data. Returns the parsed authenticator data or throws.
+   */
+  async function verifyWebAuthnResponse(clientDataJSON, authData, expectedType, challenge) {
+    const clientData = JSON.parse(new TextDecoder().decode(clientDataJSON));
+    if (clientData.type !== expectedType) throw new Error('unexpected client data type');
+    if (clientData.challenge !== bytesToBase64Url(challenge)) throw new Error('challenge mismatch');
+    if (clientData.origin !== window.location.origin) throw new Error('origin mismatch');
+    const data = new Uint8Array(authData);
+    const rpIdHash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(window.location.hostname)));
+    if (!bytesEqual(data.slice(0, 32), rpIdHash)) throw new Error('RP ID mismatch');
+    const flags = data[32];
+    // Bit 0: user present, bit 2: user verified
+    if (!(flags & 0x01) || !(flags & 0x04)) throw new Error('user not verified');
+    const signCount = new DataView(data.buffer, data.byteOffset + 33, 4).getUint32(0);
+    return { data, signCount };
+  }
+
+  // WebAuthn ECDSA signatures are ASN.1 DER; WebCrypto expects raw r||s
+  function derToRawSignature(der) {
+    const bytes = new Uint8Array(der);
+    let offset = 2;
+    const readInt = () => {
+      if (bytes[offset] !== 0x02) throw new Error('bad signature');
+      const length = bytes[offset + 1];
+      let value = bytes.slice(offset + 2, offset + 2 + length);
+      offset += 2 + length;
+      while (value.length > 32 && value[0] === 0) value = value.slice(1);
+      const padded = new Uint8Array(32);
+      padded.set(value, 32 - value.length);
+      return padded;
+    };
+    const raw = new Uint8Array(64);
+    raw.set(readInt(), 0);
+    raw.set(readInt(), 32);
+    return raw;
+  }
+
+  async function verifyPasskeySignature(passkey, authData, clientDataJSON, signature) {
+    const clientDataHash = new Uint8Array(await crypto.subtle.digest('SHA-256', clientDataJSON));
+    const signed = new Uint8Array(authData.length + clientDataHash.length);
+    signed.set(authData, 0);
+    signed.set(clientDataHash, authData.length);
+    const spki = base64ToBytes(passkey.publicKey);
+    if (passkey.algorithm === COSE_ES256) {
+      const key = await crypto.subtle.importKey('spki', spki, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+      return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, derToRawSignature(signature), signed);
+    }
+    if (passkey.algorithm === COSE_RS256) {
+      const key = await crypto.subtle.importKey('spki', spki, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+      return crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, signed);
+    }
+    return false;
+  }
+
+  /**
+   * Register a new platform passkey for the logged-in admin
+   */
+  async function registerPasskey(label) {
+    const challenge = crypto.getRandomValues(new Uint8Array(32));
+    const credential = await navigator.credentials.create({
+      publicKey: {
+        rp: { name: 'Mira Cars', id: window.location.hostname },
+        user: { id: getPasskeyUserId(), name: 'admin', displayName: 'Διαχειριστής Mira Cars' },
+        challenge,
+        pubKeyCredParams: [
+          { type: 'public-key', alg: COSE_ES256 },
+          { type: 'public-key', alg: COSE_RS256 }
+        ],
+        authenticatorSelection: { authenticatorAttachment: 'platform', userVerification: 'required', residentKey: 'preferred' },
+        excludeCredentials: getPasskeys().map((p) => ({ type: 'public-key', id: base64UrlToBytes(p.id) })),
+        attestation: 'none',
+        timeout: WEBAUTHN_TIMEOUT_MS
+      }
+    });
+    const response = credential.response;
+    if (typeof response.getPublicKey !== 'function' || typeof response.getAuthenticatorData !== 'function') {
+      throw new Error('Ο browser δεν υποστηρίζει αποθήκευση δημόσιου κλειδιού passkey.');
+    }
+    const algorithm = response.getPublicKeyAlgorithm();
+    const publicKey = response.getPublicKey();
+    if (!publicKey || (algorithm !== COSE_ES256 && algorithm !== COSE_RS256)) {
+      throw new Error('Μη υποστηριζόμενος αλγόριθμος passkey.');
+    }
+    const { signCount } = await verifyWebAuthnResponse(response.clientDataJSON, response.getAuthenticatorData(), 'webauthn.create', challenge);
+    const passkeys = getPasskeys();
+    passkeys.push({
+      id: bytesToBase64Url(credential.rawId),
+      label,
+      publicKey: bytesToBase64(publicKey),
+      algorithm,
+      signCount,
+      transports: typeof response.getTransports === 'function' ? response.getTransports() : [],
+      createdAt: new Date().toISOString(),
+      lastUsedAt: ''
+    });
+    savePasskeys(passkeys);
+  }
+
+  /**
+   * Ask the authenticator for an assertion and verify it. Resolves to true when
+   * the admin may be logged in.
+   */
+  async function authenticateWithPasskey() {
+    const passkeys = getPasskeys();
+    const challenge = crypto.getRandomValues(new Uint8Array(32));
+    const credential = await navigator.credentials.get({
+      publicKey: {
+        challenge,
+        rpId: window.location.hostname,
+        allowCredentials: passkeys.map((p) => ({ type: 'public-key', id: base64UrlToBytes(p.id), transports: p.transports })),
+        userVerification: 'required',
+        timeout: WEBAUTHN_TIMEOUT_MS
+      }
+    });
+    const passkey = passkeys.find((p) => p.id === bytesToBase64Url(credential.rawId));
+    if (!passkey) throw new Error('unknown credential');
+    const response = credential.response;
+    const { data, signCount } = await verifyWebAuthnResponse(response.clientDataJSON, response.authenticatorData, 'webauthn.get', challenge);
+    // A counter that does not increase may mean a cloned authenticator; 0/0 means the authenticator doesn't count
+    if ((signCount !== 0 || passkey.signCount !== 0) && signCount <= passkey.signCount) {
+      throw new Error('signature counter did not increase');
+    }
+    if (!(await verifyPasskeySignature(passkey, data, response.clientDataJSON, response.signature))) {
+      throw new Error('invalid signature');
+    }
+    passkey.signCount = signCount;
+    passkey.lastUsedAt = new Date().toISOString();
+    savePasskeys(passkeys);
+    return true;
+  }
+
+  /**
+   * List registered passkeys in the settings panel with a revoke button each
+   */
+  function renderPasskeyList() {
+    const list = document.getElementById('passkey-list');
+    const addBtn = document.getElementById('add-passkey');
+    if (!list) return;
+    if (addBtn) addBtn.classList.toggle('hidden', !passkeysSupported());
+    list.innerHTML = '';
+    const passkeys = getPasskeys();
+    if (!passkeys.length) {
+      list.innerHTML = `<li class="text-gray-500">${passkeysSupported() ? 'Δεν έχουν καταχωρηθεί passkeys.' : 'Τα passkeys απαιτούν HTTPS και συμβατό browser.'}</li>`;
+      return;
+    }
+    passkeys.forEach((p) => {
+      const item = document.createElement('li');
+      item.className = 'flex items-center justify-between';
+      const text = document.createElement('span');
+      const lastUsed = p.lastUsedAt ? `, τελ. χρήση ${new Date(p.lastUsedAt).toLocaleDateString('el-GR')}` : '';
+      text.textContent = `${p.label} (${new Date(p.createdAt).toLocaleDateString('el-GR')}${lastUsed})`;
+      const revoke = document.createElement('button');
+      revoke.type = 'button';
+      revoke.className = 'text-red-500 hover:text-red-400';
+      revoke.textContent = 'Ανάκληση';
+      revoke.addEventListener('click', () => {
+        if (!confirm(`Ανάκληση του passkey «${p.label}»;`)) return;
+        savePasskeys(getPasskeys().filter((k) => k.id !== p.id));
+        renderPasskeyList();
+      });
+      item.appendChild(text);
+      item.appendChild(revoke);
+      list.appendChild(item);
+    });
+  }
+
+  window.addPasskey = async function () {
+    if (!isAdminLoggedIn()) {
+      checkAdminSession();
+      return;
+    }
+    const label = prompt('Όνομα για το passkey (π.χ. «Tablet ρεσεψιόν»):', 'Passkey');
+    if (label === null) return;
+    try {
+      await registerPasskey(label.trim() || 'Passkey');
+      renderPasskeyList();
+      alert('Το passkey καταχωρήθηκε.');
+    } catch (err) {
+      console.error('Passkey registration failed', err);
+      alert(err.name === 'NotAllowedError' ? 'Η καταχώρηση ακυρώθηκε.' : `Η καταχώρηση απέτυχε: ${err.message}`);
+    }
+  };
+
+  /**
+   * Update navigation items based on admin authentication state.
+   * When admin is logged in, the settings link becomes visible and the auth link shows "log out".
+   */
+  function updateAuthNav() {
+    const loggedIn = isAdminLoggedIn();
+    adminUiActive = loggedIn;
+    // Desktop
+    const authLink = document.getElementById('admin-auth-link');
+    const settingsLink = document.getElementById('settings-link');
+    if (authLink) {
+      authLink.textContent = t(loggedIn ? 'nav.logout' : 'nav.login');
+    }
+    if (settingsLink) {
+      settingsLink.classList.toggle('hidden', !loggedIn);
+    }
+    // Mobile
+    const authLinkMobile = document.getElementById('mobile-admin-auth-link');
+    const settingsLinkMobile = document.getElementById('mobile-settings-link');
+    if (authLinkMobile) {
+      authLinkMobile.textContent = t(loggedIn ? 'nav.logout' : 'nav.login');
+    }
+    if (settingsLinkMobile) {
+      settingsLinkMobile.classList.toggle('hidden', !loggedIn);
+    }
+    // Admin-only bookings and statistics views and quote links
+    ['bookings-link', 'mobile-bookings-link', 'analytics-link', 'mobile-analytics-link', 'copy-quote-link'].forEach((id) => {
+      const link = document.getElementById(id);
+      if (link) link.classList.toggle('hidden', !loggedIn);
+    });
+  }
+
+  // Shared markup for a labelled password field in the login modal
+  function passwordField(id, label, autocomplete) {
+    return `
+        <div>
+          <label for="${id}" class="block text-sm font-medium mb-1">${label}</label>
+          <input type="password" id="${id}" autocomplete="${autocomplete}" class="w-full rounded border border-gray-300 dark:border-gray-700 p-2 bg-gray-100 dark:bg-gray-700" required />
+        </div>`;
+  }
+
+  /**
+   * Validate a new password and its confirmation. Returns an error message or ''.
+   */
+  function newPasswordError(pwd, confirmation) {
+    if (pwd.length < MIN_PASSWORD_LENGTH) {
+      return `Ο κωδικός πρέπει να έχει τουλάχιστον ${MIN_PASSWORD_LENGTH} χαρακτήρες.`;
+    }
+    if (pwd !== confirmation) {
+      return 'Οι δύο κωδικοί δεν ταιριάζουν.';
+    }
+    return '';
+  }
+
+  /**
+   * Render login modal content depending on whether a password is already set.
+   */
+  function renderLoginContent() {
+    const container = document.getElementById('login-content');
+    if (!container) return;
+    container.innerHTML = '';
+    document.getElementById('login-title').textContent = 'Είσοδος Διαχειριστή';
+    if (!hasAdminPassword()) {
+      // Setup form for first time password creation
+      const form = document.createElement('form');
+      form.className = 'space-y-4';
+      form.innerHTML = `
+        <p class="text-sm">Ορίστε κωδικό πρόσβασης για τον λογαριασμό διαχειριστή.</p>
+        ${passwordField('new-password', 'Νέος κωδικός', 'new-password')}
+        ${passwordField('confirm-password', 'Επιβεβαίωση κωδικού', 'new-password')}
+        <button type="submit" class="bg-blue-600 hover:bg-blue-500 text-white w-full py-2 rounded font-semibold">Αποθήκευση</button>
+      `;
+      form.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        const newPwd = form.querySelector('#new-password').value;
+        const error = newPasswordError(newPwd, form.querySelector('#confirm-password').value);
+        if (error) {
+          alert(error);
+          return;
+        }
+        await setAdminPassword(newPwd);
+        setAdminLoggedIn(true);
+        updateAuthNav();
+        closeLogin();
+        alert('Ο κωδικός αποθηκεύτηκε. Έχετε συνδεθεί ως διαχειριστής.');
+      });
+      container.appendChild(form);
+    } else {
+      // Login form
+      const form = document.createElement('form');
+      form.className = 'space-y-4';
+      form.innerHTML = `
+        ${passwordField('admin-password', 'Κωδικός', 'current-password')}
+        <p id="login-error" class="hidden text-sm text-red-500" role="alert"></p>
+        <button type="submit" class="bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white w-full py-2 rounded font-semibold">Είσοδος</button>
+        <button type="button" id="bio-login" class="${passkeysSupported() && getPasskeys().length ? '' : 'hidden '}bg-green-600 hover:bg-green-500 disabled:opacity-50 text-white w-full py-2 rounded font-semibold">Σύνδεση με passkey</button>
+      `;
+      const errorEl = form.querySelector('#login-error');
+      const submitBtn = form.querySelector('button[type="submit"]');
+      const showError = (message) => {
+        errorEl.textContent = message;
+        errorEl.classList.toggle('hidden', !message);
+      };
+      const locked = lockoutMinutesLeft();
+      if (locked) showError(lockoutMessage(locked));
+      form.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        submitBtn.disabled = true;
+        const error = await checkPasswordAttempt(form.querySelector('#admin-password').value);
+        submitBtn.disabled = false;
+        if (error) {
+          showError(error);
+          form.querySelector('#admin-password').value = '';
+          return;
+        }
+        setAdminLoggedIn(true);
+        updateAuthNav();
+        closeLogin();
+        alert('Επιτυχής σύνδεση.');
+      });
+      // Passkey login; shown only when a passkey has been registered on this device
+      const bioBtn = form.querySelector('#bio-login');
+      bioBtn.addEventListener('click', async function () {
+        const lockedFor = lockoutMinutesLeft();
+        if (lockedFor) {
+          showError(lockoutMessage(lockedFor));
+          return;
+        }
+        bioBtn.disabled = true;
+        try {
+          await authenticateWithPasskey();
+        } catch (err) {
+          bioBtn.disabled = false;
+          console.error('Passkey login failed', err);
+          if (err.name !== 'NotAllowedError') recordLoginFailure();
+          showError(err.name === 'NotAllowedError' ? 'Η σύνδεση με passkey ακυρώθηκε.' : 'Η σύνδεση με passkey απέτυχε.');
+          return;
+        }
+        clearLoginFailures();
+        setAdminLoggedIn(true);
+        updateAuthNav();
+        closeLogin();
+        alert('Επιτυχής σύνδεση.');
+      });
+      container.appendChild(form);
+    }
+  }
+
+  /**
+   * Render the change password form for a logged-in admin
+   */
+  function renderChangePasswordContent() {
+    const container = document.getElementById('login-content');
+    container.innerHTML = '';
+    document.getElementById('login-title').textContent = 'Αλλαγή κωδικού';
+    const form = document.createElement('form');
+    form.className = 'space-y-4';
+    form.innerHTML = `
+      ${passwordField('current-password', 'Τρέχων κωδικός', 'current-password')}
+      ${passwordField('new-password', 'Νέος κωδικός', 'new-password')}
+      ${passwordField('confirm-password', 'Επιβεβαίωση νέου κωδικού', 'new-password')}
+      <p id="login-error" class="hidden text-sm text-red-500" role="alert"></p>
+      <button type="submit" class="bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white w-full py-2 rounded font-semibold">Αλλαγή κωδικού</button>
+    `;
+    const errorEl = form.querySelector('#login-error');
+    const showError = (message) => {
+      errorEl.textContent = message;
+      errorEl.classList.toggle('hidden', !message);
+    };
+    form.addEventListener('submit', async function (e) {
+      e.preventDefault();
+      if (!isAdminLoggedIn()) {
+        closeLogin();
+        checkAdminSession();
+        return;
+      }
+      const newPwd = form.querySelector('#new-password').value;
+      const invalid = newPasswordError(newPwd, form.querySelector('#confirm-password').value);
+      if (invalid) {
+        showError(invalid);
+        return;
+      }
+      const submitBtn = form.querySelector('button[type="submit"]');
+      submitBtn.disabled = true;
+      const error = await checkPasswordAttempt(form.querySelector('#current-password').value);
+      if (error) {
+        submitBtn.disabled = false;
+        showError(error);
+        return;
+      }
+      await setAdminPassword(newPwd);
+      // Start a fresh session with the new password
+      setAdminLoggedIn(true);
+      closeLogin();
+      alert('Ο κωδικός άλλαξε.');
+    });
+    container.appendChild(form);
+  }
+
+  /**
+   * Open login modal
+   */
+  window.openLogin = function () {
+    renderLoginContent();
+    document.getElementById('login-modal').classList.remove('hidden');
+  };
+  window.closeLogin = function () {
+    document.getElementById('login-modal').classList.add('hidden');
+  };
+
+  window.openChangePassword = function () {
+    renderChangePasswordContent();
+    document.getElementById('login-modal').classList.remove('hidden');
+  };
+
+  /**
+   * Toggle authentication action: log in if not logged, log out if logged
+   */
+  window.toggleAuth = function () {
+    if (isAdminLoggedIn()) {
+      // Sign out, close settings panel if open and leave admin-only views
+      setAdminLoggedIn(false);
+      leaveAdminMode();
+      alert('Αποσυνδεθήκατε.');
+    } else {
+      openLogin();
+    }
+  };
+
+  /**
+   * Initialise the page after DOM loads
+   */
+  async function init() {
+    // Hash any plaintext admin password left by earlier versions before anything else
+    try {
+      await migrateLegacyAdminAuth();
+    } catch (err) {
+      console.error('Could not migrate admin password', err);
+    }
+
+    // Published settings (config.json) must be in place before anything is rendered
+    await loadPublishedConfig();
+    reloadSettings();
+
+    // Language switcher and static texts in the visitor's language
+    const languageSelect = document.getElementById('language-select');
+    if (languageSelect) {
+      Object.entries(LANGUAGES).forEach(([code, { label }]) => {
+        const opt = document.createElement('option');
+        opt.value = code;
+        opt.textContent = label;
+        languageSelect.appendChild(opt);
+      });
+    }
+    applyTranslations();
+
+    // Cookie consent
+    initConsent();
+
+    migrateLegacyVipSettings();
+    migrateLegacyDealClaims();
+
+    // Update VIP nav links if VIP already unlocked
+    updateVIPNav();
+
+    // Populate dynamic selects and extras for bookings
+    populateCurrencySelect();
+    populateBookingSelects();
+    populateExtras();
+    renderGuide();
+    renderTermsAcceptance();
+    // Handle hero search submission
+    const heroForm = document.getElementById('hero-search');
+    if (heroForm) {
+      heroForm.addEventListener('submit', function (e) {
+        e.preventDefault();
+        prefillBookingForm({
+          category: document.getElementById('hero-car-category').value,
+          pickup: document.getElementById('hero-pickup-date').value,
+          dropoff: document.getElementById('hero-dropoff-date').value
+        });
+        trackEvent('search', { category: document.getElementById('hero-car-category').value });
+        showTab('booking');
+      });
+    }
+    // Initial price summary, again once the office's current holds are in
+    calculatePrice();
+    refreshEndpointState().then(calculatePrice);
+
+    // Open the section named in the URL (a shared booking link opens the booking form,
+    // the return from the checkout page the booking's confirmation)
+    await applyPaymentReturn();
+    const linked = applyBookingLink();
+    showTab(currentRoute() || (linked ? 'booking' : 'home'), { replace: true });
+    window.addEventListener('popstate', () => {
+      showTab(currentRoute() || 'home', { updateUrl: false });
+    });
+
+    // Handle booking form submission
+    const bookingForm = document.getElementById('booking-form');
+    if (bookingForm) {
+      bookingForm.addEventListener('submit', handleBookingSubmit);
+    }
+    document.getElementById('concierge-form').addEventListener('submit', handleConciergeSubmit);
+
+    // Add listeners to recalculate price when inputs change
+    const pickupInput = document.getElementById('pickup-date');
+    const dropoffInput = document.getElementById('dropoff-date');
+    const carSelect = document.getElementById('car-category');
+    const paymentSelect = document.getElementById('payment-method');
+    if (pickupInput) pickupInput.addEventListener('change', calculatePrice);
+    if (dropoffInput) dropoffInput.addEventListener('change', calculatePrice);
+    if (carSelect) carSelect.addEventListener('change', calculatePrice);
+    // Payment method doesn't change price but we still want to update summary instructions
+    if (paymentSelect) paymentSelect.addEventListener('change', calculatePrice);
+    const promoInput = document.getElementById('promo-code');
+    if (promoInput) promoInput.addEventListener('change', calculatePrice);
+    ['pickup-time', 'dropoff-time', 'pickup-location', 'dropoff-location', 'name', 'driver-dob', 'licence-country', 'licence-issued', 'additional-drivers'].forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener('change', calculatePrice);
+    });
+
+    // Offline support: cache the site for offline use and send queued bookings when back online
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register('sw.js').catch((err) => console.error('Service worker registration failed', err));
+    }
+    window.addEventListener('online', flushOutbox);
+    flushOutbox();
+    // Statistics go out in batches and when the visitor leaves
+    window.addEventListener('online', () => sendAnalytics());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') sendAnalytics({ leaving: true });
+    });
+
+    // Statistics dashboard period
+    document.getElementById('analytics-range').addEventListener('change', renderAnalyticsDashboard);
+
+    // Admin bookings dashboard filters
+    ['ledger-search', 'ledger-from', 'ledger-to', 'ledger-category', 'ledger-status'].forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener('input', renderBookingsTable);
+    });
+    document.getElementById('concierge-filter').addEventListener('change', renderConciergeQueue);
+
+    // Legal texts editor: show the versions of the chosen document
+    document.getElementById('legal-doc-select').addEventListener('change', fillLegalEditor);
+
+    // Pre-fill the settings panel and track unsaved edits in it
+    fillSettingsForm();
+    const settingsPanel = document.getElementById('settings-panel');
+    ['input', 'change'].forEach((type) => {
+      settingsPanel.addEventListener(type, (e) => {
+        if (!e.target.matches('input, select, textarea')) return;
+        // Legal texts are published on their own, not with the other settings
+        if (e.target.closest('#legal-editor')) return;
+        markSettingsDirty();
+        if (e.target.id === 'deposit-input') {
+          document.getElementById('deposit-value').textContent = `${e.target.value}%`;
+        }
+        renderSettingsPreview();
+      });
+    });
+
+    // Update auth navigation based on current admin login state
+    updateAuthNav();
+    // Keep the admin session alive while the admin is active and end it when it expires
+    ['click', 'keydown', 'touchstart'].forEach((type) => {
+      document.addEventListener(type, touchAdminSession, { passive: true });
+    });
+    setInterval(checkAdminSession, 60 * 1000);
+  }
+
+  /*
+   * Routing
+   *
+   * The visible section lives in the URL hash (#/booking), so sections can be
+   * bookmarked and the browser's back and forward buttons move between them.
+   * Booking links may add query parameters that pre-fill the booking form, e.g.
+   * ?category=SUV&pickup=2030-07-12&dropoff=2030-07-19&extras=GPS&promo=SUMMER10#/booking
+   * plus pickupTime/dropoffTime (HH:MM) and pickupLocation/dropoffLocation.
+   * Several extras are separated by commas. The parameters may also follow the
+   * hash (#/booking?category=SUV).
+   */
+  const ROUTE_PREFIX = '#/';
+  const BOOKING_LINK_PARAMS = ['category', 'pickup', 'dropoff', 'pickupTime', 'dropoffTime', 'pickupLocation', 'dropoffLocation', 'extras', 'promo'];
+
+  // Section named in the URL hash, or null
+  function currentRoute() {
+    if (!location.hash.startsWith(ROUTE_PREFIX)) return null;
+    const route = location.hash.slice(ROUTE_PREFIX.length).split('?')[0];
+    const section = route && document.getElementById(route);
+    return section && section.classList.contains('tab-section') ? route : null;
+  }
+
+  // Booking form parameters from the query string and the hash, or null when there are none
+  function bookingLinkParams() {
+    const search = new URLSearchParams(location.search);
+    const hashQuery = new URLSearchParams(location.hash.split('?')[1] || '');
+    const value = (key) => hashQuery.get(key) || search.get(key) || '';
+    if (!BOOKING_LINK_PARAMS.some((key) => value(key))) return null;
+    return {
+      category: value('category'),
+      pickup: value('pickup'),
+      dropoff: value('dropoff'),
+      pickupTime: value('pickupTime'),
+      dropoffTime: value('dropoffTime'),
+      pickupLocation: value('pickupLocation'),
+      dropoffLocation: value('dropoffLocation'),
+      extras: [...search.getAll('extras'), ...hashQuery.getAll('extras')]
+        .flatMap((list) => list.split(','))
+        .map((name) => name.trim())
+        .filter(Boolean),
+      promo: value('promo')
+    };
+  }
+
+  /**
+   * Fill the booking form with the given values. Unknown categories, locations
+   * and extras and malformed dates or times are ignored so a stale link still
+   * opens a usable form.
+   */
+  function prefillBookingForm({ category = '', pickup = '', dropoff = '', pickupTime = '', dropoffTime = '', pickupLocation = '', dropoffLocation = '', extras: wanted = [], promo = '' } = {}) {
+    const byName = (names, wantedName) => names.find((name) => name.toLowerCase() === wantedName.toLowerCase());
+    const categorySelect = document.getElementById('car-category');
+    const match = byName(Object.keys(carCategories), category);
+    if (categorySelect && match) categorySelect.value = match;
+    [
+      ['pickup-date', pickup, /^\d{4}-\d{2}-\d{2}$/],
+      ['dropoff-date', dropoff, /^\d{4}-\d{2}-\d{2}$/],
+      ['pickup-time', pickupTime, /^([01]\d|2[0-3]):[0-5]\d$/],
+      ['dropoff-time', dropoffTime, /^([01]\d|2[0-3]):[0-5]\d$/],
+      ['pickup-location', byName(locations.map((l) => l.name), pickupLocation) || '', /./],
+      ['dropoff-location', byName(locations.map((l) => l.name), dropoffLocation) || '', /./]
+    ].forEach(([id, value, pattern]) => {
+      const input = document.getElementById(id);
+      if (input && pattern.test(value)) input.value = value;
+    });
+    if (wanted.length) {
+      const names = wanted.map((name) => name.toLowerCase());
+      document.querySelectorAll('#extras-container input[type="checkbox"]').forEach((checkbox) => {
+        checkbox.checked = names.includes(checkbox.value.toLowerCase());
+      });
+    }
+    const promoInput = document.getElementById('promo-code');
+    if (promoInput && promo) promoInput.value = promo.toUpperCase();
+    calculatePrice();
+  }
+
+  /**
+   * Pre-fill the booking form from a shared link and remove the parameters from
+   * the address bar, so reloading the page doesn't undo the visitor's changes.
+   * Returns true when the URL carried booking parameters.
+   */
+  function applyBookingLink() {
+    const params = bookingLinkParams();
+    if (!params) return false;
+    prefillBookingForm(params);
+    const url = new URL(location.href);
+    BOOKING_LINK_PARAMS.forEach((key) => url.searchParams.delete(key));
+    url.hash = `${ROUTE_PREFIX}booking`;
+    history.replaceState(null, '', url);
+    return true;
+  }
+
+  // Shareable link that opens the booking form with its current values
+  function quoteLink() {
+    const url = new URL(location.href);
+    url.search = '';
+    url.hash = `${ROUTE_PREFIX}booking`;
+    const extrasChosen = Array.from(document.querySelectorAll('#extras-container input[type="checkbox"]:checked')).map((chk) => chk.value);
+    const period = readBookingPeriod();
+    const value = (id) => (document.getElementById(id) ? document.getElementById(id).value : '');
+    const values = {
+      category: value('car-category'),
+      pickup: period.pickup,
+      dropoff: period.dropoff,
+      pickupTime: period.pickupTime,
+      dropoffTime: period.dropoffTime,
+      pickupLocation: period.pickupLocation,
+      dropoffLocation: value('dropoff-location'),
+      extras: extrasChosen.join(','),
+      promo: value('promo-code').trim().toUpperCase()
+    };
+    BOOKING_LINK_PARAMS.forEach((key) => {
+      if (values[key]) url.searchParams.set(key, values[key]);
+    });
+    return url.toString();
+  }
+
+  /**
+   * Copy a link to the current quote (admin only). Falls back to a prompt the
+   * admin can copy from when the clipboard isn't available.
+   */
+  window.copyQuoteLink = async function () {
+    if (!isAdminLoggedIn()) return;
+    const link = quoteLink();
+    try {
+      await navigator.clipboard.writeText(link);
+      alert(`Ο σύνδεσμος αντιγράφηκε:\n${link}`);
+    } catch (e) {
+      prompt('Αντιγράψτε τον σύνδεσμο προσφοράς:', link);
+    }
+  };
+
+  /**
+   * Show the specified tab, update nav styling and record it in the URL hash.
+   * `replace` rewrites the current history entry instead of adding one and
+   * `updateUrl: false` leaves the URL alone (used when following history).
+   */
+  window.showTab = function (tabId, { replace = false, updateUrl = true } = {}) {
+    const requested = tabId;
+    // Admin-only sections, locked VIP sections and the confirmation screen
+    // without a booking fall back to the home page
+    if (
+      (ADMIN_SECTIONS.includes(tabId) && !isAdminLoggedIn()) ||
+      (VIP_SECTIONS.includes(tabId) && !hasVipAccess(tabId)) ||
+      (tabId === 'confirmation' && !confirmedBooking)
+    ) {
+      tabId = 'home';
+    }
+    document.querySelectorAll('.tab-section').forEach((section) => {
+      section.classList.add('hidden');
+    });
+    const activeSection = document.getElementById(tabId);
+    if (activeSection) activeSection.classList.remove('hidden');
+
+    // Remove active class from all nav links
+    document.querySelectorAll('.nav-link').forEach((link) => {
+      link.classList.remove('active-tab');
+    });
+    // Add active class to current nav link (both desktop and mobile)
+    document.querySelectorAll(`[data-target="${tabId}"]`).forEach((link) => {
+      link.classList.add('active-tab');
+    });
+    if (tabId === 'admin-bookings') {
+      renderBookingsDashboard();
+      renderConciergeQueue();
+    }
+    if (tabId === 'concierge') {
+      renderConciergeRequests();
+    }
+    if (tabId === 'deals') {
+      renderDeals();
+    }
+    if (tabId === 'admin-analytics') {
+      renderAnalyticsDashboard();
+    }
+    if (tabId === 'my-data') {
+      renderMyData();
+    }
+    // The admin's own screens are not worth counting
+    if (!ADMIN_SECTIONS.includes(tabId)) {
+      trackEvent('view', { section: tabId });
+    }
+
+    // A refused section must not stay in the address bar
+    const hash = `${ROUTE_PREFIX}${tabId}`;
+    if ((updateUrl || tabId !== requested) && location.hash.split('?')[0] !== hash) {
+      if (replace || !updateUrl) history.replaceState(null, '', hash);
+      else history.pushState(null, '', hash);
+    }
+  };
+
+  /*
+   * Itinerary planner
+   *
+   * The routes in the "Οδηγός" section are data: each ITINERARIES entry starts
+   * and ends at one of the pickup locations and has one stop per day, with a
+   * description per language and the town to stay in overnight. Places are
+   * keyed by their Greek name (translated through NAME_TRANSLATIONS) and carry
+   * coordinates; `dirt: true` marks a place reached by an unpaved road.
+   *
+   * Driving distances come from ROAD_DISTANCES ([from, to, km, minutes], either
+   * direction), measured once along the usual roads so the guide works offline.
+   * Pairs missing from the table are estimated from the coordinates and shown
+   * with "≈".
+   */
+  const PLACES = {
+    'Αεροδρόμιο Χανίων': { lat: 35.5317, lon: 24.1497 },
+    'Αεροδρόμιο Ηρακλείου': { lat: 35.3397, lon: 25.1803 },
+    'Χανιά': { lat: 35.5138, lon: 24.018 },
+    'Μπάλος': { lat: 35.5867, lon: 23.589, dirt: true },
+    'Κίσσαμος': { lat: 35.4946, lon: 23.6545 },
+    'Φαράγγι Σαμαριάς': { lat: 35.3053, lon: 23.9194 },
+    'Ελαφονήσι': { lat: 35.2713, lon: 23.5414 },
+    'Ρέθυμνο': { lat: 35.3693, lon: 24.4737 },
+    'Πρέβελη': { lat: 35.1528, lon: 24.4722 },
+    'Πλακιάς': { lat: 35.1914, lon: 24.3949 },
+    'Μάταλα': { lat: 34.9944, lon: 24.7494 },
+    'Κνωσός': { lat: 35.298, lon: 25.1631 },
+    'Ηράκλειο': { lat: 35.3387, lon: 25.1442 }
+  };
+
+  const ROAD_DISTANCES = [
+    ['Αεροδρόμιο Χανίων', 'Χανιά', 15, 20],
+    ['Αεροδρόμιο Χανίων', 'Ελαφονήσι', 88, 115],
+    ['Χανιά', 'Μπάλος', 57, 85],
+    ['Χανιά', 'Ελαφονήσι', 75, 100],
+    ['Χανιά', 'Ρέθυμνο', 60, 55],
+    ['Χανιά', 'Φαράγγι Σαμαριάς', 42, 55],
+    ['Μπάλος', 'Κίσσαμος', 20, 45],
+    ['Κίσσαμος', 'Φαράγγι Σαμαριάς', 62, 80],
+    ['Ρέθυμνο', 'Πρέβελη', 38, 50],
+    ['Πρέβελη', 'Πλακιάς', 12, 20],
+    ['Πλακιάς', 'Μάταλα', 75, 90],
+    ['Μάταλα', 'Κνωσός', 70, 75],
+    ['Κνωσός', 'Ηράκλειο', 6, 15],
+    ['Ηράκλειο', 'Αεροδρόμιο Ηρακλείου', 5, 15]
+  ];
+
+  // Suggested for routes with an unpaved road; other routes get the cheapest category
+  const DIRT_ROAD_CATEGORY = 'SUV';
+  const DIRT_ROAD_EXTRAS = ['Πλήρης Ασφάλεια'];
+
+  const ITINERARIES = [
+    {
+      id: 'west-3',
+      titleKey: 'guide.short.title',
+      start: 'Αεροδρόμιο Χανίων',
+      end: 'Αεροδρόμιο Χανίων',
+      extras: ['GPS'],
+      stops: [
+        {
+          place: 'Χανιά',
+          overnight: 'Χανιά',
+          description: {
+            el: 'Βόλτα στο ενετικό λιμάνι, τον φάρο και τα σοκάκια της παλιάς πόλης.',
+            en: 'Stroll around the Venetian harbour, the lighthouse and the lanes of the old town.',
+            de: 'Bummel durch den venezianischen Hafen, zum Leuchtturm und durch die Gassen der Altstadt.',
+            fr: 'Flânez autour du port vénitien, du phare et dans les ruelles de la vieille ville.'
+          }
+        },
+        {
+          place: 'Μπάλος',
+          overnight: 'Κίσσαμος',
+          description: {
+            el: 'Η λιμνοθάλασσα του Μπάλου και το κάστρο της Γραμβούσας· τα τελευταία 8 χλμ. είναι χωματόδρομος.',
+            en: 'Balos lagoon and Gramvousa castle; the last 8 km are a dirt road.',
+            de: 'Die Lagune von Balos und die Festung Gramvousa; die letzten 8 km sind Schotterpiste.',
+            fr: 'Le lagon de Balos et le fort de Gramvoussa ; les 8 derniers km sont une piste.'
+          }
+        },
+        {
+          place: 'Φαράγγι Σαμαριάς',
+          overnight: 'Χανιά',
+          description: {
+            el: 'Πεζοπορία 16 χλμ. από τον Ξυλόσκαλο ως την Αγία Ρουμέλη· επιστροφή στο αυτοκίνητο με πλοίο και λεωφορείο.',
+            en: 'A 16 km hike from Xyloskalo to Agia Roumeli; back to the car by ferry and bus.',
+            de: '16 km Wanderung von Xyloskalo nach Agia Roumeli; zurück zum Auto mit Fähre und Bus.',
+            fr: 'Randonnée de 16 km de Xyloskalo à Agia Roumeli ; retour à la voiture en ferry et en bus.'
+          }
+        }
+      ]
+    },
+    {
+      id: 'island-5',
+      titleKey: 'guide.long.title',
+      start: 'Αεροδρόμιο Χανίων',
+      end: 'Αεροδρόμιο Ηρακλείου',
+      extras: ['GPS'],
+      stops: [
+        {
+          place: 'Ελαφονήσι',
+          overnight: 'Χανιά',
+          description: {
+            el: 'Η ροζ άμμος του Ελαφονησίου και ο κεδρόδασος στη νότια ακτή.',
+            en: 'The pink sand of Elafonisi and the cedar forest on the south coast.',
+            de: 'Der rosa Sand von Elafonisi und der Zedernwald an der Südküste.',
+            fr: 'Le sable rose d’Elafonissi et la forêt de cèdres sur la côte sud.'
+          }
+        },
+        {
+          place: 'Ρέθυμνο',
+          overnight: 'Ρέθυμνο',
+          description: {
+            el: 'Η Φορτέτσα, η παλιά πόλη και παραδοσιακά χωριά στους πρόποδες του Ψηλορείτη.',
+            en: 'The Fortezza, the old town and traditional villages below Mount Psiloritis.',
+            de: 'Die Fortezza, die Altstadt und traditionelle Dörfer am Fuß des Psiloritis.',
+            fr: 'La Fortezza, la vieille ville et des villages traditionnels au pied du Psiloritis.'
+          }
+        },
+        {
+          place: 'Πρέβελη',
+          overnight: 'Πλακιάς',
+          description: {
+            el: 'Ο φοινικόδασος και η παραλία της Πρέβελης, με το ηλιοβασίλεμα στον Πλακιά.',
+            en: 'The palm forest and beach of Preveli, with sunset at Plakias.',
+            de: 'Der Palmenwald und Strand von Preveli, mit Sonnenuntergang in Plakias.',
+            fr: 'La palmeraie et la plage de Preveli, avec le coucher du soleil à Plakias.'
+          }
+        },
+        {
+          place: 'Μάταλα',
+          overnight: 'Μάταλα',
+          description: {
+            el: 'Οι σπηλιές στα βράχια και ο κόλπος των Ματάλων, με στάση στη Φαιστό.',
+            en: 'The caves in the cliffs and the bay of Matala, with a stop at Phaistos.',
+            de: 'Die Felshöhlen und die Bucht von Matala, mit einem Halt in Phaistos.',
+            fr: 'Les grottes dans la falaise et la baie de Matala, avec un arrêt à Phaistos.'
+          }
+        },
+        {
+          place: 'Κνωσός',
+          overnight: 'Ηράκλειο',
+          description: {
+            el: 'Το ανάκτορο της Κνωσού και το Αρχαιολογικό Μουσείο Ηρακλείου.',
+            en: 'The palace of Knossos and the Heraklion Archaeological Museum.',
+            de: 'Der Palast von Knossos und das Archäologische Museum Heraklion.',
+            fr: 'Le palais de Cnossos et le musée archéologique d’Héraklion.'
+          }
+        }
+      ]
+    }
+  ];
+
+  // Straight-line distance in km between two places
+  function greatCircleKm(a, b) {
+    const rad = (deg) => (deg * Math.PI) / 180;
+    const h = Math.sin(rad(b.lat - a.lat) / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(rad(b.lon - a.lon) / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * Road distance between two places: { km, minutes, estimated }. Crete's roads
+   * wind, so estimates allow 1.4 km of road per km in a straight line at 45 km/h.
+   */
+  function roadDistance(from, to) {
+    if (from === to) return { km: 0, minutes: 0, estimated: false };
+    const known = ROAD_DISTANCES.find(([a, b]) => (a === from && b === to) || (a === to && b === from));
+    if (known) return { km: known[2], minutes: known[3], estimated: false };
+    const km = Math.round(greatCircleKm(PLACES[from], PLACES[to]) * 1.4);
+    return { km, minutes: Math.round((km / 45) * 60), estimated: true };
+  }
+
+  /**
+   * Days, driving per day, the suggested category and extras for an itinerary.
+   * Each day drives from the previous night's town (the pickup location on the
+   * first day) to the stop and on to the overnight town; the last day also
+   * drives back to the return location.
+   */
+  function planItinerary(itinerary) {
+    let from = itinerary.start;
+    const days = itinerary.stops.map((stop, i) => {
+      const legs = [roadDistance(from, stop.place), roadDistance(stop.place, stop.overnight)];
+      if (i === itinerary.stops.length - 1) legs.push(roadDistance(stop.overnight, itinerary.end));
+      from = stop.overnight;
+      return {
+        ...stop,
+        km: legs.reduce((sum, leg) => sum + leg.km, 0),
+        minutes: legs.reduce((sum, leg) => sum + leg.minutes, 0),
+        estimated: legs.some((leg) => leg.estimated)
+      };
+    });
+    const dirtPlace = itinerary.stops.map((stop) => stop.place).find((place) => PLACES[place].dirt);
+    const cheapest = Object.keys(carCategories).sort((a, b) => lowestRate(a) - lowestRate(b))[0];
+    return {
+      days,
+      km: days.reduce((sum, day) => sum + day.km, 0),
+      minutes: days.reduce((sum, day) => sum + day.minutes, 0),
+      estimated: days.some((day) => day.estimated),
+      dirtPlace,
+      category: dirtPlace && DIRT_ROAD_CATEGORY in carCategories ? DIRT_ROAD_CATEGORY : cheapest,
+      extras: [...itinerary.extras, ...(dirtPlace ? DIRT_ROAD_EXTRAS : [])].filter((name) => name in extras)
+    };
+  }
+
+  // Driving time such as "1 h 25 min" in the visitor's language
+  function formatDriveTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return hours ? t('planner.hours', { hours, minutes: minutes % 60 }) : t('planner.minutes', { minutes });
+  }
+
+  function renderGuide() {
+    const container = document.getElementById('itineraries');
+    if (!container) return;
+    container.innerHTML = '';
+    ITINERARIES.forEach((itinerary) => {
+      const plan = planItinerary(itinerary);
+      const approx = (estimated) => (estimated ? '≈ ' : '');
+      const card = document.createElement('div');
+      card.className = 'p-6 bg-white dark:bg-gray-800 rounded-lg shadow flex flex-col space-y-3';
+      const title = document.createElement('h3');
+      title.className = 'font-semibold';
+      title.textContent = t(itinerary.titleKey);
+      const summary = document.createElement('p');
+      summary.className = 'text-sm text-gray-600 dark:text-gray-400';
+      summary.textContent = t('planner.summary', {
+        days: tp('planner.days', plan.days.length),
+        distance: `${approx(plan.estimated)}${plan.km}`,
+        time: formatDriveTime(plan.minutes)
+      });
+      const list = document.createElement('ol');
+      list.className = 'text-sm space-y-2';
+      plan.days.forEach((day, i) => {
+        const item = document.createElement('li');
+        const heading = document.createElement('div');
+        heading.className = 'font-medium';
+        heading.textContent = t('planner.day', { day: i + 1, place: localizeName(day.place) });
+        const { lat, lon } = PLACES[day.place];
+        const map = document.createElement('a');
+        map.href = `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lon}#map=12/${lat}/${lon}`;
+        map.target = '_blank';
+        map.rel = 'noopener';
+        map.className = 'ml-2 text-xs text-blue-500 hover:underline';
+        map.textContent = t('planner.map');
+        heading.appendChild(map);
+        const text = document.createElement('p');
+        text.textContent = day.description[currentLang] || day.description[DEFAULT_LANGUAGE];
+        const details = document.createElement('p');
+        details.className = 'text-xs text-gray-600 dark:text-gray-400';
+        details.textContent = [
+          t('planner.drive', { distance: `${approx(day.estimated)}${day.km}`, time: formatDriveTime(day.minutes) }),
+          t('planner.overnight', { place: localizeName(day.overnight) })
+        ].join(' · ');
+        item.append(heading, text, details);
+        list.appendChild(item);
+      });
+      const advice = document.createElement('p');
+      advice.className = 'text-sm';
+      advice.textContent = [
+        t(plan.dirtPlace ? 'planner.categoryDirt' : 'planner.categoryPaved', { category: plan.category, place: localizeName(plan.dirtPlace || '') }),
+        plan.extras.length ? t('planner.extras', { extras: plan.extras.map((name) => localizeName(name)).join(', ') }) : ''
+      ].filter(Boolean).join(' ');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'self-start bg-blue-600 hover:bg-blue-500 text-white text-sm font-semibold px-4 py-2 rounded';
+      button.textContent = t('planner.book');
+      button.addEventListener('click', () => bookItinerary(itinerary.id));
+      card.append(title, summary, list, advice, button);
+      container.appendChild(card);
+    });
+  }
+
+  /**
+   * Open the booking form for an itinerary: its category, extras and pickup and
+   * return locations, from the chosen pickup date (tomorrow if none is set yet)
+   * for as many rental days as the route has
+   */
+  function bookItinerary(id) {
+    const itinerary = ITINERARIES.find((entry) => entry.id === id);
+    if (!itinerary) return;
+    const plan = planItinerary(itinerary);
+    const chosen = document.getElementById('pickup-date').value;
+    const today = todayIso();
+    const pickup = chosen && chosen >= today ? chosen : dayToIso(isoToDay(today) + 1);
+    prefillBookingForm({
+      category: plan.category,
+      pickup,
+      dropoff: dayToIso(isoToDay(pickup) + plan.days.length),
+      pickupLocation: itinerary.start,
+      dropoffLocation: itinerary.end,
+      extras: plan.extras
+    });
+    showTab('booking');
+  }
+
+  /*
+   * VIP access
+   *
+   * A valid code from the `vipCodes` registry starts a `vipSession`
+   * ({ code, tier, unlocks, startedAt, expiresAt }) that ends when the code
+   * expires or is removed from the registry. Activations per code are counted
+   * under `vipUsage` ({ CODE: count }).
+   */
+  const VIP_SECTIONS = ['concierge', 'deals'];
+
+  // Earlier versions had a single vipCode/vipGreeting and a permanent isVIP flag
+  function migrateLegacyVipSettings() {
+    localStorage.removeItem('isVIP');
+    const legacyCode = localStorage.getItem('vipCode');
+    if (legacyCode === null) return;
+    if (localStorage.getItem('vipCodes') === null) {
+      const legacyGreeting = localStorage.getItem('vipGreeting');
+      vipCodes = [{
+        ...DEFAULTS.vipCodes[0],
+        code: JSON.parse(legacyCode),
+        greeting: legacyGreeting ? JSON.parse(legacyGreeting) : DEFAULTS.vipCodes[0].greeting
+      }];
+      saveSetting('vipCodes', vipCodes);
+    }
+    localStorage.removeItem('vipCode');
+    localStorage.removeItem('vipGreeting');
+  }
+
+  function getVipUsage() {
+    try {
+      return JSON.parse(localStorage.getItem('vipUsage')) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function findVipCode(input) {
+    const code = input.trim().toUpperCase();
+    return vipCodes.find((c) => c.code.toUpperCase() === code) || null;
+  }
+
+  // End of the code's last valid day in local time, or null if it never expires
+  function vipCodeExpiry(entry) {
+    return entry.validTo ? new Date(`${entry.validTo}T23:59:59`).getTime() : null;
+  }
+
+  /**
+   * The current VIP session, or null once it has expired or its code has been revoked
+   */
+  function getVipSession() {
+    let session;
+    try {
+      session = JSON.parse(localStorage.getItem('vipSession'));
+    } catch (e) {
+      session = null;
+    }
+    if (!session) return null;
+    const entry = findVipCode(session.code);
+    const expiry = entry ? vipCodeExpiry(entry) : 0;
+    if (!entry || (expiry !== null && Date.now() > expiry)) {
+      localStorage.removeItem('vipSession');
+      return null;
+    }
+    // Pick up registry changes (tier, unlocked sections) made since the session started
+    return { ...session, tier: entry.tier, unlocks: entry.unlocks, expiresAt: expiry };
+  }
+
+  function isVIPUnlocked() {
+    return !!getVipSession();
+  }
+
+  function hasVipAccess(section) {
+    const session = getVipSession();
+    return !!session && session.unlocks.includes(section);
+  }
+
+  /**
+   * Check a VIP code and start a session. Returns { entry } or { error }.
+   */
+  function activateVipCode(input) {
+    const entry = findVipCode(input);
+    if (!entry) return { error: t('vip.wrongCode') };
+    const today = todayIso();
+    if ((entry.validFrom && today < entry.validFrom) || (entry.validTo && today > entry.validTo)) {
+      return { error: t('vip.inactive') };
+    }
+    const usage = getVipUsage();
+    if (entry.maxUses && (usage[entry.code] || 0) >= entry.maxUses) {
+      return { error: t('vip.exhausted') };
+    }
+    usage[entry.code] = (usage[entry.code] || 0) + 1;
+    localStorage.setItem('vipUsage', JSON.stringify(usage));
+    localStorage.setItem('vipSession', JSON.stringify({
+      code: entry.code,
+      tier: entry.tier,
+      unlocks: entry.unlocks,
+      startedAt: new Date().toISOString(),
+      expiresAt: vipCodeExpiry(entry)
+    }));
+    return { entry };
+  }
+
+  /**
+   * Handle VIP link click – prompt for VIP code if not already unlocked
+   */
+  window.handleVIP = function (target) {
+    if (hasVipAccess(target)) {
+      showTab(target);
+      return;
+    }
+    if (isVIPUnlocked()) {
+      alert(t('vip.noAccess'));
+      return;
+    }
+    updateVIPNav();
+    const input = prompt(t('vip.prompt'));
+    if (!input) return;
+    const result = activateVipCode(input);
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    updateVIPNav();
+    // VIP-only promo codes may now apply
+    calculatePrice();
+    alert(result.entry.greeting);
+    if (hasVipAccess(target)) {
+      showTab(target);
+    } else {
+      alert(t('vip.noAccess'));
+    }
+  };
+
+  /**
+   * Update VIP link classes depending on unlocked state
+   */
+  function updateVIPNav() {
+    document.querySelectorAll('.vip-link').forEach((link) => {
+      if (hasVipAccess(link.dataset.target)) {
+        link.classList.remove('text-gray-400');
+        link.classList.add('text-gray-800', 'dark:text-gray-200');
+      } else {
+        link.classList.remove('text-gray-800', 'dark:text-gray-200');
+        link.classList.add('text-gray-400');
+      }
+    });
+  }
+
+  /**
+   * Populate booking form selects based on admin settings. Current choices are
+   * kept, so this can also redraw the labels after a language change.
+   */
+  function populateBookingSelects() {
+    const heroSel = document.getElementById('hero-car-category');
+    const carSel = document.getElementById('car-category');
+    const paySel = document.getElementById('payment-method');
+    // Hero search lists the categories by name only
+    if (heroSel) {
+      const current = heroSel.value;
+      heroSel.innerHTML = '';
+      Object.keys(carCategories).forEach((cat) => {
+        const opt = document.createElement('option');
+        opt.value = cat;
+        opt.textContent = cat;
+        heroSel.appendChild(opt);
+      });
+      if (current in carCategories) heroSel.value = current;
+    }
+    if (carSel) {
+      const current = carSel.value;
+      carSel.innerHTML = '';
+      Object.keys(carCategories).forEach((cat) => {
+        const opt = document.createElement('option');
+        opt.value = cat;
+        // Show the lowest daily price next to category for clarity; the actual rate depends on the season
+        opt.textContent = t('price.categoryOption', { category: cat, price: formatMoney(lowestRate(cat)) });
+        carSel.appendChild(opt);
+      });
+      if (current in carCategories) carSel.value = current;
+    }
+    if (paySel) {
+      const current = paySel.value;
+      paySel.innerHTML = '';
+      paymentMethods.forEach((method) => {
+        const opt = document.createElement('option');
+        // The value stays as configured so the booking email shows the admin's own name for the method
+        opt.value = method;
+        opt.textContent = localizeName(method);
+        paySel.appendChild(opt);
+      });
+      if (paymentMethods.includes(current)) paySel.value = current;
+    }
+    // Pickup and return locations; the return list starts with "same as pickup"
+    const pickupSel = document.getElementById('pickup-location');
+    const dropoffSel = document.getElementById('dropoff-location');
+    const locationFields = document.getElementById('location-fields');
+    if (locationFields) locationFields.classList.toggle('hidden', !locations.length);
+    [pickupSel, dropoffSel].forEach((sel) => {
+      if (!sel) return;
+      const current = sel.value;
+      sel.innerHTML = '';
+      if (sel === dropoffSel) {
+        const same = document.createElement('option');
+        same.value = '';
+        same.textContent = t('booking.sameLocation');
+        sel.appendChild(same);
+      }
+      locations.forEach((location) => {
+        const opt = document.createElement('option');
+        opt.value = location.name;
+        const name = localizeName(location.name);
+        opt.textContent = location.fee > 0 ? t('price.locationOption', { location: name, price: formatMoney(location.fee) }) : name;
+        sel.appendChild(opt);
+      });
+      if (findLocation(current) || (sel === dropoffSel && current === '')) sel.value = current;
+    });
+    document.querySelectorAll('#licence-country, #additional-drivers select').forEach(populateCountrySelect);
+  }
+
+  /**
+   * Populate extras checkboxes based on admin settings
+   */
+  function populateExtras() {
+    const container = document.getElementById('extras-container');
+    if (!container) return;
+    const checked = Array.from(container.querySelectorAll('input[type="checkbox"]:checked')).map((chk) => chk.value);
+    container.innerHTML = '';
+    Object.keys(extras).forEach((extraKey) => {
+      const id = `extra-${extraKey.replace(/\s+/g, '-')}`;
+      const wrapper = document.createElement('div');
+      wrapper.className = 'flex items-center space-x-2';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = id;
+      checkbox.value = extraKey;
+      checkbox.className = 'form-checkbox h-4 w-4 text-blue-600';
+      checkbox.checked = checked.includes(extraKey);
+      // When extras change, recalculate price
+      checkbox.addEventListener('change', calculatePrice);
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.className = 'text-sm select-none';
+      label.textContent = t('price.extraOption', { extra: localizeName(extraKey), price: formatMoney(extras[extraKey]) });
+      wrapper.appendChild(checkbox);
+      wrapper.appendChild(label);
+      container.appendChild(wrapper);
+    });
+  }
+
+  // Note under prices shown in another currency: what is actually charged in EUR and at which rate
+  function chargedInEuros(quote, currency, lang = currentLang) {
+    return t('currency.charged', {
+      amount: formatMoney(quote.total, lang, BASE_CURRENCY),
+      rate: new Intl.NumberFormat(LANGUAGES[lang].locale, { maximumFractionDigits: 6 }).format(currency.rate),
+      currency: currency.code
+    }, lang);
+  }
+
+  // Escape text for the price summary markup; its lines can contain driver names typed by the visitor
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+  }
+
+  /**
+   * Calculate and display the price summary based on selected options
+   */
+  function calculatePrice() {
+    const categoryEl = document.getElementById('car-category');
+    const paymentEl = document.getElementById('payment-method');
+    const dropoffTimeEl = document.getElementById('dropoff-time');
+    const priceEl = document.getElementById('price-summary');
+    if (!priceEl) return;
+    const period = readBookingPeriod();
+    const category = categoryEl && categoryEl.value;
+    const payment = paymentEl && paymentEl.value;
+    const available = updateAvailability();
+    updateLocationInfo();
+    updateDriverInfo(category);
+    // Validate required fields
+    if (!period.pickup || !period.dropoff || !category) {
+      priceEl.textContent = t('price.prompt');
+      return;
+    }
+    // The return has to come after the pickup
+    const ordered = toMinutes(period.dropoff, period.dropoffTime) > toMinutes(period.pickup, period.pickupTime);
+    if (dropoffTimeEl) dropoffTimeEl.setCustomValidity(ordered ? '' : t('booking.returnBeforePickup'));
+    if (!ordered) {
+      priceEl.innerHTML = `<strong class="text-red-500">${t('booking.returnBeforePickup')}</strong>`;
+      return;
+    }
+    const selectedExtras = Array.from(document.querySelectorAll('#extras-container input[type="checkbox"]:checked')).map((chk) => chk.value);
+    const promoEl = document.getElementById('promo-code');
+    const promoCode = promoEl ? promoEl.value : '';
+    const drivers = readDrivers();
+    const quote = buildQuote({ ...period, category, extras: selectedExtras, promoCode, drivers });
+    trackQuote(quote, category, selectedExtras);
+    // Build summary lines
+    let summary = '';
+    if (!available) {
+      summary += `<strong class="text-red-500">${t('availability.unavailableCategory', { category })}</strong><br/>`;
+    }
+    driverProblems(drivers, category, period.pickup).forEach((problem) => {
+      summary += `<strong class="text-red-500">${escapeHtml(problem)}</strong><br/>`;
+    });
+    summary += `${tp('price.duration', quote.days)}<br/>`;
+    summary += `${t('price.category', { category })}<br/>`;
+    describeQuote(quote).forEach((line) => {
+      summary += `${escapeHtml(line)}<br/>`;
+    });
+    if (quote.promoError) {
+      summary += `<span class="text-red-500">${quote.promoError}</span><br/>`;
+    }
+    summary += `<strong>${t('price.total', { amount: formatMoney(quote.total) })}</strong><br/>`;
+    if (depositPercent > 0) {
+      summary += `${t('price.deposit', { percent: depositPercent, amount: formatMoney(quote.deposit) })}<br/>`;
+    }
+    const currency = displayCurrency();
+    if (currency !== BASE_CURRENCY) {
+      summary += `<span class="text-xs">${escapeHtml(chargedInEuros(quote, currency))}</span><br/>`;
+    }
+    if (payment) {
+      summary += `${t('price.payment', { method: localizeName(payment) })}<br/>`;
+      // What happens after booking depends on the method's payment adapter
+      summary += `<em>${PAYMENT_ADAPTERS[paymentAdapterFor(payment)].summary(payment, currentLang)}</em>`;
+    }
+    priceEl.innerHTML = summary;
+  }
+
+  /**
+   * Handle submission of booking form
+   */
+  async function handleBookingSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const name = form.querySelector('#name').value.trim();
+    const email = form.querySelector('#email').value.trim();
+    const phone = form.querySelector('#phone').value.trim();
+    const period = readBookingPeriod();
+    const category = form.querySelector('#car-category').value;
+    const payment = form.querySelector('#payment-method').value;
+    const notes = form.querySelector('#notes').value.trim();
+    // Selected extras
+    const selectedExtras = Array.from(document.querySelectorAll('#extras-container input[type="checkbox"]:checked')).map((chk) => chk.value);
+    // The customer must accept the rental terms in force; the version accepted is kept with the booking
+    const termsBox = form.querySelector('#accept-terms');
+    const termsVersion = currentLegalVersion('rental').version;
+    if (!termsBox.checked || termsBox.dataset.version !== String(termsVersion)) {
+      renderTermsAcceptance();
+      alert(t('booking.termsRequired', { version: termsVersion }));
+      return;
+    }
+    trackEvent('submit', { category });
+    if (toMinutes(period.dropoff, period.dropoffTime) <= toMinutes(period.pickup, period.pickupTime)) {
+      alert(t('booking.returnBeforePickup'));
+      return;
+    }
+    // Every driver has to meet the requirements of the category
+    const drivers = readDrivers();
+    const problems = driverProblems(drivers, category, period.pickup, { complete: true });
+    if (problems.length) {
+      alert(problems.join('\n'));
+      return;
+    }
+    // Refuse the booking when every vehicle of the category is taken for these dates,
+    // including bookings the office has taken since the page was opened
+    await refreshEndpointState();
+    const vehicle = findFreeVehicle(category, period);
+    if (!vehicle) {
+      updateAvailability();
+      alert(t('availability.sorry', { category }));
+      return;
+    }
+    const promoCode = form.querySelector('#promo-code').value;
+    const quote = buildQuote({ ...period, category, extras: selectedExtras, promoCode, drivers });
+    if (quote.promoError) {
+      alert(quote.promoError);
+      return;
+    }
+    const ref = generateBookingRef();
+    const paymentAdapter = paymentAdapterFor(payment);
+    const booking = {
+      ref,
+      createdAt: new Date().toISOString(),
+      status: 'pending',
+      name,
+      email,
+      phone,
+      category,
+      plate: vehicle.plate,
+      pickup: period.pickup,
+      dropoff: period.dropoff,
+      pickupTime: period.pickupTime,
+      dropoffTime: period.dropoffTime,
+      pickupLocation: quote.pickupLocation,
+      dropoffLocation: quote.dropoffLocation,
+      drivers,
+      extras: selectedExtras,
+      promoCode: quote.promo ? quote.promo.code : '',
+      days: quote.days,
+      total: quote.total,
+      deposit: quote.deposit,
+      payment,
+      paymentAdapter,
+      paymentStatus: 'unpaid',
+      paymentReference: paymentAdapter === 'bank' ? creditorReference(ref) : '',
+      notes,
+      depositPercent,
+      // Language the customer booked in, so the office can reply in it
+      language: currentLang,
+      // Currency and rate the prices were shown in; the booking itself is charged in EUR
+      displayCurrency: { ...displayCurrency() },
+      terms: { document: 'rental', version: termsVersion, acceptedAt: new Date().toISOString() },
+      quote
+    };
+
+    // Block the vehicle for these dates so later bookings see it as taken; stop if it has gone since the check above
+    if (!holdReservation(booking)) {
+      updateAvailability();
+      alert(t('availability.sorry', { category }));
+      return;
+    }
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    showBookingStatus('info', t('booking.sending'));
+    // Keep the booking in the local ledger; a storage failure must not stop the delivery
+    try {
+      await saveBooking(booking);
+    } catch (err) {
+      console.error('Could not store booking', err);
+    }
+    const result = await deliver(booking);
+    booking.delivery = {
+      transport: bookingTransport,
+      ok: result.ok,
+      queued: !!result.offline,
+      at: new Date().toISOString(),
+      error: result.ok ? '' : result.message
+    };
+    submitBtn.disabled = false;
+    if (!result.ok && !result.offline) {
+      // The endpoint refused it (or there is none): drop the booking, free the vehicle and keep the form
+      // filled in so the customer can retry (under a new reference) without leaving a pending booking in
+      // the ledger. Timeouts are queued like offline bookings instead, since the endpoint may have it.
+      await dbRequest('bookings', 'readwrite', (store) => store.delete(booking.ref)).catch(() => {});
+      releaseReservation(booking.ref);
+      updateAvailability();
+      showBookingStatus('error', t('booking.failed', { reason: result.message, phone: phoneNumber }));
+      return;
+    }
+    saveBooking(booking).catch((err) => console.error('Could not store booking', err));
+    if (quote.promo) {
+      recordPromoUse(quote.promo.code);
+    }
+    trackEvent('booked', { category, days: quote.days, extras: selectedExtras, total: quote.total });
+    let message = result.message;
+    if (result.ok) {
+      showBookingStatus('success', message);
+    } else {
+      // Offline or unanswered: keep the vehicle held and send the booking again later under the same reference
+      try {
+        await queueDelivery(booking.ref);
+      } catch (err) {
+        console.error('Could not queue booking', err);
+      }
+      updateSyncIndicator();
+      message = t(result.unconfirmed ? 'booking.unconfirmed' : 'booking.queued', { ref: booking.ref });
+      showBookingStatus('info', message);
+    }
+    // Reset form after sending and reset extras and summary
+    form.reset();
+    // Reset extras and additional drivers
+    document.querySelectorAll('#extras-container input[type="checkbox"]').forEach((chk) => (chk.checked = false));
+    document.getElementById('additional-drivers').innerHTML = '';
+    calculatePrice();
+    showConfirmation(booking, message);
+  }
+
+  // Show delivery feedback below the booking form; kind is 'info', 'success' or 'error'
+  function showBookingStatus(kind, message) {
+    const el = document.getElementById('booking-status');
+    if (!el) return;
+    const colours = { info: 'text-gray-300', success: 'text-green-400', error: 'text-red-400' };
+    el.className = `text-sm mt-3 ${colours[kind]}`;
+    el.textContent = message;
+  }
+
+  /**
+   * Compose the Greek notification email for a booking, whatever language the customer used
+   */
+  function composeBookingEmail(booking) {
+    const quote = booking.quote;
+    let bodyLines = [];
+    bodyLines.push('Νέα Κράτηση');
+    bodyLines.push(`Αριθμός κράτησης: ${booking.ref}`);
+    bodyLines.push('');
+    bodyLines.push(`Όνομα: ${booking.name}`);
+    bodyLines.push(`Email: ${booking.email}`);
+    bodyLines.push(`Τηλέφωνο: ${booking.phone}`);
+    if (booking.language) {
+      bodyLines.push(`Γλώσσα πελάτη: ${LANGUAGES[booking.language] ? LANGUAGES[booking.language].label : booking.language}`);
+    }
+    // Bookings queued before driver details were asked for have none
+    if (booking.drivers && booking.drivers.length) {
+      bodyLines.push('');
+      bodyLines.push('Οδηγοί:');
+      booking.drivers.forEach((d) => {
+        const role = d.additional ? 'πρόσθετος οδηγός' : 'κύριος οδηγός';
+        bodyLines.push(`- ${d.name} (${role}), γενν. ${d.dateOfBirth} (${yearsBetween(d.dateOfBirth, booking.pickup)} ετών), δίπλωμα ${countryName(d.licenceCountry, 'el')} από ${d.licenceIssued}`);
+      });
+    }
+    bodyLines.push('');
+    bodyLines.push(`Κατηγορία οχήματος: ${booking.category}`);
+    bodyLines.push(`Όχημα: ${booking.plate}`);
+    bodyLines.push(`Extras: ${booking.extras.length ? booking.extras.join(', ') : 'Κανένα'}`);
+    // Bookings queued before times and locations were asked for have neither
+    bodyLines.push(`Ημ/νία παραλαβής: ${[booking.pickup, booking.pickupTime].filter(Boolean).join(' ')}`);
+    if (booking.pickupLocation) bodyLines.push(`Σημείο παραλαβής: ${booking.pickupLocation}`);
+    bodyLines.push(`Ημ/νία επιστροφής: ${[booking.dropoff, booking.dropoffTime].filter(Boolean).join(' ')}`);
+    if (booking.dropoffLocation) bodyLines.push(`Σημείο επιστροφής: ${booking.dropoffLocation}`);
+    bodyLines.push(`Ημέρες: ${quote.days}`);
+    bodyLines.push('');
+    describeQuote(quote, 'el', BASE_CURRENCY).forEach((line) => bodyLines.push(line));
+    bodyLines.push(t('price.total', { amount: formatMoney(quote.total, 'el', BASE_CURRENCY) }, 'el'));
+    if (quote.deposit > 0) {
+      bodyLines.push(t('price.deposit', { percent: booking.depositPercent, amount: formatMoney(quote.deposit, 'el', BASE_CURRENCY) }, 'el'));
+    }
+    const shown = booking.displayCurrency;
+    if (shown && shown.code !== BASE_CURRENCY.code) {
+      const shownDeposit = quote.deposit > 0 ? `, προκαταβολή ${formatMoney(quote.deposit, 'el', shown)}` : '';
+      bodyLines.push(`Ο πελάτης είδε τις τιμές σε ${shown.code} (1 EUR = ${shown.rate} ${shown.code}): σύνολο ${formatMoney(quote.total, 'el', shown)}${shownDeposit}. Η χρέωση γίνεται σε EUR.`);
+    }
+    bodyLines.push(`Τρόπος πληρωμής: ${booking.payment}`);
+    if (booking.paymentAdapter) {
+      bodyLines.push(`Είσπραξη: ${PAYMENT_ADAPTERS[booking.paymentAdapter].label}`);
+      if (booking.paymentReference) bodyLines.push(`Κωδικός αναφοράς πληρωμής: ${booking.paymentReference}`);
+      bodyLines.push(`Κατάσταση πληρωμής: ${PAYMENT_STATUSES[booking.paymentStatus]}`);
+    }
+    // Bookings made before acceptance was recorded have no terms
+    if (booking.terms) {
+      bodyLines.push(`Όροι ενοικίασης: αποδοχή της έκδοσης ${booking.terms.version} στις ${booking.terms.acceptedAt}`);
+    }
+    bodyLines.push('');
+    if (booking.notes) {
+      bodyLines.push(`Σημειώσεις: ${booking.notes}`);
+    }
+    return { subject: `Νέα κράτηση Mira Cars ${booking.ref}`, body: bodyLines.join('\n') };
+  }
+
+  /*
+   * VIP deals
+   *
+   * The deals section lists the partner offers in the `vipDeals` setting that
+   * are valid today and offered to the visitor's VIP tier. Claiming a deal
+   * draws a random redemption code, stores the claim in the IndexedDB
+   * `dealClaims` store (keyed by the code) and sends it to the office like a
+   * booking (see "Booking transports"), queued while offline. A code counts
+   * once the office has it: the admin exports the codes claimed so far for the
+   * partners from the booking endpoint (see exportRedemptionCodes).
+   */
+  const DEAL_ID = /^[A-Z0-9]{2,12}$/;
+
+  // Relative paths on this site or http(s) addresses; anything else could run script
+  function isImageUrl(value) {
+    return /^https?:\/\/\S+$/i.test(value) || /^[\w][\w./-]*$/.test(value);
+  }
+
+  function getAllDealClaims() {
+    return dbRequest('dealClaims', 'readonly', (store) => store.getAll());
+  }
+
+  function saveDealClaim(claim) {
+    return dbRequest('dealClaims', 'readwrite', (store) => store.put(claim));
+  }
+
+  // Earlier versions kept claims in localStorage with codes derived from the VIP code, which never reached the office
+  function migrateLegacyDealClaims() {
+    localStorage.removeItem('dealClaims');
+  }
+
+  // Description in the given language, else the Greek one; deals saved before translations had a single text
+  function dealDescription(deal, lang = currentLang) {
+    if (typeof deal.description === 'string') return deal.description;
+    return deal.description[lang] || deal.description[DEFAULT_LANGUAGE] || '';
+  }
+
+  function offeredToTier(deal, tier) {
+    return !deal.tiers.length || deal.tiers.some((name) => name.toLowerCase() === tier.toLowerCase());
+  }
+
+  // Offered to the tier and valid today; expired deals disappear by themselves
+  function dealOffered(deal, tier) {
+    const today = todayIso();
+    if ((deal.validFrom && today < deal.validFrom) || (deal.validTo && today > deal.validTo)) return false;
+    return offeredToTier(deal, tier);
+  }
+
+  // Redemption code such as SPA-7KQ2-M8XD: the deal id and eight random characters
+  function redemptionCode(dealId) {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const chars = Array.from(crypto.getRandomValues(new Uint8Array(8)), (b) => alphabet[b % alphabet.length]).join('');
+    return `${dealId}-${chars.slice(0, 4)}-${chars.slice(4)}`;
+  }
+
+  /**
+   * Compose the Greek notification email for a claimed deal
+   */
+  function composeDealClaimEmail(claim) {
+    const lines = [
+      'Νέα απόκτηση προσφοράς VIP',
+      `Κωδικός εξαργύρωσης: ${claim.ref}`,
+      '',
+      `Προσφορά: ${claim.dealId} – ${claim.dealTitle}`,
+      `Συνεργάτης: ${claim.partner || '–'}`,
+      `Κωδικός VIP: ${claim.vipCode} (${claim.vipTier})`,
+      `Γλώσσα πελάτη: ${LANGUAGES[claim.language] ? LANGUAGES[claim.language].label : claim.language}`
+    ];
+    return { subject: `Προσφορά VIP Mira Cars ${claim.ref}`, body: lines.join('\n') };
+  }
+
+  // Delivery feedback below the deal cards; kind is 'info', 'success' or 'error'
+  function showDealsStatus(kind, message) {
+    const el = document.getElementById('deals-message');
+    if (!el) return;
+    const colours = { info: 'text-gray-300', success: 'text-green-400', error: 'text-red-400' };
+    el.className = `text-sm ${colours[kind]}`;
+    el.textContent = message;
+  }
+
+  async function renderDeals() {
+    const container = document.getElementById('deals-list');
+    if (!container) return;
+    const session = getVipSession();
+    const deals = session ? vipDeals.filter((deal) => dealOffered(deal, session.tier)) : [];
+    const claims = {};
+    let queued = new Set();
+    try {
+      if (session) {
+        (await getAllDealClaims()).filter((claim) => claim.vipCode === session.code).forEach((claim) => (claims[claim.dealId] = claim));
+      }
+      queued = new Set((await getOutbox()).map((entry) => entry.ref));
+    } catch (err) {
+      console.error('Could not load deal claims', err);
+    }
+    container.innerHTML = '';
+    if (!deals.length) {
+      const empty = document.createElement('p');
+      empty.className = 'text-sm text-gray-400 md:col-span-3';
+      empty.textContent = t('deals.none');
+      container.appendChild(empty);
+      return;
+    }
+    deals.forEach((deal) => {
+      const card = document.createElement('div');
+      card.className = 'p-6 bg-white dark:bg-gray-800 rounded-lg shadow flex flex-col space-y-2';
+      if (deal.image) {
+        const img = document.createElement('img');
+        img.src = deal.image;
+        img.alt = deal.title;
+        img.loading = 'lazy';
+        img.className = 'w-full h-40 object-cover rounded';
+        card.appendChild(img);
+      }
+      const title = document.createElement('h3');
+      title.className = 'font-semibold';
+      title.textContent = deal.title;
+      const text = document.createElement('p');
+      text.className = 'text-sm';
+      text.textContent = dealDescription(deal);
+      card.append(title, text);
+      const details = [
+        deal.partner ? t('deals.partner', { partner: [deal.partner, deal.contact].filter(Boolean).join(' · ') }) : '',
+        deal.validTo ? t('deals.validTo', { date: formatDate(deal.validTo) }) : ''
+      ].filter(Boolean);
+      if (details.length) {
+        const info = document.createElement('p');
+        info.className = 'text-xs text-gray-600 dark:text-gray-400';
+        info.textContent = details.join(' · ');
+        card.appendChild(info);
+      }
+      const claim = claims[deal.id];
+      if (claim) {
+        const code = document.createElement('p');
+        code.className = 'mt-auto text-sm';
+        code.textContent = t('deals.code', { code: claim.ref });
+        const hint = document.createElement('p');
+        hint.className = 'text-xs text-gray-600 dark:text-gray-400';
+        hint.textContent = queued.has(claim.ref) ? t('deals.waiting') : t('deals.codeHint');
+        card.append(code, hint);
+      } else {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'mt-auto self-start bg-blue-600 hover:bg-blue-500 text-white text-sm font-semibold px-4 py-2 rounded';
+        button.textContent = t('deals.claim');
+        button.addEventListener('click', () => claimDeal(deal.id, button));
+        card.appendChild(button);
+      }
+      container.appendChild(card);
+    });
+  }
+
+  async function claimDeal(id, button) {
+    const session = getVipSession();
+    const deal = vipDeals.find((d) => d.id === id);
+    if (!session || !session.unlocks.includes('deals') || !deal || !dealOffered(deal, session.tier)) {
+      renderDeals();
+      return;
+    }
+    const claim = {
+      ref: redemptionCode(id),
+      createdAt: new Date().toISOString(),
+      dealId: id,
+      dealTitle: deal.title,
+      partner: deal.partner,
+      vipCode: session.code,
+      vipTier: session.tier,
+      language: currentLang
+    };
+    button.disabled = true;
+    showDealsStatus('info', t('deals.claiming'));
+    try {
+      await saveDealClaim(claim);
+    } catch (err) {
+      console.error('Could not store deal claim', err);
+    }
+    const result = await deliver(claim, 'dealClaim');
+    claim.delivery = {
+      transport: bookingTransport,
+      ok: result.ok,
+      queued: !!result.offline,
+      at: new Date().toISOString(),
+      error: result.ok ? '' : result.message
+    };
+    if (!result.ok && !result.offline) {
+      // The office never heard of this code, so it must not be shown as valid
+      await dbRequest('dealClaims', 'readwrite', (store) => store.delete(claim.ref)).catch(() => {});
+      button.disabled = false;
+      showDealsStatus('error', t('deals.failed', { reason: result.message, phone: phoneNumber }));
+      return;
+    }
+    await saveDealClaim(claim).catch((err) => console.error('Could not store deal claim', err));
+    if (result.ok) {
+      showDealsStatus('success', result.message);
+    } else {
+      await queueDelivery(claim.ref, 'dealClaim').catch((err) => console.error('Could not queue deal claim', err));
+      showDealsStatus('info', t(result.unconfirmed ? 'deals.unconfirmed' : 'deals.queued', { code: claim.ref }));
+    }
+    renderDeals();
+  }
+
+  /**
+   * Download the redemption codes claimed so far for the partners: as the
+   * booking endpoint lists them with the HTTP transport, otherwise the claims
+   * made in this browser (the others reach the office as messages)
+   */
+  window.exportRedemptionCodes = async function () {
+    if (!isAdminLoggedIn()) return;
+    let list;
+    if (bookingTransport === 'http') {
+      list = await getFromEndpoint('deal-claims', {}, endpointAuthHeaders());
+      if (!isPlainObject(list) || list.schema !== 'miracars.deal-claims' || !Array.isArray(list.claims)) {
+        alert('Η λίστα κωδικών δεν φορτώθηκε από τη διεύθυνση HTTP (ελέγξτε τη σύνδεση και το κλειδί πρόσβασης).');
+        return;
+      }
+    } else {
+      try {
+        list = { claims: (await getAllDealClaims()).map(buildDealClaimPayload) };
+      } catch (err) {
+        console.error('Could not load deal claims', err);
+        alert('Δεν ήταν δυνατή η πρόσβαση στους κωδικούς αυτού του browser.');
+        return;
+      }
+    }
+    const header = ['Κωδικός εξαργύρωσης', 'Προσφορά', 'Τίτλος', 'Συνεργάτης', 'Επικοινωνία', 'Ισχύει έως', 'Κωδικός VIP', 'Βαθμίδα', 'Ημερομηνία'];
+    const rows = list.claims.filter((claim) => isPlainObject(claim) && isPlainObject(claim.deal) && isPlainObject(claim.vip)).map((claim) => {
+      const deal = vipDeals.find((d) => d.id === claim.deal.id) || {};
+      return [claim.ref, claim.deal.id, claim.deal.title, claim.deal.partner, deal.contact, deal.validTo, claim.vip.code, claim.vip.tier, claim.createdAt];
+    });
+    if (!rows.length) {
+      alert('Δεν έχουν αποκτηθεί ακόμη προσφορές VIP.');
+      return;
+    }
+    const csv = [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n');
+    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `miracars-deal-codes-${todayIso()}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  };
+
+  /*
+   * Rental voucher
+   *
+   * After a booking is accepted (or queued offline) the customer sees a
+   * printable voucher in their language with a QR code of the booking
+   * reference and can download the pickup and return as calendar events.
+   * The voucher is kept only in memory; reloading the page leaves it.
+   */
+  let confirmedBooking = null;
+
+  function showConfirmation(booking, message) {
+    confirmedBooking = booking;
+    const status = document.getElementById('confirmation-status');
+    if (status) status.textContent = message;
+    renderVoucher();
+    showTab('confirmation');
+  }
+
+  function renderVoucher() {
+    const container = document.getElementById('voucher');
+    if (!container || !confirmedBooking) return;
+    const booking = confirmedBooking;
+    const quote = booking.quote;
+    container.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'flex items-start justify-between gap-4 border-b border-gray-300 pb-4 mb-4';
+    const titles = document.createElement('div');
+    const brand = document.createElement('p');
+    brand.className = 'text-2xl font-bold';
+    brand.textContent = 'Mira Cars';
+    const heading = document.createElement('p');
+    heading.className = 'text-sm uppercase tracking-wide text-gray-600';
+    heading.textContent = t('voucher.heading');
+    titles.append(brand, heading);
+    const qr = document.createElement('figure');
+    qr.className = 'w-32 shrink-0 text-center';
+    qr.innerHTML = qrSvg(booking.ref);
+    qr.firstElementChild.setAttribute('aria-label', t('voucher.qrLabel', { ref: booking.ref }));
+    const caption = document.createElement('figcaption');
+    caption.className = 'font-mono text-xs mt-1';
+    caption.textContent = booking.ref;
+    qr.appendChild(caption);
+    header.append(titles, qr);
+    container.appendChild(header);
+
+    const details = document.createElement('dl');
+    details.className = 'grid grid-cols-2 gap-x-4 gap-y-2 text-sm mb-4';
+    [
+      [t('voucher.ref'), booking.ref],
+      [t('booking.name'), booking.name],
+      [t('booking.category'), booking.category],
+      [t('booking.pickup'), `${formatDate(booking.pickup)} ${booking.pickupTime}`],
+      [t('booking.pickupLocation'), booking.pickupLocation ? localizeName(booking.pickupLocation) : ''],
+      [t('booking.dropoff'), `${formatDate(booking.dropoff)} ${booking.dropoffTime}`],
+      [t('booking.dropoffLocation'), booking.dropoffLocation ? localizeName(booking.dropoffLocation) : ''],
+      [t('voucher.drivers'), (booking.drivers || []).map((d) => d.name).join(', ')],
+      [t('voucher.extras'), booking.extras.length ? booking.extras.map((ex) => localizeName(ex)).join(', ') : t('voucher.noExtras')]
+    ].forEach(([label, value]) => {
+      if (!value) return;
+      const dt = document.createElement('dt');
+      dt.className = 'text-gray-600';
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.className = 'font-semibold';
+      dd.textContent = value;
+      details.append(dt, dd);
+    });
+    container.appendChild(details);
+
+    // Amounts in the currency and at the rate the customer booked with
+    const shown = booking.displayCurrency || BASE_CURRENCY;
+    const pricing = [tp('price.duration', quote.days), t('price.total', { amount: formatMoney(quote.total, currentLang, shown) })];
+    if (quote.deposit > 0) {
+      pricing.push(t('price.deposit', { percent: booking.depositPercent, amount: formatMoney(quote.deposit, currentLang, shown) }));
+    }
+    if (shown.code !== BASE_CURRENCY.code) pricing.push(chargedInEuros(quote, shown));
+    pricing.push(t('price.payment', { method: localizeName(booking.payment) }));
+    pricing.forEach((line, i) => {
+      const p = document.createElement('p');
+      p.className = i === 1 ? 'text-lg font-bold' : 'text-sm';
+      p.textContent = line;
+      container.appendChild(p);
+    });
+
+    // Next payment step; bookings made before payment adapters existed are handled by the office
+    const payment = document.createElement('div');
+    payment.className = 'border border-gray-300 rounded p-3 my-4 text-sm space-y-1';
+    const paymentStatus = booking.paymentStatus || 'unpaid';
+    const paymentHeading = document.createElement('p');
+    paymentHeading.className = 'font-semibold';
+    // A payment the customer came back from is shown as awaiting the office's check
+    const reported = paymentStatus === 'unpaid' && !!booking.paymentReported;
+    paymentHeading.textContent = t(reported ? 'payment.status.reported' : `payment.status.${paymentStatus}`);
+    payment.appendChild(paymentHeading);
+    if (reported) {
+      const p = document.createElement('p');
+      p.textContent = t('payment.reportedNote');
+      payment.appendChild(p);
+    } else if (paymentStatus === 'unpaid') {
+      const step = PAYMENT_ADAPTERS[booking.paymentAdapter || 'manual'].nextStep(booking, currentLang);
+      step.lines.forEach((line) => {
+        const p = document.createElement('p');
+        p.textContent = line;
+        payment.appendChild(p);
+      });
+      if (step.action) {
+        const link = document.createElement('a');
+        link.href = step.action.url;
+        link.className = 'inline-block mt-2 bg-blue-600 hover:bg-blue-500 text-white font-semibold px-4 py-2 rounded';
+        link.textContent = step.action.label;
+        payment.appendChild(link);
+      }
+    }
+    container.appendChild(payment);
+
+    [t(booking.delivery && booking.delivery.queued ? 'voucher.queued' : 'voucher.pending'), t('voucher.contact', { phone: phoneNumber })].forEach((line) => {
+      const p = document.createElement('p');
+      p.className = 'text-sm';
+      p.textContent = line;
+      container.appendChild(p);
+    });
+  }
+
+  // Let the customer add the pickup and return to their calendar
+  window.downloadCalendar = function () {
+    if (!confirmedBooking) return;
+    const blob = new Blob([bookingCalendar(confirmedBooking)], { type: 'text/calendar;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `miracars-${confirmedBooking.ref}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  };
+
+  /*
+   * Calendar file
+   *
+   * RFC 5545 iCalendar with a half-hour event at the pickup and another at the
+   * return, in Crete's time zone (defined in the file so every calendar agrees
+   * on it) and at the chosen locations. Text values are escaped, lines end in
+   * CRLF and long lines are folded at 75 octets without splitting UTF-8
+   * characters.
+   */
+  const ICS_TIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    'TZID:Europe/Athens',
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0300',
+    'TZNAME:EEST',
+    'DTSTART:19700329T030000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0300',
+    'TZOFFSETTO:+0200',
+    'TZNAME:EET',
+    'DTSTART:19701025T040000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+
+  function icsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  }
+
+  function icsFold(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      if (octets + size > 75) {
+        parts.push(current);
+        // Continuation lines start with a space, which counts towards the limit
+        current = ' ';
+        octets = 1;
+      }
+      current += char;
+      octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+  }
+
+  function bookingCalendar(booking, lang = currentLang) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const localTime = (iso, time) => `${iso.replace(/-/g, '')}T${time.replace(':', '')}00`;
+    const description = icsText(t('ics.description', { ref: booking.ref, phone: phoneNumber }, lang));
+    const event = (kind, date, time, location) => [
+      'BEGIN:VEVENT',
+      `UID:${booking.ref}-${kind}@miracars`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=Europe/Athens:${localTime(date, time)}`,
+      'DURATION:PT30M',
+      `SUMMARY:${icsText(t(`ics.${kind}`, { category: booking.category }, lang))}`,
+      ...(location ? [`LOCATION:${icsText(localizeName(location, lang))}`] : []),
+      `DESCRIPTION:${description}`,
+      'END:VEVENT'
+    ];
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Mira Cars//Rental voucher//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      ...ICS_TIMEZONE,
+      ...event('pickup', booking.pickup, booking.pickupTime, booking.pickupLocation),
+      ...event('dropoff', booking.dropoff, booking.dropoffTime, booking.dropoffLocation),
+      'END:VCALENDAR'
+    ];
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+  }
+
+  /*
+   * QR codes
+   *
+   * A small QR Code encoder (ISO/IEC 18004) for the voucher, so no external
+   * service sees the booking reference. It supports byte mode at error
+   * correction level M in versions 1–10 (up to 213 bytes of UTF-8), which is
+   * plenty for references and short links.
+   */
+  // Per version: [EC codewords per block, short blocks, data codewords per short block, long blocks].
+  // Long blocks carry one data codeword more than short ones.
+  const QR_BLOCKS = [null, [10, 1, 16, 0], [16, 1, 28, 0], [26, 1, 44, 0], [18, 2, 32, 0], [24, 2, 43, 0], [16, 4, 27, 0], [18, 4, 31, 0], [22, 2, 38, 2], [22, 3, 36, 2], [26, 4, 43, 1]];
+  const QR_ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+  const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+  ];
+
+  // Multiplication in GF(256) modulo x^8 + x^4 + x^3 + x^2 + 1
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  // Reed–Solomon error correction codewords for one block of data
+  function reedSolomon(data, degree) {
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        divisor[j] = gfMultiply(divisor[j], root);
+        if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    const remainder = new Array(degree).fill(0);
+    data.forEach((byte) => {
+      const factor = byte ^ remainder.shift();
+      remainder.push(0);
+      divisor.forEach((coef, i) => {
+        remainder[i] ^= gfMultiply(coef, factor);
+      });
+    });
+    return remainder;
+  }
+
+  // Encoded data plus error correction, interleaved across the blocks of the version
+  function qrCodewords(bytes, version) {
+    const [ecLength, shortBlocks, shortLength, longBlocks] = QR_BLOCKS[version];
+    const capacity = (shortBlocks * shortLength + longBlocks * (shortLength + 1)) * 8;
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4); // byte mode
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((byte) => push(byte, 8));
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    const blocks = [];
+    for (let b = 0, offset = 0; b < shortBlocks + longBlocks; b++) {
+      const block = data.slice(offset, offset + shortLength + (b < shortBlocks ? 0 : 1));
+      offset += block.length;
+      blocks.push({ data: block, ec: reedSolomon(block, ecLength) });
+    }
+    const result = [];
+    for (let i = 0; i <= shortLength; i++) {
+      blocks.forEach((block) => {
+        if (i < block.data.length) result.push(block.data[i]);
+      });
+    }
+    for (let i = 0; i < ecLength; i++) {
+      blocks.forEach((block) => result.push(block.ec[i]));
+    }
+    return result;
+  }
+
+  // Finder, timing and alignment patterns, the dark module and the version information
+  function qrFunctionPatterns(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    [
+      [3, 3],
+      [size - 4, 3],
+      [3, size - 4]
+    ].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const ring = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, ring !== 2 && ring !== 4);
+        }
+      }
+    });
+    const positions = QR_ALIGNMENT[version];
+    const last = positions.length - 1;
+    positions.forEach((ax, i) => {
+      positions.forEach((ay, j) => {
+        // Skip the corners taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      });
+    });
+    // Reserve the format information areas; drawQrFormat() fills them per mask
+    drawQrFormat(set, size, 0);
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
+    }
+    return { size, modules, reserved };
+  }
+
+  // Both copies of the format information for level M and the given mask
+  function drawQrFormat(set, size, mask) {
+    const data = mask; // level M is 00
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  }
+
+  // Penalty score used to pick the mask that scans best
+  function qrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i], modules.map((row) => row[i]));
+    }
+    lines.forEach((line) => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+      const text = line.map((dark) => (dark ? '1' : '0')).join('');
+      penalty += 40 * (text.match(/(?=10111010000|00001011101)/g) || []).length;
+    });
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const dark = modules[y][x];
+        if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) penalty += 3;
+      }
+    }
+    const dark = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+    penalty += 10 * Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size));
+    return penalty;
+  }
+
+  /**
+   * Encode text as a QR code. Returns rows of booleans (true = dark module).
+   */
+  function makeQrMatrix(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    const version = QR_BLOCKS.findIndex((blocks, v) => {
+      if (!blocks) return false;
+      const [, shortBlocks, shortLength, longBlocks] = blocks;
+      return 4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= (shortBlocks * shortLength + longBlocks * (shortLength + 1)) * 8;
+    });
+    if (version < 0) throw new Error('Text too long for a QR code');
+    const { size, modules, reserved } = qrFunctionPatterns(version);
+    const codewords = qrCodewords(bytes, version);
+
+    // Place the codewords in two-module columns, zig-zagging up and down from the bottom right
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // skip the vertical timing pattern
+      const upward = ((right + 1) & 2) === 0;
+      for (let vert = 0; vert < size; vert++) {
+        const y = upward ? size - 1 - vert : vert;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (reserved[y][x]) continue;
+          if (bitIndex < codewords.length * 8) {
+            modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+          }
+          bitIndex++;
+        }
+      }
+    }
+
+    let best = null;
+    QR_MASKS.forEach((isMasked, mask) => {
+      const candidate = modules.map((row, y) => row.map((dark, x) => (reserved[y][x] ? dark : dark !== isMasked(x, y))));
+      drawQrFormat((x, y, dark) => (candidate[y][x] = dark), size, mask);
+      const penalty = qrPenalty(candidate);
+      if (!best || penalty < best.penalty) best = { penalty, modules: candidate };
+    });
+    return best.modules;
+  }
+
+  // SVG markup of a QR code with the standard four-module quiet zone
+  function qrSvg(text) {
+    const modules = makeQrMatrix(text);
+    const size = modules.length + 8;
+    let path = '';
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) path += `M${x + 4} ${y + 4}h1v1h-1z`;
+      });
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" role="img" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  /*
+   * Booking transports
+   *
+   * The admin chooses how bookings reach the back office (`bookingTransport`):
+   *
+   *   mailto  – opens the customer's email client with the Greek summary addressed
+   *             to adminEmail. Delivery cannot be confirmed.
+   *   http    – POSTs the JSON payload below to `bookingEndpoint` with
+   *             Content-Type: application/json. Any 2xx response counts as received.
+   *   webhook – POSTs the same data form-encoded (application/x-www-form-urlencoded,
+   *             flat snake_case fields plus a `summary` text) to `webhookUrl`,
+   *             for tools such as Zapier or Make.
+   *
+   * JSON booking payload, schema "miracars.booking" version 1:
+   *
+   *   {
+   *     "schema": "miracars.booking",
+   *     "version": 1,
+   *     "ref": "MC-300712-7KQ2",
+   *     "createdAt": "2030-07-01T09:30:00.000Z",      // ISO 8601, UTC
+   *     "status": "pending",
+   *     "customer": { "name": "…", "email": "…", "phone": "…", "language": "en" },
+   *     "drivers": [                                   // the main driver first
+   *       { "name": "…", "dateOfBirth": "1988-03-14", "licenceCountry": "DE", "licenceIssued": "2007-05-02", "additional": false }
+   *     ],
+   *     "rental": {
+   *       "category": "SUV", "plate": "HKN-2001",
+   *       "pickup": "2030-07-12", "dropoff": "2030-07-19", // ISO dates
+   *       "pickupTime": "09:00", "dropoffTime": "09:30",   // local time at the location
+   *       "pickupLocation": "Αεροδρόμιο Ηρακλείου", "dropoffLocation": "Αεροδρόμιο Χανίων",
+   *       "days": 7, "extras": ["GPS"]
+   *     },
+   *     "pricing": {
+   *       "currency": "EUR",
+   *       "seasons": [{ "name": "Υψηλή σεζόν", "rate": 95, "days": 7, "amount": 665 }],
+   *       "weekendSurcharge": 19, "durationDiscount": 68.4,
+   *       "extrasTotal": 35, "promoCode": "", "promoDiscount": 0,
+   *       "locationFees": [{ "kind": "dropoff", "location": "Αεροδρόμιο Χανίων", "amount": 10 }],
+   *       "oneWayFee": 30,
+   *       "afterHoursFees": [],                          // { kind, location, time, amount }
+   *       "driverSurcharges": [],                        // { kind: "young" | "senior", name, age, rate, days, amount }
+   *       "total": 690.6, "depositPercent": 30, "deposit": 207.18,
+   *       "display": { "currency": "GBP", "rate": 0.85, "total": 587.01, "deposit": 176.1 } // what the customer saw
+   *     },
+   *     "payment": {
+   *       "method": "Κατάθεση σε Τράπεζα",
+   *       "adapter": "bank",                           // onsite, bank, checkout or manual
+   *       "status": "unpaid",                          // unpaid, deposit or paid
+   *       "reference": "RF…",                          // ISO 11649, bank transfers only
+   *       "amountDue": 207.18
+   *     },
+   *     "terms": { "document": "rental", "version": 2, "acceptedAt": "2030-07-01T09:29:41.000Z" }, // null before terms were recorded
+   *     "notes": "…"
+   *   }
+   *
+   * VIP concierge requests go through the same transport, with the schema
+   * "miracars.concierge" version 1 (webhook fields: vip_code, vip_tier, service,
+   * date, time, party_size and the customer and notes fields as above):
+   *
+   *   {
+   *     "schema": "miracars.concierge",
+   *     "version": 1,
+   *     "ref": "VIP-300712-4HZ8",
+   *     "createdAt": "2030-07-01T09:30:00.000Z",
+   *     "status": "new",                               // new, accepted, quoted or done
+   *     "customer": { "name": "…", "email": "…", "phone": "…", "language": "en" },
+   *     "vip": { "code": "VIP2025", "tier": "Gold" },
+   *     "request": { "service": "transfer", "date": "2030-07-12", "time": "20:30", "partySize": 4 },
+   *     "notes": "…"
+   *   }
+   *
+   * Claimed VIP deals go the same way too, with the schema "miracars.deal-claim"
+   * version 1; `ref` is the redemption code the VIP shows the partner (webhook
+   * fields: deal_id, deal_title, partner, vip_code, vip_tier, language):
+   *
+   *   {
+   *     "schema": "miracars.deal-claim",
+   *     "version": 1,
+   *     "ref": "SPA-7KQ2-M8XD",
+   *     "createdAt": "2030-07-01T09:30:00.000Z",
+   *     "deal": { "id": "SPA", "title": "Spa & Wellness", "partner": "Elounda Spa" },
+   *     "vip": { "code": "VIP2025", "tier": "Gold" },
+   *     "language": "en"
+   *   }
+   *
+   * New fields may be added within a version; removing or renaming fields bumps it.
+   * Bookings and requests made offline are re-sent when the connection returns,
+   * and so are those left without an answer after TRANSPORT_TIMEOUT_MS, so
+   * receivers should treat `ref` as an idempotency key. An endpoint that keeps
+   * the fleet's bookings should answer 409 Conflict when the booked vehicle is no
+   * longer free; the customer is then asked to choose again.
+   *
+   * With the HTTP transport the site also reads from the same endpoint, with a
+   * GET and a `view` query parameter. Endpoints that do not answer a view (any
+   * non-2xx response) simply leave the site with what this browser knows.
+   *
+   *   GET <bookingEndpoint>?view=state – public, read by every visitor:
+   *   {
+   *     "schema": "miracars.state",
+   *     "version": 1,
+   *     "holds": [                                     // vehicles taken, without customer details
+   *       { "plate": "HKN-2001", "category": "SUV", "pickup": "2030-07-12", "dropoff": "2030-07-19", "pickupTime": "09:00", "dropoffTime": "09:30" }
+   *     ],
+   *     "promoUses": { "SUMMER10": 12 }                // bookings made with each promo code, not cancelled
+   *   }
+   *
+   *   GET <bookingEndpoint>?view=concierge-status&ref=VIP-300712-4HZ8 – public,
+   *   read by the VIP for each open request; no customer details:
+   *   {
+   *     "schema": "miracars.concierge-status",
+   *     "version": 1,
+   *     "ref": "VIP-300712-4HZ8",
+   *     "status": "quoted",                            // new, accepted, quoted or done
+   *     "quote": { "amount": 450, "currency": "EUR" }, // null unless quoted
+   *     "updatedAt": "2030-07-01T11:02:00.000Z"
+   *   }
+   *
+   *   GET <bookingEndpoint>?view=concierge – the admin's queue; the endpoint
+   *   must refuse it without the office key:
+   *   { "schema": "miracars.concierge-queue", "version": 1, "requests": [ … ] }
+   *   with each request as sent ("miracars.concierge"), carrying its current
+   *   `status` and `quote` as above.
+   *
+   *   GET <bookingEndpoint>?view=deal-claims – the redemption codes claimed so
+   *   far, for the admin's export; the endpoint must refuse it without the
+   *   office key:
+   *   { "schema": "miracars.deal-claims", "version": 1, "claims": [ … ] }
+   *   with each claim as sent ("miracars.deal-claim").
+   *
+   * The admin's status changes are POSTed to the endpoint as the
+   * "miracars.concierge-status" document above. Requests for the admin views
+   * and status changes carry `Authorization: Bearer <key>`, the office key the
+   * admin enters in the settings panel; it stays in the admin's browser
+   * (`endpointKey`) and is never exported with config.json. The endpoint must
+   * accept that header in its CORS preflight and reject status changes without
+   * a valid key.
+   */
+  const BOOKING_PAYLOAD_VERSION = 1;
+  const CONCIERGE_PAYLOAD_VERSION = 1;
+  const DEAL_CLAIM_PAYLOAD_VERSION = 1;
+  const TRANSPORT_TIMEOUT_MS = 15000;
+
+  function buildBookingPayload(booking) {
+    const quote = booking.quote;
+    const shown = booking.displayCurrency || BASE_CURRENCY;
+    return {
+      schema: 'miracars.booking',
+      version: BOOKING_PAYLOAD_VERSION,
+      ref: booking.ref,
+      createdAt: booking.createdAt,
+      status: booking.status,
+      customer: { name: booking.name, email: booking.email, phone: booking.phone, language: booking.language || DEFAULT_LANGUAGE },
+      drivers: booking.drivers || [],
+      rental: {
+        category: booking.category,
+        plate: booking.plate,
+        pickup: booking.pickup,
+        dropoff: booking.dropoff,
+        pickupTime: booking.pickupTime || '',
+        dropoffTime: booking.dropoffTime || '',
+        pickupLocation: booking.pickupLocation || '',
+        dropoffLocation: booking.dropoffLocation || '',
+        days: booking.days,
+        extras: booking.extras
+      },
+      pricing: {
+        currency: BASE_CURRENCY.code,
+        seasons: quote.seasonLines.map((l) => ({ name: l.name || t('price.baseRate', {}, 'el'), rate: l.rate, days: l.days, amount: roundMoney(l.amount) })),
+        weekendSurcharge: quote.weekendSurcharge,
+        durationDiscount: quote.durationDiscount,
+        extrasTotal: quote.extrasTotal,
+        promoCode: booking.promoCode,
+        promoDiscount: quote.promoDiscount,
+        locationFees: quote.locationFees || [],
+        oneWayFee: quote.oneWayFee || 0,
+        afterHoursFees: quote.afterHours || [],
+        driverSurcharges: quote.driverSurcharges || [],
+        total: quote.total,
+        depositPercent: booking.depositPercent,
+        deposit: quote.deposit,
+        display: {
+          currency: shown.code,
+          rate: shown.rate,
+          total: convertAmount(quote.total, shown),
+          deposit: convertAmount(quote.deposit, shown)
+        }
+      },
+      payment: {
+        method: booking.payment,
+        adapter: booking.paymentAdapter || 'manual',
+        status: booking.paymentStatus || 'unpaid',
+        reference: booking.paymentReference || '',
+        amountDue: amountDue(booking)
+      },
+      terms: booking.terms || null,
+      notes: booking.notes
+    };
+  }
+
+  // Flatten the payload into form fields for webhook receivers
+  function buildWebhookForm(booking) {
+    const payload = buildBookingPayload(booking);
+    const form = new URLSearchParams();
+    form.set('schema', payload.schema);
+    form.set('version', String(payload.version));
+    form.set('ref', payload.ref);
+    form.set('created_at', payload.createdAt);
+    form.set('status', payload.status);
+    form.set('name', payload.customer.name);
+    form.set('email', payload.customer.email);
+    form.set('phone', payload.customer.phone);
+    form.set('language', payload.customer.language);
+    const [mainDriver = {}, ...additionalDrivers] = payload.drivers;
+    form.set('driver_dob', mainDriver.dateOfBirth || '');
+    form.set('licence_country', mainDriver.licenceCountry || '');
+    form.set('licence_issued', mainDriver.licenceIssued || '');
+    form.set('additional_drivers', additionalDrivers.map((d) => `${d.name} (${d.dateOfBirth}, ${d.licenceCountry}, ${d.licenceIssued})`).join('; '));
+    form.set('category', payload.rental.category);
+    form.set('plate', payload.rental.plate);
+    form.set('pickup', payload.rental.pickup);
+    form.set('dropoff', payload.rental.dropoff);
+    form.set('pickup_time', payload.rental.pickupTime);
+    form.set('dropoff_time', payload.rental.dropoffTime);
+    form.set('pickup_location', payload.rental.pickupLocation);
+    form.set('dropoff_location', payload.rental.dropoffLocation);
+    form.set('days', String(payload.rental.days));
+    form.set('extras', payload.rental.extras.join(', '));
+    form.set('promo_code', payload.pricing.promoCode);
+    form.set('total', payload.pricing.total.toFixed(2));
+    form.set('deposit', payload.pricing.deposit.toFixed(2));
+    form.set('currency', payload.pricing.currency);
+    form.set('display_currency', payload.pricing.display.currency);
+    form.set('display_total', String(payload.pricing.display.total));
+    form.set('payment_method', payload.payment.method);
+    form.set('payment_status', payload.payment.status);
+    form.set('payment_reference', payload.payment.reference);
+    form.set('terms_version', payload.terms ? String(payload.terms.version) : '');
+    form.set('terms_accepted_at', payload.terms ? payload.terms.acceptedAt : '');
+    form.set('notes', payload.notes);
+    form.set('summary', composeBookingEmail(booking).body);
+    return form;
+  }
+
+  function buildConciergePayload(request) {
+    return {
+      schema: 'miracars.concierge',
+      version: CONCIERGE_PAYLOAD_VERSION,
+      ref: request.ref,
+      createdAt: request.createdAt,
+      status: request.status,
+      customer: { name: request.name, email: request.email, phone: request.phone, language: request.language || DEFAULT_LANGUAGE },
+      vip: { code: request.vipCode, tier: request.vipTier },
+      request: { service: request.service, date: request.date, time: request.time, partySize: request.partySize },
+      notes: request.notes
+    };
+  }
+
+  // A request as listed in the endpoint's concierge queue, in the stored shape; null if it is not one
+  function conciergeFromPayload(payload) {
+    if (!isPlainObject(payload) || !isText(payload.ref) || !payload.ref
+      || !isPlainObject(payload.customer) || !isPlainObject(payload.vip) || !isPlainObject(payload.request)) return null;
+    const status = conciergeStatusFrom({ ...payload, schema: 'miracars.concierge-status' });
+    return {
+      ref: payload.ref,
+      createdAt: String(payload.createdAt || ''),
+      status: status ? status.status : 'new',
+      service: CONCIERGE_SERVICES.includes(payload.request.service) ? payload.request.service : 'other',
+      date: String(payload.request.date || ''),
+      time: String(payload.request.time || ''),
+      partySize: Number(payload.request.partySize) || 1,
+      name: String(payload.customer.name || ''),
+      email: String(payload.customer.email || ''),
+      phone: String(payload.customer.phone || ''),
+      notes: String(payload.notes || ''),
+      language: LANGUAGES[payload.customer.language] ? payload.customer.language : DEFAULT_LANGUAGE,
+      vipCode: String(payload.vip.code || ''),
+      vipTier: String(payload.vip.tier || ''),
+      ...(status ? { quoteAmount: status.quoteAmount, updatedAt: status.updatedAt } : { quoteAmount: null })
+    };
+  }
+
+  function buildConciergeWebhookForm(request) {
+    const payload = buildConciergePayload(request);
+    const form = new URLSearchParams();
+    form.set('schema', payload.schema);
+    form.set('version', String(payload.version));
+    form.set('ref', payload.ref);
+    form.set('created_at', payload.createdAt);
+    form.set('status', payload.status);
+    form.set('name', payload.customer.name);
+    form.set('email', payload.customer.email);
+    form.set('phone', payload.customer.phone);
+    form.set('language', payload.customer.language);
+    form.set('vip_code', payload.vip.code);
+    form.set('vip_tier', payload.vip.tier);
+    form.set('service', payload.request.service);
+    form.set('date', payload.request.date);
+    form.set('time', payload.request.time);
+    form.set('party_size', String(payload.request.partySize));
+    form.set('notes', payload.notes);
+    form.set('summary', composeConciergeEmail(request).body);
+    return form;
+  }
+
+  function buildDealClaimPayload(claim) {
+    return {
+      schema: 'miracars.deal-claim',
+      version: DEAL_CLAIM_PAYLOAD_VERSION,
+      ref: claim.ref,
+      createdAt: claim.createdAt,
+      deal: { id: claim.dealId, title: claim.dealTitle, partner: claim.partner },
+      vip: { code: claim.vipCode, tier: claim.vipTier },
+      language: claim.language || DEFAULT_LANGUAGE
+    };
+  }
+
+  function buildDealClaimWebhookForm(claim) {
+    const payload = buildDealClaimPayload(claim);
+    const form = new URLSearchParams();
+    form.set('schema', payload.schema);
+    form.set('version', String(payload.version));
+    form.set('ref', payload.ref);
+    form.set('created_at', payload.createdAt);
+    form.set('deal_id', payload.deal.id);
+    form.set('deal_title', payload.deal.title);
+    form.set('partner', payload.deal.partner);
+    form.set('vip_code', payload.vip.code);
+    form.set('vip_tier', payload.vip.tier);
+    form.set('language', payload.language);
+    form.set('summary', composeDealClaimEmail(claim).body);
+    return form;
+  }
+
+  // What each kind of record is sent as, and the messages the visitor sees once it is on its way
+  const DELIVERY_FORMATS = {
+    booking: {
+      email: composeBookingEmail,
+      payload: buildBookingPayload,
+      form: buildWebhookForm,
+      mailOpened: 'booking.mailOpened',
+      received: 'booking.received'
+    },
+    concierge: {
+      email: composeConciergeEmail,
+      payload: buildConciergePayload,
+      form: buildConciergeWebhookForm,
+      mailOpened: 'concierge.mailOpened',
+      received: 'concierge.received'
+    },
+    dealClaim: {
+      email: composeDealClaimEmail,
+      payload: buildDealClaimPayload,
+      form: buildDealClaimWebhookForm,
+      mailOpened: 'deals.mailOpened',
+      received: 'deals.received'
+    }
+  };
+
+  // POST with a timeout; resolves to { ok, message } instead of throwing. `offline` marks failures worth
+  // retrying later and `unconfirmed` a request that was given up on, so the endpoint may have it already
+  async function postWithTimeout(url, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TRANSPORT_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, { ...options, method: 'POST', signal: controller.signal });
+      if (response.status === 409) {
+        return { ok: false, conflict: true, message: t('transport.conflict') };
+      }
+      if (!response.ok) {
+        return { ok: false, message: t('transport.serverError', { status: response.status }) };
+      }
+      return { ok: true };
+    } catch (err) {
+      // fetch only rejects on network failure (or our abort), so these are worth retrying later
+      if (err.name === 'AbortError') {
+        return { ok: false, offline: true, unconfirmed: true, message: t('transport.timeout') };
+      }
+      return { ok: false, offline: true, message: t('transport.network') };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Read a view of the booking endpoint (HTTP transport only). Resolves to the
+   * parsed JSON, or null when there is no endpoint, no connection or no answer.
+   */
+  async function getFromEndpoint(view, params = {}, headers = {}) {
+    if (bookingTransport !== 'http' || !bookingEndpoint || !navigator.onLine) return null;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TRANSPORT_TIMEOUT_MS);
+    try {
+      const url = new URL(bookingEndpoint, window.location.href);
+      url.searchParams.set('view', view);
+      Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+      const response = await fetch(url.href, { cache: 'no-cache', headers, signal: controller.signal });
+      return response.ok ? await response.json() : null;
+    } catch (err) {
+      console.warn(`Could not read ${view} from the booking endpoint`, err);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // The office key for the admin-only views, from this browser only
+  function endpointAuthHeaders() {
+    const key = localStorage.getItem('endpointKey');
+    return key ? { Authorization: `Bearer ${key}` } : {};
+  }
+
+  // Fetch the office's current holds; kept from the last answer when there is none
+  async function refreshEndpointState() {
+    const state = await getFromEndpoint('state');
+    if (isPlainObject(state) && state.schema === 'miracars.state') {
+      remoteHolds = validHolds(state.holds);
+      if ('promoUses' in state) remotePromoUses = validUseCounts(state.promoUses);
+    }
+  }
+
+  const BOOKING_TRANSPORTS = {
+    mailto(record, format) {
+      const { subject, body } = format.email(record);
+      window.location.href = `mailto:${adminEmail}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+      return { ok: true, message: t(format.mailOpened, { ref: record.ref }) };
+    },
+    async http(record, format) {
+      if (!bookingEndpoint) return { ok: false, message: t('transport.noEndpoint') };
+      const result = await postWithTimeout(bookingEndpoint, {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(format.payload(record))
+      });
+      return result.ok ? { ok: true, message: t(format.received, { ref: record.ref }) } : result;
+    },
+    async webhook(record, format) {
+      if (!webhookUrl) return { ok: false, message: t('transport.noWebhook') };
+      const result = await postWithTimeout(webhookUrl, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' },
+        body: format.form(record).toString()
+      });
+      return result.ok ? { ok: true, message: t(format.received, { ref: record.ref }) } : result;
+    }
+  };
+
+  /**
+   * Send a booking (or a record of another DELIVERY_FORMATS kind) through the
+   * configured transport. Resolves to { ok, message }.
+   */
+  async function deliver(record, kind = 'booking') {
+    const transport = BOOKING_TRANSPORTS[bookingTransport] || BOOKING_TRANSPORTS.mailto;
+    if (transport !== BOOKING_TRANSPORTS.mailto && !navigator.onLine) {
+      return { ok: false, offline: true, message: t('transport.offline') };
+    }
+    return transport(record, DELIVERY_FORMATS[kind]);
+  }
+
+  /*
+   * Offline queue
+   *
+   * Bookings, concierge requests and deal claims that could not reach the
+   * network are kept in the IndexedDB outbox and re-sent when the browser
+   * reports it is back online or on the next visit. With the email transport
+   * only one entry can be handed to the mail program at a time, so each one
+   * waits for the visitor to agree, and the rest for the next attempt.
+   */
+  const RECORD_STORES = { booking: 'bookings', concierge: 'concierge', dealClaim: 'dealClaims' };
+  let flushingOutbox = false;
+
+  async function flushOutbox() {
+    if (flushingOutbox || !navigator.onLine) return;
+    flushingOutbox = true;
+    try {
+      const queued = await getOutbox();
+      for (const entry of queued) {
+        // Entries queued before concierge requests existed are all bookings
+        const kind = entry.kind || 'booking';
+        const record = await dbRequest(RECORD_STORES[kind], 'readonly', (store) => store.get(entry.ref));
+        if (!record) {
+          await dbRequest('outbox', 'readwrite', (store) => store.delete(entry.ref));
+          continue;
+        }
+        const viaEmail = !BOOKING_TRANSPORTS[bookingTransport] || bookingTransport === 'mailto';
+        if (viaEmail && !confirm(t('booking.mailQueued', { ref: entry.ref }))) break;
+        const result = await deliver(record, kind);
+        if (result.ok) {
+          record.delivery = { transport: bookingTransport, ok: true, queued: false, at: new Date().toISOString(), error: '' };
+          await dbRequest(RECORD_STORES[kind], 'readwrite', (store) => store.put(record));
+          await dbRequest('outbox', 'readwrite', (store) => store.delete(entry.ref));
+        } else if (result.conflict) {
+          // The vehicle went to someone else while this booking waited: free it and stop retrying
+          releaseReservation(record.ref);
+          record.delivery = { transport: bookingTransport, ok: false, queued: false, at: new Date().toISOString(), error: result.message };
+          await dbRequest(RECORD_STORES[kind], 'readwrite', (store) => store.put(record));
+          await dbRequest('outbox', 'readwrite', (store) => store.delete(entry.ref));
+        } else {
+          entry.attempts += 1;
+          entry.lastError = result.message;
+          await dbRequest('outbox', 'readwrite', (store) => store.put(entry));
+          if (result.offline) break;
+        }
+        // The mail program takes one message at a time
+        if (viaEmail) break;
+      }
+    } catch (err) {
+      console.error('Could not flush booking queue', err);
+    } finally {
+      flushingOutbox = false;
+      updateSyncIndicator();
+      renderConciergeRequests();
+      renderDeals();
+    }
+  }
+
+  // Show how many bookings are waiting to be sent
+  async function updateSyncIndicator() {
+    const el = document.getElementById('sync-indicator');
+    if (!el) return;
+    let count = 0;
+    try {
+      count = (await getOutbox()).filter((entry) => (entry.kind || 'booking') === 'booking').length;
+    } catch (err) {
+      count = 0;
+    }
+    el.textContent = tp('booking.sync', count);
+    el.classList.toggle('hidden', count === 0);
+  }
+
+  /*
+   * Admin bookings dashboard
+   */
+  let ledgerCache = [];
+
+  // Reload the ledger from IndexedDB and redraw the dashboard
+  async function renderBookingsDashboard() {
+    try {
+      ledgerCache = await getAllBookings();
+    } catch (err) {
+      console.error('Could not load bookings', err);
+      ledgerCache = [];
+    }
+    ledgerCache.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const categorySel = document.getElementById('ledger-category');
+    if (categorySel) {
+      const current = categorySel.value;
+      const categories = new Set([...Object.keys(carCategories), ...ledgerCache.map((b) => b.category)]);
+      categorySel.innerHTML = '<option value="">Όλες οι κατηγορίες</option>';
+      categories.forEach((cat) => {
+        const opt = document.createElement('option');
+        opt.value = cat;
+        opt.textContent = cat;
+        categorySel.appendChild(opt);
+      });
+      categorySel.value = current;
+    }
+    renderBookingsTable();
+  }
+
+  // Bookings matching the dashboard filters; the date range matches any rental overlapping it
+  function filteredBookings() {
+    const value = (id) => (document.getElementById(id) || {}).value || '';
+    const search = value('ledger-search').trim().toLowerCase();
+    const from = value('ledger-from');
+    const to = value('ledger-to');
+    const category = value('ledger-category');
+    const status = value('ledger-status');
+    return ledgerCache.filter((b) => {
+      if (category && b.category !== category) return false;
+      if (status && b.status !== status) return false;
+      if (from && b.dropoff < from) return false;
+      if (to && b.pickup > to) return false;
+      if (search) {
+        const haystack = [b.ref, b.name, b.email, b.phone, b.plate, b.notes].join(' ').toLowerCase();
+        if (!haystack.includes(search)) return false;
+      }
+      return true;
+    });
+  }
+
+  function renderBookingsTable() {
+    const tbody = document.getElementById('ledger-rows');
+    const countEl = document.getElementById('ledger-count');
+    if (!tbody) return;
+    const bookings = filteredBookings();
+    tbody.innerHTML = '';
+    if (countEl) countEl.textContent = `${bookings.length} από ${ledgerCache.length} κρατήσεις`;
+    bookings.forEach((b) => {
+      const row = document.createElement('tr');
+      row.className = 'border-t border-gray-700';
+      const cells = [
+        b.delivery && !b.delivery.ok ? `${b.ref}\n${b.delivery.queued ? 'Σε αναμονή αποστολής' : 'Αποστολή απέτυχε'}` : b.ref,
+        new Date(b.createdAt).toLocaleString('el-GR'),
+        `${b.name}\n${b.email}\n${b.phone}`,
+        `${b.category}\n${b.plate}`,
+        [
+          `${formatDate(b.pickup, 'el')} ${b.pickupTime || ''} – ${formatDate(b.dropoff, 'el')} ${b.dropoffTime || ''}`,
+          b.pickupLocation && b.pickupLocation !== b.dropoffLocation ? `${b.pickupLocation} → ${b.dropoffLocation}` : b.pickupLocation
+        ].filter(Boolean).join('\n'),
+        formatMoney(b.total, 'el', BASE_CURRENCY)
+      ];
+      cells.forEach((text) => {
+        const td = document.createElement('td');
+        td.className = 'p-2 align-top whitespace-pre-line';
+        td.textContent = text;
+        row.appendChild(td);
+      });
+      const statusCell = document.createElement('td');
+      statusCell.className = 'p-2 align-top';
+      const select = document.createElement('select');
+      select.className = 'rounded border border-gray-700 p-1 bg-gray-700 text-sm';
+      Object.entries(BOOKING_STATUSES).forEach(([key, label]) => {
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.textContent = label;
+        select.appendChild(opt);
+      });
+      select.value = b.status;
+      select.addEventListener('change', () => setBookingStatus(b.ref, select.value));
+      statusCell.appendChild(select);
+      row.appendChild(statusCell);
+      const paymentCell = document.createElement('td');
+      paymentCell.className = 'p-2 align-top';
+      const paymentSelect = document.createElement('select');
+      paymentSelect.className = 'rounded border border-gray-700 p-1 bg-gray-700 text-sm';
+      paymentSelect.title = [
+        b.payment,
+        b.paymentReference,
+        b.paymentReported && b.paymentStatus === 'unpaid' ? `Ο πελάτης δήλωσε πληρωμή στις ${new Date(b.paymentReported.at).toLocaleString('el-GR')} (ανεπιβεβαίωτη)` : ''
+      ].filter(Boolean).join('\n');
+      Object.entries(PAYMENT_STATUSES).forEach(([key, label]) => {
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.textContent = label;
+        paymentSelect.appendChild(opt);
+      });
+      paymentSelect.value = b.paymentStatus || 'unpaid';
+      paymentSelect.addEventListener('change', () => setPaymentStatus(b.ref, paymentSelect.value));
+      paymentCell.appendChild(paymentSelect);
+      row.appendChild(paymentCell);
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * Move a booking to a new status. Cancelling frees its vehicle; reinstating a
+   * cancelled booking holds the vehicle again if it is still free.
+   */
+  async function setBookingStatus(ref, status) {
+    try {
+      const booking = await getBooking(ref);
+      if (!booking || !BOOKING_STATUSES[status]) return;
+      const reinstated = booking.status === 'cancelled' && status !== 'cancelled';
+      if (reinstated && !holdReservation(booking)) {
+        alert(`Το όχημα ${booking.plate} έχει κρατηθεί στο μεταξύ για αυτές τις ημερομηνίες. Η κράτηση παραμένει ακυρωμένη.`);
+        renderBookingsTable();
+        return;
+      }
+      booking.status = status;
+      booking.updatedAt = new Date().toISOString();
+      try {
+        await saveBooking(booking);
+      } catch (err) {
+        if (reinstated) releaseReservation(ref);
+        throw err;
+      }
+      if (status === 'cancelled') releaseReservation(ref);
+    } catch (err) {
+      console.error('Could not update booking', err);
+      alert('Η αλλαγή δεν αποθηκεύτηκε: δεν ήταν δυνατή η πρόσβαση στις κρατήσεις αυτού του browser.');
+    }
+    await renderBookingsDashboard();
+    updateAvailability();
+  }
+
+  // Record a payment the office has received (or reverse one entered by mistake)
+  async function setPaymentStatus(ref, status) {
+    try {
+      const booking = await getBooking(ref);
+      if (!booking || !PAYMENT_STATUSES[status]) return;
+      booking.paymentStatus = status;
+      booking.updatedAt = new Date().toISOString();
+      await saveBooking(booking);
+    } catch (err) {
+      console.error('Could not update payment status', err);
+      alert('Η αλλαγή δεν αποθηκεύτηκε: δεν ήταν δυνατή η πρόσβαση στις κρατήσεις αυτού του browser.');
+    }
+    await renderBookingsDashboard();
+  }
+
+  // Quote a value for CSV, doubling embedded quotes. Text a spreadsheet would run as a
+  // formula (customer names and notes are typed by visitors) is prefixed with '
+  function csvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n;\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Download the filtered bookings as CSV (UTF-8 with BOM so spreadsheets show Greek correctly)
+   */
+  window.exportBookingsCSV = function () {
+    const header = ['Αριθμός', 'Υποβολή', 'Κατάσταση', 'Όνομα', 'Email', 'Τηλέφωνο', 'Ημ/νία γέννησης', 'Χώρα διπλώματος', 'Έκδοση διπλώματος', 'Πρόσθετοι οδηγοί', 'Κατηγορία', 'Όχημα', 'Παραλαβή', 'Ώρα παραλαβής', 'Σημείο παραλαβής', 'Επιστροφή', 'Ώρα επιστροφής', 'Σημείο επιστροφής', 'Ημέρες', 'Extras', 'Κωδικός προσφοράς', 'Σύνολο', 'Προκαταβολή', 'Τρόπος πληρωμής', 'Κατάσταση πληρωμής', 'Αναφορά πληρωμής', 'Όροι ενοικίασης', 'Σημειώσεις'];
+    const rows = filteredBookings().map((b) => {
+      // Bookings made before driver details were asked for have no drivers
+      const [mainDriver = {}, ...additionalDrivers] = b.drivers || [];
+      return [
+        b.ref,
+        b.createdAt,
+        BOOKING_STATUSES[b.status] || b.status,
+        b.name,
+        b.email,
+        b.phone,
+        mainDriver.dateOfBirth,
+        mainDriver.licenceCountry,
+        mainDriver.licenceIssued,
+        additionalDrivers.map((d) => d.name).join(', '),
+        b.category,
+        b.plate,
+        b.pickup,
+        b.pickupTime || '',
+        b.pickupLocation || '',
+        b.dropoff,
+        b.dropoffTime || '',
+        b.dropoffLocation || '',
+        b.days,
+        b.extras.join(', '),
+        b.promoCode,
+        b.total.toFixed(2),
+        b.deposit.toFixed(2),
+        b.payment,
+        PAYMENT_STATUSES[b.paymentStatus || 'unpaid'],
+        b.paymentReference || '',
+        b.terms ? `έκδοση ${b.terms.version}, ${b.terms.acceptedAt}` : '',
+        b.notes
+      ];
+    });
+    const csv = [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n');
+    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `miracars-bookings-${todayIso()}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  };
+
+  /*
+   * Concierge requests
+   *
+   * VIPs with access to the concierge section ask for a service through
+   * #concierge-form. Each request gets a VIP-… reference, is stored in the
+   * IndexedDB `concierge` store and is sent like a booking (see "Booking
+   * transports"). With the HTTP transport the admin's queue under the bookings
+   * dashboard is read from the booking endpoint and each status change or
+   * quote is published back to it, from where the VIP's concierge tab picks it
+   * up for their open requests. With email or a webhook the requests reach the
+   * office as messages only: the queue then lists the requests made in the
+   * admin's own browser and status changes stay there.
+   */
+  const CONCIERGE_SERVICES = ['transfer', 'helicopter', 'restaurant', 'excursion', 'other'];
+  const CONCIERGE_STATUSES = {
+    new: 'Νέο',
+    accepted: 'Αποδεκτό',
+    quoted: 'Με προσφορά',
+    done: 'Ολοκληρωμένο'
+  };
+  const MAX_PARTY_SIZE = 50;
+  const CONCIERGE_STATUS_VERSION = 1;
+
+  function getAllConciergeRequests() {
+    return dbRequest('concierge', 'readonly', (store) => store.getAll());
+  }
+
+  function saveConciergeRequest(request) {
+    return dbRequest('concierge', 'readwrite', (store) => store.put(request));
+  }
+
+  // The office's status of a request as published ("miracars.concierge-status"); null if it is not one
+  function conciergeStatusFrom(doc) {
+    if (!isPlainObject(doc) || doc.schema !== 'miracars.concierge-status' || !isText(doc.ref) || !CONCIERGE_STATUSES[doc.status]) return null;
+    const amount = isPlainObject(doc.quote) && isAmount(doc.quote.amount) ? doc.quote.amount : null;
+    return { ref: doc.ref, status: doc.status, quoteAmount: amount, updatedAt: isText(doc.updatedAt) ? doc.updatedAt : '' };
+  }
+
+  function buildConciergeStatus(request) {
+    return {
+      schema: 'miracars.concierge-status',
+      version: CONCIERGE_STATUS_VERSION,
+      ref: request.ref,
+      status: request.status,
+      quote: request.quoteAmount !== null ? { amount: request.quoteAmount, currency: BASE_CURRENCY.code } : null,
+      updatedAt: request.updatedAt
+    };
+  }
+
+  /**
+   * Load the office's queue from the booking endpoint into this browser.
+   * Resolves to false when the endpoint did not answer with one.
+   */
+  async function syncConciergeQueue() {
+    const queue = await getFromEndpoint('concierge', {}, endpointAuthHeaders());
+    if (!isPlainObject(queue) || queue.schema !== 'miracars.concierge-queue' || !Array.isArray(queue.requests)) return false;
+    for (const request of queue.requests.map(conciergeFromPayload).filter(Boolean)) {
+      const stored = await dbRequest('concierge', 'readonly', (store) => store.get(request.ref));
+      await saveConciergeRequest({ ...stored, ...request });
+    }
+    return true;
+  }
+
+  /**
+   * Fetch the office's status of the given open requests and store the ones
+   * that changed. Resolves to true when any did.
+   */
+  async function refreshConciergeStatuses(requests) {
+    const answers = await Promise.all(requests.map((request) => getFromEndpoint('concierge-status', { ref: request.ref })));
+    let changed = false;
+    for (const [i, answer] of answers.entries()) {
+      const update = conciergeStatusFrom(answer);
+      const request = requests[i];
+      if (!update || update.ref !== request.ref) continue;
+      if (update.status === request.status && update.quoteAmount === request.quoteAmount) continue;
+      await saveConciergeRequest({ ...request, status: update.status, quoteAmount: update.quoteAmount, updatedAt: update.updatedAt });
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Compose the Greek notification email for a concierge request
+   */
+  function composeConciergeEmail(request) {
+    const lines = [
+      'Νέο αίτημα concierge',
+      `Αριθμός αιτήματος: ${request.ref}`,
+      '',
+      `Όνομα: ${request.name}`,
+      `Email: ${request.email}`,
+      `Τηλέφωνο: ${request.phone}`,
+      `Γλώσσα πελάτη: ${LANGUAGES[request.language] ? LANGUAGES[request.language].label : request.language}`,
+      `Κωδικός VIP: ${request.vipCode} (${request.vipTier})`,
+      '',
+      `Υπηρεσία: ${t(`concierge.service.${request.service}`, {}, 'el')}`,
+      `Ημερομηνία: ${formatDate(request.date, 'el')} ${request.time}`,
+      `Άτομα: ${request.partySize}`
+    ];
+    if (request.notes) lines.push('', `Σημειώσεις: ${request.notes}`);
+    return { subject: `Αίτημα concierge Mira Cars ${request.ref}`, body: lines.join('\n') };
+  }
+
+  async function handleConciergeSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const session = getVipSession();
+    if (!session || !session.unlocks.includes('concierge')) {
+      alert(t('vip.noAccess'));
+      showTab('home');
+      return;
+    }
+    const value = (id) => form.querySelector(`#${id}`).value.trim();
+    const partySize = Number(value('concierge-party'));
+    if (value('concierge-date') < todayIso()) {
+      alert(t('concierge.pastDate'));
+      return;
+    }
+    if (!Number.isInteger(partySize) || partySize < 1 || partySize > MAX_PARTY_SIZE) {
+      alert(t('concierge.partyInvalid', { max: MAX_PARTY_SIZE }));
+      return;
+    }
+    const request = {
+      ref: generateBookingRef('VIP'),
+      createdAt: new Date().toISOString(),
+      status: 'new',
+      service: CONCIERGE_SERVICES.includes(value('concierge-service')) ? value('concierge-service') : 'other',
+      date: value('concierge-date'),
+      time: value('concierge-time'),
+      partySize,
+      name: value('concierge-name'),
+      email: value('concierge-email'),
+      phone: value('concierge-phone'),
+      notes: value('concierge-notes'),
+      language: currentLang,
+      vipCode: session.code,
+      vipTier: session.tier,
+      quoteAmount: null
+    };
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    showConciergeStatus('info', t('concierge.sending'));
+    try {
+      await saveConciergeRequest(request);
+    } catch (err) {
+      console.error('Could not store concierge request', err);
+    }
+    const result = await deliver(request, 'concierge');
+    request.delivery = {
+      transport: bookingTransport,
+      ok: result.ok,
+      queued: !!result.offline,
+      at: new Date().toISOString(),
+      error: result.ok ? '' : result.message
+    };
+    submitBtn.disabled = false;
+    if (!result.ok && !result.offline) {
+      // Nothing reached the office: drop the request and keep the form filled in for a retry
+      await dbRequest('concierge', 'readwrite', (store) => store.delete(request.ref)).catch(() => {});
+      showConciergeStatus('error', t('concierge.failed', { reason: result.message, phone: phoneNumber }));
+      return;
+    }
+    await saveConciergeRequest(request).catch((err) => console.error('Could not store concierge request', err));
+    if (result.ok) {
+      showConciergeStatus('success', result.message);
+    } else {
+      await queueDelivery(request.ref, 'concierge').catch((err) => console.error('Could not queue concierge request', err));
+      showConciergeStatus('info', t(result.unconfirmed ? 'concierge.unconfirmed' : 'concierge.queued', { ref: request.ref }));
+    }
+    ['concierge-date', 'concierge-time', 'concierge-notes'].forEach((id) => (form.querySelector(`#${id}`).value = ''));
+    renderConciergeRequests();
+  }
+
+  // Delivery feedback below the concierge form; kind is 'info', 'success' or 'error'
+  function showConciergeStatus(kind, message) {
+    const el = document.getElementById('concierge-message');
+    if (!el) return;
+    const colours = { info: 'text-gray-300', success: 'text-green-400', error: 'text-red-400' };
+    el.className = `text-sm ${colours[kind]}`;
+    el.textContent = message;
+  }
+
+  /**
+   * List the current VIP's requests, newest first, with the office's status.
+   * The status of open requests is then fetched from the booking endpoint and
+   * the list drawn again if it changed.
+   */
+  async function renderConciergeRequests({ refresh = true } = {}) {
+    const list = document.getElementById('concierge-requests');
+    if (!list) return;
+    const session = getVipSession();
+    let requests = [];
+    let queued = new Set();
+    try {
+      requests = session ? (await getAllConciergeRequests()).filter((r) => r.vipCode === session.code) : [];
+      queued = new Set((await getOutbox()).map((entry) => entry.ref));
+    } catch (err) {
+      console.error('Could not load concierge requests', err);
+    }
+    requests.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    list.innerHTML = '';
+    if (!requests.length) {
+      const empty = document.createElement('li');
+      empty.className = 'text-sm text-gray-400';
+      empty.textContent = t('concierge.none');
+      list.appendChild(empty);
+      return;
+    }
+    requests.forEach((request) => {
+      const item = document.createElement('li');
+      item.className = 'p-4 bg-white dark:bg-gray-800 rounded-lg shadow text-sm space-y-1';
+      const heading = document.createElement('div');
+      heading.className = 'flex flex-wrap justify-between gap-2 font-semibold';
+      const title = document.createElement('span');
+      title.textContent = `${t(`concierge.service.${request.service}`)} · ${request.ref}`;
+      const status = document.createElement('span');
+      status.className = request.status === 'new' ? 'text-gray-400' : 'text-green-500';
+      status.textContent = t(`concierge.status.${request.status}`);
+      heading.append(title, status);
+      const details = document.createElement('p');
+      details.className = 'text-gray-600 dark:text-gray-400';
+      details.textContent = [
+        `${formatDate(request.date)} ${request.time}`,
+        tp('concierge.people', request.partySize),
+        request.status === 'quoted' && request.quoteAmount !== null ? t('concierge.quote', { amount: formatMoney(request.quoteAmount, currentLang, BASE_CURRENCY) }) : '',
+        queued.has(request.ref) ? t('concierge.waiting') : ''
+      ].filter(Boolean).join(' · ');
+      item.append(heading, details);
+      list.appendChild(item);
+    });
+    const open = requests.filter((r) => r.status !== 'done' && !queued.has(r.ref));
+    if (!refresh || !open.length) return;
+    try {
+      if (await refreshConciergeStatuses(open)) await renderConciergeRequests({ refresh: false });
+    } catch (err) {
+      console.error('Could not update concierge requests', err);
+    }
+  }
+
+  // Requests for the admin queue, open ones first and then by date of service
+  async function renderConciergeQueue() {
+    const tbody = document.getElementById('concierge-rows');
+    if (!tbody) return;
+    let requests = [];
+    let synced = false;
+    try {
+      synced = await syncConciergeQueue();
+      requests = await getAllConciergeRequests();
+    } catch (err) {
+      console.error('Could not load concierge requests', err);
+    }
+    const notice = document.getElementById('concierge-notice');
+    if (notice) {
+      notice.textContent = bookingTransport !== 'http'
+        ? 'Με αποστολή μέσω email ή webhook τα αιτήματα φτάνουν μόνο ως μηνύματα. Εδώ εμφανίζονται όσα έγιναν σε αυτόν τον browser και οι αλλαγές κατάστασης δεν φτάνουν στον πελάτη.'
+        : synced ? '' : 'Η ουρά δεν φορτώθηκε από τη διεύθυνση HTTP (ελέγξτε τη σύνδεση και το κλειδί πρόσβασης). Εμφανίζονται όσα έχει ήδη αυτός ο browser.';
+      notice.classList.toggle('hidden', !notice.textContent);
+    }
+    const filter = (document.getElementById('concierge-filter') || {}).value || '';
+    const shown = requests
+      .filter((r) => !filter || r.status === filter)
+      .sort((a, b) => (a.status === 'done') - (b.status === 'done') || `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+    const countEl = document.getElementById('concierge-count');
+    if (countEl) {
+      const open = requests.filter((r) => r.status !== 'done').length;
+      countEl.textContent = `${shown.length} από ${requests.length} αιτήματα · ${open} ανοιχτά`;
+    }
+    tbody.innerHTML = '';
+    shown.forEach((r) => {
+      const row = document.createElement('tr');
+      row.className = 'border-t border-gray-700';
+      const cells = [
+        r.delivery && !r.delivery.ok ? `${r.ref}\n${r.delivery.queued ? 'Σε αναμονή αποστολής' : 'Αποστολή απέτυχε'}` : r.ref,
+        new Date(r.createdAt).toLocaleString('el-GR'),
+        `${r.name}\n${r.email}\n${r.phone}\n${r.vipCode} (${r.vipTier})`,
+        t(`concierge.service.${r.service}`, {}, 'el'),
+        `${formatDate(r.date, 'el')} ${r.time}`,
+        String(r.partySize),
+        [r.notes, r.quoteAmount !== null ? `Προσφορά: ${formatMoney(r.quoteAmount, 'el', BASE_CURRENCY)}` : ''].filter(Boolean).join('\n')
+      ];
+      cells.forEach((text) => {
+        const td = document.createElement('td');
+        td.className = 'p-2 align-top whitespace-pre-line';
+        td.textContent = text;
+        row.appendChild(td);
+      });
+      const statusCell = document.createElement('td');
+      statusCell.className = 'p-2 align-top';
+      const select = document.createElement('select');
+      select.className = 'rounded border border-gray-700 p-1 bg-gray-700 text-sm';
+      Object.entries(CONCIERGE_STATUSES).forEach(([key, label]) => {
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.textContent = label;
+        select.appendChild(opt);
+      });
+      select.value = r.status;
+      select.addEventListener('change', () => setConciergeStatus(r.ref, select.value));
+      statusCell.appendChild(select);
+      row.appendChild(statusCell);
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * Move a concierge request to a new status. Quoting asks for the price (EUR)
+   * the VIP will see next to the request. With the HTTP transport the change
+   * is published to the booking endpoint first and kept only once it is there.
+   */
+  async function setConciergeStatus(ref, status) {
+    try {
+      const request = await dbRequest('concierge', 'readonly', (store) => store.get(ref));
+      if (!request || !CONCIERGE_STATUSES[status]) return;
+      const updated = { ...request, status, updatedAt: new Date().toISOString() };
+      if (status === 'quoted') {
+        const input = prompt(`Ποσό προσφοράς για το ${ref} (EUR):`, request.quoteAmount !== null ? String(request.quoteAmount) : '');
+        const amount = input === null ? NaN : Number(input.replace(',', '.'));
+        if (!isFinite(amount) || amount <= 0) {
+          if (input !== null) alert('Το ποσό πρέπει να είναι θετικός αριθμός.');
+          return;
+        }
+        updated.quoteAmount = roundMoney(amount);
+      }
+      if (bookingTransport === 'http') {
+        const result = navigator.onLine
+          ? await postWithTimeout(bookingEndpoint, {
+            headers: { 'Content-Type': 'application/json', ...endpointAuthHeaders() },
+            body: JSON.stringify(buildConciergeStatus(updated))
+          })
+          : { ok: false, message: t('transport.offline', {}, 'el') };
+        if (!result.ok) {
+          alert(`Η αλλαγή δεν έφτασε στον πελάτη και δεν αποθηκεύτηκε: ${result.message}`);
+          return;
+        }
+      }
+      await saveConciergeRequest(updated);
+    } catch (err) {
+      console.error('Could not update concierge request', err);
+      alert('Η αλλαγή δεν αποθηκεύτηκε: δεν ήταν δυνατή η πρόσβαση στα αιτήματα αυτού του browser.');
+    } finally {
+      renderConciergeQueue();
+    }
+  }
+
+  /*
+   * Analytics
+   *
+   * First-party booking funnel statistics, recorded only with consent to the
+   * analytics category. Events ({ id, type, at, session, ...details }) are kept
+   * under `analyticsEvents` (the latest ANALYTICS_LIMIT) and, when
+   * `analyticsEndpoint` is set, POSTed in batches as
+   * { schema: 'miracars.analytics', version, events }; `sent` marks the ones
+   * delivered. The session is a random id per page load, so visits are never
+   * linked to each other or to a person. Event details:
+   *
+   *   view    { section }                        – showTab()
+   *   search  { category }                       – hero search
+   *   quote   { category, days, extras, total }  – calculatePrice() with a new choice
+   *   submit  { category }                       – booking form sent
+   *   booked  { category, days, extras, total }  – booking accepted or queued
+   *   chat    { channel }                        – openChat()
+   */
+  const ANALYTICS_VERSION = 1;
+  const ANALYTICS_LIMIT = 2000;
+  const ANALYTICS_BATCH_SIZE = 20;
+  const ANALYTICS_SESSION = Array.from(crypto.getRandomValues(new Uint8Array(6)), (b) => b.toString(16).padStart(2, '0')).join('');
+  let analyticsCounter = 0;
+  let lastQuoteChoice = '';
+  let sendingAnalytics = false;
+
+  function getAnalyticsEvents() {
+    try {
+      return JSON.parse(localStorage.getItem('analyticsEvents')) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function trackEvent(type, details = {}) {
+    if (!hasConsent('analytics')) return;
+    const events = getAnalyticsEvents();
+    analyticsCounter += 1;
+    events.push({ id: `${ANALYTICS_SESSION}-${analyticsCounter}`, type, at: new Date().toISOString(), session: ANALYTICS_SESSION, ...details, sent: false });
+    storeIfConsented('analyticsEvents', JSON.stringify(events.slice(-ANALYTICS_LIMIT)));
+    if (analyticsEndpoint && events.filter((event) => !event.sent).length >= ANALYTICS_BATCH_SIZE) {
+      sendAnalytics();
+    }
+  }
+
+  // Price shown for a new category, length or set of extras; recalculations for the same choice are not counted again
+  function trackQuote(quote, category, extrasChosen) {
+    const choice = [category, quote.days, ...extrasChosen].join('|');
+    if (choice === lastQuoteChoice) return;
+    lastQuoteChoice = choice;
+    trackEvent('quote', { category, days: quote.days, extras: extrasChosen, total: quote.total });
+  }
+
+  /**
+   * Send the events not yet delivered to `analyticsEndpoint`. When the page is
+   * being left the request is handed to navigator.sendBeacon, which outlives it.
+   * A beacon cannot be preflighted, so its body goes as text/plain.
+   */
+  async function sendAnalytics({ leaving = false } = {}) {
+    if (!analyticsEndpoint || sendingAnalytics || !hasConsent('analytics') || !navigator.onLine) return;
+    const pending = getAnalyticsEvents().filter((event) => !event.sent);
+    if (!pending.length) return;
+    const body = JSON.stringify({
+      schema: 'miracars.analytics',
+      version: ANALYTICS_VERSION,
+      events: pending.map(({ sent, ...event }) => event)
+    });
+    let ok = false;
+    if (leaving) {
+      try {
+        ok = !!navigator.sendBeacon && navigator.sendBeacon(analyticsEndpoint, new Blob([body], { type: 'text/plain' }));
+      } catch (e) {
+        ok = false;
+      }
+    } else {
+      sendingAnalytics = true;
+      ok = (await postWithTimeout(analyticsEndpoint, { headers: { 'Content-Type': 'application/json' }, body })).ok;
+      sendingAnalytics = false;
+    }
+    if (!ok) return;
+    const sentIds = new Set(pending.map((event) => event.id));
+    const events = getAnalyticsEvents().map((event) => (sentIds.has(event.id) ? { ...event, sent: true } : event));
+    storeIfConsented('analyticsEvents', JSON.stringify(events));
+  }
+
+  // Median of a list of numbers, or 0 for an empty list
+  function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  const RENTAL_LENGTHS = [
+    { label: '1–2 ημέρες', min: 1, max: 2 },
+    { label: '3–6 ημέρες', min: 3, max: 6 },
+    { label: '7–13 ημέρες', min: 7, max: 13 },
+    { label: '14+ ημέρες', min: 14, max: Infinity }
+  ];
+
+  /**
+   * Funnel, categories, extras and rental lengths of the events in the chosen
+   * period. Everything is counted in sessions (visits), so a visitor trying
+   * several dates for one category counts once for it.
+   */
+  function summariseAnalytics(events) {
+    const sessionsWith = (predicate) => new Set(events.filter(predicate).map((event) => event.session));
+    const sessions = new Set(events.map((event) => event.session));
+    const funnel = [
+      ['Επισκέψεις', sessions],
+      ['Άνοιξαν τη φόρμα κράτησης', sessionsWith((e) => (e.type === 'view' && e.section === 'booking') || e.type === 'search')],
+      ['Είδαν τιμή', sessionsWith((e) => e.type === 'quote')],
+      ['Υπέβαλαν τη φόρμα', sessionsWith((e) => e.type === 'submit')],
+      ['Ολοκλήρωσαν κράτηση', sessionsWith((e) => e.type === 'booked')]
+    ].map(([label, set]) => ({ label, count: set.size }));
+    const quotes = events.filter((event) => event.type === 'quote');
+    const booked = events.filter((event) => event.type === 'booked');
+    const byName = (list, namesOf) => {
+      const counts = {};
+      list.forEach((event) => namesOf(event).forEach((name) => {
+        counts[name] = counts[name] || new Set();
+        counts[name].add(event.session);
+      }));
+      return counts;
+    };
+    const categoryQuotes = byName(quotes, (e) => [e.category]);
+    const categoryBookings = byName(booked, (e) => [e.category]);
+    const extraQuotes = byName(quotes, (e) => e.extras || []);
+    const extraBookings = byName(booked, (e) => e.extras || []);
+    const sizes = (counts, name) => (counts[name] ? counts[name].size : 0);
+    const ranked = (quoted, bookedCounts) => [...new Set([...Object.keys(quoted), ...Object.keys(bookedCounts)])]
+      .map((name) => ({ name, quoted: sizes(quoted, name), booked: sizes(bookedCounts, name) }))
+      .sort((a, b) => b.booked - a.booked || b.quoted - a.quoted);
+    return {
+      funnel,
+      searches: events.filter((event) => event.type === 'search').length,
+      chats: events.filter((event) => event.type === 'chat').length,
+      categories: ranked(categoryQuotes, categoryBookings),
+      extras: ranked(extraQuotes, extraBookings),
+      lengths: {
+        quotedMedian: median(quotes.map((event) => event.days)),
+        bookedMedian: median(booked.map((event) => event.days)),
+        buckets: RENTAL_LENGTHS.map(({ label, min, max }) => ({
+          label,
+          quoted: quotes.filter((event) => event.days >= min && event.days <= max).length,
+          booked: booked.filter((event) => event.days >= min && event.days <= max).length
+        }))
+      }
+    };
+  }
+
+  // Percentage of part in whole for the dashboard, e.g. "42%"
+  function percentOf(part, whole) {
+    return whole ? `${Math.round((part / whole) * 100)}%` : '–';
+  }
+
+  function renderAnalyticsDashboard() {
+    const container = document.getElementById('analytics-report');
+    if (!container) return;
+    const days = Number(document.getElementById('analytics-range').value);
+    const since = days ? Date.now() - days * DAY_MS : 0;
+    const events = getAnalyticsEvents().filter((event) => Date.parse(event.at) >= since);
+    const stats = summariseAnalytics(events);
+    const pending = getAnalyticsEvents().filter((event) => !event.sent).length;
+    document.getElementById('analytics-count').textContent = analyticsEndpoint
+      ? `${events.length} συμβάντα στην περίοδο· ${pending} περιμένουν αποστολή στο ${analyticsEndpoint}.`
+      : `${events.length} συμβάντα στην περίοδο.`;
+    container.innerHTML = '';
+    const table = (title, headers, rows) => {
+      const box = document.createElement('div');
+      box.className = 'rounded-lg bg-gray-800 p-4 space-y-2';
+      const heading = document.createElement('h3');
+      heading.className = 'font-semibold';
+      heading.textContent = title;
+      box.appendChild(heading);
+      if (!rows.length) {
+        const empty = document.createElement('p');
+        empty.className = 'text-sm text-gray-400';
+        empty.textContent = 'Δεν υπάρχουν ακόμη δεδομένα.';
+        box.appendChild(empty);
+      } else {
+        const el = document.createElement('table');
+        el.className = 'w-full text-sm text-left';
+        const head = document.createElement('tr');
+        head.className = 'text-xs uppercase text-gray-400';
+        headers.forEach((text) => {
+          const th = document.createElement('th');
+          th.className = 'p-1';
+          th.textContent = text;
+          head.appendChild(th);
+        });
+        el.appendChild(head);
+        rows.forEach((cells) => {
+          const tr = document.createElement('tr');
+          tr.className = 'border-t border-gray-700';
+          cells.forEach((text) => {
+            const td = document.createElement('td');
+            td.className = 'p-1';
+            td.textContent = text;
+            tr.appendChild(td);
+          });
+          el.appendChild(tr);
+        });
+        box.appendChild(el);
+      }
+      container.appendChild(box);
+    };
+    const visits = stats.funnel[0].count;
+    table('Πορεία κράτησης', ['Βήμα', 'Επισκέψεις', 'Του συνόλου', 'Του προηγούμενου'],
+      visits ? stats.funnel.map((step, i) => [
+        step.label,
+        String(step.count),
+        percentOf(step.count, visits),
+        i ? percentOf(step.count, stats.funnel[i - 1].count) : '–'
+      ]) : []);
+    table('Αναζητήσεις και επικοινωνία', ['Ενέργεια', 'Φορές'],
+      visits ? [['Αναζήτηση από την αρχική', String(stats.searches)], ['Κουμπί συνομιλίας', String(stats.chats)]] : []);
+    table('Δημοφιλείς κατηγορίες', ['Κατηγορία', 'Είδαν τιμή', 'Κράτησαν', 'Μετατροπή'],
+      stats.categories.map((c) => [c.name, String(c.quoted), String(c.booked), percentOf(c.booked, c.quoted)]));
+    table('Δημοφιλή extras', ['Extra', 'Σε τιμές', 'Σε κρατήσεις'],
+      stats.extras.map((x) => [x.name, String(x.quoted), String(x.booked)]));
+    table(`Διάρκεια ενοικίασης (διάμεσος: ${stats.lengths.quotedMedian} ημ. στις τιμές, ${stats.lengths.bookedMedian} ημ. στις κρατήσεις)`,
+      ['Διάρκεια', 'Τιμές', 'Κρατήσεις'],
+      stats.lengths.buckets.some((b) => b.quoted || b.booked) ? stats.lengths.buckets.map((b) => [b.label, String(b.quoted), String(b.booked)]) : []);
+  }
+
+  /**
+   * Delete the statistics kept in this browser (admin only)
+   */
+  window.clearAnalytics = function () {
+    if (!isAdminLoggedIn()) return;
+    if (!confirm('Να διαγραφούν τα στατιστικά που έχουν καταγραφεί σε αυτόν τον browser;')) return;
+    localStorage.removeItem('analyticsEvents');
+    renderAnalyticsDashboard();
+  };
+
+  /*
+   * Consent
+   *
+   * Nothing outside the necessary category is stored or run until the visitor
+   * chooses. The choice is kept under `consent` as { version, decidedAt,
+   * categories: { preferences, analytics, marketing } } and only counts for the
+   * cookie policy version in force (see Legal texts): when a new one is published
+   * everyone is asked again. Every decision is also appended to `consentLog`
+   * ({ at, version, action, categories }) so it can be shown later.
+   *
+   * Browser storage belongs to the category in STORAGE_CATEGORIES (necessary when
+   * not listed) and is written through storeIfConsented(). Third-party scripts
+   * are added to index.html as <script type="text/plain" data-consent="analytics">
+   * and only run once their category is accepted.
+   */
+  function consentPolicyVersion() {
+    return currentLegalVersion('cookies').version;
+  }
+
+  const CONSENT_CATEGORIES = ['necessary', 'preferences', 'analytics', 'marketing'];
+  const CONSENT_LOG_LIMIT = 50;
+  const STORAGE_CATEGORIES = {
+    language: 'preferences',
+    currency: 'preferences',
+    analyticsEvents: 'analytics'
+  };
+
+  // The visitor's decision for the current policy version, or null
+  function getConsent() {
+    try {
+      const record = JSON.parse(localStorage.getItem('consent'));
+      return record && record.version === consentPolicyVersion() ? record : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function getConsentLog() {
+    try {
+      return JSON.parse(localStorage.getItem('consentLog')) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function hasConsent(category) {
+    if (category === 'necessary') return true;
+    const record = getConsent();
+    return !!record && record.categories[category] === true;
+  }
+
+  // localStorage.setItem for keys that may need consent; blocked writes are simply dropped
+  function storeIfConsented(key, value) {
+    if (hasConsent(STORAGE_CATEGORIES[key] || 'necessary')) {
+      localStorage.setItem(key, value);
+    }
+  }
+
+  /**
+   * Store a decision ('accept-all', 'reject-all' or 'custom'), log it and apply it
+   */
+  function recordConsent(action, categories) {
+    const previous = getConsent();
+    const record = {
+      version: consentPolicyVersion(),
+      decidedAt: new Date().toISOString(),
+      categories: {
+        preferences: !!categories.preferences,
+        analytics: !!categories.analytics,
+        marketing: !!categories.marketing
+      }
+    };
+    localStorage.setItem('consent', JSON.stringify(record));
+    const log = getConsentLog();
+    log.push({ at: record.decidedAt, version: record.version, action, categories: record.categories });
+    localStorage.setItem('consentLog', JSON.stringify(log.slice(-CONSENT_LOG_LIMIT)));
+    applyConsent(previous);
+  }
+
+  /**
+   * Bring storage and scripts in line with the current decision. Scripts that
+   * already ran cannot be unloaded, so withdrawing their category reloads the page.
+   */
+  function applyConsent(previous = null) {
+    Object.entries(STORAGE_CATEGORIES).forEach(([key, category]) => {
+      if (!hasConsent(category)) localStorage.removeItem(key);
+    });
+    // Choices made before consent was given are kept from now on
+    storeIfConsented('language', currentLang);
+    if (currentCurrency !== BASE_CURRENCY.code) storeIfConsented('currency', currentCurrency);
+    const withdrawn = previous
+      ? CONSENT_CATEGORIES.filter((category) => previous.categories[category] && !hasConsent(category))
+      : [];
+    if (withdrawn.some((category) => document.querySelector(`script[data-consent="${category}"][data-consent-active]`))) {
+      location.reload();
+      return;
+    }
+    document.querySelectorAll('script[type="text/plain"][data-consent]:not([data-consent-active])').forEach((placeholder) => {
+      if (!hasConsent(placeholder.dataset.consent)) return;
+      const script = document.createElement('script');
+      [...placeholder.attributes].forEach(({ name, value }) => {
+        if (name !== 'type' && name !== 'data-consent') script.setAttribute(name, value);
+      });
+      script.text = placeholder.text;
+      placeholder.setAttribute('data-consent-active', '');
+      placeholder.after(script);
+    });
+  }
+
+  // Show the banner until the visitor decides; earlier "by continuing you accept" flags do not count
+  function initConsent() {
+    localStorage.removeItem('cookiesAccepted');
+    document.getElementById('cookie-banner').classList.toggle('hidden', !!getConsent());
+    applyConsent();
+  }
+
+  // Last decision as shown in the consent dialog
+  function renderConsentStatus() {
+    const status = document.getElementById('consent-status');
+    const record = getConsent();
+    status.textContent = record
+      ? t('consent.lastChoice', {
+        date: new Intl.DateTimeFormat(LANGUAGES[currentLang].locale, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(record.decidedAt)),
+        version: record.version
+      })
+      : t('consent.noChoice');
+  }
+
+  /**
+   * Open the consent dialog with the current choices (from the banner or the footer)
+   */
+  window.openConsent = function () {
+    const form = document.getElementById('consent-form');
+    CONSENT_CATEGORIES.forEach((category) => {
+      form.elements[category].checked = hasConsent(category);
+    });
+    renderConsentStatus();
+    document.getElementById('consent-modal').classList.remove('hidden');
+  };
+
+  window.closeConsent = function () {
+    document.getElementById('consent-modal').classList.add('hidden');
+  };
+
+  function finishConsent(action, categories) {
+    recordConsent(action, categories);
+    document.getElementById('cookie-banner').classList.add('hidden');
+    closeConsent();
+  }
+
+  window.acceptAllConsent = function () {
+    finishConsent('accept-all', { preferences: true, analytics: true, marketing: true });
+  };
+
+  window.rejectAllConsent = function () {
+    finishConsent('reject-all', {});
+  };
+
+  window.saveConsentChoices = function () {
+    const form = document.getElementById('consent-form');
+    finishConsent('custom', {
+      preferences: form.elements.preferences.checked,
+      analytics: form.elements.analytics.checked,
+      marketing: form.elements.marketing.checked
+    });
+  };
+
+  /*
+   * Personal data
+   *
+   * "Τα δεδομένα μου" (#/my-data) shows what this browser holds about the
+   * visitor: the localStorage keys in PERSONAL_STORAGE and the bookings,
+   * concierge requests and deal claims made here (IndexedDB `bookings`,
+   * `concierge` and `dealClaims`, plus the `outbox` of those not yet sent). The
+   * visitor can download it as JSON or erase it. Erasing also drops the
+   * vehicle holds of the erased bookings from `fleetReservations`; settings,
+   * admin sign-in and the published availability stay. Copies the office holds are handled by email
+   * through a pre-filled data-subject request to `adminEmail`.
+   */
+  const PERSONAL_STORAGE = ['language', 'currency', 'consent', 'consentLog', 'vipSession', 'vipUsage', 'promoUsage', 'analyticsEvents'];
+  const DATA_REQUESTS = {
+    access: 'Πρόσβαση στα δεδομένα μου (άρθρο 15 ΓΚΠΔ)',
+    rectification: 'Διόρθωση των δεδομένων μου (άρθρο 16 ΓΚΠΔ)',
+    erasure: 'Διαγραφή των δεδομένων μου (άρθρο 17 ΓΚΠΔ)'
+  };
+
+  // Stored personal keys with their values parsed where they are JSON
+  function readPersonalStorage() {
+    const stored = {};
+    PERSONAL_STORAGE.forEach((key) => {
+      const raw = localStorage.getItem(key);
+      if (raw === null) return;
+      try {
+        stored[key] = JSON.parse(raw);
+      } catch (e) {
+        stored[key] = raw;
+      }
+    });
+    return stored;
+  }
+
+  async function collectPersonalData() {
+    const [bookings, conciergeRequests, dealClaims, outbox] = await Promise.all([getAllBookings(), getAllConciergeRequests(), getAllDealClaims(), getOutbox()]);
+    return {
+      schema: 'miracars.personal-data',
+      exportedAt: new Date().toISOString(),
+      storage: readPersonalStorage(),
+      bookings: bookings.sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+      conciergeRequests: conciergeRequests.sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+      dealClaims: dealClaims.sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+      outbox
+    };
+  }
+
+  // A single line of text in place of the list, for the empty and error states
+  function showMyDataMessage(list, message) {
+    const note = document.createElement('p');
+    note.className = 'text-sm text-gray-400';
+    note.textContent = message;
+    list.innerHTML = '';
+    list.appendChild(note);
+  }
+
+  async function renderMyData() {
+    const list = document.getElementById('my-data-list');
+    if (!list) return;
+    let data;
+    try {
+      data = await collectPersonalData();
+    } catch (e) {
+      console.error('Reading personal data failed:', e);
+      showMyDataMessage(list, t('mydata.readFailed'));
+      return;
+    }
+    const queued = new Set(data.outbox.map((entry) => entry.ref));
+    const entries = [
+      ...Object.entries(data.storage).map(([key, value]) => [t(`mydata.key.${key}`), value]),
+      ...data.bookings.map((booking) => [
+        t('mydata.booking', { ref: booking.ref, category: booking.category, pickup: formatDate(booking.pickup), dropoff: formatDate(booking.dropoff) })
+          + (queued.has(booking.ref) ? ` ${t('mydata.queued')}` : ''),
+        booking
+      ]),
+      ...data.conciergeRequests.map((request) => [
+        t('mydata.concierge', { ref: request.ref, service: t(`concierge.service.${request.service}`), date: formatDate(request.date) })
+          + (queued.has(request.ref) ? ` ${t('mydata.queued')}` : ''),
+        request
+      ]),
+      ...data.dealClaims.map((claim) => [
+        t('mydata.deal', { title: claim.dealTitle, code: claim.ref }) + (queued.has(claim.ref) ? ` ${t('mydata.queued')}` : ''),
+        claim
+      ])
+    ];
+    if (!entries.length) {
+      showMyDataMessage(list, t('mydata.empty'));
+      return;
+    }
+    list.innerHTML = '';
+    entries.forEach(([label, value]) => {
+      const details = document.createElement('details');
+      details.className = 'bg-gray-800 rounded p-3';
+      const summary = document.createElement('summary');
+      summary.className = 'cursor-pointer text-sm font-semibold';
+      summary.textContent = label;
+      const pre = document.createElement('pre');
+      pre.className = 'mt-2 text-xs text-gray-300 whitespace-pre-wrap break-all';
+      pre.textContent = JSON.stringify(value, null, 2);
+      details.append(summary, pre);
+      list.appendChild(details);
+    });
+  }
+
+  /**
+   * Download everything listed on the page as a JSON file
+   */
+  window.exportMyData = async function () {
+    let data;
+    try {
+      data = await collectPersonalData();
+    } catch (e) {
+      console.error('Reading personal data failed:', e);
+      alert(t('mydata.readFailed'));
+      return;
+    }
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `miracars-my-data-${data.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  };
+
+  /**
+   * Remove the visitor's data from this browser. On the admin's own device the
+   * bookings are the office ledger, so they are left for the admin to manage.
+   */
+  window.eraseMyData = async function () {
+    if (!confirm(t('mydata.eraseConfirm'))) return;
+    PERSONAL_STORAGE.forEach((key) => localStorage.removeItem(key));
+    const keepLedger = isAdminLoggedIn();
+    let failed = false;
+    if (!keepLedger) {
+      try {
+        const refs = new Set((await getAllBookings()).map((booking) => booking.ref));
+        saveReservations(getReservations().filter((r) => !refs.has(r.ref)));
+        await dbRequest('bookings', 'readwrite', (store) => store.clear());
+        await dbRequest('concierge', 'readwrite', (store) => store.clear());
+        await dbRequest('dealClaims', 'readwrite', (store) => store.clear());
+        await dbRequest('outbox', 'readwrite', (store) => store.clear());
+      } catch (e) {
+        console.error('Erasing personal data failed:', e);
+        failed = true;
+      }
+      confirmedBooking = null;
+      updateSyncIndicator();
+    }
+    updateVIPNav();
+    document.getElementById('cookie-banner').classList.remove('hidden');
+    await renderMyData();
+    if (failed) {
+      alert(t('mydata.eraseFailed'));
+      return;
+    }
+    alert(keepLedger ? 'Τα προσωπικά στοιχεία του browser διαγράφηκαν. Οι κρατήσεις έμειναν, γιατί σε αυτή τη συσκευή είναι το αρχείο του γραφείου.' : t('mydata.erased'));
+  };
+
+  /**
+   * Open an email to the office asking for access to, correction or erasure of
+   * the data it holds, with the details of the bookings made in this browser
+   */
+  window.sendDataRequest = async function () {
+    const type = document.getElementById('data-request-type').value;
+    const bookings = (await getAllBookings()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const conciergeRequests = await getAllConciergeRequests();
+    const latest = bookings[0] || {};
+    const subject = `Αίτημα για προσωπικά δεδομένα – ${DATA_REQUESTS[type]}`;
+    const body = [
+      'Αίτημα υποκειμένου των δεδομένων',
+      `Είδος αιτήματος: ${DATA_REQUESTS[type]}`,
+      '',
+      `Όνομα: ${latest.name || ''}`,
+      `Email: ${latest.email || ''}`,
+      `Τηλέφωνο: ${latest.phone || ''}`,
+      `Γλώσσα πελάτη: ${LANGUAGES[currentLang].label}`,
+      `Κρατήσεις: ${bookings.map((b) => b.ref).join(', ') || '–'}`,
+      `Αιτήματα concierge: ${conciergeRequests.map((r) => r.ref).join(', ') || '–'}`,
+      '',
+      type === 'rectification' ? 'Διορθώσεις:' : 'Σχόλια:',
+      ''
+    ].join('\n');
+    window.location.href = `mailto:${adminEmail}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+  };
+
+  /**
+   * Open chat: either WhatsApp or phone call based on setting
+   */
+  window.openChat = function () {
+    const digits = phoneNumber.replace(/\D/g, '');
+    trackEvent('chat', { channel: useWhatsApp ? 'whatsapp' : 'phone' });
+    if (useWhatsApp) {
+      window.open(`https://wa.me/${digits}?text=${encodeURIComponent(t('chat.whatsappMessage'))}`);
+    } else {
+      window.location.href = `tel:${digits}`;
+    }
+  };
+
+  /*
+   * Legal texts
+   *
+   * The texts below are version 1 of each document in LEGAL_DOCUMENTS, per
+   * language (title and HTML body). Admins publish later versions from the
+   * settings panel; they are kept with the older ones in the `legalTexts`
+   * setting ({ terms: [{ version, effective, texts: { el: { title, body }, … } }], … })
+   * and take over on their effective date. {phone} and {email} in a body are
+   * filled in from the current settings. The version of the cookie policy is
+   * the consent policy version, so a new one asks every visitor again.
+   */
+  const LEGAL_DOCUMENTS = {
+    terms: 'Όροι Χρήσης',
+    privacy: 'Πολιτική Απορρήτου',
+    cookies: 'Πολιτική Cookies',
+    imprint: 'Imprint',
+    rental: 'Όροι ενοικίασης'
+  };
+  const LEGAL_TEXTS = {
+    terms: {
+      el: {
+        title: 'Όροι Χρήσης',
+        body: `
+          <p>Το παρόν website παρέχεται «ως έχει» για πληροφοριακούς σκοπούς. Η χρήση του
+          συνεπάγεται αποδοχή των όρων αυτών. Δεν φέρουμε ευθύνη για τυχόν
+          ανακρίβειες ή παραλείψεις. Συνιστάται να συμβουλευθείτε νομικό σύμβουλο
+          για επίσημη νομική καθοδήγηση.</p>
+          <p>Απαγορεύεται η αντιγραφή ή αναπαραγωγή του περιεχομένου χωρίς προηγούμενη
+          έγγραφη άδεια. Ο διαχειριστής διατηρεί το δικαίωμα αλλαγής των όρων
+          χρήσης χωρίς προειδοποίηση.</p>
+        `
+      },
+      en: {
+        title: 'Terms of Use',
+        body: `
+          <p>This website is provided "as is" for information purposes. By using it you
+          accept these terms. We accept no liability for any inaccuracies or
+          omissions. Please consult a legal adviser for formal legal guidance.</p>
+          <p>Copying or reproducing the content without prior written permission is
+          prohibited. The operator reserves the right to change these terms of use
+          without notice.</p>
+        `
+      },
+      de: {
+        title: 'Nutzungsbedingungen',
+        body: `
+          <p>Diese Website wird „wie besehen“ zu Informationszwecken bereitgestellt. Mit
+          ihrer Nutzung akzeptieren Sie diese Bedingungen. Für etwaige Ungenauigkeiten
+          oder Auslassungen übernehmen wir keine Haftung. Für eine verbindliche
+          Rechtsberatung wenden Sie sich bitte an einen Rechtsbeistand.</p>
+          <p>Das Kopieren oder Vervielfältigen der Inhalte ohne vorherige schriftliche
+          Genehmigung ist untersagt. Der Betreiber behält sich vor, die
+          Nutzungsbedingungen ohne Vorankündigung zu ändern.</p>
+        `
+      },
+      fr: {
+        title: 'Conditions d’utilisation',
+        body: `
+          <p>Ce site est fourni « en l’état » à titre d’information. Son utilisation
+          vaut acceptation des présentes conditions. Nous déclinons toute
+          responsabilité en cas d’inexactitude ou d’omission. Pour un avis juridique
+          officiel, veuillez consulter un conseiller juridique.</p>
+          <p>Toute copie ou reproduction du contenu sans autorisation écrite préalable
+          est interdite. L’exploitant se réserve le droit de modifier les conditions
+          d’utilisation sans préavis.</p>
+        `
+      }
+    },
+    privacy: {
+      el: {
+        title: 'Πολιτική Απορρήτου',
+        body: `
+          <p>Συλλέγουμε μόνο τα απολύτως απαραίτητα προσωπικά δεδομένα για την
+          επικοινωνία και την παροχή υπηρεσιών. Τα δεδομένα διατηρούνται με ασφάλεια
+          και δεν κοινοποιούνται σε τρίτους χωρίς συγκατάθεση, σύμφωνα με τον
+          Κανονισμό GDPR και την ελληνική νομοθεσία.</p>
+          <p>Έχετε το δικαίωμα πρόσβασης, διόρθωσης ή διαγραφής των δεδομένων σας.
+          Από τη σελίδα «Τα δεδομένα μου» στο κάτω μέρος της σελίδας μπορείτε να δείτε,
+          να κατεβάσετε ή να διαγράψετε ό,τι έχει αποθηκευτεί στον browser σας και να
+          μας στείλετε αίτημα για τα στοιχεία των κρατήσεών σας.</p>
+        `
+      },
+      en: {
+        title: 'Privacy Policy',
+        body: `
+          <p>We only collect the personal data strictly necessary to contact you and
+          provide our services. Your data is stored securely and is not shared with
+          third parties without your consent, in line with the GDPR and Greek law.</p>
+          <p>You have the right to access, correct or erase your data. From “My data” at
+          the bottom of the page you can view, download or erase what is stored in your
+          browser and send us a request about your booking details.</p>
+        `
+      },
+      de: {
+        title: 'Datenschutzerklärung',
+        body: `
+          <p>Wir erheben nur die personenbezogenen Daten, die für die Kontaktaufnahme und
+          die Erbringung unserer Leistungen unbedingt erforderlich sind. Die Daten
+          werden sicher gespeichert und gemäß DSGVO und griechischem Recht nicht ohne
+          Ihre Einwilligung an Dritte weitergegeben.</p>
+          <p>Sie haben das Recht auf Auskunft, Berichtigung und Löschung Ihrer Daten.
+          Unter „Meine Daten“ am Seitenende können Sie die in Ihrem Browser
+          gespeicherten Daten ansehen, herunterladen oder löschen und uns eine Anfrage
+          zu Ihren Buchungsdaten senden.</p>
+        `
+      },
+      fr: {
+        title: 'Politique de confidentialité',
+        body: `
+          <p>Nous ne collectons que les données personnelles strictement nécessaires pour
+          vous contacter et fournir nos services. Vos données sont conservées en toute
+          sécurité et ne sont pas communiquées à des tiers sans votre consentement,
+          conformément au RGPD et au droit grec.</p>
+          <p>Vous disposez d’un droit d’accès, de rectification et d’effacement de vos
+          données. Depuis « Mes données » en bas de page, vous pouvez consulter,
+          télécharger ou effacer ce qui est enregistré dans votre navigateur et nous
+          envoyer une demande concernant vos données de réservation.</p>
+        `
+      }
+    },
+    cookies: {
+      el: {
+        title: 'Πολιτική Cookies',
+        body: `
+          <p>Ο ιστότοπος δεν χρησιμοποιεί cookies τρίτων· αποθηκεύει πληροφορίες στον
+          browser σας (localStorage) σε τέσσερις κατηγορίες:</p>
+          <ul>
+            <li><strong>Απαραίτητα</strong>: κρατήσεις, είσοδος VIP και διαχειριστή, η
+            επιλογή σας για τα cookies. Χρησιμοποιούνται πάντα.</li>
+            <li><strong>Προτιμήσεις</strong>: η γλώσσα και το νόμισμα που επιλέξατε.</li>
+            <li><strong>Στατιστικά</strong>: ανώνυμη μέτρηση της επισκεψιμότητας.</li>
+            <li><strong>Μάρκετινγκ</strong>: μέτρηση διαφημίσεων από συνεργάτες.</li>
+          </ul>
+          <p>Όλα εκτός από τα απαραίτητα ενεργοποιούνται μόνο με τη συγκατάθεσή σας.
+          Καταγράφουμε κάθε επιλογή σας με την ημερομηνία και την έκδοση αυτής της
+          πολιτικής. Μπορείτε να αλλάξετε ή να ανακαλέσετε τη συγκατάθεσή σας
+          οποτεδήποτε από τις «Ρυθμίσεις cookies» στο κάτω μέρος της σελίδας.</p>
+        `
+      },
+      en: {
+        title: 'Cookie Policy',
+        body: `
+          <p>This site uses no third-party cookies; it keeps information in your
+          browser (localStorage) in four categories:</p>
+          <ul>
+            <li><strong>Necessary</strong>: bookings, VIP and admin sign-in, your cookie
+            choice. Always used.</li>
+            <li><strong>Preferences</strong>: the language and currency you chose.</li>
+            <li><strong>Statistics</strong>: anonymous traffic measurement.</li>
+            <li><strong>Marketing</strong>: advertising measurement by partners.</li>
+          </ul>
+          <p>Everything except necessary storage is only used with your consent. We
+          record each choice with its date and the version of this policy. You can
+          change or withdraw your consent at any time from “Cookie settings” at the
+          bottom of the page.</p>
+        `
+      },
+      de: {
+        title: 'Cookie-Richtlinie',
+        body: `
+          <p>Diese Website setzt keine Cookies von Drittanbietern; sie speichert
+          Informationen in Ihrem Browser (localStorage) in vier Kategorien:</p>
+          <ul>
+            <li><strong>Notwendig</strong>: Buchungen, VIP- und Admin-Anmeldung, Ihre
+            Cookie-Wahl. Immer aktiv.</li>
+            <li><strong>Präferenzen</strong>: die gewählte Sprache und Währung.</li>
+            <li><strong>Statistik</strong>: anonyme Messung der Besucherzahlen.</li>
+            <li><strong>Marketing</strong>: Messung von Werbung durch Partner.</li>
+          </ul>
+          <p>Alles außer dem notwendigen Speicher wird nur mit Ihrer Einwilligung
+          verwendet. Wir protokollieren jede Wahl mit Datum und der Version dieser
+          Richtlinie. Sie können Ihre Einwilligung jederzeit unter
+          „Cookie-Einstellungen“ am Seitenende ändern oder widerrufen.</p>
+        `
+      },
+      fr: {
+        title: 'Politique relative aux cookies',
+        body: `
+          <p>Ce site n’utilise pas de cookies tiers ; il enregistre des informations
+          dans votre navigateur (localStorage) selon quatre catégories :</p>
+          <ul>
+            <li><strong>Nécessaires</strong> : réservations, connexion VIP et
+            administrateur, votre choix concernant les cookies. Toujours utilisés.</li>
+            <li><strong>Préférences</strong> : la langue et la devise choisies.</li>
+            <li><strong>Statistiques</strong> : mesure anonyme de la fréquentation.</li>
+            <li><strong>Marketing</strong> : mesure publicitaire par nos partenaires.</li>
+          </ul>
+          <p>Tout ce qui n’est pas nécessaire n’est utilisé qu’avec votre consentement.
+          Nous enregistrons chaque choix avec sa date et la version de cette
+          politique. Vous pouvez modifier ou retirer votre consentement à tout moment
+          via « Paramètres des cookies » en bas de page.</p>
+        `
+      }
+    },
+    imprint: {
+      el: {
+        title: 'Imprint',
+        body: `
+          <p>Ιδιοκτήτης: Mira Cars ΕΠΕ<br/>
+          Έδρα: Ηράκλειο Κρήτης, Ελλάδα<br/>
+          Τηλέφωνο: {phone}<br/>
+          Email: {email}</p>
+          <p>Αυτή η ιστοσελίδα έχει σχεδιαστεί ως δείγμα. Για επίσημες νομικές πληροφορίες συμβουλευτείτε τις αρμόδιες αρχές και έναν δικηγόρο.</p>
+        `
+      },
+      en: {
+        title: 'Imprint',
+        body: `
+          <p>Owner: Mira Cars Ltd (ΕΠΕ)<br/>
+          Registered office: Heraklion, Crete, Greece<br/>
+          Phone: {phone}<br/>
+          Email: {email}</p>
+          <p>This website has been designed as a sample. For official legal information please consult the competent authorities and a lawyer.</p>
+        `
+      },
+      de: {
+        title: 'Impressum',
+        body: `
+          <p>Inhaber: Mira Cars ΕΠΕ (GmbH)<br/>
+          Sitz: Heraklion, Kreta, Griechenland<br/>
+          Telefon: {phone}<br/>
+          E-Mail: {email}</p>
+          <p>Diese Website ist als Beispiel gestaltet. Verbindliche rechtliche Informationen erhalten Sie bei den zuständigen Behörden und einem Rechtsanwalt.</p>
+        `
+      },
+      fr: {
+        title: 'Mentions légales',
+        body: `
+          <p>Propriétaire : Mira Cars ΕΠΕ (SARL)<br/>
+          Siège : Héraklion, Crète, Grèce<br/>
+          Téléphone : {phone}<br/>
+          E-mail : {email}</p>
+          <p>Ce site a été conçu à titre d’exemple. Pour des informations juridiques officielles, consultez les autorités compétentes et un avocat.</p>
+        `
+      }
+    },
+    rental: {
+      el: {
+        title: 'Όροι Ενοικίασης',
+        body: `
+          <ul>
+            <li>Ο οδηγός και οι πρόσθετοι οδηγοί πρέπει να πληρούν τις προϋποθέσεις
+            ηλικίας και διπλώματος της κατηγορίας και να επιδείξουν δίπλωμα οδήγησης
+            και ταυτότητα ή διαβατήριο κατά την παραλαβή.</li>
+            <li>Η προκαταβολή και το υπόλοιπο πληρώνονται όπως εμφανίζονται στη σύνοψη
+            τιμής και στην επιβεβαίωση της κράτησης.</li>
+            <li>Το όχημα επιστρέφεται με την ίδια ποσότητα καυσίμου και στο σημείο και
+            την ώρα της κράτησης· καθυστερήσεις μπορεί να χρεωθούν ως επιπλέον ημέρα.</li>
+            <li>Ζημιές στο κάτω μέρος του οχήματος και στα ελαστικά σε χωματόδρομους
+            καλύπτονται μόνο με Πλήρη Ασφάλεια. Η μεταφορά του οχήματος με πλοίο εκτός
+            Κρήτης επιτρέπεται μόνο με γραπτή άδεια.</li>
+            <li>Για αλλαγές ή ακύρωση επικοινωνήστε μαζί μας στο {phone} ή στο {email}.</li>
+          </ul>
+        `
+      },
+      en: {
+        title: 'Rental Terms',
+        body: `
+          <ul>
+            <li>The driver and any additional drivers must meet the age and licence
+            requirements of the category and show their driving licence and ID card or
+            passport at pickup.</li>
+            <li>The deposit and the balance are paid as shown in the price summary and
+            the booking confirmation.</li>
+            <li>The vehicle is returned with the same amount of fuel, at the place and
+            time booked; late returns may be charged as an extra day.</li>
+            <li>Damage to the underside and tyres on unpaved roads is only covered by
+            full insurance. Taking the vehicle on a ferry off Crete requires our written
+            permission.</li>
+            <li>For changes or cancellations please contact us on {phone} or at {email}.</li>
+          </ul>
+        `
+      },
+      de: {
+        title: 'Mietbedingungen',
+        body: `
+          <ul>
+            <li>Fahrer und Zusatzfahrer müssen die Alters- und Führerscheinvoraussetzungen
+            der Kategorie erfüllen und bei Abholung Führerschein sowie Personalausweis
+            oder Reisepass vorlegen.</li>
+            <li>Anzahlung und Restbetrag werden wie in der Preisübersicht und der
+            Buchungsbestätigung angegeben bezahlt.</li>
+            <li>Das Fahrzeug wird mit derselben Tankfüllung, am gebuchten Ort und zur
+            gebuchten Zeit zurückgegeben; verspätete Rückgaben können als zusätzlicher
+            Tag berechnet werden.</li>
+            <li>Schäden an Unterboden und Reifen auf unbefestigten Straßen sind nur mit
+            Vollkaskoversicherung gedeckt. Fährfahrten außerhalb Kretas sind nur mit
+            unserer schriftlichen Genehmigung erlaubt.</li>
+            <li>Für Änderungen oder Stornierungen erreichen Sie uns unter {phone} oder {email}.</li>
+          </ul>
+        `
+      },
+      fr: {
+        title: 'Conditions de location',
+        body: `
+          <ul>
+            <li>Le conducteur et les conducteurs supplémentaires doivent remplir les
+            conditions d’âge et de permis de la catégorie et présenter leur permis de
+            conduire et une pièce d’identité ou un passeport à la prise en charge.</li>
+            <li>L’acompte et le solde sont réglés comme indiqué dans le récapitulatif
+            du prix et la confirmation de réservation.</li>
+            <li>Le véhicule est restitué avec le même niveau de carburant, au lieu et à
+            l’heure réservés ; un retard peut être facturé comme une journée
+            supplémentaire.</li>
+            <li>Les dommages au bas de caisse et aux pneus sur les pistes ne sont couverts
+            que par l’assurance tous risques. Le transport du véhicule en ferry hors de
+            Crète nécessite notre autorisation écrite.</li>
+            <li>Pour toute modification ou annulation, contactez-nous au {phone} ou à {email}.</li>
+          </ul>
+        `
+      }
+    },
+    legal: {
+      el: {
+        title: 'Νομικές Πληροφορίες',
+        body: `<p>Για να διαβάσετε τους αναλυτικούς όρους, παρακαλούμε επιλέξτε μία από τις ενότητες στο κάτω μέρος της σελίδας: Όροι Χρήσης, Όροι Ενοικίασης, Πολιτική Απορρήτου, Cookies ή Imprint.</p>`
+      },
+      en: {
+        title: 'Legal Information',
+        body: `<p>To read the full terms, please choose one of the sections in the footer: Terms of Use, Rental Terms, Privacy Policy, Cookies or Imprint.</p>`
+      },
+      de: {
+        title: 'Rechtliche Hinweise',
+        body: `<p>Die ausführlichen Bedingungen finden Sie in den Abschnitten in der Fußzeile: Nutzungsbedingungen, Mietbedingungen, Datenschutz, Cookies oder Impressum.</p>`
+      },
+      fr: {
+        title: 'Informations légales',
+        body: `<p>Pour lire les conditions détaillées, choisissez l’une des rubriques en bas de page : Conditions d’utilisation, Conditions de location, Politique de confidentialité, Cookies ou Mentions légales.</p>`
+      }
+    }
+  };
+
+  // Every version of a document, oldest first; the built-in texts are version 1
+  function legalVersions(key) {
+    return [{ version: 1, effective: '', texts: LEGAL_TEXTS[key] }, ...(legalTexts[key] || [])];
+  }
+
+  // The version in force: the newest one whose effective date has come
+  function currentLegalVersion(key) {
+    const today = todayIso();
+    return legalVersions(key).filter((v) => !v.effective || v.effective <= today).pop();
+  }
+
+  function legalEntry(version, lang = currentLang) {
+    const entry = version.texts[lang] || version.texts[DEFAULT_LANGUAGE];
+    return { title: entry.title, body: entry.body.replace(/\{phone\}/g, phoneNumber).replace(/\{email\}/g, adminEmail) };
+  }
+
+  /**
+   * Show a legal modal by key: the version in force, or an earlier one by number
+   */
+  window.openModal = function (key, versionNumber) {
+    if (!LEGAL_TEXTS[key]) return;
+    const modalBody = document.getElementById('modal-body');
+    if (!LEGAL_DOCUMENTS[key]) {
+      const entry = LEGAL_TEXTS[key][currentLang] || LEGAL_TEXTS[key][DEFAULT_LANGUAGE];
+      document.getElementById('modal-title').textContent = entry.title;
+      modalBody.innerHTML = entry.body;
+      document.getElementById('modal-overlay').classList.remove('hidden');
+      return;
+    }
+    const current = currentLegalVersion(key);
+    const published = legalVersions(key).filter((v) => v.version <= current.version);
+    const version = published.find((v) => v.version === versionNumber) || published[published.length - 1];
+    const entry = legalEntry(version);
+    document.getElementById('modal-title').textContent = entry.title;
+    modalBody.innerHTML = entry.body;
+    const meta = document.createElement('p');
+    meta.className = 'text-xs text-gray-500';
+    meta.textContent = version.effective
+      ? t('legal.versionFrom', { version: version.version, date: formatDate(version.effective) })
+      : t('legal.version', { version: version.version });
+    modalBody.appendChild(meta);
+    const others = published.filter((v) => v.version !== version.version);
+    if (others.length) {
+      const list = document.createElement('p');
+      list.className = 'text-xs text-gray-500';
+      list.append(`${t(version.version === current.version ? 'legal.earlier' : 'legal.others')} `);
+      others.reverse().forEach((v, i) => {
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'underline';
+        link.textContent = v.version === current.version ? t('legal.currentLink', { version: v.version }) : t('legal.versionLink', { version: v.version });
+        link.addEventListener('click', (e) => {
+          e.preventDefault();
+          openModal(key, v.version);
+        });
+        if (i) list.append(', ');
+        list.appendChild(link);
+      });
+      modalBody.appendChild(list);
+    }
+    document.getElementById('modal-overlay').classList.remove('hidden');
+  };
+
+  // Label of the booking form's acceptance checkbox, naming the rental terms version in force
+  function renderTermsAcceptance() {
+    const checkbox = document.getElementById('accept-terms');
+    const label = document.getElementById('accept-terms-text');
+    if (!checkbox || !label) return;
+    const version = currentLegalVersion('rental').version;
+    if (checkbox.dataset.version !== String(version)) checkbox.checked = false;
+    checkbox.dataset.version = String(version);
+    label.textContent = t('booking.acceptTerms', { version });
+  }
+
+  // Show a document's versions in the settings panel and start the next one from the latest
+  function fillLegalEditor() {
+    const key = document.getElementById('legal-doc-select').value;
+    const versions = legalVersions(key);
+    const current = currentLegalVersion(key);
+    const latest = versions[versions.length - 1];
+    document.getElementById('legal-versions').textContent = versions
+      .map((v) => {
+        const state = v.version === current.version ? 'σε ισχύ' : v.version > current.version ? 'προγραμματισμένη' : 'παλαιότερη';
+        return `Έκδοση ${v.version}${v.effective ? ` από ${formatDate(v.effective, 'el')}` : ''} (${state})`;
+      })
+      .join(' · ');
+    document.getElementById('legal-next-version').textContent = latest.version + 1;
+    document.getElementById('legal-effective-input').value = '';
+    Object.keys(LANGUAGES).forEach((lang) => {
+      const entry = latest.texts[lang] || latest.texts[DEFAULT_LANGUAGE];
+      document.getElementById(`legal-title-${lang}`).value = entry.title;
+      document.getElementById(`legal-body-${lang}`).value = entry.body.trim();
+    });
+  }
+
+  /**
+   * Add the texts in the editor as the next version of the selected document.
+   * Published versions are never changed, so bookings can refer to them.
+   */
+  window.publishLegalVersion = function () {
+    if (!isAdminLoggedIn()) {
+      checkAdminSession();
+      return;
+    }
+    const key = document.getElementById('legal-doc-select').value;
+    const effective = document.getElementById('legal-effective-input').value;
+    const today = todayIso();
+    if (effective && effective < today) {
+      alert('Η ημερομηνία έναρξης δεν μπορεί να είναι στο παρελθόν.');
+      return;
+    }
+    const texts = {};
+    for (const lang of Object.keys(LANGUAGES)) {
+      const title = document.getElementById(`legal-title-${lang}`).value.trim();
+      const body = document.getElementById(`legal-body-${lang}`).value.trim();
+      if (!title || !body) {
+        alert(`Συμπληρώστε τίτλο και κείμενο για ${LANGUAGES[lang].label}.`);
+        return;
+      }
+      texts[lang] = { title, body };
+    }
+    const versions = legalVersions(key);
+    const version = versions[versions.length - 1].version + 1;
+    if (!confirm(`Δημοσίευση της έκδοσης ${version} για «${LEGAL_DOCUMENTS[key]}» με ισχύ από ${formatDate(effective || today, 'el')};`)) return;
+    legalTexts = { ...legalTexts, [key]: [...(legalTexts[key] || []), { version, effective: effective || today, texts }] };
+    saveSetting('legalTexts', legalTexts);
+    fillLegalEditor();
+    renderTermsAcceptance();
+    // A new cookie policy asks for consent again
+    initConsent();
+    alert(`Η έκδοση ${version} αποθηκεύτηκε. Εξάγετε το config.json για να τη δουν οι πελάτες.`);
+  };
+  window.closeModal = function () {
+    document.getElementById('modal-overlay').classList.add('hidden');
+  };
+
+  /**
+   * Toggle mobile menu
+   */
+  window.toggleMenu = function () {
+    const menu = document.getElementById('mobile-menu');
+    menu.classList.toggle('hidden');
+  };
+
+  /**
+   * Open settings panel
+   */
+  window.openSettings = function () {
+    if (!isAdminLoggedIn()) {
+      checkAdminSession();
+      openLogin();
+      return;
+    }
+    fillSettingsForm();
+    renderPasskeyList();
+    document.getElementById('settings-panel').classList.remove('hidden');
+  };
+
+  // Hide the panel and drop unsaved edits
+  function hideSettingsPanel() {
+    document.getElementById('settings-panel').classList.add('hidden');
+    fillSettingsForm();
+  }
+
+  window.closeSettings = function () {
+    if (settingsDirty && !confirm('Υπάρχουν μη αποθηκευμένες αλλαγές. Κλείσιμο χωρίς αποθήκευση;')) return;
+    hideSettingsPanel();
+  };
+
+  /**
+   * Serialise the fleet for the settings textarea ("plate | category | status" per line)
+   */
+  function fleetToText(list) {
+    return list.map((v) => `${v.plate} | ${v.category} | ${v.status}`).join('\n');
+  }
+
+  /**
+   * Parse the fleet textarea. Returns the vehicles plus a list of human-readable errors.
+   */
+  function parseFleet(text) {
+    const vehicles = [];
+    const errors = [];
+    const statuses = ['active', 'maintenance', 'retired'];
+    text.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      const [plate, category, status = 'active'] = line.split('|').map((s) => s.trim());
+      if (!plate || !category) {
+        errors.push(`Γραμμή ${i + 1}: απαιτούνται πινακίδα και κατηγορία.`);
+      } else if (!statuses.includes(status)) {
+        errors.push(`Γραμμή ${i + 1}: άγνωστη κατάσταση "${status}".`);
+      } else if (vehicles.some((v) => v.plate === plate)) {
+        errors.push(`Γραμμή ${i + 1}: η πινακίδα ${plate} υπάρχει ήδη.`);
+      } else {
+        vehicles.push({ plate, category, status });
+      }
+    });
+    return { vehicles, errors };
+  }
+
+  /**
+   * Serialise locations for the settings textarea ("name | fee | HH:MM-HH:MM" per line)
+   */
+  function locationsToText(list) {
+    return list.map((l) => `${l.name} | ${l.fee} | ${l.opens}-${l.closes}`).join('\n');
+  }
+
+  /**
+   * Parse the locations textarea. Returns the locations plus a list of human-readable errors.
+   */
+  function parseLocations(text) {
+    const parsed = [];
+    const errors = [];
+    const hours = /^([01]\d|2[0-3]):[0-5]\d\s*-\s*(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+    text.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      const [name, feeText = '0', hoursText = '00:00-24:00'] = line.split('|').map((s) => s.trim());
+      const fee = Number(feeText || 0);
+      if (!name) {
+        errors.push(`Γραμμή ${i + 1}: απαιτείται όνομα σημείου.`);
+      } else if (!(fee >= 0)) {
+        errors.push(`Γραμμή ${i + 1}: μη έγκυρη χρέωση "${feeText}".`);
+      } else if (!hours.test(hoursText)) {
+        errors.push(`Γραμμή ${i + 1}: το ωράριο πρέπει να είναι της μορφής 08:00-22:00.`);
+      } else if (parsed.some((l) => l.name.toLowerCase() === name.toLowerCase())) {
+        errors.push(`Γραμμή ${i + 1}: το σημείο ${name} υπάρχει ήδη.`);
+      } else {
+        const [opens, closes] = hoursText.split('-').map((s) => s.trim());
+        parsed.push({ name, fee, opens, closes });
+      }
+    });
+    return { locations: parsed, errors };
+  }
+
+  /**
+   * Serialise seasons for the settings textarea ("name | MM-DD | MM-DD | Category:rate, …" per line)
+   */
+  function seasonsToText(seasons) {
+    return seasons
+      .map((s) => `${s.name} | ${s.from} | ${s.to} | ${Object.entries(s.rates).map(([k, v]) => `${k}:${v}`).join(', ')}`)
+      .join('\n');
+  }
+
+  /**
+   * Parse the pricing rule inputs. Returns the rules object plus a list of human-readable errors.
+   */
+  function parsePricingRules({ seasonText, weekendText, discountText, graceText, oneWayText, afterHoursText }) {
+    const errors = [];
+    const mmdd = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+    const seasons = [];
+    seasonText.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      const [name, from, to, rateText = ''] = line.split('|').map((s) => s.trim());
+      if (!name || !mmdd.test(from || '') || !mmdd.test(to || '')) {
+        errors.push(`Σεζόν, γραμμή ${i + 1}: απαιτούνται όνομα και ημερομηνίες ΜΜ-ΗΗ.`);
+        return;
+      }
+      const rates = {};
+      rateText.split(',').forEach((pair) => {
+        const [cat, price] = pair.split(':').map((s) => s.trim());
+        if (cat && price && !isNaN(parseFloat(price))) {
+          rates[cat] = parseFloat(price);
+        }
+      });
+      if (!Object.keys(rates).length) {
+        errors.push(`Σεζόν, γραμμή ${i + 1}: δεν βρέθηκαν τιμές κατηγοριών.`);
+        return;
+      }
+      seasons.push({ name, from, to, rates });
+    });
+    const weekend = parseFloat(weekendText) || 0;
+    if (weekend < 0 || weekend > 100) {
+      errors.push('Η επιβάρυνση Σαββατοκύριακου πρέπει να είναι 0–100%.');
+    }
+    const durationDiscounts = [];
+    discountText.split(',').forEach((pair) => {
+      if (!pair.trim()) return;
+      const [minDays, percent] = pair.split(':').map((s) => parseFloat(s));
+      if (!(minDays >= 1) || !(percent > 0 && percent <= 100)) {
+        errors.push(`Μη έγκυρη έκπτωση διάρκειας "${pair.trim()}".`);
+        return;
+      }
+      durationDiscounts.push({ minDays, percent });
+    });
+    const graceMinutes = Number(graceText || 0);
+    if (!Number.isInteger(graceMinutes) || graceMinutes < 0 || graceMinutes >= DAY_MINUTES) {
+      errors.push('Το περιθώριο επιστροφής πρέπει να είναι 0–1439 λεπτά.');
+    }
+    const oneWayFee = Number(oneWayText || 0);
+    const afterHoursFee = Number(afterHoursText || 0);
+    if (!(oneWayFee >= 0) || !(afterHoursFee >= 0)) {
+      errors.push('Οι χρεώσεις επιστροφής σε άλλο σημείο και εκτός ωραρίου δεν μπορούν να είναι αρνητικές.');
+    }
+    const rules = {
+      seasons,
+      weekendSurchargePercent: weekend,
+      weekendDays: pricingRules.weekendDays || DEFAULTS.pricingRules.weekendDays,
+      durationDiscounts: durationDiscounts.sort((a, b) => a.minDays - b.minDays),
+      graceMinutes,
+      oneWayFee,
+      afterHoursFee
+    };
+    return { rules, errors };
+  }
+
+  /**
+   * Serialise the per-category driver requirements ("category | minimum age | minimum licence years" per line)
+   */
+  function driverRulesToText(rules) {
+    return Object.entries(rules.categories || {}).map(([category, r]) => `${category} | ${r.minAge} | ${r.minLicenceYears}`).join('\n');
+  }
+
+  /**
+   * Parse the driver requirement inputs. Returns the rules object plus a list of human-readable errors.
+   */
+  function parseDriverRules({ categoryText, youngAgeText, youngFeeText, seniorAgeText, seniorFeeText }) {
+    const errors = [];
+    const categories = {};
+    const isAge = (n) => Number.isInteger(n) && n >= 0 && n <= 120;
+    categoryText.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      const [category, ageText = '', yearsText = '0'] = line.split('|').map((s) => s.trim());
+      const minAge = Number(ageText);
+      const minLicenceYears = Number(yearsText || 0);
+      if (!category || !ageText) {
+        errors.push(`Γραμμή ${i + 1}: απαιτούνται κατηγορία και ελάχιστη ηλικία.`);
+      } else if (!isAge(minAge) || !isAge(minLicenceYears)) {
+        errors.push(`Γραμμή ${i + 1}: η ηλικία και τα έτη διπλώματος πρέπει να είναι ακέραιοι αριθμοί.`);
+      } else if (category in categories) {
+        errors.push(`Γραμμή ${i + 1}: η κατηγορία ${category} υπάρχει ήδη.`);
+      } else {
+        categories[category] = { minAge, minLicenceYears };
+      }
     });
+    const youngDriver = { underAge: Number(youngAgeText || 0), perDay: Number(youngFeeText || 0) };
+    const seniorDriver = { fromAge: Number(seniorAgeText || 0), perDay: Number(seniorFeeText || 0) };
+    if (!isAge(youngDriver.underAge) || !isAge(seniorDriver.fromAge)) {
+      errors.push('Τα όρια ηλικίας για νέους και μεγαλύτερους οδηγούς πρέπει να είναι ακέραιοι αριθμοί.');
+    } else if (youngDriver.perDay > 0 && seniorDriver.perDay > 0 && youngDriver.underAge > seniorDriver.fromAge) {
+      errors.push('Το όριο νέων οδηγών δεν μπορεί να είναι μεγαλύτερο από το όριο μεγαλύτερων οδηγών.');
+    }
+    if (!(youngDriver.perDay >= 0) || !(seniorDriver.perDay >= 0)) {
+      errors.push('Οι επιβαρύνσεις οδηγών δεν μπορούν να είναι αρνητικές.');
+    }
+    return { rules: { categories, youngDriver, seniorDriver }, errors };
   }
 
   /**
-   * Calculate and display the price summary based on selected options
+   * Serialise promo codes for the settings textarea
    */
-  function calculatePrice() {
-    const pickupEl = document.getElementById('pickup-date');
-    const dropoffEl = document.getElementById('dropoff-date');
-    const categoryEl = document.getElementById('car-category');
-    const paymentEl = document.getElementById('payment-method');
-    const priceEl = document.getElementById('price-summary');
-    if (!priceEl) return;
-    const pickup = pickupEl && pickupEl.value ? new Date(pickupEl.value) : null;
-    const dropoff = dropoffEl && dropoffEl.value ? new Date(dropoffEl.value) : null;
-    const category = categoryEl && categoryEl.value;
-    const payment = paymentEl && paymentEl.value;
-    // Validate required fields
-    if (!pickup || !dropoff || !category) {
-      priceEl.textContent = 'Επιλέξτε ημερομηνίες και κατηγορία οχήματος για να υπολογίσετε την τιμή.';
-      return;
-    }
-    // Calculate number of days (minimum 1 day)
-    let days = Math.ceil((dropoff - pickup) / (1000 * 60 * 60 * 24));
-    if (!isFinite(days) || days < 1) days = 1;
-    // Base price
-    const basePricePerDay = carCategories[category] || 0;
-    const baseTotal = basePricePerDay * days;
-    // Extras
-    let extrasTotal = 0;
-    const selectedExtras = [];
-    document.querySelectorAll('#extras-container input[type="checkbox"]:checked').forEach((chk) => {
-      const key = chk.value;
-      selectedExtras.push(key);
-      const price = extras[key] || 0;
-      extrasTotal += price * days;
-    });
-    // Calculate total and deposit
-    const subTotal = baseTotal + extrasTotal;
-    const depositAmount = depositPercent > 0 ? Math.round((subTotal * depositPercent) / 100 * 100) / 100 : 0;
-    const total = Math.round(subTotal * 100) / 100;
-    // Build summary lines
-    let summary = '';
-    summary += `Διάρκεια: ${days} ημέρα${days > 1 ? 'ς' : ''}<br/>`;
-    summary += `Κατηγορία: ${category} – \u20AC${basePricePerDay}/ημ. → \u20AC${baseTotal.toFixed(2)}<br/>`;
-    if (selectedExtras.length) {
-      summary += `Extras: ${selectedExtras.join(', ')} → \u20AC${extrasTotal.toFixed(2)}<br/>`;
+  function promosToText(promos) {
+    return promos
+      .map((p) => {
+        const parts = [p.code, p.type === 'fixed' ? `${p.value}€` : `${p.value}%`];
+        if (p.validFrom) parts.push(`from=${p.validFrom}`);
+        if (p.validTo) parts.push(`to=${p.validTo}`);
+        if (p.minDays) parts.push(`min=${p.minDays}`);
+        if (p.categories && p.categories.length) parts.push(`cat=${p.categories.join(',')}`);
+        if (p.maxUses) parts.push(`max=${p.maxUses}`);
+        if (p.vipOnly) parts.push('vip');
+        return parts.join(' | ');
+      })
+      .join('\n');
+  }
+
+  /**
+   * Parse the promo code textarea. Returns the promos plus a list of human-readable errors.
+   */
+  function parsePromos(text) {
+    const promos = [];
+    const errors = [];
+    const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+    text.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      const [code, amount = '', ...options] = line.split('|').map((s) => s.trim());
+      const match = amount.match(/^(\d+(?:\.\d+)?)\s*(%|€)$/);
+      if (!code || !match) {
+        errors.push(`Γραμμή ${i + 1}: απαιτούνται κωδικός και έκπτωση (π.χ. 10% ή 25€).`);
+        return;
+      }
+      const promo = {
+        code: code.toUpperCase(),
+        type: match[2] === '%' ? 'percent' : 'fixed',
+        value: parseFloat(match[1]),
+        validFrom: '',
+        validTo: '',
+        minDays: 0,
+        categories: [],
+        maxUses: 0,
+        vipOnly: false
+      };
+      if (promo.type === 'percent' && promo.value > 100) {
+        errors.push(`Γραμμή ${i + 1}: το ποσοστό δεν μπορεί να ξεπερνά το 100%.`);
+        return;
+      }
+      if (promos.some((p) => p.code === promo.code)) {
+        errors.push(`Γραμμή ${i + 1}: ο κωδικός ${promo.code} υπάρχει ήδη.`);
+        return;
+      }
+      const invalid = options.filter(Boolean).find((opt) => {
+        const [key, value = ''] = opt.split('=').map((s) => s.trim());
+        if (key === 'vip' && !value) promo.vipOnly = true;
+        else if (key === 'from' && isoDate.test(value)) promo.validFrom = value;
+        else if (key === 'to' && isoDate.test(value)) promo.validTo = value;
+        else if (key === 'min' && parseInt(value, 10) > 0) promo.minDays = parseInt(value, 10);
+        else if (key === 'max' && parseInt(value, 10) > 0) promo.maxUses = parseInt(value, 10);
+        else if (key === 'cat' && value) promo.categories = value.split(',').map((c) => c.trim()).filter(Boolean);
+        else return true;
+        return false;
+      });
+      if (invalid) {
+        errors.push(`Γραμμή ${i + 1}: μη έγκυρη επιλογή "${invalid}".`);
+        return;
+      }
+      promos.push(promo);
+    });
+    return { promos, errors };
+  }
+
+  /**
+   * Serialise the display currencies for the settings textarea
+   */
+  function currenciesToText(list) {
+    return list.map((c) => `${c.code} | ${c.rate} | ${c.rounding}`).join('\n');
+  }
+
+  /**
+   * Parse the currencies textarea (CODE | units per 1 EUR | rounding step).
+   * Returns the currencies plus a list of human-readable errors.
+   */
+  function parseCurrencies(text) {
+    const list = [];
+    const errors = [];
+    text.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      const [code = '', rateText = '', roundingText = '0.01'] = line.split('|').map((s) => s.trim());
+      const currency = { code: code.toUpperCase(), rate: parseFloat(rateText.replace(',', '.')), rounding: parseFloat(roundingText.replace(',', '.')) };
+      if (!/^[A-Z]{3}$/.test(currency.code)) {
+        errors.push(`Γραμμή ${i + 1}: ο κωδικός νομίσματος πρέπει να είναι τρία γράμματα (π.χ. GBP).`);
+      } else if (currency.code === BASE_CURRENCY.code) {
+        errors.push(`Γραμμή ${i + 1}: το EUR είναι το βασικό νόμισμα και εμφανίζεται πάντα.`);
+      } else if (list.some((c) => c.code === currency.code)) {
+        errors.push(`Γραμμή ${i + 1}: το ${currency.code} υπάρχει ήδη.`);
+      } else if (!(currency.rate > 0)) {
+        errors.push(`Γραμμή ${i + 1}: η ισοτιμία πρέπει να είναι θετικός αριθμός.`);
+      } else if (!(currency.rounding > 0)) {
+        errors.push(`Γραμμή ${i + 1}: η στρογγυλοποίηση πρέπει να είναι θετικός αριθμός (π.χ. 0.01 ή 1).`);
+      } else {
+        list.push(currency);
+      }
+    });
+    return { currencies: list, errors };
+  }
+
+  // Show how many times each promo code has been redeemed
+  async function renderPromoUsage() {
+    const el = document.getElementById('promo-usage');
+    if (!el) return;
+    const usage = await officePromoUses();
+    el.textContent = promoCodes.length
+      ? `Χρήσεις: ${promoCodes.map((p) => `${p.code} ${usage[p.code] || 0}${p.maxUses ? `/${p.maxUses}` : ''}`).join(', ')}`
+      : '';
+  }
+
+  /**
+   * Serialise VIP codes for the settings textarea
+   */
+  function vipCodesToText(codes) {
+    return codes
+      .map((c) => {
+        const parts = [c.code, c.tier];
+        if (c.validFrom) parts.push(`from=${c.validFrom}`);
+        if (c.validTo) parts.push(`to=${c.validTo}`);
+        if (c.maxUses) parts.push(`max=${c.maxUses}`);
+        parts.push(`unlocks=${c.unlocks.join(',')}`);
+        parts.push(`greeting=${c.greeting}`);
+        return parts.join(' | ');
+      })
+      .join('\n');
+  }
+
+  /**
+   * Parse the VIP code textarea. Returns the codes plus a list of human-readable errors.
+   */
+  function parseVipCodes(text) {
+    const codes = [];
+    const errors = [];
+    const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+    text.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      const [code, tier, ...options] = line.split('|').map((s) => s.trim());
+      if (!code || !tier) {
+        errors.push(`Γραμμή ${i + 1}: απαιτούνται κωδικός και βαθμίδα.`);
+        return;
+      }
+      const entry = { code: code.toUpperCase(), tier, validFrom: '', validTo: '', maxUses: 0, greeting: DEFAULTS.vipCodes[0].greeting, unlocks: [...VIP_SECTIONS] };
+      if (codes.some((c) => c.code === entry.code)) {
+        errors.push(`Γραμμή ${i + 1}: ο κωδικός ${entry.code} υπάρχει ήδη.`);
+        return;
+      }
+      const invalid = options.filter(Boolean).find((opt) => {
+        const eq = opt.indexOf('=');
+        const key = eq > 0 ? opt.slice(0, eq).trim() : opt;
+        const value = eq > 0 ? opt.slice(eq + 1).trim() : '';
+        if (key === 'from' && isoDate.test(value)) entry.validFrom = value;
+        else if (key === 'to' && isoDate.test(value)) entry.validTo = value;
+        else if (key === 'max' && parseInt(value, 10) > 0) entry.maxUses = parseInt(value, 10);
+        else if (key === 'greeting' && value) entry.greeting = value;
+        else if (key === 'unlocks') {
+          const sections = value.split(',').map((v) => v.trim()).filter(Boolean);
+          if (!sections.length || sections.some((v) => !VIP_SECTIONS.includes(v))) return true;
+          entry.unlocks = sections;
+        } else return true;
+        return false;
+      });
+      if (invalid) {
+        errors.push(`Γραμμή ${i + 1}: μη έγκυρη επιλογή "${invalid}".`);
+        return;
+      }
+      codes.push(entry);
+    });
+    return { codes, errors };
+  }
+
+  /**
+   * Serialise VIP deals for the settings textarea
+   */
+  function vipDealsToText(deals) {
+    return deals
+      .map((d) => {
+        const parts = [d.id, d.title, dealDescription(d, DEFAULT_LANGUAGE)];
+        if (typeof d.description !== 'string') {
+          Object.keys(LANGUAGES).filter((lang) => lang !== DEFAULT_LANGUAGE && d.description[lang]).forEach((lang) => parts.push(`${lang}=${d.description[lang]}`));
+        }
+        if (d.partner) parts.push(`partner=${d.partner}`);
+        if (d.contact) parts.push(`contact=${d.contact}`);
+        if (d.validFrom) parts.push(`from=${d.validFrom}`);
+        if (d.validTo) parts.push(`to=${d.validTo}`);
+        if (d.tiers.length) parts.push(`tiers=${d.tiers.join(',')}`);
+        if (d.image) parts.push(`image=${d.image}`);
+        return parts.join(' | ');
+      })
+      .join('\n');
+  }
+
+  /**
+   * Parse the VIP deals textarea. Returns the deals plus a list of human-readable errors.
+   */
+  function parseVipDeals(text) {
+    const deals = [];
+    const errors = [];
+    const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+    text.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      const [id, title, description = '', ...options] = line.split('|').map((s) => s.trim());
+      const entry = { id: id.toUpperCase(), title, description: { [DEFAULT_LANGUAGE]: description }, image: '', partner: '', contact: '', validFrom: '', validTo: '', tiers: [] };
+      if (!DEAL_ID.test(entry.id) || !title) {
+        errors.push(`Γραμμή ${i + 1}: απαιτούνται κωδικός προσφοράς (2–12 λατινικά γράμματα ή ψηφία) και τίτλος.`);
+        return;
+      }
+      if (deals.some((d) => d.id === entry.id)) {
+        errors.push(`Γραμμή ${i + 1}: η προσφορά ${entry.id} υπάρχει ήδη.`);
+        return;
+      }
+      const invalid = options.filter(Boolean).find((opt) => {
+        const eq = opt.indexOf('=');
+        const key = eq > 0 ? opt.slice(0, eq).trim() : opt;
+        const value = eq > 0 ? opt.slice(eq + 1).trim() : '';
+        if (key === 'partner' && value) entry.partner = value;
+        else if (key === 'contact' && value) entry.contact = value;
+        else if (key === 'from' && isoDate.test(value)) entry.validFrom = value;
+        else if (key === 'to' && isoDate.test(value)) entry.validTo = value;
+        else if (key === 'image' && isImageUrl(value)) entry.image = value;
+        else if (LANGUAGES[key] && key !== DEFAULT_LANGUAGE && value) entry.description[key] = value;
+        else if (key === 'tiers' && value) entry.tiers = value.split(',').map((v) => v.trim()).filter(Boolean);
+        else return true;
+        return false;
+      });
+      if (invalid) {
+        errors.push(`Γραμμή ${i + 1}: μη έγκυρη επιλογή "${invalid}".`);
+        return;
+      }
+      if (entry.validFrom && entry.validTo && entry.validTo < entry.validFrom) {
+        errors.push(`Γραμμή ${i + 1}: η λήξη είναι πριν από την έναρξη.`);
+        return;
+      }
+      deals.push(entry);
+    });
+    return { deals, errors };
+  }
+
+  // Show how many times each VIP code has been activated
+  function renderVipUsage() {
+    const el = document.getElementById('vip-usage');
+    if (!el) return;
+    const usage = getVipUsage();
+    el.textContent = vipCodes.length
+      ? `Ενεργοποιήσεις: ${vipCodes.map((c) => `${c.code} (${c.tier}) ${usage[c.code] || 0}${c.maxUses ? `/${c.maxUses}` : ''}`).join(', ')}`
+      : '';
+  }
+
+  /*
+   * Published configuration
+   *
+   * Settings saved in the panel only live in the admin's browser. To publish
+   * them, the admin exports config.json and uploads it next to index.html;
+   * every visitor loads it at startup, over DEFAULTS:
+   *
+   *   {
+   *     "schema": "miracars.config",
+   *     "version": 2,
+   *     "exportedAt": "2030-05-01T10:00:00.000Z",
+   *     "settings": { "phoneNumber": "+30…", "carCategories": { "Economy": 30 }, … },
+   *     "holds": [{ "plate": "HKN-2001", "category": "SUV", "pickup": "2030-07-12", "dropoff": "2030-07-19", "pickupTime": "09:00", "dropoffTime": "09:30" }],
+   *     "promoUses": { "SUMMER10": 12 }
+   *   }
+   *
+   * `holds` are the vehicles booked in the admin's ledger from today on, so
+   * visitors cannot book a vehicle the office has already given out (see "Fleet
+   * availability"), and `promoUses` the redemptions of each promo code so far
+   * (see "Promo codes"). Settings missing from the file keep their defaults. Files from older versions
+   * are migrated on load; a setting that fails validation is ignored (and
+   * reported when importing). The file is public, like script.js, so it must not
+   * contain anything secret.
+   */
+  const CONFIG_URL = 'config.json';
+  const CONFIG_SCHEMA = 'miracars.config';
+  const CONFIG_VERSION = 2;
+
+  // Labels used when comparing configurations
+  const SETTING_LABELS = {
+    phoneNumber: 'Τηλέφωνο',
+    vipCodes: 'Κωδικοί VIP',
+    vipDeals: 'Προσφορές VIP',
+    useWhatsApp: 'WhatsApp',
+    paymentMethods: 'Τρόποι πληρωμής',
+    paymentAdapters: 'Είσπραξη ανά τρόπο πληρωμής',
+    bankAccount: 'Τραπεζικός λογαριασμός',
+    checkoutUrl: 'Σελίδα πληρωμής',
+    carCategories: 'Κατηγορίες οχημάτων',
+    extras: 'Extras',
+    depositPercent: 'Προκαταβολή (%)',
+    adminEmail: 'Email παραλαβής κρατήσεων',
+    fleet: 'Στόλος οχημάτων',
+    locations: 'Σημεία παραλαβής και επιστροφής',
+    pricingRules: 'Κανόνες τιμολόγησης',
+    driverRules: 'Προϋποθέσεις και επιβαρύνσεις οδηγών',
+    promoCodes: 'Κωδικοί προσφοράς',
+    currencies: 'Νομίσματα εμφάνισης',
+    bookingTransport: 'Αποστολή κρατήσεων',
+    bookingEndpoint: 'Διεύθυνση HTTP (JSON)',
+    webhookUrl: 'Διεύθυνση webhook',
+    analyticsEndpoint: 'Διεύθυνση αποστολής στατιστικών',
+    legalTexts: 'Νομικά κείμενα'
+  };
+
+  /*
+   * Upgrades from each older version to the next. Version 1 files come from the
+   * original settings, with a single vipCode/vipGreeting instead of vipCodes.
+   */
+  const CONFIG_MIGRATIONS = {
+    1(settings) {
+      const { vipCode, vipGreeting, ...rest } = settings;
+      if (vipCode !== undefined && rest.vipCodes === undefined) {
+        rest.vipCodes = [{ ...DEFAULTS.vipCodes[0], code: vipCode, greeting: vipGreeting || DEFAULTS.vipCodes[0].greeting }];
+      }
+      return rest;
     }
-    summary += `<strong>Σύνολο: \u20AC${total.toFixed(2)}</strong><br/>`;
-    if (depositPercent > 0) {
-      summary += `Προκαταβολή (${depositPercent}%): \u20AC${depositAmount.toFixed(2)}<br/>`;
+  };
+
+  const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+  const isText = (value) => typeof value === 'string';
+  const isAmount = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+  const isIsoDate = (value) => isText(value) && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const isIsoOrEmpty = (value) => value === '' || isIsoDate(value);
+  const isPriceList = (value) => isPlainObject(value) && Object.values(value).every(isAmount);
+  const isClockTime = (value) => isText(value) && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+  const isOptionalAmount = (value) => value === undefined || isAmount(value);
+
+  // One check per setting; each returns true when the value has the expected shape
+  const SETTING_VALIDATORS = {
+    phoneNumber: (v) => isText(v) && v.trim() !== '',
+    vipCodes: (v) => Array.isArray(v) && v.every((c) => isPlainObject(c) && isText(c.code) && c.code !== '' && isText(c.tier)
+      && isIsoOrEmpty(c.validFrom || '') && isIsoOrEmpty(c.validTo || '') && Number.isInteger(c.maxUses || 0)
+      && isText(c.greeting) && Array.isArray(c.unlocks) && c.unlocks.every((u) => VIP_SECTIONS.includes(u))),
+    vipDeals: (v) => Array.isArray(v) && v.every((d) => isPlainObject(d) && isText(d.id) && DEAL_ID.test(d.id)
+      && isText(d.title) && d.title !== '' && ['partner', 'contact'].every((key) => isText(d[key]))
+      && (isText(d.description) || (isPlainObject(d.description) && Object.entries(d.description).every(([lang, text]) => LANGUAGES[lang] && isText(text))))
+      && isText(d.image) && (d.image === '' || isImageUrl(d.image))
+      && isIsoOrEmpty(d.validFrom) && isIsoOrEmpty(d.validTo) && Array.isArray(d.tiers) && d.tiers.every(isText)),
+    useWhatsApp: (v) => typeof v === 'boolean',
+    paymentMethods: (v) => Array.isArray(v) && v.length > 0 && v.every((m) => isText(m) && m.trim() !== ''),
+    paymentAdapters: (v) => isPlainObject(v) && Object.values(v).every((a) => a in PAYMENT_ADAPTERS),
+    bankAccount: (v) => isPlainObject(v) && ['beneficiary', 'iban', 'bic', 'bank'].every((key) => isText(v[key] || ''))
+      && (!v.iban || isValidIban(v.iban)),
+    checkoutUrl: isText,
+    carCategories: (v) => isPriceList(v) && Object.keys(v).length > 0,
+    extras: isPriceList,
+    depositPercent: (v) => isAmount(v) && v <= 100,
+    adminEmail: (v) => isText(v) && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+    fleet: (v) => Array.isArray(v) && v.every((x) => isPlainObject(x) && isText(x.plate) && x.plate !== '' && isText(x.category)
+      && ['active', 'maintenance', 'retired'].includes(x.status)),
+    locations: (v) => Array.isArray(v) && v.every((l) => isPlainObject(l) && isText(l.name) && l.name !== '' && isAmount(l.fee)
+      && isClockTime(l.opens) && (isClockTime(l.closes) || l.closes === '24:00')),
+    pricingRules: (v) => isPlainObject(v)
+      && Array.isArray(v.seasons) && v.seasons.every((x) => isPlainObject(x) && isText(x.name)
+        && /^\d{2}-\d{2}$/.test(x.from) && /^\d{2}-\d{2}$/.test(x.to) && isPriceList(x.rates))
+      && isAmount(v.weekendSurchargePercent) && v.weekendSurchargePercent <= 100
+      && Array.isArray(v.weekendDays) && v.weekendDays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+      && Array.isArray(v.durationDiscounts) && v.durationDiscounts.every((x) => isAmount(x.minDays) && isAmount(x.percent) && x.percent <= 100)
+      && isOptionalAmount(v.graceMinutes) && isOptionalAmount(v.oneWayFee) && isOptionalAmount(v.afterHoursFee),
+    driverRules: (v) => isPlainObject(v)
+      && isPlainObject(v.categories) && Object.values(v.categories).every((r) => isPlainObject(r)
+        && Number.isInteger(r.minAge) && r.minAge >= 0 && Number.isInteger(r.minLicenceYears) && r.minLicenceYears >= 0)
+      && isPlainObject(v.youngDriver) && isAmount(v.youngDriver.underAge) && isAmount(v.youngDriver.perDay)
+      && isPlainObject(v.seniorDriver) && isAmount(v.seniorDriver.fromAge) && isAmount(v.seniorDriver.perDay),
+    promoCodes: (v) => Array.isArray(v) && v.every((p) => isPlainObject(p) && isText(p.code) && p.code !== ''
+      && ['percent', 'fixed'].includes(p.type) && isAmount(p.value)
+      && isIsoOrEmpty(p.validFrom || '') && isIsoOrEmpty(p.validTo || '') && Array.isArray(p.categories || [])),
+    currencies: (v) => Array.isArray(v) && v.every((c) => isPlainObject(c) && isText(c.code) && /^[A-Z]{3}$/.test(c.code)
+      && c.code !== BASE_CURRENCY.code && isAmount(c.rate) && c.rate > 0 && isAmount(c.rounding) && c.rounding > 0),
+    bookingTransport: (v) => ['mailto', 'http', 'webhook'].includes(v),
+    bookingEndpoint: isText,
+    webhookUrl: isText,
+    analyticsEndpoint: isText,
+    // Versions are numbered on from 2 (1 is built in) and never renumbered
+    legalTexts: (v) => isPlainObject(v) && Object.entries(v).every(([key, versions]) => key in LEGAL_DOCUMENTS
+      && Array.isArray(versions) && versions.every((x, i) => isPlainObject(x) && x.version === i + 2
+        && isIsoOrEmpty(x.effective) && x.effective !== '' && (i === 0 || x.effective >= versions[i - 1].effective)
+        && isPlainObject(x.texts) && isPlainObject(x.texts[DEFAULT_LANGUAGE])
+        && Object.values(x.texts).every((entry) => isPlainObject(entry) && isText(entry.title) && isText(entry.body))))
+  };
+
+  /**
+   * Check a parsed config file and bring it up to CONFIG_VERSION. Returns
+   * { settings, version, errors, warnings }: settings holds only the valid
+   * entries, errors explain what was rejected.
+   */
+  function validateConfig(data) {
+    const errors = [];
+    const warnings = [];
+    if (!isPlainObject(data) || data.schema !== CONFIG_SCHEMA) {
+      return { settings: {}, version: null, errors: ['Το αρχείο δεν είναι αρχείο ρυθμίσεων Mira Cars.'], warnings };
     }
-    if (payment) {
-      summary += `Τρόπος πληρωμής: ${payment}<br/>`;
-      // Provide simple instruction for payment method
-      const instructions = PAYMENT_INSTRUCTIONS[payment] || 'Θα επικοινωνήσουμε μαζί σας για λεπτομέρειες πληρωμής.';
-      summary += `<em>${instructions}</em>`;
+    const version = data.version;
+    if (!Number.isInteger(version) || version < 1) {
+      return { settings: {}, version: null, errors: ['Μη έγκυρη έκδοση αρχείου ρυθμίσεων.'], warnings };
     }
-    priceEl.innerHTML = summary;
+    if (version > CONFIG_VERSION) {
+      return { settings: {}, version, errors: [`Το αρχείο είναι έκδοσης ${version}, νεότερης από αυτή που υποστηρίζει ο ιστότοπος (${CONFIG_VERSION}).`], warnings };
+    }
+    let raw = isPlainObject(data.settings) ? data.settings : {};
+    for (let v = version; v < CONFIG_VERSION; v++) {
+      raw = CONFIG_MIGRATIONS[v](raw);
+    }
+    if (version < CONFIG_VERSION) {
+      warnings.push(`Το αρχείο μετατράπηκε από την έκδοση ${version} στην ${CONFIG_VERSION}.`);
+    }
+    const settings = {};
+    Object.entries(raw).forEach(([key, value]) => {
+      if (!SETTING_VALIDATORS[key]) {
+        warnings.push(`Άγνωστη ρύθμιση «${key}» αγνοήθηκε.`);
+      } else if (!SETTING_VALIDATORS[key](value)) {
+        errors.push(`Μη έγκυρη τιμή για «${SETTING_LABELS[key]}».`);
+      } else {
+        settings[key] = value;
+      }
+    });
+    return { settings, version, errors, warnings };
   }
 
   /**
-   * Handle submission of booking form
+   * Fetch config.json and make its valid settings the published ones. A missing
+   * or broken file leaves the defaults in place.
    */
-  function handleBookingSubmit(e) {
-    e.preventDefault();
-    const form = e.target;
-    const name = form.querySelector('#name').value.trim();
-    const email = form.querySelector('#email').value.trim();
-    const phone = form.querySelector('#phone').value.trim();
-    const pickup = form.querySelector('#pickup-date').value;
-    const dropoff = form.querySelector('#dropoff-date').value;
-    const category = form.querySelector('#car-category').value;
-    const payment = form.querySelector('#payment-method').value;
-    const notes = form.querySelector('#notes').value.trim();
-    // Selected extras
-    const selectedExtras = Array.from(document.querySelectorAll('#extras-container input[type="checkbox"]:checked')).map((chk) => chk.value);
-    // Calculate price components
-    const startDate = pickup ? new Date(pickup) : null;
-    const endDate = dropoff ? new Date(dropoff) : null;
-    let days = 1;
-    if (startDate && endDate) {
-      days = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-      if (!isFinite(days) || days < 1) days = 1;
-    }
-    const basePerDay = carCategories[category] || 0;
-    const baseTotal = basePerDay * days;
-    let extrasTotal = 0;
-    selectedExtras.forEach((ex) => {
-      extrasTotal += (extras[ex] || 0) * days;
-    });
-    const subtotal = baseTotal + extrasTotal;
-    const depositAmount = depositPercent > 0 ? Math.round((subtotal * depositPercent) / 100 * 100) / 100 : 0;
-    const total = Math.round(subtotal * 100) / 100;
-
-    // Compose email body
-    let bodyLines = [];
-    bodyLines.push('Νέα Κράτηση');
-    bodyLines.push('');
-    bodyLines.push(`Όνομα: ${name}`);
-    bodyLines.push(`Email: ${email}`);
-    bodyLines.push(`Τηλέφωνο: ${phone}`);
-    bodyLines.push('');
-    bodyLines.push(`Κατηγορία οχήματος: ${category}`);
-    bodyLines.push(`Extras: ${selectedExtras.length ? selectedExtras.join(', ') : 'Κανένα'}`);
-    bodyLines.push(`Ημ/νία παραλαβής: ${pickup}`);
-    bodyLines.push(`Ημ/νία επιστροφής: ${dropoff}`);
-    bodyLines.push(`Ημέρες: ${days}`);
-    bodyLines.push('');
-    bodyLines.push(`Βάση: €${basePerDay}/ημ × ${days} = €${baseTotal.toFixed(2)}`);
-    if (extrasTotal > 0) {
-      bodyLines.push(`Extras: €${extrasTotal.toFixed(2)}`);
-    }
-    bodyLines.push(`Σύνολο: €${total.toFixed(2)}`);
-    if (depositPercent > 0) {
-      bodyLines.push(`Προκαταβολή (${depositPercent}%): €${depositAmount.toFixed(2)}`);
+  async function loadPublishedConfig() {
+    try {
+      const response = await fetch(CONFIG_URL, { cache: 'no-cache' });
+      if (!response.ok) return;
+      const data = await response.json();
+      const result = validateConfig(data);
+      publishedHolds = isPlainObject(data) ? validHolds(data.holds) : [];
+      publishedPromoUses = isPlainObject(data) ? validUseCounts(data.promoUses) : {};
+      [...result.errors, ...result.warnings].forEach((message) => console.warn(`config.json: ${message}`));
+      publishedSettings = result.settings;
+    } catch (err) {
+      console.warn('Could not load config.json, using the built-in defaults', err);
     }
-    bodyLines.push(`Τρόπος πληρωμής: ${payment}`);
-    bodyLines.push('');
-    if (notes) {
-      bodyLines.push(`Σημειώσεις: ${notes}`);
-    }
-    const body = encodeURIComponent(bodyLines.join('\n'));
-    const subject = encodeURIComponent('Νέα κράτηση Mira Cars');
-    const mailto = `mailto:${adminEmail}?subject=${subject}&body=${body}`;
-    // Redirect to email client
-    window.location.href = mailto;
-    alert('Η κράτηση έχει αποσταλεί! Θα επικοινωνήσουμε σύντομα.');
-    // Reset form after sending and reset extras and summary
-    form.reset();
-    // Reset extras
-    document.querySelectorAll('#extras-container input[type="checkbox"]').forEach((chk) => (chk.checked = false));
-    calculatePrice();
+  }
+
+  // The settings as this browser currently uses them, keyed like config.json
+  function currentSettings() {
+    const settings = {};
+    Object.keys(SETTING_VALIDATORS).forEach((key) => {
+      settings[key] = loadSetting(key);
+    });
+    return settings;
   }
 
   /**
-   * Accept cookies and hide banner
+   * Download the current settings as config.json, ready to be published
    */
-  window.acceptCookies = function () {
-    localStorage.setItem('cookiesAccepted', 'true');
-    document.getElementById('cookie-banner').classList.add('hidden');
+  window.exportConfig = async function () {
+    if (!isAdminLoggedIn()) {
+      checkAdminSession();
+      return;
+    }
+    if (settingsDirty && !confirm('Υπάρχουν μη αποθηκευμένες αλλαγές που δεν θα συμπεριληφθούν. Συνέχεια;')) return;
+    const today = todayIso();
+    const config = {
+      schema: CONFIG_SCHEMA,
+      version: CONFIG_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: currentSettings(),
+      holds: validHolds(getReservations().filter((r) => r.dropoff >= today)),
+      promoUses: await officePromoUses()
+    };
+    const blob = new Blob([JSON.stringify(config, null, 2) + '\n'], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'config.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
   };
 
+  // Short description of a setting value for the comparison list
+  function describeSettingValue(value) {
+    if (Array.isArray(value)) return `${value.length} εγγραφές`;
+    if (isPlainObject(value)) return `${Object.keys(value).length} εγγραφές`;
+    if (typeof value === 'boolean') return value ? 'ναι' : 'όχι';
+    return value === '' ? '(κενό)' : String(value);
+  }
+
   /**
-   * Open chat: either WhatsApp or phone call based on setting
+   * Show the differences between the settings in use and another set in the
+   * settings panel. onApply, when given, adds a button that adopts the other set.
    */
-  window.openChat = function () {
-    const digits = phoneNumber.replace(/\D/g, '');
-    if (useWhatsApp) {
-      window.open(`https://wa.me/${digits}?text=%CE%93%CE%B5%CE%B9%CE%B1%20σας%2C%20ενδιαφέρομαι%20για%20τις%20υπηρεσίες%20σας.`);
-    } else {
-      window.location.href = `tel:${digits}`;
+  function renderConfigReport(title, other, { errors = [], warnings = [], onApply = null } = {}) {
+    const report = document.getElementById('config-report');
+    if (!report) return;
+    report.innerHTML = '';
+    const heading = document.createElement('p');
+    heading.className = 'font-semibold';
+    heading.textContent = title;
+    report.appendChild(heading);
+    const list = document.createElement('ul');
+    list.className = 'list-disc list-inside space-y-1';
+    const addItem = (text, className = '') => {
+      const li = document.createElement('li');
+      li.className = className;
+      li.textContent = text;
+      list.appendChild(li);
+    };
+    errors.forEach((message) => addItem(message, 'text-red-500'));
+    warnings.forEach((message) => addItem(message, 'text-yellow-500'));
+    const current = currentSettings();
+    const changed = Object.keys(SETTING_VALIDATORS).filter((key) => key in other && JSON.stringify(other[key]) !== JSON.stringify(current[key]));
+    changed.forEach((key) => {
+      const before = current[key];
+      const after = other[key];
+      const simple = typeof before !== 'object' && typeof after !== 'object';
+      addItem(simple
+        ? `${SETTING_LABELS[key]}: ${describeSettingValue(before)} → ${describeSettingValue(after)}`
+        : `${SETTING_LABELS[key]}: διαφέρει (${describeSettingValue(before)} → ${describeSettingValue(after)})`);
+    });
+    if (!changed.length && !errors.length) addItem('Καμία διαφορά με τις τρέχουσες ρυθμίσεις.');
+    report.appendChild(list);
+    const actions = document.createElement('div');
+    actions.className = 'space-x-3';
+    if (onApply && changed.length) {
+      const apply = document.createElement('button');
+      apply.type = 'button';
+      apply.className = 'text-blue-500 hover:text-blue-400';
+      apply.textContent = `Εφαρμογή ${changed.length} αλλαγών`;
+      apply.addEventListener('click', onApply);
+      actions.appendChild(apply);
     }
-  };
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'text-gray-500 hover:text-gray-400';
+    close.textContent = 'Κλείσιμο σύγκρισης';
+    close.addEventListener('click', () => report.classList.add('hidden'));
+    actions.appendChild(close);
+    report.appendChild(actions);
+    report.classList.remove('hidden');
+  }
 
   /**
-   * Legal modal content definitions
+   * Compare the settings in use with the published config.json, i.e. what visitors see
    */
-  const LEGAL_TEXTS = {
-    terms: {
-      title: 'Όροι Χρήσης',
-      body: `
-        <p>Το παρόν website παρέχεται «ως έχει» για πληροφοριακούς σκοπούς. Η χρήση του
-        συνεπάγεται αποδοχή των όρων αυτών. Δεν φέρουμε ευθύνη για τυχόν
-        ανακρίβειες ή παραλείψεις. Συνιστάται να συμβουλευθείτε νομικό σύμβουλο
-        για επίσημη νομική καθοδήγηση.</p>
-        <p>Απαγορεύεται η αντιγραφή ή αναπαραγωγή του περιεχομένου χωρίς προηγούμενη
-        έγγραφη άδεια. Ο διαχειριστής διατηρεί το δικαίωμα αλλαγής των όρων
-        χρήσης χωρίς προειδοποίηση.</p>
-      `
-    },
-    privacy: {
-      title: 'Πολιτική Απορρήτου',
-      body: `
-        <p>Συλλέγουμε μόνο τα απολύτως απαραίτητα προσωπικά δεδομένα για την
-        επικοινωνία και την παροχή υπηρεσιών. Τα δεδομένα διατηρούνται με ασφάλεια
-        και δεν κοινοποιούνται σε τρίτους χωρίς συγκατάθεση, σύμφωνα με τον
-        Κανονισμό GDPR και την ελληνική νομοθεσία.</p>
-        <p>Έχετε το δικαίωμα πρόσβασης, διόρθωσης ή διαγραφής των δεδομένων σας.
-        Επικοινωνήστε μαζί μας για οποιοδήποτε αίτημα σχετικό με τα προσωπικά σας
-        δεδομένα.</p>
-      `
-    },
-    cookies: {
-      title: 'Πολιτική Cookies',
-      body: `
-        <p>Χρησιμοποιούμε cookies για να βελτιώσουμε την εμπειρία σας και να
-        αναλύσουμε την επισκεψιμότητα. Μπορείτε να διαγράψετε ή να μπλοκάρετε
-        cookies μέσω των ρυθμίσεων του browser σας. Συνεχίζοντας την πλοήγηση
-        αποδέχεστε τη χρήση cookies.</p>
-      `
-    },
-    imprint: {
-      title: 'Imprint',
-      // The body will be generated dynamically when the modal opens to include current phone and email
-      body: ''
-    },
-    legal: {
-      title: 'Νομικές Πληροφορίες',
-      body: `<p>Για να διαβάσετε τους αναλυτικούς όρους, παρακαλούμε επιλέξτε μία από τις παραπάνω ενότητες: Όροι Χρήσης, Πολιτική Απορρήτου, Cookies ή Imprint.</p>`
+  window.compareWithPublished = async function () {
+    if (!isAdminLoggedIn()) {
+      checkAdminSession();
+      return;
     }
+    await loadPublishedConfig();
+    const published = { ...DEFAULTS, ...publishedSettings };
+    renderConfigReport('Διαφορές με τις δημοσιευμένες ρυθμίσεις (config.json)', published);
   };
 
   /**
-   * Show a legal modal by key
+   * Read a config file chosen by the admin, show how it differs from the current
+   * settings and let the admin apply it to this browser
    */
-  window.openModal = function (key) {
-    const entry = LEGAL_TEXTS[key];
-    if (!entry) return;
-    let body = entry.body;
-    // Inject dynamic phone number into imprint
-    if (key === 'imprint') {
-      body = `
-        <p>Ιδιοκτήτης: Mira Cars ΕΠΕ<br/>
-        Έδρα: Ηράκλειο Κρήτης, Ελλάδα<br/>
-        Τηλέφωνο: ${phoneNumber}<br/>
-        Email: ${adminEmail}</p>
-        <p>Αυτή η ιστοσελίδα έχει σχεδιαστεί ως δείγμα. Για επίσημες νομικές πληροφορίες συμβουλευτείτε τις αρμόδιες αρχές και έναν δικηγόρο.</p>
-      `;
+  window.importConfig = async function (input) {
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file || !isAdminLoggedIn()) return;
+    let result;
+    try {
+      result = validateConfig(JSON.parse(await file.text()));
+    } catch (err) {
+      result = { settings: {}, version: null, errors: ['Το αρχείο δεν είναι έγκυρο JSON.'], warnings: [] };
     }
-    document.getElementById('modal-title').textContent = entry.title;
-    document.getElementById('modal-body').innerHTML = body;
-    document.getElementById('modal-overlay').classList.remove('hidden');
+    renderConfigReport(`Σύγκριση με ${file.name}`, result.settings, {
+      errors: result.errors,
+      warnings: result.warnings,
+      onApply: result.errors.length ? null : () => {
+        if (settingsDirty && !confirm('Οι μη αποθηκευμένες αλλαγές στη φόρμα θα χαθούν. Συνέχεια;')) return;
+        Object.entries(result.settings).forEach(([key, value]) => saveSetting(key, value));
+        reloadSettings();
+        populateCurrencySelect();
+        populateBookingSelects();
+        populateExtras();
+        renderGuide();
+        renderDeals();
+        renderTermsAcceptance();
+        initConsent();
+        calculatePrice();
+        updateVIPNav();
+        fillSettingsForm();
+        document.getElementById('config-report').classList.add('hidden');
+        alert('Οι ρυθμίσεις του αρχείου εφαρμόστηκαν σε αυτόν τον browser. Εξάγετε και δημοσιεύστε το config.json για να τις δουν οι πελάτες.');
+      }
+    });
   };
-  window.closeModal = function () {
-    document.getElementById('modal-overlay').classList.add('hidden');
+
+  /*
+   * Settings editor
+   *
+   * Car categories, extras and payment methods are edited as tables. Edits go to
+   * settingsDraft and only reach localStorage through saveSettings(); Discard and
+   * Close put the form back to the saved values. The preview shows the booking
+   * form fields as customers would see them with the draft applied.
+   */
+  const LIST_EDITORS = {
+    categories: { label: 'Κατηγορίες', placeholder: 'π.χ. Economy', priced: true, required: true },
+    extras: { label: 'Extras', placeholder: 'π.χ. GPS', priced: true, required: false },
+    // Each payment method also picks its payment adapter
+    payments: { label: 'Τρόποι πληρωμής', placeholder: 'π.χ. PayPal', priced: false, required: true, choice: 'adapter' }
   };
+  let settingsDraft = { categories: [], extras: [], payments: [] };
+  let settingsDirty = false;
+
+  function markSettingsDirty(dirty = true) {
+    settingsDirty = dirty;
+    const el = document.getElementById('settings-dirty');
+    if (el) el.classList.toggle('hidden', !dirty);
+  }
 
   /**
-   * Toggle mobile menu
+   * Check one of the editable lists. Returns the saved shape (an object of prices
+   * for priced lists, an array of names otherwise) plus human-readable errors;
+   * lists with a choice column also return the choices by name.
    */
-  window.toggleMenu = function () {
-    const menu = document.getElementById('mobile-menu');
-    menu.classList.toggle('hidden');
-  };
+  function validateSettingsList(kind) {
+    const editor = LIST_EDITORS[kind];
+    const rows = settingsDraft[kind];
+    const errors = [];
+    const seen = [];
+    rows.forEach((row, i) => {
+      const name = row.name.trim();
+      if (!name) {
+        errors.push(`Γραμμή ${i + 1}: απαιτείται όνομα.`);
+      } else if (seen.includes(name.toLowerCase())) {
+        errors.push(`Γραμμή ${i + 1}: το «${name}» υπάρχει ήδη.`);
+      } else if (kind === 'categories' && /[|,:=]/.test(name)) {
+        // Category names appear in the fleet, season and promo code text formats
+        errors.push(`Γραμμή ${i + 1}: το όνομα δεν μπορεί να περιέχει | , : ή =.`);
+      }
+      seen.push(name.toLowerCase());
+      if (editor.priced) {
+        const price = Number(row.price);
+        if (row.price === '' || !isFinite(price) || price < 0) {
+          errors.push(`Γραμμή ${i + 1}: μη έγκυρη τιμή.`);
+        }
+      }
+    });
+    if (editor.required && !rows.length) {
+      errors.push('Απαιτείται τουλάχιστον μία εγγραφή.');
+    }
+    const items = editor.priced ? {} : [];
+    const choices = {};
+    rows.forEach((row) => {
+      if (editor.priced) items[row.name.trim()] = Number(row.price);
+      else items.push(row.name.trim());
+      if (editor.choice) choices[row.name.trim()] = row[editor.choice];
+    });
+    return { items, choices, errors };
+  }
+
+  function showSettingsListErrors(kind) {
+    const el = document.getElementById(`${kind}-errors`);
+    if (!el) return;
+    const { errors } = validateSettingsList(kind);
+    el.textContent = errors.join('\n');
+    el.classList.toggle('hidden', !errors.length);
+  }
+
+  // Small icon button used by the list editors
+  function editorButton(text, title, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.disabled = disabled;
+    button.className = 'px-2 py-1 rounded text-gray-500 hover:text-gray-800 dark:hover:text-gray-100 disabled:opacity-30';
+    button.addEventListener('click', onClick);
+    return button;
+  }
 
   /**
-   * Open settings panel
+   * Draw one editable list (rows of name, optional price, reorder and remove buttons)
    */
-  window.openSettings = function () {
-    document.getElementById('settings-panel').classList.remove('hidden');
+  function renderSettingsList(kind) {
+    const container = document.getElementById(`${kind}-editor`);
+    if (!container) return;
+    const editor = LIST_EDITORS[kind];
+    const rows = settingsDraft[kind];
+    container.innerHTML = '';
+    rows.forEach((row, i) => {
+      const line = document.createElement('div');
+      line.className = 'flex items-center space-x-2';
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.value = row.name;
+      nameInput.placeholder = editor.placeholder;
+      nameInput.setAttribute('aria-label', `${editor.label}: όνομα, γραμμή ${i + 1}`);
+      nameInput.className = 'flex-1 min-w-0 border border-gray-300 dark:border-gray-700 rounded p-1 bg-gray-100 dark:bg-gray-700 text-sm';
+      // The panel's input listener marks the form dirty and redraws the preview
+      nameInput.addEventListener('input', () => {
+        row.name = nameInput.value;
+        showSettingsListErrors(kind);
+      });
+      line.appendChild(nameInput);
+      if (editor.priced) {
+        const priceInput = document.createElement('input');
+        priceInput.type = 'number';
+        priceInput.min = '0';
+        priceInput.step = '0.5';
+        priceInput.value = row.price;
+        priceInput.setAttribute('aria-label', `${editor.label}: τιμή ανά ημέρα, γραμμή ${i + 1}`);
+        priceInput.className = 'w-24 border border-gray-300 dark:border-gray-700 rounded p-1 bg-gray-100 dark:bg-gray-700 text-sm';
+        priceInput.addEventListener('input', () => {
+          row.price = priceInput.value;
+          showSettingsListErrors(kind);
+        });
+        line.appendChild(priceInput);
+      }
+      if (editor.choice === 'adapter') {
+        const adapterSelect = document.createElement('select');
+        Object.entries(PAYMENT_ADAPTERS).forEach(([key, adapter]) => {
+          const opt = document.createElement('option');
+          opt.value = key;
+          opt.textContent = adapter.label;
+          adapterSelect.appendChild(opt);
+        });
+        adapterSelect.value = row.adapter;
+        adapterSelect.setAttribute('aria-label', `${editor.label}: είσπραξη, γραμμή ${i + 1}`);
+        adapterSelect.className = 'w-40 border border-gray-300 dark:border-gray-700 rounded p-1 bg-gray-100 dark:bg-gray-700 text-sm';
+        adapterSelect.addEventListener('change', () => {
+          row.adapter = adapterSelect.value;
+        });
+        line.appendChild(adapterSelect);
+      }
+      line.appendChild(editorButton('↑', 'Μετακίνηση πάνω', i === 0, () => moveSettingsRow(kind, i, -1)));
+      line.appendChild(editorButton('↓', 'Μετακίνηση κάτω', i === rows.length - 1, () => moveSettingsRow(kind, i, 1)));
+      line.appendChild(editorButton('✕', 'Αφαίρεση', false, () => {
+        rows.splice(i, 1);
+        markSettingsDirty();
+        refreshSettingsList(kind);
+      }));
+      container.appendChild(line);
+    });
+  }
+
+  function refreshSettingsList(kind) {
+    renderSettingsList(kind);
+    showSettingsListErrors(kind);
+    renderSettingsPreview();
+  }
+
+  function moveSettingsRow(kind, index, offset) {
+    const rows = settingsDraft[kind];
+    const target = index + offset;
+    if (target < 0 || target >= rows.length) return;
+    [rows[index], rows[target]] = [rows[target], rows[index]];
+    markSettingsDirty();
+    refreshSettingsList(kind);
+  }
+
+  window.addSettingsRow = function (kind) {
+    if (!LIST_EDITORS[kind]) return;
+    const editor = LIST_EDITORS[kind];
+    settingsDraft[kind].push(editor.priced ? { name: '', price: '' } : editor.choice === 'adapter' ? { name: '', adapter: 'manual' } : { name: '' });
+    markSettingsDirty();
+    refreshSettingsList(kind);
+    const inputs = document.querySelectorAll(`#${kind}-editor input[type="text"]`);
+    if (inputs.length) inputs[inputs.length - 1].focus();
   };
-  window.closeSettings = function () {
-    document.getElementById('settings-panel').classList.add('hidden');
+
+  /**
+   * Show the booking form fields as customers would see them with the draft settings
+   */
+  function renderSettingsPreview() {
+    const preview = document.getElementById('settings-preview');
+    if (!preview) return;
+    const deposit = Number(document.getElementById('deposit-input').value);
+    const whatsApp = document.getElementById('whatsapp-toggle').checked;
+    const named = (kind) => settingsDraft[kind].filter((row) => row.name.trim());
+    preview.innerHTML = '';
+    const field = (labelText, control) => {
+      const wrapper = document.createElement('div');
+      const label = document.createElement('div');
+      label.className = 'font-medium mb-1';
+      label.textContent = labelText;
+      wrapper.appendChild(label);
+      wrapper.appendChild(control);
+      preview.appendChild(wrapper);
+    };
+    const select = (options) => {
+      const el = document.createElement('select');
+      el.className = 'w-full rounded border border-gray-300 dark:border-gray-700 p-2 bg-gray-100 dark:bg-gray-700';
+      options.forEach((text) => {
+        const opt = document.createElement('option');
+        opt.textContent = text;
+        el.appendChild(opt);
+      });
+      return el;
+    };
+    // Lowest rate per category, as on the booking form, using the draft base price
+    const categories = named('categories').map((row) => {
+      const seasonRates = (pricingRules.seasons || []).map((s) => s.rates[row.name.trim()]).filter((r) => typeof r === 'number');
+      const base = Number(row.price) || 0;
+      return { name: row.name.trim(), base, lowest: Math.min(base, ...seasonRates) };
+    });
+    field(t('booking.category'), select(categories.map((c) => t('price.categoryOption', { category: c.name, price: formatMoney(c.lowest, currentLang, BASE_CURRENCY) }))));
+    const extrasBox = document.createElement('div');
+    extrasBox.className = 'space-y-1';
+    named('extras').forEach((row) => {
+      const label = document.createElement('label');
+      label.className = 'flex items-center space-x-2';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'form-checkbox h-4 w-4 text-blue-600';
+      const text = document.createElement('span');
+      text.textContent = t('price.extraOption', { extra: localizeName(row.name.trim()), price: formatMoney(Number(row.price) || 0, currentLang, BASE_CURRENCY) });
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      extrasBox.appendChild(label);
+    });
+    field(t('booking.extras'), extrasBox);
+    field(t('booking.payment'), select(named('payments').map((row) => localizeName(row.name.trim()))));
+    // Worked example so the deposit percentage can be checked at a glance
+    const example = document.createElement('p');
+    example.className = 'text-xs text-gray-500';
+    if (categories.length) {
+      const total = roundMoney(categories[0].base * 3);
+      example.textContent = `Παράδειγμα, 3 ημέρες ${categories[0].name} στη βασική τιμή: ${t('price.total', { amount: formatMoney(total, currentLang, BASE_CURRENCY) })}`
+        + (deposit > 0 ? `, ${t('price.deposit', { percent: deposit, amount: formatMoney(roundMoney((total * deposit) / 100), currentLang, BASE_CURRENCY) })}` : ', χωρίς προκαταβολή');
+    }
+    preview.appendChild(example);
+    const chat = document.createElement('p');
+    chat.className = 'text-xs text-gray-500';
+    const phone = document.getElementById('phone-input').value.trim() || DEFAULTS.phoneNumber;
+    chat.textContent = `Κουμπί συνομιλίας 💬: ${whatsApp ? 'WhatsApp' : 'κλήση'} στο ${phone}`;
+    preview.appendChild(chat);
+  }
+
+  /**
+   * Fill the settings panel with the saved settings, dropping any unsaved edits
+   */
+  function fillSettingsForm() {
+    document.getElementById('phone-input').value = phoneNumber;
+    document.getElementById('admin-email-input').value = adminEmail;
+    document.getElementById('whatsapp-toggle').checked = !!useWhatsApp;
+    document.getElementById('deposit-input').value = depositPercent;
+    document.getElementById('deposit-value').textContent = `${depositPercent}%`;
+    settingsDraft = {
+      categories: Object.entries(carCategories).map(([name, price]) => ({ name, price: String(price) })),
+      extras: Object.entries(extras).map(([name, price]) => ({ name, price: String(price) })),
+      payments: paymentMethods.map((name) => ({ name, adapter: paymentAdapters[name] || 'manual' }))
+    };
+    Object.keys(LIST_EDITORS).forEach((kind) => {
+      renderSettingsList(kind);
+      showSettingsListErrors(kind);
+    });
+    document.getElementById('vip-codes-input').value = vipCodesToText(vipCodes);
+    renderVipUsage();
+    document.getElementById('vip-deals-input').value = vipDealsToText(vipDeals);
+    document.getElementById('fleet-input').value = fleetToText(fleet);
+    document.getElementById('locations-input').value = locationsToText(locations);
+    document.getElementById('seasons-input').value = seasonsToText(pricingRules.seasons || []);
+    document.getElementById('weekend-input').value = pricingRules.weekendSurchargePercent || 0;
+    document.getElementById('discounts-input').value = (pricingRules.durationDiscounts || []).map((tier) => `${tier.minDays}:${tier.percent}`).join(', ');
+    document.getElementById('grace-input').value = rentalRule('graceMinutes');
+    document.getElementById('one-way-input').value = rentalRule('oneWayFee');
+    document.getElementById('after-hours-input').value = rentalRule('afterHoursFee');
+    document.getElementById('driver-rules-input').value = driverRulesToText(driverRules);
+    document.getElementById('young-age-input').value = driverRule('youngDriver').underAge;
+    document.getElementById('young-fee-input').value = driverRule('youngDriver').perDay;
+    document.getElementById('senior-age-input').value = driverRule('seniorDriver').fromAge;
+    document.getElementById('senior-fee-input').value = driverRule('seniorDriver').perDay;
+    document.getElementById('promos-input').value = promosToText(promoCodes);
+    renderPromoUsage();
+    document.getElementById('currencies-input').value = currenciesToText(currencies);
+    document.getElementById('bank-beneficiary-input').value = bankAccount.beneficiary || '';
+    document.getElementById('bank-iban-input').value = groupsOfFour(bankAccount.iban || '');
+    document.getElementById('bank-bic-input').value = bankAccount.bic || '';
+    document.getElementById('bank-name-input').value = bankAccount.bank || '';
+    document.getElementById('checkout-url-input').value = checkoutUrl;
+    document.getElementById('transport-select').value = bookingTransport;
+    document.getElementById('endpoint-input').value = bookingEndpoint;
+    document.getElementById('endpoint-key-input').value = localStorage.getItem('endpointKey') || '';
+    document.getElementById('webhook-input').value = webhookUrl;
+    document.getElementById('analytics-endpoint-input').value = analyticsEndpoint;
+    fillLegalEditor();
+    renderSettingsPreview();
+    markSettingsDirty(false);
+  }
+
+  /**
+   * Throw away unsaved changes in the settings panel
+   */
+  window.discardSettings = function () {
+    if (settingsDirty && !confirm('Να απορριφθούν όλες οι μη αποθηκευμένες αλλαγές;')) return;
+    fillSettingsForm();
   };
 
   /**
-   * Save settings from the settings panel
+   * Save settings from the settings panel. Everything is validated first; on
+   * errors nothing is saved so the admin can correct the form.
    */
   window.saveSettings = function () {
-    phoneNumber = document.getElementById('phone-input').value.trim() || DEFAULTS.phoneNumber;
-    vipCode = document.getElementById('vip-input').value.trim() || DEFAULTS.vipCode;
-    vipGreeting = document.getElementById('greeting-input').value.trim() || DEFAULTS.vipGreeting;
-    // Payment methods – admin enters comma-separated list of names
-    const pay = prompt('Εισάγετε τρόπους πληρωμής χωρισμένους με κόμμα (π.χ. Πληρωμή στην παραλαβή, Κάρτα (Stripe), PayPal, Κατάθεση σε Τράπεζα, Apple Pay, Google Pay, Revolut, Viva Wallet, Crypto):', paymentMethods.join(', '));
-    if (pay) {
-      paymentMethods = pay.split(',').map((m) => m.trim()).filter(Boolean);
-      saveSetting('paymentMethods', paymentMethods);
-    }
-    // Car categories with prices per day
-    const catInput = prompt('Εισάγετε κατηγορίες και τιμές/ημέρα χωρισμένες με κόμμα (π.χ. Economy:30, SUV:50, Luxury:90):', Object.entries(carCategories).map(([k,v]) => `${k}:${v}`).join(', '));
-    if (catInput) {
-      const newCats = {};
-      catInput.split(',').forEach((pair) => {
-        const [name, price] = pair.split(':').map((s) => s.trim());
-        if (name && price && !isNaN(parseFloat(price))) {
-          newCats[name] = parseFloat(price);
-        }
-      });
-      if (Object.keys(newCats).length) {
-        carCategories = newCats;
-        saveSetting('carCategories', carCategories);
+    if (!isAdminLoggedIn()) {
+      checkAdminSession();
+      return;
+    }
+    const listResults = {};
+    for (const kind of Object.keys(LIST_EDITORS)) {
+      listResults[kind] = validateSettingsList(kind);
+      if (listResults[kind].errors.length) {
+        alert(`${LIST_EDITORS[kind].label} – δεν αποθηκεύτηκαν:\n${listResults[kind].errors.join('\n')}`);
+        return;
       }
     }
-    // Extras with prices per day
-    const extrasInput = prompt('Εισάγετε extras και τιμές/ημέρα χωρισμένες με κόμμα (π.χ. GPS:5, Παιδικό Κάθισμα:6, Πρόσθετος Οδηγός:7, Πλήρης Ασφάλεια:10):', Object.entries(extras).map(([k,v]) => `${k}:${v}`).join(', '));
-    if (extrasInput) {
-      const newExtras = {};
-      extrasInput.split(',').forEach((pair) => {
-        const [name, price] = pair.split(':').map((s) => s.trim());
-        if (name && price && !isNaN(parseFloat(price))) {
-          newExtras[name] = parseFloat(price);
-        }
-      });
-      if (Object.keys(newExtras).length) {
-        extras = newExtras;
-        saveSetting('extras', extras);
+    const email = document.getElementById('admin-email-input').value.trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      alert('Ορίστε έγκυρο email παραλαβής κρατήσεων.');
+      return;
+    }
+    // Fleet – one vehicle per line; every vehicle must belong to one of the categories above
+    const fleetResult = parseFleet(document.getElementById('fleet-input').value);
+    fleetResult.vehicles.forEach((v) => {
+      if (!(v.category in listResults.categories.items)) {
+        fleetResult.errors.push(`Το όχημα ${v.plate} ανήκει σε κατηγορία που δεν υπάρχει (${v.category}).`);
       }
+    });
+    if (fleetResult.errors.length) {
+      alert(`Ο στόλος δεν αποθηκεύτηκε:\n${fleetResult.errors.join('\n')}`);
+      return;
+    }
+    const locationsResult = parseLocations(document.getElementById('locations-input').value);
+    if (locationsResult.errors.length) {
+      alert(`Τα σημεία παραλαβής δεν αποθηκεύτηκαν:\n${locationsResult.errors.join('\n')}`);
+      return;
     }
-    // Deposit percentage
-    const depInput = prompt('Εισάγετε ποσοστό προκαταβολής (0-100). Αφήστε κενό για 0%:', depositPercent);
-    if (depInput !== null) {
-      const parsed = parseFloat(depInput);
-      if (!isNaN(parsed) && parsed >= 0 && parsed <= 100) {
-        depositPercent = parsed;
-        saveSetting('depositPercent', depositPercent);
+    // Pricing rules – validated as a whole for the same reason
+    const rulesResult = parsePricingRules({
+      seasonText: document.getElementById('seasons-input').value,
+      weekendText: document.getElementById('weekend-input').value,
+      discountText: document.getElementById('discounts-input').value,
+      graceText: document.getElementById('grace-input').value,
+      oneWayText: document.getElementById('one-way-input').value,
+      afterHoursText: document.getElementById('after-hours-input').value
+    });
+    if (rulesResult.errors.length) {
+      alert(`Οι κανόνες τιμολόγησης δεν αποθηκεύτηκαν:\n${rulesResult.errors.join('\n')}`);
+      return;
+    }
+    // Driver requirements – like the fleet, every rule must name one of the categories above
+    const driverResult = parseDriverRules({
+      categoryText: document.getElementById('driver-rules-input').value,
+      youngAgeText: document.getElementById('young-age-input').value,
+      youngFeeText: document.getElementById('young-fee-input').value,
+      seniorAgeText: document.getElementById('senior-age-input').value,
+      seniorFeeText: document.getElementById('senior-fee-input').value
+    });
+    Object.keys(driverResult.rules.categories).forEach((category) => {
+      if (!(category in listResults.categories.items)) {
+        driverResult.errors.push(`Η κατηγορία ${category} δεν υπάρχει.`);
       }
+    });
+    if (driverResult.errors.length) {
+      alert(`Οι προϋποθέσεις οδηγών δεν αποθηκεύτηκαν:\n${driverResult.errors.join('\n')}`);
+      return;
     }
-    // Update admin email
-    const emailPrompt = prompt('Εισάγετε email διαχειριστή (για παραλαβή κρατήσεων):', adminEmail);
-    if (emailPrompt) {
-      adminEmail = emailPrompt.trim();
-      saveSetting('adminEmail', adminEmail);
+    const promoResult = parsePromos(document.getElementById('promos-input').value);
+    if (promoResult.errors.length) {
+      alert(`Οι κωδικοί προσφοράς δεν αποθηκεύτηκαν:\n${promoResult.errors.join('\n')}`);
+      return;
     }
-    // Persist basic settings
-    saveSetting('phoneNumber', phoneNumber);
-    saveSetting('vipCode', vipCode);
-    saveSetting('vipGreeting', vipGreeting);
-    // Prompt for WhatsApp usage
-    const waInput = prompt('Θέλετε το κουμπί συνομιλίας να ανοίγει WhatsApp; (ναι/όχι)', useWhatsApp ? 'ναι' : 'όχι');
-    if (waInput !== null) {
-      const lowered = waInput.toLowerCase().trim();
-      useWhatsApp = lowered === 'ναι' || lowered === 'yes';
+    const currencyResult = parseCurrencies(document.getElementById('currencies-input').value);
+    if (currencyResult.errors.length) {
+      alert(`Τα νομίσματα δεν αποθηκεύτηκαν:\n${currencyResult.errors.join('\n')}`);
+      return;
+    }
+    const vipResult = parseVipCodes(document.getElementById('vip-codes-input').value);
+    if (vipResult.errors.length) {
+      alert(`Οι κωδικοί VIP δεν αποθηκεύτηκαν:\n${vipResult.errors.join('\n')}`);
+      return;
+    }
+    const dealsResult = parseVipDeals(document.getElementById('vip-deals-input').value);
+    if (dealsResult.errors.length) {
+      alert(`Οι προσφορές VIP δεν αποθηκεύτηκαν:\n${dealsResult.errors.join('\n')}`);
+      return;
+    }
+    // Payments – a bank account needs a valid IBAN, the checkout template a web address
+    const iban = document.getElementById('bank-iban-input').value.replace(/\s+/g, '').toUpperCase();
+    const checkout = document.getElementById('checkout-url-input').value.trim();
+    if (iban && !isValidIban(iban)) {
+      alert('Το IBAN δεν είναι έγκυρο. Ελέγξτε ότι το αντιγράψατε σωστά.');
+      return;
+    }
+    const isWebPage = (url) => {
+      try {
+        return ['http:', 'https:'].includes(new URL(url, location.href).protocol);
+      } catch (e) {
+        return false;
+      }
+    };
+    if (checkout && !isWebPage(checkout)) {
+      alert('Η σελίδα πληρωμής πρέπει να είναι διεύθυνση http:// ή https:// (ή σελίδα του ίδιου ιστότοπου).');
+      return;
     }
+    // Booking delivery – the selected transport needs a valid URL
+    const transport = document.getElementById('transport-select').value;
+    const endpoint = document.getElementById('endpoint-input').value.trim();
+    const webhook = document.getElementById('webhook-input').value.trim();
+    const isUrl = (url) => /^https?:\/\/\S+$/i.test(url);
+    if ((transport === 'http' && !isUrl(endpoint)) || (transport === 'webhook' && !isUrl(webhook))) {
+      alert('Ορίστε έγκυρη διεύθυνση (http:// ή https://) για τον επιλεγμένο τρόπο αποστολής κρατήσεων.');
+      return;
+    }
+    const statsEndpoint = document.getElementById('analytics-endpoint-input').value.trim();
+    if (statsEndpoint && !isUrl(statsEndpoint)) {
+      alert('Η διεύθυνση αποστολής στατιστικών πρέπει να ξεκινά με http:// ή https://.');
+      return;
+    }
+    phoneNumber = document.getElementById('phone-input').value.trim() || DEFAULTS.phoneNumber;
+    saveSetting('phoneNumber', phoneNumber);
+    adminEmail = email;
+    saveSetting('adminEmail', adminEmail);
+    useWhatsApp = document.getElementById('whatsapp-toggle').checked;
     saveSetting('useWhatsApp', useWhatsApp);
-    // Refresh selects, extras and VIP nav
+    depositPercent = Number(document.getElementById('deposit-input').value);
+    saveSetting('depositPercent', depositPercent);
+    carCategories = listResults.categories.items;
+    saveSetting('carCategories', carCategories);
+    extras = listResults.extras.items;
+    saveSetting('extras', extras);
+    paymentMethods = listResults.payments.items;
+    saveSetting('paymentMethods', paymentMethods);
+    paymentAdapters = listResults.payments.choices;
+    saveSetting('paymentAdapters', paymentAdapters);
+    bankAccount = {
+      beneficiary: document.getElementById('bank-beneficiary-input').value.trim(),
+      iban,
+      bic: document.getElementById('bank-bic-input').value.trim().toUpperCase(),
+      bank: document.getElementById('bank-name-input').value.trim()
+    };
+    saveSetting('bankAccount', bankAccount);
+    checkoutUrl = checkout;
+    saveSetting('checkoutUrl', checkoutUrl);
+    fleet = fleetResult.vehicles;
+    saveSetting('fleet', fleet);
+    locations = locationsResult.locations;
+    saveSetting('locations', locations);
+    pricingRules = rulesResult.rules;
+    saveSetting('pricingRules', pricingRules);
+    driverRules = driverResult.rules;
+    saveSetting('driverRules', driverRules);
+    promoCodes = promoResult.promos;
+    saveSetting('promoCodes', promoCodes);
+    currencies = currencyResult.currencies;
+    saveSetting('currencies', currencies);
+    vipCodes = vipResult.codes;
+    saveSetting('vipCodes', vipCodes);
+    vipDeals = dealsResult.deals;
+    saveSetting('vipDeals', vipDeals);
+    bookingTransport = transport;
+    bookingEndpoint = endpoint;
+    webhookUrl = webhook;
+    saveSetting('bookingTransport', bookingTransport);
+    saveSetting('bookingEndpoint', bookingEndpoint);
+    saveSetting('webhookUrl', webhookUrl);
+    // The office key is not a published setting, so it is stored apart from them
+    const endpointKey = document.getElementById('endpoint-key-input').value.trim();
+    if (endpointKey) {
+      localStorage.setItem('endpointKey', endpointKey);
+    } else {
+      localStorage.removeItem('endpointKey');
+    }
+    analyticsEndpoint = statsEndpoint;
+    saveSetting('analyticsEndpoint', analyticsEndpoint);
+    // Refresh selects, extras, itineraries and VIP nav
+    populateCurrencySelect();
     populateBookingSelects();
     populateExtras();
+    renderGuide();
+    renderDeals();
     calculatePrice();
     updateVIPNav();
+    markSettingsDirty(false);
     alert('Οι ρυθμίσεις αποθηκεύτηκαν.');
     closeSettings();
   };
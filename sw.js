@@ -0,0 +1,88 @@
+/*
+ * sw.js
+ *
+ * Service worker that makes the Mira Cars site installable and usable offline.
+ * The site shell is cached on install; same-origin requests are answered from
+ * the cache and refreshed in the background so changes reach visitors on their
+ * next visit. The Tailwind CDN script is cached the same way so pages keep their
+ * styling offline. The published configuration (config.json) is fetched from the
+ * network first so new prices reach visitors straight away, with the cached copy
+ * as the offline fallback. Bookings made offline are queued by script.js, not here.
+ * Requests with a query string or an Authorization header (the booking
+ * endpoint's views when it is on this site) always go to the network and are
+ * never cached; page navigations are the exception, so shared booking links
+ * still open offline.
+ */
+
+const CACHE_NAME = 'miracars-v2';
+const SHELL = ['./', 'index.html', 'script.js', 'hero.webp', 'banner.jpg', 'manifest.webmanifest', 'icon.svg', 'config.json'];
+const CDN_HOSTS = ['cdn.tailwindcss.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches from previous versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+  if (!sameOrigin && !CDN_HOSTS.includes(url.hostname)) return;
+  // Live data (holds, the admin's queue) must be neither stale nor kept in Cache Storage
+  if (sameOrigin && request.mode !== 'navigate' && (url.search || request.headers.has('Authorization'))) return;
+
+  if (sameOrigin && url.pathname.endsWith('/config.json')) {
+    event.respondWith(
+      caches.open(CACHE_NAME).then((cache) =>
+        fetch(request)
+          .then((response) => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+          })
+          .catch(() => cache.match(request, { ignoreSearch: true }).then((cached) => cached || Response.error()))
+      )
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      // Query strings (shared booking links) should still find the cached page
+      const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+      const network = fetch(request)
+        .then((response) => {
+          if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+          }
+          return response;
+        })
+        .catch(() => null);
+      if (cached) {
+        event.waitUntil(network);
+        return cached;
+      }
+      const response = await network;
+      if (response) return response;
+      if (request.mode === 'navigate') {
+        const shell = await cache.match('index.html');
+        if (shell) return shell;
+      }
+      return Response.error();
+    })
+  );
+});